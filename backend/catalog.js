@@ -0,0 +1,98 @@
+/**
+ * Catalog import/export from the command line
+ * Same file format and rules as /api/admin/catalog/export and /import.
+ *
+ * Usage:
+ *   node catalog.js export [--format csv|json] [--out catalog.csv]
+ *   node catalog.js import <file> [--format csv|json] [--dry-run]
+ * Exports go to catalog-<date>.<format> unless --out is given.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const pool = require('./db/pool');
+const { importCatalog, exportCatalog } = require('./db/catalogTransfer');
+
+const USAGE = `Usage:
+  node catalog.js export [--format csv|json] [--out catalog.csv]
+  node catalog.js import <file> [--format csv|json] [--dry-run]`;
+
+function parseArgs(argv) {
+  const [command, ...rest] = argv;
+  const options = { command, files: [], dryRun: false };
+  for (let i = 0; i < rest.length; i++) {
+    if (rest[i] === '--format') options.format = rest[++i];
+    else if (rest[i] === '--out') options.out = rest[++i];
+    else if (rest[i] === '--dry-run') options.dryRun = true;
+    else options.files.push(rest[i]);
+  }
+  return options;
+}
+
+async function runExport(options) {
+  const format = options.format || (options.out && path.extname(options.out) === '.json' ? 'json' : 'csv');
+  const out = options.out || `catalog-${new Date().toISOString().slice(0, 10)}.${format}`;
+  const file = await exportCatalog(format);
+
+  fs.writeFileSync(out, file);
+  console.log(`✅ Exported catalog to ${out}`);
+  return 0;
+}
+
+async function runImport(options) {
+  const [file] = options.files;
+  if (!file) {
+    console.error(USAGE);
+    return 1;
+  }
+
+  const format = options.format || (path.extname(file) === '.json' ? 'json' : 'csv');
+  const report = await importCatalog(fs.readFileSync(file, 'utf8'), { format, dryRun: options.dryRun });
+  const { summary } = report;
+
+  console.log(`📦 ${summary.rows} rows read from ${file}${options.dryRun ? ' (dry run)' : ''}\n`);
+  for (const change of report.changes) {
+    const label = change.action === 'create' ? '➕ create' : '✏️  update';
+    console.log(`${label} #${change.productId} ${change.name}`);
+    for (const [field, { from, to }] of Object.entries(change.fields)) {
+      console.log(`     ${field}: ${from} → ${to}`);
+    }
+    for (const variant of change.variants) {
+      const fields = Object.entries(variant.fields || {})
+        .map(([field, { from, to }]) => `${field}: ${from} → ${to}`)
+        .join(', ');
+      console.log(`     ${variant.action} ${variant.sku}${fields ? ` (${fields})` : ''}`);
+    }
+  }
+  if (report.ignoredColumns.length > 0) {
+    console.log(`\n⚠️  Ignored columns: ${report.ignoredColumns.join(', ')}`);
+  }
+
+  if (report.errors.length > 0) {
+    console.error(`\n❌ ${report.errors.length} problem(s) - nothing was imported:`);
+    report.errors.forEach((error) => console.error(`   row ${error.row}: ${error.message}`));
+    return 1;
+  }
+
+  console.log(`\n${report.applied ? '✅ Imported' : '🔍 Would import'}: ` +
+    `${summary.created} created, ${summary.updated} updated, ${summary.unchanged} unchanged`);
+  return 0;
+}
+
+async function main() {
+  const options = parseArgs(process.argv.slice(2));
+  let exitCode = 1;
+  try {
+    if (options.command === 'export') exitCode = await runExport(options);
+    else if (options.command === 'import') exitCode = await runImport(options);
+    else console.error(USAGE);
+  } catch (error) {
+    console.error('❌ Error:', error.message);
+  }
+  await pool.end();
+  // The Redis client used for cache invalidation keeps reconnecting; don't wait for it
+  process.exit(exitCode);
+}
+
+main();
@@ -0,0 +1,137 @@
+// backend/config/mailer.js
+// Outgoing mail. The transport is chosen with MAIL_TRANSPORT:
+//   log  (default) - print messages to the console, nothing is sent
+//   smtp           - deliver to SMTP_HOST:SMTP_PORT. Any SMTP server works,
+//                    including a local sink such as MailHog or smtp4dev
+//                    (SMTP_HOST=localhost SMTP_PORT=1025) during development.
+// Other transports can be plugged in with setTransport({ name, send(message) }).
+require('dotenv').config();
+const net = require('net');
+const tls = require('tls');
+const os = require('os');
+
+const MAIL_FROM = process.env.MAIL_FROM || 'PlantNursery <no-reply@plantnursery.local>';
+const SMTP_TIMEOUT_MS = 10 * 1000;
+
+// Bare address from "Name <address>" or "address"
+const addressOf = (mailbox) => (String(mailbox).match(/<([^>]+)>/) || [null, mailbox])[1].trim();
+
+// RFC 2047 encoding for header values that aren't plain ASCII
+const encodeHeader = (value) =>
+  /^[\x20-\x7e]*$/.test(value) ? value : `=?UTF-8?B?${Buffer.from(value, 'utf8').toString('base64')}?=`;
+
+/**
+ * Build the RFC 5322 text of a plain-text message: CRLF line endings, and
+ * body lines starting with "." doubled as SMTP DATA requires.
+ * @param {Object} message - { from?, to, subject, text }
+ * @returns {string}
+ */
+function formatMessage({ from = MAIL_FROM, to, subject, text }) {
+  const domain = addressOf(from).split('@')[1] || 'localhost';
+  const headers = [
+    `From: ${from}`,
+    `To: ${to}`,
+    `Subject: ${encodeHeader(subject)}`,
+    `Date: ${new Date().toUTCString()}`,
+    `Message-ID: <${Date.now()}.${Math.random().toString(36).slice(2)}@${domain}>`,
+    'MIME-Version: 1.0',
+    'Content-Type: text/plain; charset=utf-8',
+    'Content-Transfer-Encoding: 8bit',
+  ];
+  const body = String(text).replace(/\r?\n/g, '\r\n').replace(/^\./gm, '..');
+  return `${headers.join('\r\n')}\r\n\r\n${body}`;
+}
+
+/**
+ * Transport that delivers over SMTP (EHLO, optional AUTH PLAIN, one
+ * recipient per message). secure=true connects with TLS (port 465).
+ * @param {Object} options - host, port, secure, user, pass
+ * @returns {{ name: string, send: Function }}
+ */
+function createSmtpTransport({ host = 'localhost', port = 25, secure = false, user, pass } = {}) {
+  const send = (message) => new Promise((resolve, reject) => {
+    const socket = secure
+      ? tls.connect({ host, port, servername: host })
+      : net.connect({ host, port });
+    const steps = [
+      [null, 2], // greeting
+      [`EHLO ${os.hostname() || 'localhost'}`, 2],
+      ...(user ? [[`AUTH PLAIN ${Buffer.from(`\0${user}\0${pass || ''}`).toString('base64')}`, 2]] : []),
+      [`MAIL FROM:<${addressOf(message.from || MAIL_FROM)}>`, 2],
+      [`RCPT TO:<${addressOf(message.to)}>`, 2],
+      ['DATA', 3],
+      [`${formatMessage(message)}\r\n.`, 2],
+      ['QUIT', 2],
+    ];
+    let step = 0;
+    let buffer = '';
+    let settled = false;
+    const finish = (err) => {
+      if (settled) return;
+      settled = true;
+      socket.destroy();
+      if (err) reject(err);
+      else resolve({ accepted: [addressOf(message.to)] });
+    };
+
+    socket.setTimeout(SMTP_TIMEOUT_MS, () => finish(new Error('SMTP server timed out')));
+    socket.on('error', finish);
+    socket.on('close', () => finish(new Error('SMTP connection closed early')));
+    socket.on('data', (chunk) => {
+      buffer += chunk.toString('utf8');
+      let end;
+      while ((end = buffer.indexOf('\r\n')) >= 0) {
+        const line = buffer.slice(0, end);
+        buffer = buffer.slice(end + 2);
+        if (!/^\d{3} /.test(line) && !/^\d{3}$/.test(line)) continue; // "250-..." continues a reply
+        if (line[0] !== String(steps[step][1])) {
+          return finish(new Error(`SMTP error: ${line}`));
+        }
+        step += 1;
+        if (step === steps.length) return finish();
+        socket.write(`${steps[step][0]}\r\n`);
+      }
+    });
+  });
+  return { name: 'smtp', send };
+}
+
+// Transport that only logs, for development without a mail server
+const logTransport = {
+  name: 'log',
+  async send(message) {
+    console.log(`📧 [mail:log] To: ${message.to} | ${message.subject}\n${message.text}`);
+    return { accepted: [addressOf(message.to)] };
+  },
+};
+
+let transport = process.env.MAIL_TRANSPORT === 'smtp'
+  ? createSmtpTransport({
+      host: process.env.SMTP_HOST,
+      port: parseInt(process.env.SMTP_PORT) || 25,
+      secure: process.env.SMTP_SECURE === 'true',
+      user: process.env.SMTP_USER,
+      pass: process.env.SMTP_PASS,
+    })
+  : logTransport;
+
+// Swap the transport (tests, or another delivery service)
+const setTransport = (next) => { transport = next; };
+const getTransport = () => transport;
+
+/**
+ * Send one message through the current transport.
+ * @param {Object} message - { to, subject, text, from? }
+ * @returns {Promise<{ accepted: Array<string> }>}
+ */
+const sendMail = (message) => transport.send({ from: MAIL_FROM, ...message });
+
+module.exports = {
+  MAIL_FROM,
+  formatMessage,
+  createSmtpTransport,
+  logTransport,
+  setTransport,
+  getTransport,
+  sendMail,
+};
@@ -0,0 +1,13 @@
+// backend/config/site.js
+// Public address of the shop, used for canonical URLs, OpenGraph tags,
+// sitemap.xml and robots.txt. Set BASE_URL in production
+// (e.g. https://greenleafnursery.in); no trailing slash needed.
+require('dotenv').config();
+
+const BASE_URL = (process.env.BASE_URL || `http://localhost:${process.env.PORT || 3000}`).replace(/\/+$/, '');
+
+// Absolute URL for a site path ("/products/fern") or an already absolute URL
+const absoluteUrl = (urlPath = '/') =>
+  /^https?:\/\//i.test(urlPath) ? urlPath : `${BASE_URL}${urlPath.startsWith('/') ? '' : '/'}${urlPath}`;
+
+module.exports = { BASE_URL, absoluteUrl };
@@ -11,6 +11,46 @@
 -- 1. CREATE TABLES
 -- =====================================================
 
+-- Categories Table (admin-managed taxonomy; products.category holds the
+-- slug, parent_id nests categories, e.g. plants > indoor)
+CREATE TABLE IF NOT EXISTS categories (
+  id SERIAL PRIMARY KEY,
+  slug VARCHAR(50) NOT NULL UNIQUE,
+  name VARCHAR(100) NOT NULL,
+  description TEXT,
+  image VARCHAR(255),
+  parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+  sort_order INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$')
+);
+
+INSERT INTO categories (slug, name, description, image, parent_id, sort_order) VALUES
+('plants', 'Plants', 'Houseplants, garden plants, flowering plants and succulents', '/images/products/plants/monstera.jpg', NULL, 0),
+('pots', 'Pots & Planters', 'Style your plants with beautiful planters', '/images/products/pots/ceramic-planter.jpg', NULL, 1),
+('tools', 'Garden Tools', 'Everything you need to help plants thrive', '/images/products/tools/tool-kit.jpg', NULL, 2),
+('kits', 'Starter Kits', 'Plant, pot and tools together at a bundle price', '/images/products/plants/snake-plant.jpg', NULL, 3)
+ON CONFLICT (slug) DO NOTHING;
+
+INSERT INTO categories (slug, name, description, image, parent_id, sort_order)
+SELECT c.slug, c.name, c.description, c.image, (SELECT id FROM categories WHERE slug = 'plants'), c.sort_order
+FROM (VALUES
+  ('indoor', 'Indoor Plants', 'Perfect houseplants for every room and lighting condition', '/images/products/plants/snake-plant.jpg', 0),
+  ('outdoor', 'Outdoor Plants', 'Hardy plants for gardens, patios and balconies', '/images/products/plants/bird-of-paradise.jpg', 1),
+  ('flowering', 'Flowering Plants', 'Colourful blooms for home and garden', '/images/products/plants/orchid-phalaenopsis.jpg', 2),
+  ('succulent', 'Succulents', 'Low-maintenance beauties that thrive on neglect', '/images/products/plants/succulent-mix.jpg', 3)
+) AS c(slug, name, description, image, sort_order)
+ON CONFLICT (slug) DO NOTHING;
+
+-- GST rate per category (percent); NULL = the parent's rate, or the store's
+-- default rate at the top of the tree. Live plants are exempt.
+ALTER TABLE categories ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5, 2)
+  CHECK (gst_rate IS NULL OR (gst_rate >= 0 AND gst_rate <= 28));
+UPDATE categories c SET gst_rate = r.rate
+FROM (VALUES ('plants', 0), ('pots', 12), ('tools', 18)) AS r (slug, rate)
+WHERE c.slug = r.slug AND c.gst_rate IS NULL;
+
 -- Products Table
 CREATE TABLE IF NOT EXISTS products (
   id SERIAL PRIMARY KEY,
@@ -28,6 +68,201 @@ CREATE TABLE IF NOT EXISTS products (
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Every product belongs to a known category; renaming a slug follows through
+DO $$ BEGIN
+  ALTER TABLE products ADD CONSTRAINT products_category_fkey
+    FOREIGN KEY (category) REFERENCES categories(slug) ON UPDATE CASCADE;
+EXCEPTION WHEN duplicate_object THEN NULL;
+END $$;
+
+-- Product search: weighted full-text vector (name A, category B,
+-- description C) plus pg_trgm for typo-tolerant name matching
+CREATE EXTENSION IF NOT EXISTS pg_trgm;
+
+ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector
+  GENERATED ALWAYS AS (
+    setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+    setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+    setweight(to_tsvector('english', coalesce(description, '')), 'C')
+  ) STORED;
+
+-- Plant-care attributes (NULL = not applicable, e.g. pots and tools).
+-- Allowed values match CARE_ATTRIBUTES in db/productRepository.js
+ALTER TABLE products
+  ADD COLUMN IF NOT EXISTS care VARCHAR(20)
+    CHECK (care IN ('easy', 'moderate', 'expert')),
+  ADD COLUMN IF NOT EXISTS light_requirement VARCHAR(20)
+    CHECK (light_requirement IN ('low', 'medium', 'bright-indirect', 'full-sun')),
+  ADD COLUMN IF NOT EXISTS watering_frequency VARCHAR(20)
+    CHECK (watering_frequency IN ('sparse', 'moderate', 'frequent')),
+  ADD COLUMN IF NOT EXISTS humidity VARCHAR(20)
+    CHECK (humidity IN ('low', 'medium', 'high')),
+  ADD COLUMN IF NOT EXISTS toxicity VARCHAR(20)
+    CHECK (toxicity IN ('pet-safe', 'mildly-toxic', 'toxic')),
+  ADD COLUMN IF NOT EXISTS origin VARCHAR(20)
+    CHECK (origin IN ('africa', 'asia', 'australasia', 'central-america', 'europe', 'north-america', 'south-america')),
+  ADD COLUMN IF NOT EXISTS adult_size VARCHAR(20)
+    CHECK (adult_size IN ('compact', 'medium', 'large', 'tree'));
+
+-- Product Variants Table (one row per sellable SKU: size, pot colour,
+-- price and stock; stock NULL = not tracked, follows products.instock)
+CREATE TABLE IF NOT EXISTS product_variants (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  sku VARCHAR(64) UNIQUE NOT NULL,
+  size VARCHAR(50),
+  pot_colour VARCHAR(50),
+  price DECIMAL(10, 2) NOT NULL,
+  original_price DECIMAL(10, 2),
+  stock INTEGER CHECK (stock IS NULL OR stock >= 0),
+  sort_order INTEGER DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Shipping weight of one unit (packed); NULL = the shipping default weight
+ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS weight_grams INTEGER
+  CHECK (weight_grams IS NULL OR weight_grams > 0);
+
+-- Product Images Table (ordered gallery; each row is one uploaded image
+-- with its thumb/card/zoom renditions, position 0 = primary image)
+CREATE TABLE IF NOT EXISTS product_images (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  position INTEGER NOT NULL DEFAULT 0,
+  alt VARCHAR(255),
+  thumb_url TEXT NOT NULL,
+  card_url TEXT NOT NULL,
+  zoom_url TEXT NOT NULL,
+  width INTEGER,
+  height INTEGER,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Reviews Table (one review per customer and product; only approved
+-- reviews are shown and counted into products.rating/review_count)
+CREATE TABLE IF NOT EXISTS reviews (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  user_id VARCHAR(64) NOT NULL,
+  user_name VARCHAR(255),
+  user_email VARCHAR(255) NOT NULL,
+  rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+  title VARCHAR(150),
+  body TEXT,
+  photos JSONB NOT NULL DEFAULT '[]',
+  status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+  verified_purchase BOOLEAN NOT NULL DEFAULT false,
+  helpful_count INTEGER NOT NULL DEFAULT 0,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (product_id, user_email)
+);
+
+-- Review Votes Table ("helpful" votes, one per customer email)
+CREATE TABLE IF NOT EXISTS review_votes (
+  review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+  voter VARCHAR(255) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  PRIMARY KEY (review_id, voter)
+);
+
+-- Approved review count, kept next to the rating it averages
+ALTER TABLE products ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;
+
+-- Product URL slugs (/products/:slug). Renaming a product gives it a new
+-- slug; the old one is kept here and redirects to the product
+ALTER TABLE products ADD COLUMN IF NOT EXISTS slug VARCHAR(100) UNIQUE;
+
+-- Archived products (DELETE /api/products/:id) are hidden from the catalog
+-- but kept for past orders; NULL = live
+ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;
+
+-- Bundles (starter kits): a product made of component variants with
+-- quantities. Stock is taken from the components; the bundle's price is its
+-- own variant price, or the components' total less bundle_discount_percent
+-- when that is set
+ALTER TABLE products ADD COLUMN IF NOT EXISTS bundle_discount_percent DECIMAL(5,2)
+  CHECK (bundle_discount_percent > 0 AND bundle_discount_percent < 100);
+
+CREATE TABLE IF NOT EXISTS bundle_components (
+  id SERIAL PRIMARY KEY,
+  bundle_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE RESTRICT,
+  quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+  sort_order INTEGER DEFAULT 0,
+  UNIQUE (bundle_id, variant_id)
+);
+
+CREATE TABLE IF NOT EXISTS product_slug_redirects (
+  old_slug VARCHAR(100) PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Scheduled sales: a percentage off one product or a whole category
+-- between starts_at and ends_at. Effective prices are computed at read time
+CREATE TABLE IF NOT EXISTS sales (
+  id SERIAL PRIMARY KEY,
+  name VARCHAR(120) NOT NULL,
+  product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+  category VARCHAR(50),
+  discount_percent DECIMAL(5,2) NOT NULL CHECK (discount_percent > 0 AND discount_percent < 100),
+  starts_at TIMESTAMP NOT NULL,
+  ends_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  CHECK ((product_id IS NULL) <> (category IS NULL)),
+  CHECK (ends_at > starts_at)
+);
+
+-- Regular price of each variant over time (ends_at NULL = current price)
+CREATE TABLE IF NOT EXISTS price_history (
+  id SERIAL PRIMARY KEY,
+  variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  price DECIMAL(10,2) NOT NULL,
+  starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+  ends_at TIMESTAMP
+);
+
+-- Product Recommendations Table (rebuilt periodically from orders.items:
+-- together = orders containing both products, also_bought = customers
+-- who bought both)
+CREATE TABLE IF NOT EXISTS product_recommendations (
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  related_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  kind VARCHAR(20) NOT NULL CHECK (kind IN ('together', 'also_bought')),
+  score INTEGER NOT NULL,
+  PRIMARY KEY (product_id, kind, related_id)
+);
+
+-- Stock Reservations Table (units held while a customer is in checkout;
+-- rows past expires_at no longer count and are swept periodically)
+CREATE TABLE IF NOT EXISTS stock_reservations (
+  id SERIAL PRIMARY KEY,
+  hold_id VARCHAR(64) NOT NULL,
+  variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+  quantity INTEGER NOT NULL CHECK (quantity > 0),
+  expires_at TIMESTAMP NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Back-in-stock Notifications Table (one pending request per product and
+-- email; notified_at is set once the "back in stock" mail has gone out)
+CREATE TABLE IF NOT EXISTS stock_notifications (
+  id SERIAL PRIMARY KEY,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  email VARCHAR(255) NOT NULL,
+  user_id VARCHAR(64),
+  attempts INTEGER NOT NULL DEFAULT 0,
+  last_error TEXT,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  notified_at TIMESTAMP
+);
+
+-- Set while a dispatcher run is sending the mail (see db/notificationRepository.js)
+ALTER TABLE stock_notifications ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;
+
 -- Users Table
 CREATE TABLE IF NOT EXISTS users (
   id SERIAL PRIMARY KEY,
@@ -37,17 +272,44 @@ CREATE TABLE IF NOT EXISTS users (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
--- Carts Table
+-- Carts Table (one row per cart, keyed by the session UUID the /api/cart
+-- API hands out; guest carts idle for CART_TTL_DAYS are swept). Earlier
+-- schemas had an unused one-row-per-product carts table; it is replaced.
+DO $$
+BEGIN
+  IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'carts' AND column_name = 'product_id') THEN
+    DROP TABLE carts CASCADE;
+  END IF;
+END $$;
+
 CREATE TABLE IF NOT EXISTS carts (
   id SERIAL PRIMARY KEY,
-  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-  session_id VARCHAR(255),
-  product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
-  quantity INTEGER DEFAULT 1,
+  session_id UUID NOT NULL UNIQUE,
+  user_id VARCHAR(64),
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
   updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Cart Items Table (one row per product variant in a cart; details holds
+-- the name, SKU, image and bundle components captured when it was added)
+CREATE TABLE IF NOT EXISTS cart_items (
+  id SERIAL PRIMARY KEY,
+  cart_id INTEGER NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+  variant_id INTEGER,
+  quantity INTEGER NOT NULL CHECK (quantity BETWEEN 1 AND 99),
+  price DECIMAL(10,2) NOT NULL,
+  details JSONB NOT NULL DEFAULT '{}',
+  added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Purging a product clears its cart lines itself (db/productRepository.js);
+-- earlier schemas cascaded the delete
+ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_product_id_fkey,
+  ADD CONSTRAINT cart_items_product_id_fkey
+    FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT;
+
 -- Contacts Table
 CREATE TABLE IF NOT EXISTS contacts (
   id SERIAL PRIMARY KEY,
@@ -81,17 +343,129 @@ CREATE TABLE IF NOT EXISTS orders (
   created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
 );
 
+-- Order lifecycle: cancelling an order puts its stock back
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'placed';
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;
+
+-- Price breakdown charged (subtotal, shipping, GST split), see db/pricingRepository.js
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS totals JSONB;
+
+-- Checkout creates the order from a cart as 'pending' and pays it by ID
+-- (routes/payment.js); unpaid orders are only kept for a day. Only the
+-- account that created it (customer_id, a session user ID like
+-- carts.user_id), or for a guest order the browser holding the cart, pays it
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS cart_session_id UUID;
+ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_id VARCHAR(64);
+
+-- Store Settings Table (admin-editable JSON settings: "tax" and "shipping";
+-- missing keys use the defaults in db/pricingRepository.js)
+CREATE TABLE IF NOT EXISTS store_settings (
+  key VARCHAR(50) PRIMARY KEY,
+  value JSONB NOT NULL,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coupons Table (promo codes; the rules are applied by db/couponRepository.js).
+-- value is the percent off (percent, and buy_x_get_y's free items) or the
+-- rupees off (fixed); an empty product_ids / categories list means any product.
+CREATE TABLE IF NOT EXISTS coupons (
+  id SERIAL PRIMARY KEY,
+  code VARCHAR(40) NOT NULL UNIQUE,
+  description VARCHAR(255),
+  type VARCHAR(20) NOT NULL CHECK (type IN ('percent', 'fixed', 'free_shipping', 'buy_x_get_y')),
+  value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+  max_discount DECIMAL(10,2) CHECK (max_discount >= 0),
+  buy_quantity INTEGER CHECK (buy_quantity > 0),
+  get_quantity INTEGER CHECK (get_quantity > 0),
+  product_ids INTEGER[] NOT NULL DEFAULT '{}',
+  categories TEXT[] NOT NULL DEFAULT '{}',
+  min_order DECIMAL(10,2) NOT NULL DEFAULT 0,
+  starts_at TIMESTAMP,
+  ends_at TIMESTAMP,
+  usage_limit INTEGER CHECK (usage_limit > 0),
+  per_customer_limit INTEGER CHECK (per_customer_limit > 0),
+  stackable BOOLEAN NOT NULL DEFAULT false,
+  active BOOLEAN NOT NULL DEFAULT true,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Coupon Redemptions Table (one row per coupon used on an order; counts
+-- against the usage limits, removed when the order is cancelled)
+CREATE TABLE IF NOT EXISTS coupon_redemptions (
+  id SERIAL PRIMARY KEY,
+  coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE RESTRICT,
+  order_number VARCHAR(255) NOT NULL,
+  email VARCHAR(255) NOT NULL,
+  user_id VARCHAR(64),
+  discount DECIMAL(10,2) NOT NULL,
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  UNIQUE (coupon_id, order_number)
+);
+
+-- Coupon codes entered for a cart, in the order they were applied
+ALTER TABLE carts ADD COLUMN IF NOT EXISTS coupon_codes TEXT[] NOT NULL DEFAULT '{}';
+
+-- Cart Shares Table (a snapshot of a cart's lines behind a short link,
+-- /cart/shared/<token>; prices and stock are re-checked when it is opened)
+CREATE TABLE IF NOT EXISTS cart_shares (
+  token VARCHAR(16) PRIMARY KEY,
+  title VARCHAR(100),
+  items JSONB NOT NULL,
+  created_by VARCHAR(64),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  expires_at TIMESTAMP NOT NULL
+);
+
+-- Wishlists Table (one per signed-in customer; share_token is set while the
+-- list is shared through its public read-only link)
+CREATE TABLE IF NOT EXISTS wishlists (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(64) NOT NULL UNIQUE,
+  share_token UUID UNIQUE,
+  share_name VARCHAR(100),
+  created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+  updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
+-- Wishlist Items Table (a product, or one variant of it, saved to a wishlist)
+CREATE TABLE IF NOT EXISTS wishlist_items (
+  id SERIAL PRIMARY KEY,
+  wishlist_id INTEGER NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+  product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+  variant_id INTEGER,
+  added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+);
+
 -- =====================================================
 -- 2. CREATE INDEXES FOR PERFORMANCE
 -- =====================================================
 
 CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);
+CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id, sort_order);
 CREATE INDEX IF NOT EXISTS idx_products_badge ON products(badge);
 CREATE INDEX IF NOT EXISTS idx_products_instock ON products(instock);
+CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN (search_vector);
+CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (name gin_trgm_ops);
+CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);
+CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images(product_id, position);
+CREATE INDEX IF NOT EXISTS idx_reviews_product_status ON reviews(product_id, status);
+CREATE INDEX IF NOT EXISTS idx_sales_window ON sales(starts_at, ends_at);
+CREATE INDEX IF NOT EXISTS idx_price_history_variant ON price_history(variant_id, starts_at);
+CREATE INDEX IF NOT EXISTS idx_bundle_components_variant ON bundle_components(variant_id);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_variant ON stock_reservations(variant_id, expires_at);
+CREATE INDEX IF NOT EXISTS idx_stock_reservations_hold ON stock_reservations(hold_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_notifications_pending ON stock_notifications(product_id, LOWER(email)) WHERE notified_at IS NULL;
 CREATE INDEX IF NOT EXISTS idx_carts_user_id ON carts(user_id);
-CREATE INDEX IF NOT EXISTS idx_carts_session_id ON carts(session_id);
+CREATE INDEX IF NOT EXISTS idx_carts_updated_at ON carts(updated_at) WHERE user_id IS NULL;
+CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_line ON cart_items(cart_id, product_id, COALESCE(variant_id, 0));
+CREATE INDEX IF NOT EXISTS idx_cart_shares_expires_at ON cart_shares(expires_at);
 CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);
 CREATE INDEX IF NOT EXISTS idx_orders_transaction_id ON orders(transaction_id);
+CREATE INDEX IF NOT EXISTS idx_orders_pending_cart ON orders(cart_session_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, LOWER(email));
+CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_order ON coupon_redemptions(order_number);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_line ON wishlist_items(wishlist_id, product_id, COALESCE(variant_id, 0));
 
 -- =====================================================
 -- 3. INSERT PRODUCT DATA (37 Products)
@@ -146,6 +520,102 @@ INSERT INTO products (name, description, price, original_price, category, image,
 ('Hand Trowel and Fork Set', 'Stainless steel hand trowel and fork with comfortable wooden handles.', 34.99, NULL, 'tools', '/images/products/tools/hand-trowel-fork-set.jpg', true, 4.7, 'Popular', 'Standard'),
 ('Plant Fertilizer Organic', 'All-purpose organic plant food. Promotes healthy growth and blooms.', 24.99, NULL, 'tools', '/images/products/tools/plant-fertilizer-organic.jpg', true, 4.8, 'Bestseller', '500g');
 
+-- Care attributes of the plants
+UPDATE products p
+SET care = c.care, light_requirement = c.light, watering_frequency = c.watering,
+    humidity = c.humidity, toxicity = c.toxicity, origin = c.origin, adult_size = c.adult_size
+FROM (VALUES
+  ('Peace Lily', 'easy', 'low', 'moderate', 'high', 'mildly-toxic', 'central-america', 'medium'),
+  ('Rose Bush', 'moderate', 'full-sun', 'moderate', 'medium', 'pet-safe', 'asia', 'large'),
+  ('Orchid (Phalaenopsis)', 'moderate', 'bright-indirect', 'sparse', 'high', 'pet-safe', 'asia', 'compact'),
+  ('Anthurium', 'moderate', 'bright-indirect', 'moderate', 'high', 'mildly-toxic', 'south-america', 'medium'),
+  ('English Lavender', 'easy', 'full-sun', 'sparse', 'low', 'mildly-toxic', 'europe', 'compact'),
+  ('Bird of Paradise', 'moderate', 'full-sun', 'moderate', 'medium', 'mildly-toxic', 'africa', 'large'),
+  ('Rosemary', 'easy', 'full-sun', 'sparse', 'low', 'pet-safe', 'europe', 'medium'),
+  ('Monstera Deliciosa', 'easy', 'bright-indirect', 'moderate', 'high', 'mildly-toxic', 'central-america', 'large'),
+  ('Snake Plant', 'easy', 'low', 'sparse', 'low', 'mildly-toxic', 'africa', 'medium'),
+  ('Fiddle Leaf Fig', 'expert', 'bright-indirect', 'moderate', 'medium', 'mildly-toxic', 'africa', 'tree'),
+  ('Rubber Plant', 'easy', 'bright-indirect', 'moderate', 'medium', 'mildly-toxic', 'asia', 'tree'),
+  ('Spider Plant', 'easy', 'medium', 'moderate', 'medium', 'pet-safe', 'africa', 'compact'),
+  ('Boston Fern', 'moderate', 'medium', 'frequent', 'high', 'pet-safe', 'central-america', 'medium'),
+  ('Pothos Golden', 'easy', 'low', 'moderate', 'medium', 'mildly-toxic', 'australasia', 'medium'),
+  ('ZZ Plant', 'easy', 'low', 'sparse', 'low', 'mildly-toxic', 'africa', 'medium'),
+  ('Bird''s Nest Fern', 'moderate', 'medium', 'moderate', 'high', 'pet-safe', 'asia', 'medium'),
+  ('Calathea Medallion', 'expert', 'medium', 'frequent', 'high', 'pet-safe', 'south-america', 'medium'),
+  ('Aloe Vera', 'easy', 'full-sun', 'sparse', 'low', 'mildly-toxic', 'africa', 'compact'),
+  ('Jade Plant', 'easy', 'full-sun', 'sparse', 'low', 'mildly-toxic', 'africa', 'medium'),
+  ('Cactus Variety Pack', 'easy', 'full-sun', 'sparse', 'low', 'pet-safe', 'north-america', 'compact'),
+  ('String of Pearls', 'moderate', 'bright-indirect', 'sparse', 'low', 'mildly-toxic', 'africa', 'compact')
+) AS c (name, care, light, watering, humidity, toxicity, origin, adult_size)
+WHERE p.name = c.name;
+
+-- Slugs from product names ("Bird's Nest Fern" -> birds-nest-fern);
+-- repeated names get -2, -3...
+UPDATE products p
+SET slug = s.base || CASE WHEN s.n > 1 THEN '-' || s.n ELSE '' END
+FROM (
+  SELECT id, base, ROW_NUMBER() OVER (PARTITION BY base ORDER BY id) AS n
+  FROM (
+    SELECT id, COALESCE(NULLIF(TRIM(BOTH '-' FROM REGEXP_REPLACE(
+             LOWER(REPLACE(name, '''', '')), '[^a-z0-9]+', '-', 'g')), ''), 'product') AS base
+    FROM products WHERE slug IS NULL
+  ) named
+) s
+WHERE p.id = s.id;
+
+-- Give every product without variants a default variant carrying its
+-- own size and price
+INSERT INTO product_variants (product_id, sku, size, price, original_price)
+SELECT p.id, 'GL-' || LPAD(p.id::text, 4, '0'), p.size, p.price, p.original_price
+FROM products p
+WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+ON CONFLICT (sku) DO NOTHING;
+
+-- Starter kit: snake plant, ceramic planter set and watering can, 15% off
+INSERT INTO products (name, slug, description, price, category, image, instock, badge, size, bundle_discount_percent)
+SELECT 'Beginner Plant Starter Kit', 'beginner-plant-starter-kit',
+       'Everything to start your first houseplant: a hardy snake plant, ceramic planters and a watering can.',
+       ROUND(SUM(v.price) * 0.85, 2), 'kits', '/images/products/plants/snake-plant.jpg', true, 'bundle', 'medium', 15
+FROM products p JOIN product_variants v ON v.product_id = p.id
+WHERE p.name IN ('Snake Plant', 'Ceramic Planter Set', 'Watering Can');
+
+INSERT INTO product_variants (product_id, sku, size, price)
+SELECT p.id, 'GL-' || LPAD(p.id::text, 4, '0'), p.size, p.price
+FROM products p WHERE p.name = 'Beginner Plant Starter Kit'
+ON CONFLICT (sku) DO NOTHING;
+
+INSERT INTO bundle_components (bundle_id, variant_id, quantity, sort_order)
+SELECT kit.id, v.id, 1, c.sort_order
+FROM products kit
+CROSS JOIN (VALUES ('Snake Plant', 0), ('Ceramic Planter Set', 1), ('Watering Can', 2)) AS c (name, sort_order)
+JOIN products p ON p.name = c.name
+JOIN product_variants v ON v.product_id = p.id
+WHERE kit.name = 'Beginner Plant Starter Kit'
+ON CONFLICT (bundle_id, variant_id) DO NOTHING;
+
+-- Packed shipping weights by category (kits weigh what their contents weigh)
+UPDATE product_variants v
+SET weight_grams = CASE
+  WHEN p.category = 'pots' THEN 2000
+  WHEN p.category = 'tools' THEN 800
+  ELSE 1500
+END
+FROM products p
+WHERE p.id = v.product_id AND v.weight_grams IS NULL AND p.category <> 'kits';
+
+-- Start the price history with every variant's current price
+INSERT INTO price_history (variant_id, product_id, price)
+SELECT v.id, v.product_id, v.price
+FROM product_variants v
+WHERE NOT EXISTS (SELECT 1 FROM price_history h WHERE h.variant_id = v.id AND h.ends_at IS NULL);
+
+-- Sample coupons
+INSERT INTO coupons (code, description, type, value, min_order, per_customer_limit, stackable, categories, buy_quantity, get_quantity) VALUES
+('WELCOME10', '10% off your first order over ₹499', 'percent', 10, 499, 1, false, '{}', NULL, NULL),
+('FREESHIP', 'Free standard shipping on orders over ₹299', 'free_shipping', 0, 299, NULL, true, '{}', NULL, NULL),
+('PLANTS3FOR2', 'Buy 2 plants, get the cheapest third free', 'buy_x_get_y', 100, 0, NULL, false, '{plants}', 2, 1)
+ON CONFLICT (code) DO NOTHING;
+
 -- =====================================================
 -- 4. VERIFICATION QUERIES (Optional - Comment Out)
 -- =====================================================
@@ -162,7 +632,7 @@ INSERT INTO products (name, description, price, original_price, category, image,
 -- =====================================================
 -- SETUP COMPLETE!
 -- =====================================================
--- Total Tables: 6 (products, users, carts, contacts, newsletter, orders)
--- Total Products: 37 (21 plants, 8 pots, 8 tools)
--- Total Indexes: 7 (for performance optimization)
+-- Total Tables: 25 (categories, products, product_variants, bundle_components, product_images, product_slug_redirects, sales, price_history, reviews, review_votes, product_recommendations, stock_reservations, stock_notifications, users, carts, cart_items, cart_shares, contacts, newsletter, orders, store_settings, coupons, coupon_redemptions, wishlists, wishlist_items)
+-- Total Products: 38 (21 plants, 8 pots, 8 tools, 1 starter kit)
+-- Total Indexes: 25 (for performance optimization and search)
 -- =====================================================
@@ -0,0 +1,171 @@
+// backend/db/bundleRepository.js
+/**
+ * Bundle repository - products sold as a set of other products' variants
+ * (starter kits such as plant + pot + tools).
+ *
+ * A bundle is an ordinary product with rows in bundle_components. Reads
+ * need nothing from here: productRepository.mapProduct prices a bundle
+ * (its own price, or the components' total less bundle_discount_percent)
+ * and derives its availability from component stock. Orders decrement the
+ * components (inventoryRepository.attachBundleComponents).
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const {
+  getProductById,
+  syncPriceFromVariants,
+  syncStockFlags,
+  invalidateProductCache,
+} = require("./productRepository");
+
+const MAX_COMPONENTS = 20;
+
+/**
+ * Check a components list: at least one component, each a variant ID (or a
+ * product ID, meaning its first variant) with a whole quantity.
+ * @param {Array} components - [{ variantId?, productId?, quantity? }]
+ * @returns {Array<{ variantId: number|null, productId: number|null, quantity: number }>}
+ * @throws 400 on a malformed list
+ */
+function normalizeComponents(components) {
+  if (!Array.isArray(components) || components.length === 0) {
+    throw createError("A bundle needs at least one component", 400);
+  }
+  if (components.length > MAX_COMPONENTS) {
+    throw createError(`A bundle can have at most ${MAX_COMPONENTS} components`, 400);
+  }
+  return components.map((component, index) => {
+    const variantId = parseInt(component.variantId);
+    const productId = parseInt(component.productId);
+    const quantity = component.quantity === undefined ? 1 : Number(component.quantity);
+    if (!(variantId > 0) && !(productId > 0)) {
+      throw createError(`Component ${index + 1} needs a variantId or productId`, 400);
+    }
+    if (!Number.isInteger(quantity) || quantity < 1 || quantity > 99) {
+      throw createError(`Component ${index + 1} quantity must be a whole number from 1 to 99`, 400);
+    }
+    return { variantId: variantId > 0 ? variantId : null, productId: productId > 0 ? productId : null, quantity };
+  });
+}
+
+/**
+ * Make a product a bundle of the given components, replacing any previous
+ * contents. The bundle's own variants stop tracking stock (it comes from
+ * the components); with a discountPercent their price becomes the
+ * components' total less the discount.
+ * @param {number|string} bundleId
+ * @param {Object} data
+ * @param {Array} data.components - See normalizeComponents
+ * @param {number|null} [data.discountPercent] - Off the components' total; null = the bundle's own price
+ * @returns {Promise<Object|null>} Bundle product, or null if it doesn't exist
+ * @throws 400 for unknown components, bundles inside bundles or the bundle itself
+ */
+async function setBundle(bundleId, { components, discountPercent = null }) {
+  const id = parseInt(bundleId);
+  const lines = normalizeComponents(components);
+  if (discountPercent !== null && !(discountPercent > 0 && discountPercent < 100)) {
+    throw createError("discountPercent must be between 0 and 100", 400);
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const bundle = await client.query("SELECT id FROM products WHERE id = $1 FOR UPDATE", [id]);
+    if (bundle.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    // Resolve product IDs to their first variant and check every component
+    const resolved = await client.query(
+      `SELECT l.ord, v.id AS variant_id, v.product_id,
+              EXISTS (SELECT 1 FROM bundle_components nested WHERE nested.bundle_id = v.product_id) AS is_bundle
+       FROM UNNEST($1::int[], $2::int[]) WITH ORDINALITY AS l (variant_id, product_id, ord)
+       LEFT JOIN LATERAL (
+         SELECT id, product_id FROM product_variants
+         WHERE (l.variant_id IS NOT NULL AND id = l.variant_id)
+            OR (l.variant_id IS NULL AND product_id = l.product_id)
+         ORDER BY sort_order, price, id LIMIT 1
+       ) v ON true
+       ORDER BY l.ord`,
+      [lines.map((line) => line.variantId), lines.map((line) => line.productId)]
+    );
+    const rows = resolved.rows;
+    rows.forEach((row, index) => {
+      if (!row.variant_id) throw createError(`Component ${index + 1} not found`, 400);
+      if (row.product_id === id) throw createError("A bundle can't contain itself", 400);
+      if (row.is_bundle) throw createError(`Component ${index + 1} is a bundle; bundles can't be nested`, 400);
+    });
+    if (new Set(rows.map((row) => row.variant_id)).size !== rows.length) {
+      throw createError("Each variant can appear only once in a bundle", 400);
+    }
+    const containing = await client.query(
+      `SELECT 1 FROM bundle_components bc JOIN product_variants v ON v.id = bc.variant_id
+       WHERE v.product_id = $1 LIMIT 1`,
+      [id]
+    );
+    if (containing.rows.length > 0) {
+      throw createError("This product is part of another bundle and can't be a bundle itself", 400);
+    }
+
+    await client.query("DELETE FROM bundle_components WHERE bundle_id = $1", [id]);
+    for (const [index, row] of rows.entries()) {
+      await client.query(
+        "INSERT INTO bundle_components (bundle_id, variant_id, quantity, sort_order) VALUES ($1, $2, $3, $4)",
+        [id, row.variant_id, lines[index].quantity, index]
+      );
+    }
+    await client.query(
+      "UPDATE products SET bundle_discount_percent = $2, updated_at = NOW() WHERE id = $1",
+      [id, discountPercent]
+    );
+    await client.query(
+      `UPDATE product_variants bv
+       SET stock = NULL,
+           price = CASE WHEN $2::numeric IS NULL THEN bv.price ELSE ROUND(t.total * (100 - $2::numeric) / 100, 2) END,
+           updated_at = NOW()
+       FROM (SELECT SUM(v.price * bc.quantity) AS total
+             FROM bundle_components bc JOIN product_variants v ON v.id = bc.variant_id
+             WHERE bc.bundle_id = $1) t
+       WHERE bv.product_id = $1`,
+      [id, discountPercent]
+    );
+    await syncPriceFromVariants(client, id);
+    await syncStockFlags(client, [id]);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await invalidateProductCache(id);
+  return getProductById(id);
+}
+
+/**
+ * Turn a bundle back into a plain product. Its variants keep their last
+ * price and stay untracked until stock is set on them.
+ * @param {number|string} bundleId
+ * @returns {Promise<Object|null>} Product, or null if it doesn't exist
+ */
+async function removeBundle(bundleId) {
+  const result = await pool.query(
+    "UPDATE products SET bundle_discount_percent = NULL, updated_at = NOW() WHERE id = $1 RETURNING id",
+    [bundleId]
+  );
+  if (result.rows.length === 0) return null;
+  await pool.query("DELETE FROM bundle_components WHERE bundle_id = $1", [bundleId]);
+  await syncStockFlags(pool, [bundleId]);
+  await invalidateProductCache(bundleId);
+  return getProductById(bundleId);
+}
+
+module.exports = {
+  MAX_COMPONENTS,
+  normalizeComponents,
+  setBundle,
+  removeBundle,
+};
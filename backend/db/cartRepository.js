@@ -0,0 +1,413 @@
+// backend/db/cartRepository.js
+/**
+ * Cart repository - shopping carts in PostgreSQL.
+ *
+ * A cart is a carts row keyed by the session UUID handed to the browser,
+ * with one cart_items row per product variant. Changes go through
+ * modifyCart(): the cart row is locked for the length of a transaction,
+ * the caller edits the cart's items in memory, and only the lines that
+ * changed are written back, so concurrent requests on the same cart queue
+ * up instead of overwriting each other. Guest carts (no user) expire after
+ * CART_TTL_DAYS without changes; signing in claims the guest cart, or merges
+ * it into the customer's saved one (routes/cart.js). A cart also keeps the
+ * coupon codes entered for it (carts.coupon_codes).
+ *
+ * A cart can be shared as a short link: createShare() stores a snapshot of
+ * its lines under a random token (cart_shares) that expires after
+ * CART_SHARE_TTL_DAYS. The snapshot is only a list of what to add; prices
+ * and stock are checked again whenever the link is opened.
+ */
+
+const crypto = require("crypto");
+const fs = require("fs").promises;
+const path = require("path");
+const { v4: uuidv4 } = require("uuid");
+const pool = require("./pool");
+
+const CART_TTL_DAYS = parseInt(process.env.CART_TTL_DAYS) || 30;
+const SWEEP_INTERVAL_MS = 60 * 60 * 1000;
+const LEGACY_CARTS_FILE = path.join(__dirname, "../data/carts.json");
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+const CART_SHARE_TTL_DAYS = parseInt(process.env.CART_SHARE_TTL_DAYS) || 14;
+const SHARE_TOKEN_ALPHABET = "23456789abcdefghjkmnpqrstuvwxyzABCDEFGHJKLMNPQRSTUVWXYZ"; // no 0/O, 1/l/I
+const SHARE_TOKEN_LENGTH = 10;
+const SHARE_TOKEN_PATTERN = new RegExp(`^[${SHARE_TOKEN_ALPHABET}]{${SHARE_TOKEN_LENGTH}}$`);
+
+// Carts still alive: signed-in customers' carts, or guest carts changed recently
+const LIVE_CART = `(c.user_id IS NOT NULL OR c.updated_at > NOW() - make_interval(days => ${CART_TTL_DAYS}))`;
+
+/**
+ * Convert a cart_items row to a cart line. details holds the descriptive
+ * fields captured when the line was added (name, sku, image, components...).
+ * @param {Object} row
+ * @returns {Object} Cart line, with its row ID as lineId
+ */
+function mapItem(row) {
+  return {
+    ...row.details,
+    lineId: row.id,
+    productId: row.product_id,
+    variantId: row.variant_id,
+    price: parseFloat(row.price),
+    quantity: row.quantity,
+    addedAt: row.added_at,
+  };
+}
+
+/**
+ * Convert a carts row and its item rows to the cart shape the API returns
+ * (totals are added by the route).
+ * @param {Object} row - carts row
+ * @param {Array} itemRows - cart_items rows in display order
+ * @returns {Object|null} Cart
+ */
+function mapCart(row, itemRows = []) {
+  if (!row) return null;
+  return {
+    sessionId: row.session_id,
+    userId: row.user_id || null,
+    items: itemRows.map(mapItem),
+    couponCodes: row.coupon_codes || [],
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Split a cart line into cart_items columns.
+ * @param {Object} item - Cart line
+ * @returns {{ productId: number, variantId: number|null, quantity: number, price: number, details: Object, addedAt: string }}
+ */
+function toRow(item) {
+  const { lineId, productId, variantId, quantity, price, addedAt, ...details } = item;
+  return {
+    productId: parseInt(productId),
+    variantId: variantId ? parseInt(variantId) : null,
+    quantity: parseInt(quantity),
+    price: Math.round((parseFloat(price) || 0) * 100) / 100,
+    details,
+    addedAt: addedAt || new Date().toISOString(),
+  };
+}
+
+// A cart's item rows in display order (locked when inside modifyCart)
+async function loadItems(db, cartId, lock = false) {
+  const result = await db.query(
+    `SELECT * FROM cart_items WHERE cart_id = $1 ORDER BY added_at, id${lock ? " FOR UPDATE" : ""}`,
+    [cartId]
+  );
+  return result.rows;
+}
+
+/**
+ * Create an empty cart.
+ * @param {Object} [options]
+ * @param {string} [options.sessionId] - Defaults to a new UUID
+ * @param {string} [options.userId] - Signed-in customer (the cart doesn't expire)
+ * @returns {Promise<Object>} Cart
+ */
+async function createCart({ sessionId, userId = null } = {}) {
+  const result = await pool.query(
+    "INSERT INTO carts (session_id, user_id) VALUES ($1, $2) RETURNING *",
+    [sessionId || uuidv4(), userId]
+  );
+  return mapCart(result.rows[0]);
+}
+
+/**
+ * Cart by session ID. Expired guest carts are not found.
+ * @param {string} sessionId
+ * @returns {Promise<Object|null>} Cart
+ */
+async function getCart(sessionId) {
+  const result = await pool.query(`SELECT c.* FROM carts c WHERE c.session_id = $1 AND ${LIVE_CART}`, [sessionId]);
+  if (result.rows.length === 0) return null;
+  return mapCart(result.rows[0], await loadItems(pool, result.rows[0].id));
+}
+
+/**
+ * A signed-in customer's cart (the most recently used, should there be several).
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Cart
+ */
+async function getUserCart(userId) {
+  const result = await pool.query(
+    "SELECT * FROM carts WHERE user_id = $1 ORDER BY updated_at DESC, id DESC LIMIT 1",
+    [userId]
+  );
+  if (result.rows.length === 0) return null;
+  return mapCart(result.rows[0], await loadItems(pool, result.rows[0].id));
+}
+
+/**
+ * Give a guest cart to a customer who just signed in. From then on it
+ * doesn't expire.
+ * @param {string} sessionId
+ * @param {string} userId
+ * @returns {Promise<Object|null>} Cart, or null if there is no live guest cart with that ID
+ */
+async function claimCart(sessionId, userId) {
+  const result = await pool.query(
+    `UPDATE carts c SET user_id = $2, updated_at = NOW()
+     WHERE c.session_id = $1 AND c.user_id IS NULL AND ${LIVE_CART}
+     RETURNING c.*`,
+    [sessionId, userId]
+  );
+  if (result.rows.length === 0) return null;
+  return mapCart(result.rows[0], await loadItems(pool, result.rows[0].id));
+}
+
+/**
+ * Delete a cart and its lines.
+ * @param {string} sessionId
+ * @returns {Promise<boolean>} Whether a cart was deleted
+ */
+async function deleteCart(sessionId) {
+  const result = await pool.query("DELETE FROM carts WHERE session_id = $1", [sessionId]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Change a cart in one transaction. `change` receives the cart with the
+ * row locked and may add, remove or edit entries of cart.items and
+ * cart.couponCodes (it may be async, and may throw to abandon the change).
+ * Lines that were removed, edited or added are then written back.
+ * @param {string} sessionId
+ * @param {Function} change - (cart) => result
+ * @returns {Promise<{ cart: Object, result: any }|null>} Updated cart and change's return value, or null if not found
+ */
+async function modifyCart(sessionId, change) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const found = await client.query(
+      `SELECT c.* FROM carts c WHERE c.session_id = $1 AND ${LIVE_CART} FOR UPDATE`,
+      [sessionId]
+    );
+    if (found.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+    const cartRow = found.rows[0];
+    const cart = mapCart(cartRow, await loadItems(client, cartRow.id, true));
+    const before = new Map(cart.items.map((item) => [item.lineId, JSON.stringify(toRow(item))]));
+    const couponsBefore = JSON.stringify(cart.couponCodes);
+
+    const result = await change(cart);
+
+    const kept = new Set(cart.items.map((item) => item.lineId).filter(Boolean));
+    const removed = [...before.keys()].filter((lineId) => !kept.has(lineId));
+    let changed = removed.length > 0;
+    if (removed.length > 0) {
+      await client.query("DELETE FROM cart_items WHERE cart_id = $1 AND id = ANY($2::int[])", [cartRow.id, removed]);
+    }
+    for (const item of cart.items) {
+      const row = toRow(item);
+      if (item.lineId && before.get(item.lineId) === JSON.stringify(row)) continue;
+      changed = true;
+      if (item.lineId) {
+        await client.query(
+          `UPDATE cart_items SET product_id = $2, variant_id = $3, quantity = $4, price = $5, details = $6, updated_at = NOW()
+           WHERE id = $1`,
+          [item.lineId, row.productId, row.variantId, row.quantity, row.price, row.details]
+        );
+      } else {
+        await client.query(
+          `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, price, details, added_at)
+           VALUES ($1, $2, $3, $4, $5, $6, $7)`,
+          [cartRow.id, row.productId, row.variantId, row.quantity, row.price, row.details, row.addedAt]
+        );
+      }
+    }
+    if (JSON.stringify(cart.couponCodes) !== couponsBefore) {
+      changed = true;
+      await client.query("UPDATE carts SET coupon_codes = $2 WHERE id = $1", [cartRow.id, cart.couponCodes]);
+    }
+    if (changed) await client.query("UPDATE carts SET updated_at = NOW() WHERE id = $1", [cartRow.id]);
+
+    const updated = await client.query("SELECT * FROM carts WHERE id = $1", [cartRow.id]);
+    const updatedCart = mapCart(updated.rows[0], await loadItems(client, cartRow.id));
+    await client.query("COMMIT");
+    return { cart: updatedCart, result };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Delete guest carts that haven't changed for CART_TTL_DAYS.
+ * @returns {Promise<number>} Carts deleted
+ */
+async function purgeExpiredCarts() {
+  const result = await pool.query(
+    "DELETE FROM carts WHERE user_id IS NULL AND updated_at <= NOW() - make_interval(days => $1)",
+    [CART_TTL_DAYS]
+  );
+  if (result.rowCount > 0) console.log(`🧹 Removed ${result.rowCount} expired guest carts`);
+  return result.rowCount;
+}
+
+/**
+ * Random share token that is easy to read out and type.
+ * @returns {string}
+ */
+function newShareToken() {
+  let token = "";
+  for (let i = 0; i < SHARE_TOKEN_LENGTH; i += 1) {
+    token += SHARE_TOKEN_ALPHABET[crypto.randomInt(SHARE_TOKEN_ALPHABET.length)];
+  }
+  return token;
+}
+
+/**
+ * Store a snapshot of cart lines behind a new share token.
+ * @param {Array<Object>} items - Cart lines (productId, variantId, quantity, name, variantLabel, price)
+ * @param {Object} [options]
+ * @param {string} [options.title] - Shown on the shared page ("Low-light starter set")
+ * @param {string} [options.userId] - Account that shared it
+ * @returns {Promise<{ token: string, title: string|null, items: Array<Object>, expiresAt: Date }>}
+ */
+async function createShare(items, { title = null, userId = null } = {}) {
+  const snapshot = items.map((item) => ({
+    productId: item.productId,
+    variantId: item.variantId || null,
+    quantity: item.quantity,
+    name: item.name,
+    variantLabel: item.variantLabel || null,
+    price: item.price,
+  }));
+  for (let attempt = 1; ; attempt += 1) {
+    try {
+      const result = await pool.query(
+        `INSERT INTO cart_shares (token, title, items, created_by, expires_at)
+         VALUES ($1, $2, $3, $4, NOW() + make_interval(days => $5))
+         RETURNING token, title, items, expires_at`,
+        [newShareToken(), title, JSON.stringify(snapshot), userId, CART_SHARE_TTL_DAYS]
+      );
+      const row = result.rows[0];
+      return { token: row.token, title: row.title, items: row.items, expiresAt: row.expires_at };
+    } catch (err) {
+      if (err.code !== "23505" || attempt >= 3) throw err; // token taken: draw another
+    }
+  }
+}
+
+/**
+ * A shared cart snapshot, if the token exists and hasn't expired.
+ * @param {string} token
+ * @returns {Promise<{ token: string, title: string|null, items: Array<Object>, createdAt: Date, expiresAt: Date }|null>}
+ */
+async function getShare(token) {
+  if (!SHARE_TOKEN_PATTERN.test(String(token))) return null;
+  const result = await pool.query(
+    "SELECT token, title, items, created_at, expires_at FROM cart_shares WHERE token = $1 AND expires_at > NOW()",
+    [token]
+  );
+  if (result.rows.length === 0) return null;
+  const row = result.rows[0];
+  return { token: row.token, title: row.title, items: row.items, createdAt: row.created_at, expiresAt: row.expires_at };
+}
+
+/**
+ * Delete share links past their expiry.
+ * @returns {Promise<number>} Links deleted
+ */
+async function purgeExpiredShares() {
+  const result = await pool.query("DELETE FROM cart_shares WHERE expires_at <= NOW()");
+  return result.rowCount;
+}
+
+/**
+ * Start the periodic sweep of expired guest carts and share links.
+ * @returns {NodeJS.Timeout}
+ */
+function startCartSweeper() {
+  const timer = setInterval(() => {
+    purgeExpiredCarts().catch((err) => console.error("Cart sweep failed:", err.message));
+    purgeExpiredShares().catch((err) => console.error("Cart share sweep failed:", err.message));
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+/**
+ * Copy carts from the JSON file they used to live in (data/carts.json)
+ * into the database, then rename the file to carts.json.migrated. Carts
+ * already in the database are left alone, so an interrupted run can be
+ * repeated. Lines for products that no longer exist are dropped.
+ * @param {string} [file]
+ * @returns {Promise<{ carts: number, items: number }|null>} Counts, or null if there is no file
+ */
+async function migrateJsonCarts(file = LEGACY_CARTS_FILE) {
+  let carts;
+  try {
+    carts = JSON.parse(await fs.readFile(file, "utf8"));
+  } catch (err) {
+    if (err.code === "ENOENT") return null;
+    throw err;
+  }
+  if (!Array.isArray(carts)) carts = [];
+
+  const client = await pool.connect();
+  const counts = { carts: 0, items: 0 };
+  try {
+    await client.query("BEGIN");
+    for (const cart of carts) {
+      if (!cart || !UUID_PATTERN.test(cart.sessionId)) continue;
+      const inserted = await client.query(
+        `INSERT INTO carts (session_id, created_at, updated_at)
+         VALUES ($1, COALESCE($2::timestamp, NOW()), COALESCE($3::timestamp, NOW()))
+         ON CONFLICT (session_id) DO NOTHING RETURNING id`,
+        [cart.sessionId, cart.createdAt || null, cart.updatedAt || null]
+      );
+      if (inserted.rows.length === 0) continue;
+      counts.carts += 1;
+
+      for (const item of Array.isArray(cart.items) ? cart.items : []) {
+        const row = toRow(item);
+        if (!Number.isInteger(row.productId) || !(row.quantity >= 1 && row.quantity <= 99)) continue;
+        const line = await client.query(
+          `INSERT INTO cart_items (cart_id, product_id, variant_id, quantity, price, details, added_at)
+           SELECT $1, $2, $3, $4, $5, $6, $7
+           WHERE EXISTS (SELECT 1 FROM products WHERE id = $2)
+           ON CONFLICT DO NOTHING`,
+          [inserted.rows[0].id, row.productId, row.variantId, row.quantity, row.price, row.details, row.addedAt]
+        );
+        counts.items += line.rowCount;
+      }
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await fs.rename(file, `${file}.migrated`);
+  console.log(`🛒 Migrated ${counts.carts} carts (${counts.items} items) from ${path.basename(file)}`);
+  return counts;
+}
+
+module.exports = {
+  CART_TTL_DAYS,
+  CART_SHARE_TTL_DAYS,
+  mapCart,
+  mapItem,
+  toRow,
+  createCart,
+  getCart,
+  getUserCart,
+  claimCart,
+  deleteCart,
+  modifyCart,
+  purgeExpiredCarts,
+  createShare,
+  getShare,
+  purgeExpiredShares,
+  startCartSweeper,
+  migrateJsonCarts,
+};
@@ -0,0 +1,728 @@
+// backend/db/catalogTransfer.js
+/**
+ * Catalog import/export - bulk product changes from spreadsheets.
+ *
+ * The flat format has one row per variant. Product columns repeat on each
+ * of a product's rows (rows after the first may leave them blank). CSV and
+ * JSON carry the same fields, so an export can be edited and imported back
+ * as-is.
+ *
+ * Import is an upsert: rows match existing products by productId or by
+ * SKU, and new products are grouped by name + category. The whole file is
+ * applied in one transaction; a dry run goes through the same steps and
+ * rolls back, so its diff is exactly what a real import would do. Products
+ * and variants missing from the file are left untouched.
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const {
+  CARE_ATTRIBUTES,
+  assignSlug,
+  insertVariant,
+  syncPriceFromVariants,
+  syncBundlePrices,
+  syncStockFlags,
+  invalidateProductCache,
+} = require("./productRepository");
+
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{1,63}$/;
+
+// Product-level fields (flat field -> products column)
+const PRODUCT_FIELDS = {
+  name: "name",
+  category: "category",
+  description: "description",
+  size: "size",
+  badge: "badge",
+  rating: "rating",
+  image: "image",
+  inStock: "instock",
+  ...Object.fromEntries(Object.entries(CARE_ATTRIBUTES).map(([field, { column }]) => [field, column])),
+};
+
+// Variant-level fields (flat field -> product_variants column)
+const VARIANT_FIELDS = {
+  sku: "sku",
+  variantSize: "size",
+  potColour: "pot_colour",
+  price: "price",
+  originalPrice: "original_price",
+  stock: "stock",
+  sortOrder: "sort_order",
+  weightGrams: "weight_grams",
+};
+
+// Column order of exported CSV files
+const CSV_COLUMNS = ["productId", ...Object.keys(PRODUCT_FIELDS), ...Object.keys(VARIANT_FIELDS)];
+
+/* -------------------------------------------------------------------------- */
+/*                                     CSV                                    */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Parse RFC 4180 CSV (quoted fields, "" escapes, embedded newlines).
+ * @param {string} text
+ * @returns {Array<Array<string>>} Records, including blank ones
+ * @throws 400 on an unterminated quoted field
+ */
+function parseCsv(text) {
+  const input = String(text).replace(/^\uFEFF/, ""); // Excel writes a BOM
+  const records = [];
+  let record = [];
+  let field = "";
+  let quoted = false;
+
+  for (let i = 0; i < input.length; i++) {
+    const char = input[i];
+    if (quoted) {
+      if (char === '"' && input[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      record.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && input[i + 1] === "\n") i++;
+      record.push(field);
+      records.push(record);
+      record = [];
+      field = "";
+    } else {
+      field += char;
+    }
+  }
+
+  if (quoted) throw createError("CSV has an unterminated quoted field", 400);
+  if (field !== "" || record.length > 0) {
+    record.push(field);
+    records.push(record);
+  }
+  return records;
+}
+
+const escapeCsv = (value) => {
+  if (value === null || value === undefined) return "";
+  const text = String(value);
+  return /[",\r\n]|^\s|\s$/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
+/**
+ * Serialize records as CSV with CRLF line endings.
+ * @param {Array<Array>} records
+ * @returns {string}
+ */
+function toCsv(records) {
+  return records.map((record) => record.map(escapeCsv).join(",")).join("\r\n") + "\r\n";
+}
+
+/* -------------------------------------------------------------------------- */
+/*                              Parsing & validation                          */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Turn an import file into flat records, one per variant.
+ * Each record has `row` (spreadsheet row number, or "item 3, variant 2" for
+ * JSON), `values` (field -> raw value, blank cells as null) and `present`
+ * (fields the file actually has, so missing columns are never cleared).
+ * @param {string|Array|Object} input - CSV text, JSON text or parsed JSON
+ * @param {"csv"|"json"} format
+ * @returns {{ records: Array, ignoredColumns: Array<string> }}
+ * @throws 400 when the file can't be read at all
+ */
+function parseCatalog(input, format) {
+  if (format === "json") return parseJsonCatalog(input);
+  if (format !== "csv") throw createError(`Unsupported format "${format}" (use csv or json)`, 400);
+
+  const [header, ...rows] = parseCsv(input);
+  if (!header) throw createError("CSV file is empty", 400);
+
+  const known = new Map(CSV_COLUMNS.map((column) => [column.toLowerCase(), column]));
+  const columns = header.map((name) => known.get(name.trim().toLowerCase()) || null);
+  const ignoredColumns = header.filter((name, index) => !columns[index] && name.trim());
+
+  const records = [];
+  rows.forEach((cells, index) => {
+    if (cells.every((cell) => cell.trim() === "")) return;
+    const values = {};
+    columns.forEach((field, column) => {
+      if (!field) return;
+      const cell = (cells[column] ?? "").trim();
+      values[field] = cell === "" ? null : cell;
+    });
+    records.push({ row: index + 2, values, present: new Set(columns.filter(Boolean)) });
+  });
+  return { records, ignoredColumns };
+}
+
+function parseJsonCatalog(input) {
+  let data = input;
+  if (typeof input === "string" || Buffer.isBuffer(input)) {
+    try {
+      data = JSON.parse(String(input));
+    } catch (err) {
+      throw createError(`Invalid JSON: ${err.message}`, 400);
+    }
+  }
+  const products = Array.isArray(data) ? data : data && data.products;
+  if (!Array.isArray(products)) throw createError("JSON must be an array of products or { products: [...] }", 400);
+
+  const pick = (source, fields) => {
+    const values = {};
+    const present = [];
+    for (const [field, key] of fields) {
+      if (!(key in source)) continue;
+      values[field] = source[key] === "" ? null : source[key];
+      present.push(field);
+    }
+    return { values, present };
+  };
+  const productKeys = [["productId", "id"], ...Object.keys(PRODUCT_FIELDS).map((f) => [f, f])];
+  const variantKeys = [["variantSize", "size"], ...Object.keys(VARIANT_FIELDS)
+    .filter((f) => f !== "variantSize")
+    .map((f) => [f, f])];
+
+  const records = [];
+  products.forEach((item, index) => {
+    const product = pick(item || {}, productKeys);
+    // A product without a variants array is its own single variant
+    const variants = Array.isArray(item && item.variants) && item.variants.length
+      ? item.variants
+      : [{
+        sku: item && item.sku,
+        price: item && item.price,
+        originalPrice: item && item.originalPrice,
+        stock: item && item.stock,
+        weightGrams: item && item.weightGrams,
+      }];
+    variants.forEach((variantItem, variantIndex) => {
+      const source = Object.fromEntries(Object.entries(variantItem || {}).filter(([, v]) => v !== undefined));
+      const variant = pick(source, variantKeys);
+      records.push({
+        row: variants.length > 1 ? `item ${index + 1}, variant ${variantIndex + 1}` : `item ${index + 1}`,
+        values: { ...product.values, ...variant.values },
+        present: new Set([...product.present, ...variant.present]),
+      });
+    });
+  });
+  return { records, ignoredColumns: [] };
+}
+
+const toNumber = (value) => (typeof value === "number" ? value : Number(String(value).replace(/[₹,\s]/g, "")));
+
+const toBoolean = (value) => {
+  if (typeof value === "boolean") return value;
+  const text = String(value).toLowerCase();
+  if (["true", "yes", "y", "1"].includes(text)) return true;
+  if (["false", "no", "n", "0"].includes(text)) return false;
+  return undefined;
+};
+
+const invalid = (message) => ({ invalid: message });
+
+// Field checks: return the normalized value, or invalid(message).
+// Rules get the category slugs as their second argument.
+const FIELD_RULES = {
+  productId: (v) => {
+    const id = toNumber(v);
+    if (!Number.isInteger(id) || id < 1) return invalid("must be a positive integer");
+    return id;
+  },
+  name: (v) => {
+    if (String(v).length > 255) return invalid("must be at most 255 characters");
+    return String(v);
+  },
+  category: (v, categories) => {
+    const category = String(v).toLowerCase();
+    if (!categories.includes(category)) return invalid(`must be one of ${categories.join(", ")}`);
+    return category;
+  },
+  description: (v) => String(v),
+  size: (v) => {
+    if (String(v).length > 50) return invalid("must be at most 50 characters");
+    return String(v);
+  },
+  badge: (v) => {
+    if (String(v).length > 20) return invalid("must be at most 20 characters");
+    return String(v);
+  },
+  rating: (v) => {
+    const rating = toNumber(v);
+    if (!Number.isFinite(rating) || rating < 0 || rating > 5) return invalid("must be a number from 0 to 5");
+    return rating;
+  },
+  image: (v) => {
+    if (String(v).length > 255) return invalid("must be at most 255 characters");
+    return String(v);
+  },
+  inStock: (v) => {
+    const inStock = toBoolean(v);
+    if (inStock === undefined) return invalid("must be true or false");
+    return inStock;
+  },
+  ...Object.fromEntries(Object.entries(CARE_ATTRIBUTES).map(([field, { values }]) => [field, (v) => {
+    const value = String(v).toLowerCase();
+    if (!values.includes(value)) return invalid(`must be one of ${values.join(", ")}`);
+    return value;
+  }])),
+  sku: (v) => {
+    if (!SKU_PATTERN.test(String(v))) return invalid("may only contain letters, digits and dashes");
+    return String(v);
+  },
+  variantSize: (v) => {
+    if (String(v).length > 50) return invalid("must be at most 50 characters");
+    return String(v);
+  },
+  potColour: (v) => {
+    if (String(v).length > 50) return invalid("must be at most 50 characters");
+    return String(v);
+  },
+  price: (v) => {
+    const price = toNumber(v);
+    if (!Number.isFinite(price) || price < 0) return invalid("must be a number of at least 0");
+    return price;
+  },
+  originalPrice: (v) => {
+    const price = toNumber(v);
+    if (!Number.isFinite(price) || price < 0) return invalid("must be a number of at least 0");
+    return price;
+  },
+  stock: (v) => {
+    const stock = toNumber(v);
+    if (!Number.isInteger(stock) || stock < 0) return invalid("must be a whole number of at least 0 (blank = not tracked)");
+    return stock;
+  },
+  sortOrder: (v) => {
+    const order = toNumber(v);
+    if (!Number.isInteger(order) || order < 0) return invalid("must be a whole number of at least 0");
+    return order;
+  },
+  weightGrams: (v) => {
+    const grams = toNumber(v);
+    if (!Number.isInteger(grams) || grams < 1 || grams > 100000) {
+      return invalid("must be a whole number of grams from 1 to 100000 (blank = shipping default)");
+    }
+    return grams;
+  },
+};
+
+/**
+ * Normalize and check every value of a record.
+ * @param {Object} record - From parseCatalog
+ * @param {Array<string>} categories - Category slugs (from the categories table)
+ * @returns {{ values: Object, errors: Array<{ row, field, message }> }}
+ */
+function validateRecord(record, categories) {
+  const values = {};
+  const errors = [];
+  for (const [field, raw] of Object.entries(record.values)) {
+    if (raw === null || raw === undefined) {
+      values[field] = null;
+      continue;
+    }
+    const value = FIELD_RULES[field](raw, categories);
+    if (value && value.invalid) {
+      errors.push({ row: record.row, field, message: `${field} ${value.invalid}` });
+    } else {
+      values[field] = value;
+    }
+  }
+  return { values, errors };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Import                                   */
+/* -------------------------------------------------------------------------- */
+
+// Compare a database value with an imported one (numeric columns come back as strings)
+function sameValue(current, next) {
+  if (current === null || current === undefined || next === null || next === undefined) {
+    return (current ?? null) === (next ?? null);
+  }
+  if (typeof next === "number") return Number(current) === next;
+  return String(current) === String(next);
+}
+
+/**
+ * Fields of `values` (limited to `fields`, and to what the file has) that
+ * differ from the database row.
+ * @returns {Object} field -> { from, to }
+ */
+function diffFields(row, values, fields, present) {
+  const changes = {};
+  for (const [field, column] of Object.entries(fields)) {
+    if (!present.has(field) || !(field in values)) continue;
+    if (!sameValue(row[column], values[field])) {
+      changes[field] = { from: row[column] ?? null, to: values[field] };
+    }
+  }
+  return changes;
+}
+
+/**
+ * Group validated records into products: by productId, else by the product
+ * already owning the SKU, else by name + category for new products.
+ */
+function groupRecords(records, skuOwners, existingProducts, errors) {
+  const groups = new Map();
+  const seenSkus = new Map();
+
+  for (const record of records) {
+    const { values } = record;
+    if (values.sku) {
+      const key = values.sku.toUpperCase();
+      if (seenSkus.has(key)) {
+        errors.push({ row: record.row, field: "sku", message: `SKU ${values.sku} is already used on row ${seenSkus.get(key)}` });
+        continue;
+      }
+      seenSkus.set(key, record.row);
+    }
+
+    const owner = values.sku ? skuOwners.get(values.sku.toUpperCase()) : undefined;
+    let key;
+    if (values.productId) {
+      if (!existingProducts.has(values.productId)) {
+        errors.push({ row: record.row, field: "productId", message: `Product ${values.productId} does not exist` });
+        continue;
+      }
+      if (owner && owner !== values.productId) {
+        errors.push({ row: record.row, field: "sku", message: `SKU ${values.sku} belongs to product ${owner}` });
+        continue;
+      }
+      key = values.productId;
+    } else if (owner) {
+      key = owner;
+    } else if (values.name && values.category) {
+      key = `new:${values.name.toLowerCase()}|${values.category}`;
+    } else {
+      errors.push({ row: record.row, field: values.name ? "category" : "name", message: "New products need a name and a category" });
+      continue;
+    }
+
+    if (!groups.has(key)) {
+      groups.set(key, { productId: typeof key === "number" ? key : null, records: [], values: {}, present: new Set() });
+    }
+    const group = groups.get(key);
+    group.records.push(record);
+
+    // Product columns come from the first row that fills them; later rows must agree
+    for (const field of Object.keys(PRODUCT_FIELDS)) {
+      if (!record.present.has(field)) continue;
+      const value = values[field];
+      if (!group.present.has(field)) {
+        group.present.add(field);
+        group.values[field] = value;
+      } else if (value !== null && group.values[field] === null) {
+        group.values[field] = value;
+      } else if (value !== null && !sameValue(group.values[field], value)) {
+        errors.push({ row: record.row, field, message: `${field} differs from an earlier row of the same product` });
+      }
+    }
+  }
+  return [...groups.values()];
+}
+
+/**
+ * Create or update one product group inside the import transaction.
+ * @returns {Promise<Object|null>} Change entry, or null when nothing changed
+ */
+async function applyGroup(client, group, existing, variantsByProduct, errors) {
+  const rows = group.records.map((record) => record.row);
+  for (const field of ["name", "category"]) {
+    if (group.present.has(field) && group.values[field] === null) {
+      errors.push({ row: rows[0], field, message: `${field} can't be blank` });
+      return null;
+    }
+  }
+  const tracksStock = group.records.some((record) => record.present.has("stock"));
+
+  if (!existing) {
+    const missingPrice = group.records.find((record) => record.values.price == null);
+    if (missingPrice) {
+      errors.push({ row: missingPrice.row, field: "price", message: "price is required for new variants" });
+      return null;
+    }
+    const v = group.values;
+    const cheapest = group.records.reduce((min, record) => (record.values.price < min.values.price ? record : min));
+    const result = await client.query(
+      `INSERT INTO products
+         (name, category, price, original_price, badge, description, instock, image, size, rating,
+          care, light_requirement, watering_frequency, humidity, toxicity, origin, adult_size)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
+       RETURNING id`,
+      [v.name, v.category, cheapest.values.price, cheapest.values.originalPrice ?? null, v.badge ?? null,
+       v.description ?? null, v.inStock ?? true, v.image ?? null, v.size ?? null, v.rating ?? null,
+       ...Object.keys(CARE_ATTRIBUTES).map((field) => v[field] ?? null)]
+    );
+    const productId = result.rows[0].id;
+    await assignSlug(client, productId, v.name);
+    const variants = [];
+    for (const [index, record] of group.records.entries()) {
+      const variant = await insertVariant(client, productId, toVariantData(record.values), index);
+      variants.push({ action: "create", sku: variant.sku, row: record.row });
+    }
+    await syncPriceFromVariants(client, productId);
+    if (tracksStock) await syncStockFlags(client, [productId]);
+    return { action: "create", productId, name: v.name, rows, fields: {}, variants };
+  }
+
+  const productId = existing.id;
+  const fields = diffFields(existing, group.values, PRODUCT_FIELDS, group.present);
+  if (Object.keys(fields).length > 0) {
+    const columns = Object.keys(fields).map((field) => PRODUCT_FIELDS[field]);
+    await client.query(
+      `UPDATE products SET ${columns.map((column, i) => `${column}=$${i + 1}`).join(", ")}, updated_at = NOW()
+       WHERE id = $${columns.length + 1}`,
+      [...Object.values(fields).map((change) => change.to), productId]
+    );
+    if (fields.name) await assignSlug(client, productId, fields.name.to);
+  }
+
+  const current = variantsByProduct.get(productId) || [];
+  const variants = [];
+  let nextIndex = current.length;
+  let repriced = false;
+  for (const record of group.records) {
+    const { values } = record;
+    // A row without a SKU can only mean the product's single variant
+    const match = values.sku
+      ? current.find((variant) => variant.sku.toUpperCase() === values.sku.toUpperCase())
+      : current.length === 1 && group.records.length === 1 ? current[0] : null;
+
+    if (!match && !values.sku && current.length > 0) {
+      errors.push({ row: record.row, field: "sku", message: "sku is required to pick a variant of a product with several variants" });
+      continue;
+    }
+    if (!match) {
+      if (values.price == null) {
+        errors.push({ row: record.row, field: "price", message: "price is required for new variants" });
+        continue;
+      }
+      const variant = await insertVariant(client, productId, toVariantData(values), nextIndex++);
+      variants.push({ action: "create", sku: variant.sku, row: record.row });
+      continue;
+    }
+
+    if (record.present.has("price") && values.price === null) {
+      errors.push({ row: record.row, field: "price", message: "price can't be blank" });
+      continue;
+    }
+    const changes = diffFields(match, values, VARIANT_FIELDS, record.present);
+    if (Object.keys(changes).length === 0) continue;
+    const columns = Object.keys(changes).map((field) => VARIANT_FIELDS[field]);
+    await client.query(
+      `UPDATE product_variants SET ${columns.map((column, i) => `${column}=$${i + 1}`).join(", ")}, updated_at = NOW()
+       WHERE id = $${columns.length + 1}`,
+      [...Object.values(changes).map((change) => change.to), match.id]
+    );
+    variants.push({ action: "update", sku: match.sku, row: record.row, fields: changes });
+    if (changes.price) repriced = true;
+  }
+
+  if (Object.keys(fields).length === 0 && variants.length === 0) return null;
+  await syncPriceFromVariants(client, productId);
+  // Discounted bundles that include a re-priced variant follow its price
+  if (repriced) await syncBundlePrices(client, productId);
+  if (tracksStock) await syncStockFlags(client, [productId]);
+  return { action: "update", productId, name: group.values.name ?? existing.name, rows, fields, variants };
+}
+
+const toVariantData = (values) => ({
+  sku: values.sku || undefined,
+  size: values.variantSize,
+  potColour: values.potColour,
+  price: values.price,
+  originalPrice: values.originalPrice,
+  stock: values.stock,
+  sortOrder: values.sortOrder ?? undefined,
+  weightGrams: values.weightGrams,
+});
+
+/**
+ * Upsert products from a CSV or JSON file in a single transaction.
+ * Nothing is committed when any row is invalid or when dryRun is set.
+ * @param {string|Array|Object} input - File contents (or parsed JSON)
+ * @param {Object} options
+ * @param {"csv"|"json"} [options.format="csv"]
+ * @param {boolean} [options.dryRun=false]
+ * @returns {Promise<Object>} Report: { format, dryRun, applied, summary, changes, errors, ignoredColumns }
+ * @throws 400 when the file can't be parsed at all
+ */
+async function importCatalog(input, { format = "csv", dryRun = false } = {}) {
+  const { records: parsed, ignoredColumns } = parseCatalog(input, format);
+  if (parsed.length === 0) throw createError("The file has no product rows", 400);
+
+  const categories = (await pool.query("SELECT slug FROM categories ORDER BY slug")).rows.map((row) => row.slug);
+  const errors = [];
+  const records = [];
+  for (const record of parsed) {
+    const checked = validateRecord(record, categories);
+    errors.push(...checked.errors);
+    if (checked.errors.length === 0) records.push({ ...record, values: checked.values });
+  }
+
+  const client = await pool.connect();
+  const changes = [];
+  let unchanged = 0;
+  let applied = false;
+  try {
+    await client.query("BEGIN");
+
+    const skus = records.map((record) => record.values.sku).filter(Boolean).map((sku) => sku.toUpperCase());
+    const owned = await client.query(
+      "SELECT product_id, UPPER(sku) AS sku FROM product_variants WHERE UPPER(sku) = ANY($1)",
+      [skus]
+    );
+    const skuOwners = new Map(owned.rows.map((row) => [row.sku, row.product_id]));
+
+    const productIds = [...new Set([
+      ...records.map((record) => record.values.productId).filter(Boolean),
+      ...skuOwners.values(),
+    ])];
+    const products = await client.query(
+      "SELECT * FROM products WHERE id = ANY($1::int[]) ORDER BY id FOR UPDATE",
+      [productIds]
+    );
+    const existingProducts = new Map(products.rows.map((row) => [row.id, row]));
+    const variants = await client.query(
+      "SELECT * FROM product_variants WHERE product_id = ANY($1::int[]) ORDER BY sort_order, price, id",
+      [productIds]
+    );
+    const variantsByProduct = new Map();
+    for (const row of variants.rows) {
+      if (!variantsByProduct.has(row.product_id)) variantsByProduct.set(row.product_id, []);
+      variantsByProduct.get(row.product_id).push(row);
+    }
+
+    for (const group of groupRecords(records, skuOwners, existingProducts, errors)) {
+      // Savepoint per product, so a database error is reported against its rows and the rest still run
+      await client.query("SAVEPOINT import_product");
+      const errorCount = errors.length;
+      try {
+        const change = await applyGroup(client, group, existingProducts.get(group.productId), variantsByProduct, errors);
+        if (change) changes.push(change);
+        else if (errors.length === errorCount) unchanged++;
+        await client.query("RELEASE SAVEPOINT import_product");
+      } catch (err) {
+        await client.query("ROLLBACK TO SAVEPOINT import_product");
+        // SKU conflicts (409) and constraint/data errors (SQLSTATE 22xxx, 23xxx) belong to the rows
+        if (!err.statusCode && !/^2[23]/.test(err.code || "")) throw err;
+        errors.push({ row: group.records[0].row, field: null, message: err.message });
+      }
+    }
+
+    if (dryRun || errors.length > 0) {
+      await client.query("ROLLBACK");
+    } else {
+      await client.query("COMMIT");
+      applied = true;
+    }
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (applied && changes.length > 0) await invalidateProductCache();
+
+  const count = (action) => changes.filter((change) => change.action === action).length;
+  const variantCount = (action) => changes.reduce(
+    (sum, change) => sum + change.variants.filter((variant) => variant.action === action).length, 0
+  );
+  return {
+    format,
+    dryRun,
+    applied,
+    summary: {
+      rows: parsed.length,
+      created: count("create"),
+      updated: count("update"),
+      unchanged,
+      variantsCreated: variantCount("create"),
+      variantsUpdated: variantCount("update"),
+      errors: errors.length,
+    },
+    changes,
+    errors,
+    ignoredColumns,
+  };
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Export                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * The full catalog in import format.
+ * @param {"csv"|"json"} [format="csv"]
+ * @returns {Promise<string>} CSV text, or pretty-printed JSON
+ */
+async function exportCatalog(format = "csv") {
+  if (!["csv", "json"].includes(format)) throw createError(`Unsupported format "${format}" (use csv or json)`, 400);
+
+  const result = await pool.query(
+    `SELECT p.*, COALESCE((
+        SELECT json_agg(v ORDER BY v.sort_order, v.price, v.id)
+        FROM product_variants v WHERE v.product_id = p.id
+      ), '[]'::json) AS variants
+     FROM products p ORDER BY p.id`
+  );
+
+  const number = (value) => (value === null || value === undefined ? null : Number(value));
+  const products = result.rows.map((row) => ({
+    id: row.id,
+    name: row.name,
+    category: row.category,
+    description: row.description,
+    size: row.size,
+    badge: row.badge,
+    rating: number(row.rating),
+    image: row.image,
+    inStock: row.instock !== false,
+    ...Object.fromEntries(Object.entries(CARE_ATTRIBUTES).map(([field, { column }]) => [field, row[column]])),
+    variants: row.variants.map((variant) => ({
+      sku: variant.sku,
+      size: variant.size,
+      potColour: variant.pot_colour,
+      price: number(variant.price),
+      originalPrice: number(variant.original_price),
+      stock: variant.stock,
+      sortOrder: variant.sort_order,
+      weightGrams: variant.weight_grams,
+    })),
+  }));
+
+  if (format === "json") return JSON.stringify(products, null, 2) + "\n";
+
+  const records = [CSV_COLUMNS];
+  for (const { id, variants, ...product } of products) {
+    for (const variant of variants) {
+      records.push([
+        id, product.name, product.category, product.description, product.size, product.badge,
+        product.rating, product.image, product.inStock,
+        ...Object.keys(CARE_ATTRIBUTES).map((field) => product[field]),
+        variant.sku, variant.size, variant.potColour, variant.price, variant.originalPrice,
+        variant.stock, variant.sortOrder, variant.weightGrams,
+      ]);
+    }
+  }
+  return toCsv(records);
+}
+
+module.exports = {
+  CSV_COLUMNS,
+  parseCsv,
+  toCsv,
+  parseCatalog,
+  validateRecord,
+  importCatalog,
+  exportCatalog,
+};
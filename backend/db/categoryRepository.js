@@ -0,0 +1,200 @@
+// backend/db/categoryRepository.js
+/**
+ * Category repository - the admin-managed category taxonomy.
+ *
+ * Categories form a tree through parent_id; products reference a category
+ * by slug (products.category, ON UPDATE CASCADE). Reads go through
+ * productRepository.getCategoryCounts(), which is cached with the product
+ * lists, so every write here clears the product cache.
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const {
+  getCategoryCounts,
+  invalidateProductCache,
+  mapCategory,
+} = require("./productRepository");
+
+const SLUG_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+/**
+ * Nest a flat category list (getCategoryCounts order) under its parents.
+ * @param {Array<{ id: number, parentId: number|null }>} categories
+ * @returns {Array<Object>} Top-level categories, each with a children array
+ */
+function buildCategoryTree(categories) {
+  const nodes = new Map(categories.map((c) => [c.id, { ...c, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(node.parentId);
+    (parent ? parent.children : roots).push(node);
+  }
+  return roots;
+}
+
+/**
+ * Whether making parentId the parent of id would put id inside its own
+ * subtree.
+ * @param {Array<{ id: number, parentId: number|null }>} categories
+ * @param {number} id
+ * @param {number|null} parentId
+ * @returns {boolean}
+ */
+function createsCycle(categories, id, parentId) {
+  const byId = new Map(categories.map((c) => [c.id, c]));
+  for (let current = parentId; current; current = byId.get(current)?.parentId) {
+    if (current === id) return true;
+  }
+  return false;
+}
+
+/**
+ * All categories in display order, with product counts.
+ * @returns {Promise<Array>}
+ */
+async function getCategories() {
+  return getCategoryCounts();
+}
+
+/**
+ * Category slugs, for validating product and search input.
+ * @returns {Promise<Array<string>>}
+ */
+async function getCategorySlugs() {
+  return (await getCategoryCounts()).map((c) => c.slug);
+}
+
+/**
+ * Single category by slug, with its direct children.
+ * @param {string} slug
+ * @returns {Promise<Object|null>}
+ */
+async function getCategoryBySlug(slug) {
+  const categories = await getCategoryCounts();
+  const category = categories.find((c) => c.slug === String(slug).toLowerCase());
+  if (!category) return null;
+  return { ...category, children: categories.filter((c) => c.parentId === category.id) };
+}
+
+/**
+ * Reject a bad slug or a parent that doesn't exist or would create a cycle.
+ * @param {Object} data - slug, parentId
+ * @param {number} [id] - Category being updated
+ */
+async function assertValidCategory({ slug, parentId }, id) {
+  if (slug !== undefined && !SLUG_PATTERN.test(slug)) {
+    throw createError("Slug must be lowercase letters, digits and single hyphens", 400);
+  }
+  if (!parentId) return;
+  const categories = await getCategoryCounts();
+  if (!categories.some((c) => c.id === parentId)) {
+    throw createError("Parent category not found", 400);
+  }
+  if (id !== undefined && createsCycle(categories, id, parentId)) {
+    throw createError("A category can't be moved under itself or its subcategories", 400);
+  }
+}
+
+const rethrowDuplicateSlug = (err) => {
+  if (err.code === "23505") throw createError("A category with this slug already exists", 409);
+  throw err;
+};
+
+/**
+ * Create a category.
+ * @param {Object} data - slug, name, description, image, parentId, sortOrder, gstRate
+ * @returns {Promise<Object>} Created category
+ */
+async function createCategory(data) {
+  await assertValidCategory(data);
+  let result;
+  try {
+    result = await pool.query(
+      `INSERT INTO categories (slug, name, description, image, parent_id, sort_order, gst_rate)
+       VALUES ($1,$2,$3,$4,$5,$6,$7) RETURNING *`,
+      [data.slug, data.name, data.description || null, data.image || null,
+       data.parentId || null, data.sortOrder || 0, data.gstRate ?? null]
+    );
+  } catch (err) {
+    rethrowDuplicateSlug(err);
+  }
+  await invalidateProductCache("*");
+  return mapCategory(result.rows[0]);
+}
+
+/**
+ * Change a category. A new slug carries over to its products (foreign key
+ * cascade) and to sales on the category.
+ * @param {number|string} id
+ * @param {Object} changes - Any of slug, name, description, image, parentId, sortOrder, gstRate
+ * @returns {Promise<Object|null>} Updated category, or null if not found
+ */
+async function updateCategory(id, changes) {
+  const existing = await pool.query("SELECT * FROM categories WHERE id = $1", [id]);
+  if (existing.rows.length === 0) return null;
+  const merged = { ...mapCategory(existing.rows[0]), ...changes };
+  await assertValidCategory(changes, merged.id);
+
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query("BEGIN");
+    result = await client.query(
+      `UPDATE categories SET slug = $2, name = $3, description = $4, image = $5,
+              parent_id = $6, sort_order = $7, gst_rate = $8, updated_at = CURRENT_TIMESTAMP
+       WHERE id = $1 RETURNING *`,
+      [id, merged.slug, merged.name, merged.description || null, merged.image || null,
+       merged.parentId || null, merged.sortOrder || 0, merged.gstRate ?? null]
+    );
+    if (merged.slug !== existing.rows[0].slug) {
+      await client.query("UPDATE sales SET category = $2 WHERE category = $1", [existing.rows[0].slug, merged.slug]);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    rethrowDuplicateSlug(err);
+  } finally {
+    client.release();
+  }
+  await invalidateProductCache("*");
+  return mapCategory(result.rows[0]);
+}
+
+/**
+ * Delete a category. Refused while products or subcategories still use it;
+ * move them first.
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} Deleted category, or null if not found
+ */
+async function deleteCategory(id) {
+  const usage = await pool.query(
+    `SELECT
+       (SELECT COUNT(*) FROM products p WHERE p.category = c.slug)::int AS products,
+       (SELECT COUNT(*) FROM categories child WHERE child.parent_id = c.id)::int AS children
+     FROM categories c WHERE c.id = $1`,
+    [id]
+  );
+  if (usage.rows.length === 0) return null;
+  const { products, children } = usage.rows[0];
+  if (products > 0 || children > 0) {
+    throw createError(`Category has ${products} product(s) and ${children} child categories; move them first`, 409);
+  }
+
+  const result = await pool.query("DELETE FROM categories WHERE id = $1 RETURNING *", [id]);
+  await pool.query("DELETE FROM sales WHERE category = $1", [result.rows[0].slug]);
+  await invalidateProductCache("*");
+  return mapCategory(result.rows[0]);
+}
+
+module.exports = {
+  SLUG_PATTERN,
+  buildCategoryTree,
+  createsCycle,
+  getCategories,
+  getCategorySlugs,
+  getCategoryBySlug,
+  createCategory,
+  updateCategory,
+  deleteCategory,
+};
@@ -0,0 +1,532 @@
+// backend/db/couponRepository.js
+/**
+ * Coupon repository - promo codes and their redemptions.
+ *
+ * A coupon is one of four types:
+ *   percent       - value % off the eligible lines (optionally capped at maxDiscount)
+ *   fixed         - value rupees off the eligible lines
+ *   free_shipping - waives the fee of the first shipping method
+ *   buy_x_get_y   - for every buyQuantity + getQuantity eligible units, the
+ *                   cheapest getQuantity are value % off (100 = free)
+ * Eligible lines are all of them, or those whose product is in productIds or
+ * whose category (or a parent category) is in categories. A coupon may also
+ * need a minimum order value, only run between startsAt and endsAt, and be
+ * limited in total uses and uses per customer (counted from
+ * coupon_redemptions, which checkout fills in).
+ *
+ * Codes are applied in the order they were entered. A coupon that isn't
+ * stackable can only be used on its own. Each discount comes off what the
+ * coupons before it left, so discounts never exceed the goods' value.
+ * pricingRepository.quoteTotals() applies the codes a cart or order carries.
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+
+const TYPES = ["percent", "fixed", "free_shipping", "buy_x_get_y"];
+const CODE_PATTERN = /^[A-Z0-9][A-Z0-9_-]{2,39}$/;
+const MAX_COUPONS_PER_ORDER = 5;
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+const formatRupees = (amount) => `₹${Number.isInteger(amount) ? amount : amount.toFixed(2)}`;
+
+/**
+ * Canonical form of a code as typed by a customer.
+ * @param {string} code
+ * @returns {string} Upper-case code without surrounding spaces
+ */
+function normalizeCode(code) {
+  return String(code || "").trim().toUpperCase();
+}
+
+/**
+ * Convert a coupons row (with used / used_by_customer counts when loaded for
+ * a quote) to the API shape.
+ * @param {Object} row
+ * @returns {Object} Coupon
+ */
+function mapCoupon(row) {
+  const amount = (value) => (value === null || value === undefined ? null : parseFloat(value));
+  return {
+    id: row.id,
+    code: row.code,
+    description: row.description || null,
+    type: row.type,
+    value: amount(row.value) || 0,
+    maxDiscount: amount(row.max_discount),
+    buyQuantity: row.buy_quantity || null,
+    getQuantity: row.get_quantity || null,
+    productIds: row.product_ids || [],
+    categories: row.categories || [],
+    minOrder: amount(row.min_order) || 0,
+    startsAt: row.starts_at || null,
+    endsAt: row.ends_at || null,
+    usageLimit: row.usage_limit || null,
+    perCustomerLimit: row.per_customer_limit || null,
+    stackable: row.stackable === true,
+    active: row.active !== false,
+    used: row.used || 0,
+    usedByCustomer: row.used_by_customer || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Check a coupon body from the admin API; with partial, only the fields
+ * present are checked (the result is merged over the stored coupon and
+ * checked again as a whole).
+ * @param {Object} body
+ * @param {boolean} [partial]
+ * @returns {Object} Coupon fields (API names)
+ * @throws 400 on an invalid value
+ */
+function normalizeCoupon(body, partial = false) {
+  if (!body || typeof body !== "object") throw createError("Coupon must be an object", 400);
+  const coupon = {};
+  const nullableAmount = (field) => {
+    if (body[field] === undefined) return;
+    if (body[field] !== null && !(typeof body[field] === "number" && body[field] >= 0)) {
+      throw createError(`${field} must be an amount of at least 0, or null`, 400);
+    }
+    coupon[field] = body[field];
+  };
+  const nullableCount = (field) => {
+    if (body[field] === undefined) return;
+    if (body[field] !== null && !(Number.isInteger(body[field]) && body[field] > 0)) {
+      throw createError(`${field} must be a whole number of at least 1, or null`, 400);
+    }
+    coupon[field] = body[field];
+  };
+  const nullableDate = (field) => {
+    if (body[field] === undefined) return;
+    if (body[field] !== null && isNaN(Date.parse(body[field]))) throw createError(`${field} must be a date`, 400);
+    coupon[field] = body[field] === null ? null : new Date(body[field]);
+  };
+
+  if (body.code !== undefined) {
+    coupon.code = normalizeCode(body.code);
+    if (!CODE_PATTERN.test(coupon.code)) {
+      throw createError("code must be 3-40 letters, digits, hyphens or underscores", 400);
+    }
+  }
+  if (body.description !== undefined) {
+    if (body.description !== null && (typeof body.description !== "string" || body.description.length > 255)) {
+      throw createError("description must be at most 255 characters", 400);
+    }
+    coupon.description = body.description;
+  }
+  if (body.type !== undefined) {
+    if (!TYPES.includes(body.type)) throw createError(`type must be one of ${TYPES.join(", ")}`, 400);
+    coupon.type = body.type;
+  }
+  if (body.value !== undefined) {
+    if (!(typeof body.value === "number" && body.value >= 0)) throw createError("value must be a number of at least 0", 400);
+    coupon.value = body.value;
+  }
+  nullableAmount("maxDiscount");
+  nullableCount("buyQuantity");
+  nullableCount("getQuantity");
+  if (body.productIds !== undefined) {
+    if (!Array.isArray(body.productIds) || body.productIds.some((id) => !(Number.isInteger(id) && id > 0))) {
+      throw createError("productIds must be a list of product IDs", 400);
+    }
+    coupon.productIds = [...new Set(body.productIds)];
+  }
+  if (body.categories !== undefined) {
+    if (!Array.isArray(body.categories) || body.categories.some((slug) => typeof slug !== "string" || !slug.trim())) {
+      throw createError("categories must be a list of category slugs", 400);
+    }
+    coupon.categories = [...new Set(body.categories.map((slug) => slug.trim().toLowerCase()))];
+  }
+  if (body.minOrder !== undefined) {
+    if (!(typeof body.minOrder === "number" && body.minOrder >= 0)) throw createError("minOrder must be an amount of at least 0", 400);
+    coupon.minOrder = body.minOrder;
+  }
+  nullableDate("startsAt");
+  nullableDate("endsAt");
+  nullableCount("usageLimit");
+  nullableCount("perCustomerLimit");
+  for (const field of ["stackable", "active"]) {
+    if (body[field] === undefined) continue;
+    if (typeof body[field] !== "boolean") throw createError(`${field} must be true or false`, 400);
+    coupon[field] = body[field];
+  }
+
+  if (!partial) {
+    const missing = ["code", "type"].filter((field) => coupon[field] === undefined);
+    if (missing.length) throw createError(`Missing ${missing.join(", ")}`, 400);
+    checkRules({ value: 0, ...coupon });
+  }
+  return coupon;
+}
+
+// Rules that depend on more than one field
+function checkRules(coupon) {
+  if (coupon.type === "percent" && !(coupon.value > 0 && coupon.value <= 100)) {
+    throw createError("A percent coupon needs a value from 1 to 100", 400);
+  }
+  if (coupon.type === "fixed" && !(coupon.value > 0)) {
+    throw createError("A fixed coupon needs a value (rupees off)", 400);
+  }
+  if (coupon.type === "buy_x_get_y") {
+    if (!coupon.buyQuantity || !coupon.getQuantity) {
+      throw createError("A buy_x_get_y coupon needs buyQuantity and getQuantity", 400);
+    }
+    if (!(coupon.value > 0 && coupon.value <= 100)) {
+      throw createError("A buy_x_get_y coupon needs a value: the percent off the free items (100 = free)", 400);
+    }
+  }
+  if (coupon.startsAt && coupon.endsAt && new Date(coupon.startsAt) >= new Date(coupon.endsAt)) {
+    throw createError("endsAt must be after startsAt", 400);
+  }
+}
+
+// Column for each API field
+const COLUMNS = {
+  code: "code",
+  description: "description",
+  type: "type",
+  value: "value",
+  maxDiscount: "max_discount",
+  buyQuantity: "buy_quantity",
+  getQuantity: "get_quantity",
+  productIds: "product_ids",
+  categories: "categories",
+  minOrder: "min_order",
+  startsAt: "starts_at",
+  endsAt: "ends_at",
+  usageLimit: "usage_limit",
+  perCustomerLimit: "per_customer_limit",
+  stackable: "stackable",
+  active: "active",
+};
+
+const USAGE_COUNT = "(SELECT COUNT(*) FROM coupon_redemptions r WHERE r.coupon_id = c.id)::int AS used";
+
+/**
+ * Every coupon with its redemption count, newest first.
+ * @returns {Promise<Array<Object>>}
+ */
+async function getCoupons() {
+  const result = await pool.query(`SELECT c.*, ${USAGE_COUNT} FROM coupons c ORDER BY c.created_at DESC, c.id DESC`);
+  return result.rows.map(mapCoupon);
+}
+
+/**
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} Coupon with its redemption count
+ */
+async function getCouponById(id) {
+  const result = await pool.query(`SELECT c.*, ${USAGE_COUNT} FROM coupons c WHERE c.id = $1`, [id]);
+  return result.rows.length ? mapCoupon(result.rows[0]) : null;
+}
+
+/**
+ * Create a coupon.
+ * @param {Object} data - See normalizeCoupon
+ * @returns {Promise<Object>} Coupon
+ * @throws 400 on invalid data, 409 if the code is taken
+ */
+async function createCoupon(data) {
+  const coupon = normalizeCoupon(data);
+  const fields = Object.keys(coupon);
+  try {
+    const result = await pool.query(
+      `INSERT INTO coupons (${fields.map((field) => COLUMNS[field]).join(", ")})
+       VALUES (${fields.map((_, i) => `$${i + 1}`).join(", ")}) RETURNING *`,
+      fields.map((field) => coupon[field])
+    );
+    return mapCoupon(result.rows[0]);
+  } catch (err) {
+    if (err.code === "23505") throw createError(`Coupon ${coupon.code} already exists`, 409);
+    throw err;
+  }
+}
+
+/**
+ * Change some of a coupon's fields.
+ * @param {number|string} id
+ * @param {Object} changes - See normalizeCoupon
+ * @returns {Promise<Object|null>} Coupon, or null if it doesn't exist
+ * @throws 400 on invalid data, 409 if the new code is taken
+ */
+async function updateCoupon(id, changes) {
+  const coupon = normalizeCoupon(changes, true);
+  const existing = await getCouponById(id);
+  if (!existing) return null;
+  checkRules({ ...existing, ...coupon });
+
+  const fields = Object.keys(coupon);
+  if (fields.length === 0) return existing;
+  try {
+    await pool.query(
+      `UPDATE coupons SET ${fields.map((field, i) => `${COLUMNS[field]} = $${i + 2}`).join(", ")}, updated_at = NOW()
+       WHERE id = $1`,
+      [id, ...fields.map((field) => coupon[field])]
+    );
+  } catch (err) {
+    if (err.code === "23505") throw createError(`Coupon ${coupon.code} already exists`, 409);
+    throw err;
+  }
+  return getCouponById(id);
+}
+
+/**
+ * Delete a coupon that was never redeemed. Redeemed coupons are part of
+ * order history; deactivate them instead.
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} Deleted coupon, or null if it doesn't exist
+ * @throws 409 if it has been redeemed
+ */
+async function deleteCoupon(id) {
+  const coupon = await getCouponById(id);
+  if (!coupon) return null;
+  if (coupon.used > 0) {
+    throw createError(`Coupon ${coupon.code} has been used on ${coupon.used} orders; deactivate it instead`, 409);
+  }
+  await pool.query("DELETE FROM coupons WHERE id = $1", [id]);
+  return coupon;
+}
+
+/**
+ * Load coupons by code with their usage counts.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array<string>} codes - Normalized codes
+ * @param {Object} [options]
+ * @param {Object} [options.customer] - { userId?, email? } whose redemptions count against perCustomerLimit
+ * @param {boolean} [options.lock] - Lock the coupons until the transaction ends (checkout),
+ *   so two orders can't both take the last use
+ * @returns {Promise<Map<string, Object>>} Coupons by code
+ */
+async function loadCoupons(db, codes, { customer = null, lock = false } = {}) {
+  if (codes.length === 0) return new Map();
+  if (lock) {
+    // Lock first, then count: the counts must include orders committed while we waited
+    await db.query("SELECT id FROM coupons WHERE code = ANY($1::text[]) ORDER BY id FOR UPDATE", [codes]);
+  }
+  const userId = (customer && customer.userId) || null;
+  const email = customer && customer.email ? String(customer.email).trim().toLowerCase() : null;
+  const result = await db.query(
+    `SELECT c.*, ${USAGE_COUNT},
+            (SELECT COUNT(*) FROM coupon_redemptions r
+             WHERE r.coupon_id = c.id AND (r.user_id = $2 OR LOWER(r.email) = $3))::int AS used_by_customer
+     FROM coupons c WHERE c.code = ANY($1::text[])`,
+    [codes, userId, email]
+  );
+  return new Map(result.rows.map((row) => [row.code, mapCoupon(row)]));
+}
+
+/**
+ * Each product's category and the categories above it, for category-scoped coupons.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array<number>} productIds
+ * @returns {Promise<Map<number, Array<string>>>} Category slugs by product
+ */
+async function getProductCategories(db, productIds) {
+  if (productIds.length === 0) return new Map();
+  const result = await db.query(
+    `WITH RECURSIVE up AS (
+       SELECT p.id AS product_id, LOWER(p.category) AS slug, c.parent_id
+       FROM products p LEFT JOIN categories c ON c.slug = LOWER(p.category)
+       WHERE p.id = ANY($1::int[])
+       UNION ALL
+       SELECT up.product_id, c.slug, c.parent_id
+       FROM up JOIN categories c ON c.id = up.parent_id
+     )
+     SELECT product_id, ARRAY_AGG(slug) AS slugs FROM up GROUP BY product_id`,
+    [productIds]
+  );
+  return new Map(result.rows.map((row) => [row.product_id, row.slugs]));
+}
+
+// Spread an amount over lines in proportion to their weights, to the paisa
+function allocate(amount, weights) {
+  const total = weights.reduce((sum, weight) => sum + weight, 0);
+  if (total <= 0 || amount <= 0) return weights.map(() => 0);
+  const shares = weights.map((weight) => round2((amount * weight) / total));
+  const largest = weights.indexOf(Math.max(...weights));
+  shares[largest] = round2(shares[largest] + round2(amount - shares.reduce((sum, share) => sum + share, 0)));
+  return shares;
+}
+
+/**
+ * Why a coupon can't be used now, ignoring the cart's contents.
+ * @param {Object} coupon
+ * @param {Date} now
+ * @returns {string|null} Message, or null if it can be used
+ */
+function availabilityIssue(coupon, now) {
+  if (!coupon.active) return `${coupon.code} is no longer available`;
+  if (coupon.endsAt && new Date(coupon.endsAt) <= now) return `${coupon.code} has expired`;
+  if (coupon.startsAt && new Date(coupon.startsAt) > now) return `${coupon.code} isn't valid yet`;
+  if (coupon.usageLimit && coupon.used >= coupon.usageLimit) return `${coupon.code} has been fully redeemed`;
+  if (coupon.perCustomerLimit && coupon.usedByCustomer >= coupon.perCustomerLimit) {
+    return coupon.perCustomerLimit === 1
+      ? `You've already used ${coupon.code}`
+      : `You've already used ${coupon.code} ${coupon.perCustomerLimit} times`;
+  }
+  return null;
+}
+
+/**
+ * Apply codes to priced lines.
+ * @param {Array<string>} codes - In the order they were entered
+ * @param {Map<string, Object>} coupons - See loadCoupons
+ * @param {Array} lines - [{ productId, price, quantity, categories? }] (categories: the
+ *   product's category slugs, see getProductCategories)
+ * @param {Object} [options]
+ * @param {Date} [options.now]
+ * @returns {{ applied: Array<{ code, type, description, discount, freeShipping }>,
+ *   rejected: Array<{ code, message }>, lineDiscounts: Array<number>, discount: number, freeShipping: boolean }}
+ */
+function evaluateCoupons(codes, coupons, lines, { now = new Date() } = {}) {
+  const applied = [];
+  const rejected = [];
+  const lineDiscounts = lines.map(() => 0);
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  let freeShipping = false;
+
+  for (const code of codes) {
+    const coupon = coupons.get(code);
+    const reject = (message) => rejected.push({ code, message });
+    if (!coupon) { reject(`${code} isn't a valid coupon code`); continue; }
+
+    const issue = availabilityIssue(coupon, now);
+    if (issue) { reject(issue); continue; }
+    if (applied.length >= MAX_COUPONS_PER_ORDER) { reject(`At most ${MAX_COUPONS_PER_ORDER} coupons can be used on one order`); continue; }
+    if (applied.length > 0 && (!coupon.stackable || applied.some((other) => !other.stackable))) {
+      reject(`${code} can't be combined with other coupons`);
+      continue;
+    }
+    if (subtotal < coupon.minOrder) {
+      reject(`${code} needs an order of at least ${formatRupees(coupon.minOrder)}`);
+      continue;
+    }
+
+    // Lines the coupon covers, and what's left of each after earlier coupons
+    const scoped = coupon.productIds.length > 0 || coupon.categories.length > 0;
+    const eligible = lines.map((line) => !scoped
+      || coupon.productIds.includes(parseInt(line.productId ?? line.id))
+      || (line.categories || []).some((slug) => coupon.categories.includes(slug)));
+    const remaining = lines.map((line, i) => (eligible[i] ? Math.max(line.price * line.quantity - lineDiscounts[i], 0) : 0));
+    if (coupon.type !== "free_shipping" && !remaining.some((amount) => amount > 0)) {
+      reject(`${code} doesn't apply to anything in your cart`);
+      continue;
+    }
+
+    let discounts = lines.map(() => 0);
+    if (coupon.type === "percent") {
+      const amount = remaining.reduce((sum, value) => sum + value, 0) * (coupon.value / 100);
+      discounts = allocate(round2(amount), remaining);
+    } else if (coupon.type === "fixed") {
+      discounts = allocate(Math.min(coupon.value, round2(remaining.reduce((sum, value) => sum + value, 0))), remaining);
+    } else if (coupon.type === "buy_x_get_y") {
+      // Every eligible unit, dearest first; the cheapest units of each full group are discounted
+      const units = lines.flatMap((line, i) => (eligible[i] && remaining[i] > 0
+        ? Array.from({ length: line.quantity }, () => ({ line: i, price: remaining[i] / line.quantity }))
+        : []));
+      const groupSize = coupon.buyQuantity + coupon.getQuantity;
+      const groups = Math.floor(units.length / groupSize);
+      if (groups === 0) {
+        reject(`Add ${groupSize - units.length} more eligible items to use ${code} (buy ${coupon.buyQuantity}, get ${coupon.getQuantity})`);
+        continue;
+      }
+      units.sort((a, b) => b.price - a.price);
+      for (const unit of units.slice(units.length - groups * coupon.getQuantity)) {
+        discounts[unit.line] += (unit.price * coupon.value) / 100;
+      }
+      discounts = discounts.map(round2);
+    } else {
+      freeShipping = true;
+    }
+
+    let discount = round2(discounts.reduce((sum, value) => sum + value, 0));
+    if (coupon.maxDiscount !== null && discount > coupon.maxDiscount) {
+      discounts = allocate(coupon.maxDiscount, discounts);
+      discount = coupon.maxDiscount;
+    }
+    discounts.forEach((value, i) => { lineDiscounts[i] = round2(lineDiscounts[i] + value); });
+    applied.push({
+      code,
+      type: coupon.type,
+      description: coupon.description,
+      discount,
+      freeShipping: coupon.type === "free_shipping",
+      stackable: coupon.stackable,
+      couponId: coupon.id,
+    });
+  }
+
+  return {
+    applied,
+    rejected,
+    lineDiscounts,
+    discount: round2(lineDiscounts.reduce((sum, value) => sum + value, 0)),
+    freeShipping,
+  };
+}
+
+/**
+ * Load the coupons and categories the codes need and apply them to priced lines.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array} lines - Priced lines
+ * @param {Array<string>} codes
+ * @param {Object} [options] - { customer, lock } (see loadCoupons)
+ * @returns {Promise<Object>} See evaluateCoupons
+ */
+async function applyCoupons(db, lines, codes, options = {}) {
+  const unique = [...new Set(codes.map(normalizeCode).filter(Boolean))];
+  const productIds = [...new Set(lines.map((line) => parseInt(line.productId ?? line.id)).filter(Number.isInteger))];
+  const [coupons, categories] = await Promise.all([
+    loadCoupons(db, unique, options),
+    getProductCategories(db, productIds),
+  ]);
+  const categorized = lines.map((line) => ({ ...line, categories: categories.get(parseInt(line.productId ?? line.id)) || [] }));
+  return evaluateCoupons(unique, coupons, categorized);
+}
+
+/**
+ * Record the coupons an order used (inside the order's transaction).
+ * @param {Object} db - Transaction client
+ * @param {Array} applied - totals.coupons
+ * @param {Object} order - { orderNumber, email, userId? }
+ */
+async function recordRedemptions(db, applied, { orderNumber, email, userId = null }) {
+  for (const coupon of applied) {
+    await db.query(
+      `INSERT INTO coupon_redemptions (coupon_id, order_number, email, user_id, discount)
+       VALUES ($1, $2, $3, $4, $5)`,
+      [coupon.couponId, orderNumber, String(email).trim().toLowerCase(), userId, coupon.discount]
+    );
+  }
+}
+
+/**
+ * Give back the uses of a cancelled order's coupons.
+ * @param {Object} db - Transaction client
+ * @param {string} orderNumber
+ * @returns {Promise<number>} Redemptions removed
+ */
+async function releaseRedemptions(db, orderNumber) {
+  const result = await db.query("DELETE FROM coupon_redemptions WHERE order_number = $1", [orderNumber]);
+  return result.rowCount;
+}
+
+module.exports = {
+  TYPES,
+  MAX_COUPONS_PER_ORDER,
+  normalizeCode,
+  mapCoupon,
+  normalizeCoupon,
+  getCoupons,
+  getCouponById,
+  createCoupon,
+  updateCoupon,
+  deleteCoupon,
+  loadCoupons,
+  evaluateCoupons,
+  applyCoupons,
+  recordRedemptions,
+  releaseRedemptions,
+};
@@ -0,0 +1,352 @@
+// backend/db/inventoryRepository.js
+/**
+ * Inventory repository - on-hand stock and checkout reservations.
+ *
+ * Stock lives on product_variants.stock (NULL = not tracked). While a
+ * customer is on the checkout page their lines are held in
+ * stock_reservations under a hold ID, so other shoppers can't buy the
+ * same units. Placing the order decrements stock atomically and drops the
+ * hold; holds that are never used expire after RESERVATION_MINUTES.
+ *
+ * A bundle's own variant doesn't track stock: its lines carry the
+ * components they're made of (attachBundleComponents) and holds, orders
+ * and cancellations move the components' stock instead (stockLines).
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const { syncStockFlags, invalidateProductCache } = require("./productRepository");
+
+const RESERVATION_MINUTES = parseInt(process.env.STOCK_RESERVATION_MINUTES) || 15;
+const SWEEP_INTERVAL_MS = 5 * 60 * 1000;
+
+// Units of a variant held by other, unexpired reservations
+const RESERVED_BY_OTHERS = `COALESCE((
+    SELECT SUM(r.quantity) FROM stock_reservations r
+    WHERE r.variant_id = v.id AND r.expires_at > NOW() AND r.hold_id <> $2
+  ), 0)`;
+
+/**
+ * Attach a variant ID to every line. Lines saved before variants existed
+ * only carry a product ID and get the product's first variant.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array} lines - [{ productId, variantId?, quantity }]
+ * @returns {Promise<Array>} Lines with numeric productId, variantId and quantity
+ */
+async function resolveLines(db, lines) {
+  const normalized = lines.map((line) => ({
+    ...line,
+    productId: parseInt(line.productId ?? line.id),
+    variantId: line.variantId ? parseInt(line.variantId) : null,
+    quantity: parseInt(line.quantity) || 1,
+  }));
+
+  const missing = normalized.filter((line) => !line.variantId).map((line) => line.productId);
+  if (missing.length > 0) {
+    const result = await db.query(
+      `SELECT DISTINCT ON (product_id) id, product_id FROM product_variants
+       WHERE product_id = ANY($1::int[])
+       ORDER BY product_id, sort_order, price, id`,
+      [missing]
+    );
+    const defaults = new Map(result.rows.map((row) => [row.product_id, row.id]));
+    normalized.forEach((line) => {
+      if (!line.variantId) line.variantId = defaults.get(line.productId) || null;
+    });
+  }
+  return normalized;
+}
+
+/**
+ * Attach to every bundle line the component variants it's made of, with
+ * the quantity of each in one bundle. Stored with the order so the order
+ * shows (and a cancellation restocks) what was actually in the kit.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array} lines - Resolved lines (see resolveLines)
+ * @returns {Promise<Array>} Lines, bundle lines with `components`
+ */
+async function attachBundleComponents(db, lines) {
+  const productIds = [...new Set(lines.map((line) => line.productId).filter(Number.isInteger))];
+  if (productIds.length === 0) return lines;
+
+  const result = await db.query(
+    `SELECT bc.bundle_id, bc.variant_id, bc.quantity, v.product_id, v.sku, v.size, v.pot_colour, p.name
+     FROM bundle_components bc
+     JOIN product_variants v ON v.id = bc.variant_id
+     JOIN products p ON p.id = v.product_id
+     WHERE bc.bundle_id = ANY($1::int[])
+     ORDER BY bc.bundle_id, bc.sort_order, bc.id`,
+    [productIds]
+  );
+  if (result.rows.length === 0) return lines;
+
+  const components = new Map();
+  for (const row of result.rows) {
+    const list = components.get(row.bundle_id) || [];
+    list.push({
+      productId: row.product_id,
+      variantId: row.variant_id,
+      sku: row.sku,
+      name: row.name,
+      label: [row.size, row.pot_colour].filter(Boolean).join(" / ") || null,
+      quantity: row.quantity,
+    });
+    components.set(row.bundle_id, list);
+  }
+  return lines.map((line) =>
+    components.has(line.productId) ? { ...line, components: components.get(line.productId) } : line
+  );
+}
+
+/**
+ * The variant quantities a set of lines takes off the shelf: bundle lines
+ * become their components times the line quantity, and lines for the same
+ * variant are added together. `bundleIds` lists the bundles a variant's
+ * units are (partly) needed for.
+ * @param {Array} lines - Lines, bundle lines with components
+ * @returns {Array<{ productId: number, variantId: number, quantity: number, bundleIds: Array<number> }>}
+ */
+function stockLines(lines) {
+  const byVariant = new Map();
+  const add = (productId, variantId, quantity, bundleId) => {
+    if (!variantId) return;
+    const entry = byVariant.get(variantId) || { productId, variantId, quantity: 0, bundleIds: [] };
+    entry.quantity += quantity;
+    if (bundleId && !entry.bundleIds.includes(bundleId)) entry.bundleIds.push(bundleId);
+    byVariant.set(variantId, entry);
+  };
+  for (const line of lines) {
+    const quantity = parseInt(line.quantity) || 0;
+    if (Array.isArray(line.components) && line.components.length > 0) {
+      for (const component of line.components) {
+        add(parseInt(component.productId), parseInt(component.variantId),
+          quantity * (parseInt(component.quantity) || 1), parseInt(line.productId));
+      }
+    } else {
+      add(parseInt(line.productId), parseInt(line.variantId), quantity);
+    }
+  }
+  return [...byVariant.values()];
+}
+
+/**
+ * Sellable units per variant: on-hand stock minus units held by other
+ * checkouts. Untracked variants report available = null (unlimited).
+ * @param {Array<number>} variantIds
+ * @param {string} [holdId] - Hold whose own reservations still count as available
+ * @returns {Promise<Map<number, { stock: number|null, reserved: number, available: number|null }>>}
+ */
+async function getAvailability(variantIds, holdId = "") {
+  const ids = [...new Set(variantIds.map((id) => parseInt(id)).filter(Number.isInteger))];
+  if (ids.length === 0) return new Map();
+
+  const result = await pool.query(
+    `SELECT v.id, v.stock, ${RESERVED_BY_OTHERS}::int AS reserved
+     FROM product_variants v WHERE v.id = ANY($1::int[])`,
+    [ids, String(holdId)]
+  );
+  return new Map(result.rows.map((row) => [row.id, {
+    stock: row.stock,
+    reserved: row.reserved,
+    available: row.stock === null ? null : Math.max(row.stock - row.reserved, 0),
+  }]));
+}
+
+// A line that can't be covered; bundleIds names the bundles that need it
+const shortage = (line, available) => ({
+  productId: line.productId,
+  variantId: line.variantId,
+  requested: line.quantity,
+  available,
+  ...(line.bundleIds.length > 0 && { bundleIds: line.bundleIds }),
+});
+
+/**
+ * Hold stock for every line of a checkout. Replaces any previous hold with
+ * the same ID. Fails as a whole if a line can't be covered.
+ * @param {string} holdId - Checkout hold ID
+ * @param {Array} lines - [{ productId, variantId?, quantity }]
+ * @returns {Promise<{ holdId: string, expiresAt: Date, lines: Array }>}
+ * @throws 409 error with `shortages` when stock is insufficient
+ */
+async function reserve(holdId, lines) {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    const resolved = await attachBundleComponents(client, await resolveLines(client, lines));
+    await client.query("DELETE FROM stock_reservations WHERE hold_id = $1", [holdId]);
+
+    const shortages = [];
+    for (const line of stockLines(resolved)) {
+      // Lock the variant so concurrent holds are checked one at a time
+      const result = await client.query(
+        `SELECT v.stock, ${RESERVED_BY_OTHERS}::int AS reserved
+         FROM product_variants v WHERE v.id = $1 FOR UPDATE`,
+        [line.variantId, holdId]
+      );
+      const row = result.rows[0];
+      if (!row || row.stock === null) continue;
+
+      const available = Math.max(row.stock - row.reserved, 0);
+      if (available < line.quantity) {
+        shortages.push(shortage(line, available));
+        continue;
+      }
+      await client.query(
+        `INSERT INTO stock_reservations (hold_id, variant_id, quantity, expires_at)
+         VALUES ($1, $2, $3, NOW() + make_interval(mins => $4))`,
+        [holdId, line.variantId, line.quantity, RESERVATION_MINUTES]
+      );
+    }
+
+    if (shortages.length > 0) {
+      await client.query("ROLLBACK");
+      const error = createError("Some items no longer have enough stock", 409);
+      error.shortages = shortages;
+      throw error;
+    }
+
+    await client.query("COMMIT");
+    return {
+      holdId,
+      expiresAt: new Date(Date.now() + RESERVATION_MINUTES * 60 * 1000),
+      lines: resolved,
+    };
+  } catch (err) {
+    if (!err.shortages) await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Drop a checkout hold (customer left checkout or cancelled).
+ * @param {string} holdId
+ * @returns {Promise<number>} Number of reservation rows released
+ */
+async function release(holdId) {
+  const result = await pool.query("DELETE FROM stock_reservations WHERE hold_id = $1", [holdId]);
+  return result.rowCount;
+}
+
+/**
+ * Decrement stock for an order inside the caller's transaction and drop
+ * the order's hold. Each decrement is a single conditional UPDATE, so two
+ * orders can never both take the last unit; units held by other
+ * checkouts are not available.
+ * @param {Object} client - Transaction client (BEGIN already issued)
+ * @param {Array} lines - Resolved lines (see resolveLines), bundle lines with components
+ * @param {string} [holdId] - The order's own hold, if it had one
+ * @returns {Promise<{ productIds: Array<number>, flipped: Array<{ id: number, instock: boolean }> }>}
+ *   Products whose stock changed, and those whose in-stock flag flipped
+ * @throws 409 error with `shortages` when a line can't be covered
+ */
+async function commitOrder(client, lines, holdId = "") {
+  const shortages = [];
+  const touchedProducts = [];
+
+  for (const line of stockLines(lines)) {
+    const result = await client.query(
+      `UPDATE product_variants v
+       SET stock = v.stock - $3, updated_at = NOW()
+       WHERE v.id = $1 AND v.stock IS NOT NULL
+         AND v.stock - ${RESERVED_BY_OTHERS} >= $3
+       RETURNING v.product_id`,
+      [line.variantId, String(holdId), line.quantity]
+    );
+    if (result.rows.length > 0) {
+      touchedProducts.push(result.rows[0].product_id);
+      continue;
+    }
+
+    // Nothing updated: either the variant isn't stock-tracked or it's short
+    const check = await client.query(
+      `SELECT v.stock, ${RESERVED_BY_OTHERS}::int AS reserved FROM product_variants v WHERE v.id = $1`,
+      [line.variantId, String(holdId)]
+    );
+    const row = check.rows[0];
+    if (row && row.stock === null) continue;
+    shortages.push(shortage(line, row ? Math.max(row.stock - row.reserved, 0) : 0));
+  }
+
+  if (shortages.length > 0) {
+    const error = createError("Some items sold out while you were checking out", 409);
+    error.shortages = shortages;
+    throw error;
+  }
+
+  if (holdId) {
+    await client.query("DELETE FROM stock_reservations WHERE hold_id = $1", [holdId]);
+  }
+  return { productIds: touchedProducts, flipped: await syncStockFlags(client, touchedProducts) };
+}
+
+/**
+ * Put an order's units back on the shelf (order cancelled), inside the
+ * caller's transaction.
+ * @param {Object} client - Transaction client
+ * @param {Array} lines - Order items with variantId and quantity (bundles with components)
+ * @returns {Promise<{ productIds: Array<number>, flipped: Array }>} See commitOrder
+ */
+async function restock(client, lines) {
+  const touchedProducts = [];
+  for (const line of stockLines(lines)) {
+    const result = await client.query(
+      `UPDATE product_variants SET stock = stock + $2, updated_at = NOW()
+       WHERE id = $1 AND stock IS NOT NULL RETURNING product_id`,
+      [line.variantId, line.quantity]
+    );
+    if (result.rows.length > 0) touchedProducts.push(result.rows[0].product_id);
+  }
+  return { productIds: touchedProducts, flipped: await syncStockFlags(client, touchedProducts) };
+}
+
+/**
+ * Drop cached copies of products whose stock changed (call after COMMIT).
+ * @param {Array<number>} productIds - productIds from commitOrder/restock
+ */
+async function afterStockChange(productIds) {
+  const ids = [...new Set(productIds)];
+  if (ids.length === 0) return;
+  for (const id of ids) await invalidateProductCache(id);
+}
+
+/**
+ * Delete expired holds. Expired rows are already ignored by every query;
+ * this only keeps the table small.
+ */
+async function purgeExpiredReservations() {
+  const result = await pool.query("DELETE FROM stock_reservations WHERE expires_at <= NOW()");
+  if (result.rowCount > 0) console.log(`🧹 Released ${result.rowCount} expired stock reservations`);
+  return result.rowCount;
+}
+
+/**
+ * Start the periodic sweep of expired holds.
+ * @returns {NodeJS.Timeout}
+ */
+function startReservationSweeper() {
+  const timer = setInterval(() => {
+    purgeExpiredReservations().catch((err) =>
+      console.error("Stock reservation sweep failed:", err.message)
+    );
+  }, SWEEP_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  RESERVATION_MINUTES,
+  resolveLines,
+  attachBundleComponents,
+  stockLines,
+  getAvailability,
+  reserve,
+  release,
+  commitOrder,
+  restock,
+  afterStockChange,
+  purgeExpiredReservations,
+  startReservationSweeper,
+};
@@ -0,0 +1,191 @@
+// backend/db/notificationRepository.js
+/**
+ * Notification repository - "tell me when it's back" requests.
+ *
+ * Customers queue a request per out-of-stock product (one pending request
+ * per product and email). Nothing has to call in when stock changes: the
+ * dispatcher regularly mails every pending request whose product is in
+ * stock again and marks it notified. Delivery goes through config/mailer,
+ * so a failed send is retried on the next run, up to MAX_ATTEMPTS times.
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const { sendMail } = require("../config/mailer");
+const { absoluteUrl } = require("../config/site");
+
+const MAX_PENDING_PER_EMAIL = 20;
+const MAX_ATTEMPTS = 5;
+const DISPATCH_BATCH_SIZE = 50;
+// A claim left by a run that died mid-batch expires after this long
+const CLAIM_TIMEOUT_MINUTES = 15;
+const DISPATCH_INTERVAL_MS = (parseInt(process.env.STOCK_NOTIFICATION_INTERVAL_SECONDS) || 60) * 1000;
+
+/**
+ * Queue a back-in-stock mail for a product.
+ * @param {number|string} productId
+ * @param {Object} subscriber
+ * @param {string} subscriber.email
+ * @param {string} [subscriber.userId] - Account of a signed-in customer
+ * @returns {Promise<{ product: Object, created: boolean }|null>} null if the product doesn't exist;
+ *   created is false when the email was already waiting for it
+ * @throws 400 if the product is in stock, 429 if the email has too many pending requests
+ */
+async function subscribe(productId, { email, userId = null }) {
+  const address = String(email).trim().toLowerCase();
+  const product = await pool.query(
+    "SELECT id, name, slug, instock FROM products WHERE id = $1 AND archived_at IS NULL",
+    [productId]
+  );
+  if (product.rows.length === 0) return null;
+  if (product.rows[0].instock) {
+    throw createError("This product is in stock; no need to wait", 400);
+  }
+
+  const pending = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM stock_notifications WHERE LOWER(email) = $1 AND notified_at IS NULL",
+    [address]
+  );
+  if (pending.rows[0].count >= MAX_PENDING_PER_EMAIL) {
+    throw createError(`You can wait for at most ${MAX_PENDING_PER_EMAIL} products at a time`, 429);
+  }
+
+  const result = await pool.query(
+    `INSERT INTO stock_notifications (product_id, email, user_id)
+     VALUES ($1, $2, $3)
+     ON CONFLICT (product_id, (LOWER(email))) WHERE notified_at IS NULL DO NOTHING
+     RETURNING id`,
+    [productId, address, userId]
+  );
+  return { product: product.rows[0], created: result.rows.length > 0 };
+}
+
+/**
+ * Demand per product: pending and sent requests, most-wanted first.
+ * @returns {Promise<Array<{ productId: number, name: string, slug: string, inStock: boolean,
+ *   pending: number, notified: number, failed: number, oldestPendingAt: Date|null, lastNotifiedAt: Date|null }>>}
+ */
+async function getDemand() {
+  const result = await pool.query(
+    `SELECT p.id, p.name, p.slug, p.instock,
+            COUNT(*) FILTER (WHERE n.notified_at IS NULL)::int AS pending,
+            COUNT(*) FILTER (WHERE n.notified_at IS NOT NULL)::int AS notified,
+            COUNT(*) FILTER (WHERE n.notified_at IS NULL AND n.attempts >= $1)::int AS failed,
+            MIN(n.created_at) FILTER (WHERE n.notified_at IS NULL) AS oldest_pending_at,
+            MAX(n.notified_at) AS last_notified_at
+     FROM stock_notifications n JOIN products p ON p.id = n.product_id
+     GROUP BY p.id
+     ORDER BY pending DESC, notified DESC, p.name`,
+    [MAX_ATTEMPTS]
+  );
+  return result.rows.map((row) => ({
+    productId: row.id,
+    name: row.name,
+    slug: row.slug,
+    inStock: row.instock,
+    pending: row.pending,
+    notified: row.notified,
+    failed: row.failed,
+    oldestPendingAt: row.oldest_pending_at,
+    lastNotifiedAt: row.last_notified_at,
+  }));
+}
+
+/**
+ * Text of the back-in-stock mail.
+ * @param {Object} product - name, slug
+ * @returns {{ subject: string, text: string }}
+ */
+function restockMessage(product) {
+  const url = absoluteUrl(product.slug ? `/products/${product.slug}` : "/products");
+  return {
+    subject: `${product.name} is back in stock`,
+    text: [
+      "Good news!",
+      "",
+      `${product.name} is back in stock at PlantNursery. Stock is limited, so don't wait too long:`,
+      url,
+      "",
+      "You asked us to let you know; this is the only email you'll get about it.",
+    ].join("\n"),
+  };
+}
+
+/**
+ * Mail pending requests whose product is back in stock. A batch is claimed
+ * first in one short statement (claimed_at), so overlapping runs never mail
+ * twice; the mail goes out with no transaction or connection held, and each
+ * row is then marked sent or failed on its own.
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Requests per run
+ * @returns {Promise<{ sent: number, failed: number }>}
+ */
+async function dispatchStockNotifications({ limit = DISPATCH_BATCH_SIZE } = {}) {
+  const due = await pool.query(
+    `WITH due AS (
+       SELECT n.id, p.name, p.slug
+       FROM stock_notifications n JOIN products p ON p.id = n.product_id
+       WHERE n.notified_at IS NULL AND n.attempts < $2
+         AND (n.claimed_at IS NULL OR n.claimed_at < NOW() - make_interval(mins => $3))
+         AND p.instock AND p.archived_at IS NULL
+       ORDER BY n.created_at, n.id
+       LIMIT $1
+       FOR UPDATE OF n SKIP LOCKED
+     )
+     UPDATE stock_notifications n SET claimed_at = NOW()
+     FROM due WHERE n.id = due.id
+     RETURNING n.id, n.email, due.name, due.slug`,
+    [limit, MAX_ATTEMPTS, CLAIM_TIMEOUT_MINUTES]
+  );
+
+  let sent = 0;
+  let failed = 0;
+  for (const row of due.rows) {
+    try {
+      await sendMail({ to: row.email, ...restockMessage(row) });
+    } catch (err) {
+      await pool.query(
+        "UPDATE stock_notifications SET attempts = attempts + 1, last_error = $2, claimed_at = NULL WHERE id = $1",
+        [row.id, err.message]
+      );
+      failed += 1;
+      continue;
+    }
+    await pool.query(
+      "UPDATE stock_notifications SET notified_at = NOW(), attempts = attempts + 1, last_error = NULL, claimed_at = NULL WHERE id = $1",
+      [row.id]
+    );
+    sent += 1;
+  }
+  return { sent, failed };
+}
+
+/**
+ * Every DISPATCH_INTERVAL_MS, mail the requests for restocked products.
+ * @returns {NodeJS.Timeout}
+ */
+function startNotificationDispatcher() {
+  let running = false;
+  const timer = setInterval(() => {
+    if (running) return;
+    running = true;
+    dispatchStockNotifications()
+      .then(({ sent, failed }) => {
+        if (sent + failed > 0) console.log(`🔔 Back-in-stock mail: ${sent} sent, ${failed} failed`);
+      })
+      .catch((err) => console.error("Back-in-stock dispatch failed:", err.message))
+      .finally(() => { running = false; });
+  }, DISPATCH_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  MAX_PENDING_PER_EMAIL,
+  MAX_ATTEMPTS,
+  subscribe,
+  getDemand,
+  restockMessage,
+  dispatchStockNotifications,
+  startNotificationDispatcher,
+};
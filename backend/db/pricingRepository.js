@@ -0,0 +1,422 @@
+// backend/db/pricingRepository.js
+/**
+ * Pricing repository - GST and shipping for carts and orders.
+ *
+ * One calculation serves the cart summary, the checkout page and the
+ * payment endpoint: calculateTotals() is pure, and quoteTotals() feeds it
+ * the admin settings and each line's GST rate and weight.
+ *
+ * GST: every category may set a rate (categories.gst_rate); a category
+ * without one uses its parent's, and the top of the tree falls back to the
+ * default rate. Shipping to the store's own state is split into CGST + SGST,
+ * anywhere else is IGST.
+ *
+ * Shipping: the destination state picks a zone; each zone prices every
+ * shipping method as a base fee for the first kg, a fee per further kg, and
+ * an optional order value above which that method ships free. Weights come
+ * from product_variants.weight_grams (bundles: their components).
+ *
+ * Coupons (db/couponRepository.js) come off the goods before GST, so tax is
+ * charged on the discounted price; a free-shipping coupon waives the fee of
+ * the zone's first shipping method.
+ *
+ * Settings live in store_settings ("tax" and "shipping") over the defaults
+ * below, and are cached in memory for a minute.
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const coupons = require("./couponRepository");
+
+const SETTINGS_CACHE_MS = 60 * 1000;
+const STATE_PATTERN = /^[A-Z]{2}$/;
+const CODE_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+const STORE_STATE = (process.env.STORE_STATE || "KA").toUpperCase();
+
+// Islands, Ladakh/J&K and the north-east cost more to reach
+const REMOTE_STATES = ["AN", "LD", "LA", "JK", "AR", "AS", "MN", "ML", "MZ", "NL", "SK", "TR"];
+
+const DEFAULT_SETTINGS = {
+  tax: {
+    storeState: STORE_STATE,
+    defaultRate: 18,
+    shippingRate: 18, // GST on the shipping fee; null = not taxed
+    pricesIncludeTax: false,
+  },
+  shipping: {
+    defaultWeightGrams: 500,
+    methods: [
+      { code: "standard", label: "Standard (5–7 days)" },
+      { code: "express", label: "Express (2–3 days)" },
+    ],
+    // The first zone listing the state wins; a zone without states covers the rest
+    zones: [
+      {
+        code: "local",
+        name: "Within the state",
+        states: [STORE_STATE],
+        rates: {
+          standard: { base: 69, perKg: 15, freeOver: 499 },
+          express: { base: 149, perKg: 30, freeOver: null },
+        },
+      },
+      {
+        code: "remote",
+        name: "North-east, J&K, Ladakh and islands",
+        states: REMOTE_STATES.filter((state) => state !== STORE_STATE),
+        rates: {
+          standard: { base: 149, perKg: 40, freeOver: 999 },
+        },
+      },
+      {
+        code: "national",
+        name: "Rest of India",
+        states: [],
+        rates: {
+          standard: { base: 99, perKg: 25, freeOver: 499 },
+          express: { base: 199, perKg: 50, freeOver: null },
+        },
+      },
+    ],
+  },
+};
+
+const round2 = (amount) => Math.round(amount * 100) / 100;
+
+const isAmount = (value) => typeof value === "number" && Number.isFinite(value) && value >= 0;
+const isRate = (value) => isAmount(value) && value <= 28;
+
+/**
+ * Check tax settings, filling in missing fields from the defaults.
+ * @param {Object} tax - storeState, defaultRate, shippingRate, pricesIncludeTax
+ * @returns {Object} Tax settings
+ * @throws 400 on an invalid value
+ */
+function normalizeTaxSettings(tax) {
+  if (!tax || typeof tax !== "object" || Array.isArray(tax)) throw createError("tax must be an object", 400);
+  const merged = { ...DEFAULT_SETTINGS.tax, ...tax };
+  merged.storeState = String(merged.storeState).toUpperCase();
+  if (!STATE_PATTERN.test(merged.storeState)) {
+    throw createError("storeState must be a two-letter state code, e.g. KA", 400);
+  }
+  if (!isRate(merged.defaultRate)) throw createError("defaultRate must be a percentage from 0 to 28", 400);
+  if (merged.shippingRate !== null && !isRate(merged.shippingRate)) {
+    throw createError("shippingRate must be a percentage from 0 to 28, or null", 400);
+  }
+  if (typeof merged.pricesIncludeTax !== "boolean") throw createError("pricesIncludeTax must be true or false", 400);
+  return {
+    storeState: merged.storeState,
+    defaultRate: merged.defaultRate,
+    shippingRate: merged.shippingRate,
+    pricesIncludeTax: merged.pricesIncludeTax,
+  };
+}
+
+/**
+ * Check shipping settings: known method codes, zones with valid states and
+ * rates, and exactly one catch-all zone (no states) at the end.
+ * @param {Object} shipping - defaultWeightGrams, methods, zones
+ * @returns {Object} Shipping settings
+ * @throws 400 on an invalid value
+ */
+function normalizeShippingSettings(shipping) {
+  if (!shipping || typeof shipping !== "object" || Array.isArray(shipping)) {
+    throw createError("shipping must be an object", 400);
+  }
+  const merged = { ...DEFAULT_SETTINGS.shipping, ...shipping };
+  if (!Number.isInteger(merged.defaultWeightGrams) || merged.defaultWeightGrams < 1) {
+    throw createError("defaultWeightGrams must be a whole number of grams", 400);
+  }
+
+  if (!Array.isArray(merged.methods) || merged.methods.length === 0) {
+    throw createError("At least one shipping method is required", 400);
+  }
+  const methods = merged.methods.map((method, index) => {
+    if (!method || !CODE_PATTERN.test(method.code) || typeof method.label !== "string" || !method.label.trim()) {
+      throw createError(`Shipping method ${index + 1} needs a code (lowercase, hyphens) and a label`, 400);
+    }
+    return { code: method.code, label: method.label.trim() };
+  });
+  const methodCodes = methods.map((method) => method.code);
+  if (new Set(methodCodes).size !== methodCodes.length) throw createError("Shipping method codes must be unique", 400);
+
+  if (!Array.isArray(merged.zones) || merged.zones.length === 0) {
+    throw createError("At least one shipping zone is required", 400);
+  }
+  const zones = merged.zones.map((zone, index) => {
+    const label = `Shipping zone ${index + 1}`;
+    if (!zone || !CODE_PATTERN.test(zone.code) || typeof zone.name !== "string" || !zone.name.trim()) {
+      throw createError(`${label} needs a code (lowercase, hyphens) and a name`, 400);
+    }
+    const states = (zone.states || []).map((state) => String(state).toUpperCase());
+    if (states.some((state) => !STATE_PATTERN.test(state))) {
+      throw createError(`${label}: states must be two-letter state codes`, 400);
+    }
+    const rates = {};
+    for (const [code, rate] of Object.entries(zone.rates || {})) {
+      if (!methodCodes.includes(code)) throw createError(`${label}: unknown shipping method "${code}"`, 400);
+      const freeOver = rate && rate.freeOver !== undefined ? rate.freeOver : null;
+      if (!rate || !isAmount(rate.base) || !isAmount(rate.perKg || 0) || (freeOver !== null && !isAmount(freeOver))) {
+        throw createError(`${label}: ${code} needs a base fee, and optionally perKg and freeOver amounts`, 400);
+      }
+      rates[code] = { base: rate.base, perKg: rate.perKg || 0, freeOver };
+    }
+    if (Object.keys(rates).length === 0) throw createError(`${label} has no shipping rates`, 400);
+    return { code: zone.code, name: zone.name.trim(), states, rates };
+  });
+  const catchAll = zones.filter((zone) => zone.states.length === 0);
+  if (catchAll.length !== 1 || zones[zones.length - 1].states.length !== 0) {
+    throw createError("The last shipping zone must be the only one without states (it covers the rest)", 400);
+  }
+  return { defaultWeightGrams: merged.defaultWeightGrams, methods, zones };
+}
+
+let settingsCache = null;
+
+/**
+ * Current tax and shipping settings.
+ * @returns {Promise<{ tax: Object, shipping: Object }>}
+ */
+async function getSettings() {
+  if (settingsCache && settingsCache.expires > Date.now()) return settingsCache.settings;
+  const result = await pool.query("SELECT key, value FROM store_settings WHERE key IN ('tax', 'shipping')");
+  const stored = Object.fromEntries(result.rows.map((row) => [row.key, row.value]));
+  const settings = {
+    tax: stored.tax ? normalizeTaxSettings(stored.tax) : DEFAULT_SETTINGS.tax,
+    shipping: stored.shipping ? normalizeShippingSettings(stored.shipping) : DEFAULT_SETTINGS.shipping,
+  };
+  settingsCache = { settings, expires: Date.now() + SETTINGS_CACHE_MS };
+  return settings;
+}
+
+/**
+ * Replace the tax and/or shipping settings.
+ * @param {Object} changes - { tax?, shipping? }, each a complete settings object
+ * @returns {Promise<{ tax: Object, shipping: Object }>} Settings now in force
+ * @throws 400 on invalid settings
+ */
+async function updateSettings({ tax, shipping }) {
+  const values = {};
+  if (tax !== undefined) values.tax = normalizeTaxSettings(tax);
+  if (shipping !== undefined) values.shipping = normalizeShippingSettings(shipping);
+  if (Object.keys(values).length === 0) throw createError("Nothing to update: send tax and/or shipping", 400);
+
+  for (const [key, value] of Object.entries(values)) {
+    await pool.query(
+      `INSERT INTO store_settings (key, value) VALUES ($1, $2)
+       ON CONFLICT (key) DO UPDATE SET value = EXCLUDED.value, updated_at = NOW()`,
+      [key, value]
+    );
+  }
+  settingsCache = null;
+  return getSettings();
+}
+
+/**
+ * Forget the cached settings (e.g. after editing store_settings by hand).
+ * Category GST rates aren't cached; they're read for every quote.
+ */
+function clearSettingsCache() {
+  settingsCache = null;
+}
+
+/**
+ * The zone that ships to a state.
+ * @param {Array} zones - shipping.zones
+ * @param {string} state - Two-letter state code
+ * @returns {Object} Zone
+ */
+function findZone(zones, state) {
+  return zones.find((zone) => zone.states.includes(state)) || zones.find((zone) => zone.states.length === 0);
+}
+
+/**
+ * Fee for one method in a zone: base fee for the first kg, perKg for each
+ * kg (or part) after that, nothing once the goods reach freeOver.
+ * @param {Object} rate - { base, perKg, freeOver }
+ * @param {number} subtotal - Goods value
+ * @param {number} weightGrams - Total weight
+ * @returns {{ fee: number, free: boolean }}
+ */
+function shippingFee(rate, subtotal, weightGrams) {
+  const free = rate.freeOver !== null && subtotal >= rate.freeOver;
+  const extraKg = Math.max(Math.ceil(weightGrams / 1000), 1) - 1;
+  return { fee: free ? 0 : round2(rate.base + rate.perKg * extraKg), free };
+}
+
+/**
+ * Totals for a set of lines.
+ * @param {Array} lines - [{ price, quantity, gstRate, weightGrams }] (weightGrams per unit)
+ * @param {{ tax: Object, shipping: Object }} settings - See getSettings
+ * @param {Object} [options]
+ * @param {string} [options.state] - Destination state code; without it the
+ *   store's state is assumed and the result is marked estimated
+ * @param {string} [options.method] - Shipping method code; defaults to the zone's first
+ * @param {Object} [options.promotions] - Coupons applied to the lines (couponRepository.evaluateCoupons)
+ * @returns {Object} subtotal, discount, shipping, tax, total, GST split and breakdown,
+ *   free-shipping progress, the shipping options for the zone, and the
+ *   coupons applied (coupons) or refused (couponIssues)
+ */
+function calculateTotals(lines, settings, { state, method, promotions = null } = {}) {
+  const { tax, shipping } = settings;
+  const destination = state && STATE_PATTERN.test(String(state).toUpperCase()) ? String(state).toUpperCase() : null;
+  const zone = findZone(shipping.zones, destination || tax.storeState);
+
+  const subtotal = round2(lines.reduce((sum, line) => sum + line.price * line.quantity, 0));
+  const weightGrams = lines.reduce((sum, line) => sum + line.weightGrams * line.quantity, 0);
+
+  const lineDiscounts = promotions ? promotions.lineDiscounts : lines.map(() => 0);
+  const discount = promotions ? promotions.discount : 0;
+
+  // Shipping: every method the zone offers, and the chosen one
+  const shippingOptions = shipping.methods
+    .filter((m) => zone.rates[m.code])
+    .map((m) => ({ code: m.code, label: m.label, ...shippingFee(zone.rates[m.code], subtotal, weightGrams) }));
+  if (promotions && promotions.freeShipping) Object.assign(shippingOptions[0], { fee: 0, free: true });
+  const chosen = shippingOptions.find((option) => option.code === method) || shippingOptions[0];
+  const shippingAmount = lines.length === 0 ? 0 : chosen.fee;
+  const freeOver = zone.rates[chosen.code].freeOver;
+
+  // GST per rate: goods at their category rate, the shipping fee at shippingRate
+  const taxable = new Map();
+  const addTaxable = (rate, amount) => taxable.set(rate, (taxable.get(rate) || 0) + amount);
+  lines.forEach((line, i) => addTaxable(line.gstRate, line.price * line.quantity - lineDiscounts[i]));
+  if (shippingAmount > 0 && tax.shippingRate !== null) addTaxable(tax.shippingRate, shippingAmount);
+
+  const taxBreakdown = [...taxable.entries()]
+    .sort(([a], [b]) => a - b)
+    .map(([rate, amount]) => ({
+      rate,
+      taxable: round2(amount),
+      tax: round2(tax.pricesIncludeTax ? (amount * rate) / (100 + rate) : (amount * rate) / 100),
+    }));
+  const taxAmount = round2(taxBreakdown.reduce((sum, row) => sum + row.tax, 0));
+
+  const interState = destination !== null && destination !== tax.storeState;
+  const halfTax = round2(taxAmount / 2);
+  const gst = interState
+    ? { cgst: 0, sgst: 0, igst: taxAmount }
+    : { cgst: halfTax, sgst: round2(taxAmount - halfTax), igst: 0 };
+
+  return {
+    subtotal,
+    discount,
+    shipping: shippingAmount,
+    tax: taxAmount,
+    total: round2(subtotal - discount + shippingAmount + (tax.pricesIncludeTax ? 0 : taxAmount)),
+    taxIncluded: tax.pricesIncludeTax,
+    gst,
+    interState,
+    taxBreakdown,
+    freeShipping: chosen.free,
+    amountForFreeShipping: freeOver === null || chosen.free ? 0 : round2(freeOver - subtotal),
+    shippingMethod: chosen.code,
+    shippingZone: zone.code,
+    shippingOptions,
+    weightGrams,
+    estimated: destination === null,
+    coupons: promotions ? promotions.applied : [],
+    couponIssues: promotions ? promotions.rejected : [],
+  };
+}
+
+/**
+ * Each product's GST rate: its category's, else the nearest parent
+ * category's, else null (the default rate applies).
+ * @param {Object} db - Pool or transaction client
+ * @param {Array<number>} productIds
+ * @returns {Promise<Map<number, number|null>>}
+ */
+async function getGstRates(db, productIds) {
+  if (productIds.length === 0) return new Map();
+  const result = await db.query(
+    `WITH RECURSIVE up AS (
+       SELECT p.id AS product_id, c.parent_id, c.gst_rate, 0 AS depth
+       FROM products p JOIN categories c ON c.slug = LOWER(p.category)
+       WHERE p.id = ANY($1::int[])
+       UNION ALL
+       SELECT up.product_id, c.parent_id, c.gst_rate, up.depth + 1
+       FROM up JOIN categories c ON c.id = up.parent_id
+       WHERE up.gst_rate IS NULL
+     )
+     SELECT DISTINCT ON (product_id) product_id, gst_rate
+     FROM up ORDER BY product_id, (gst_rate IS NULL), depth`,
+    [productIds]
+  );
+  return new Map(result.rows.map((row) => [row.product_id, row.gst_rate === null ? null : parseFloat(row.gst_rate)]));
+}
+
+/**
+ * Attach gstRate and weightGrams (per unit) to cart or order lines.
+ * A bundle weighs what its components weigh; a variant without a weight
+ * counts as shipping.defaultWeightGrams.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array} lines - [{ productId (or id), variantId?, components?, price, quantity }]
+ * @param {{ tax: Object, shipping: Object }} settings
+ * @returns {Promise<Array>} Lines ready for calculateTotals
+ */
+async function attachPricingFacts(db, lines, settings) {
+  const productIds = [...new Set(lines.map((line) => parseInt(line.productId ?? line.id)).filter(Number.isInteger))];
+  const variantIds = [...new Set(lines.flatMap((line) => Array.isArray(line.components) && line.components.length
+    ? line.components.map((component) => parseInt(component.variantId))
+    : [parseInt(line.variantId)]
+  ).filter(Number.isInteger))];
+
+  const [rates, weights] = await Promise.all([
+    getGstRates(db, productIds),
+    variantIds.length === 0
+      ? { rows: [] }
+      : db.query("SELECT id, weight_grams FROM product_variants WHERE id = ANY($1::int[])", [variantIds]),
+  ]);
+  const weightOf = new Map(weights.rows.map((row) => [row.id, row.weight_grams]));
+  const variantWeight = (variantId) => weightOf.get(parseInt(variantId)) || settings.shipping.defaultWeightGrams;
+
+  return lines.map((line) => {
+    const rate = rates.get(parseInt(line.productId ?? line.id));
+    return {
+      ...line,
+      price: parseFloat(line.price) || 0,
+      quantity: parseInt(line.quantity) || 1,
+      gstRate: rate === null || rate === undefined ? settings.tax.defaultRate : rate,
+      weightGrams: Array.isArray(line.components) && line.components.length
+        ? line.components.reduce((sum, component) => sum + variantWeight(component.variantId) * component.quantity, 0)
+        : variantWeight(line.variantId),
+    };
+  });
+}
+
+/**
+ * Totals for cart or order lines with the current settings (see calculateTotals).
+ * @param {Array} lines - Cart lines or order items
+ * @param {Object} [options]
+ * @param {string} [options.state]
+ * @param {string} [options.method]
+ * @param {Array<string>} [options.couponCodes] - Coupons to apply, in the order they were entered
+ * @param {Object} [options.customer] - { userId?, email? } for per-customer coupon limits
+ * @param {boolean} [options.lockCoupons] - Lock the coupons for the rest of the transaction (checkout)
+ * @param {Object} [db] - Pool or transaction client
+ * @returns {Promise<Object>} Totals
+ */
+async function quoteTotals(lines, options = {}, db = pool) {
+  const settings = await getSettings();
+  const priced = await attachPricingFacts(db, lines, settings);
+  const codes = options.couponCodes || [];
+  const promotions = codes.length === 0
+    ? null
+    : await coupons.applyCoupons(db, priced, codes, { customer: options.customer, lock: options.lockCoupons });
+  return calculateTotals(priced, settings, { state: options.state, method: options.method, promotions });
+}
+
+module.exports = {
+  DEFAULT_SETTINGS,
+  normalizeTaxSettings,
+  normalizeShippingSettings,
+  getSettings,
+  updateSettings,
+  clearSettingsCache,
+  findZone,
+  calculateTotals,
+  attachPricingFacts,
+  quoteTotals,
+};
@@ -0,0 +1,1558 @@
+// backend/db/productRepository.js
+/**
+ * Product repository - the single data-access layer for the catalog.
+ *
+ * Every API route and server-rendered page reads products through this
+ * module, so they all see the same PostgreSQL rows, the same camelCase
+ * mapping and the same Redis cache.
+ */
+
+const pool = require("./pool");
+const redisClient = require("../config/redisClient");
+const { createError } = require("../middleware/errorHandler");
+
+const LIST_CACHE_TTL = 120; // seconds (product lists)
+const ITEM_CACHE_TTL = 300; // seconds (single products)
+const LIST_CACHE_PREFIX = "products:";
+const ITEM_CACHE_PREFIX = "product:";
+
+// Plant-care attributes: API field -> column, list filter name and allowed
+// values. The setup script puts the same values in CHECK constraints.
+const CARE_ATTRIBUTES = {
+  care: { column: "care", filter: "care", values: ["easy", "moderate", "expert"] },
+  lightRequirement: {
+    column: "light_requirement",
+    filter: "light",
+    values: ["low", "medium", "bright-indirect", "full-sun"],
+  },
+  wateringFrequency: {
+    column: "watering_frequency",
+    filter: "watering",
+    values: ["sparse", "moderate", "frequent"],
+  },
+  humidity: { column: "humidity", filter: "humidity", values: ["low", "medium", "high"] },
+  toxicity: { column: "toxicity", filter: "toxicity", values: ["pet-safe", "mildly-toxic", "toxic"] },
+  origin: {
+    column: "origin",
+    filter: "origin",
+    values: ["africa", "asia", "australasia", "central-america", "europe", "north-america", "south-america"],
+  },
+  adultSize: { column: "adult_size", filter: "adultSize", values: ["compact", "medium", "large", "tree"] },
+};
+
+const careColumns = (key) =>
+  Object.fromEntries(Object.entries(CARE_ATTRIBUTES).map(([field, attribute]) => [key(field, attribute), attribute.column]));
+
+// Columns that may be changed through updateProduct (API field -> column)
+const UPDATABLE_COLUMNS = {
+  name: "name",
+  description: "description",
+  price: "price",
+  originalPrice: "original_price",
+  original_price: "original_price",
+  category: "category",
+  image: "image",
+  inStock: "instock",
+  instock: "instock",
+  badge: "badge",
+  size: "size",
+  rating: "rating",
+  ...careColumns((field) => field),
+};
+
+// Product columns that follow the variants: updateProduct only sets them on
+// a product with a single variant
+const VARIANT_LEVEL_COLUMNS = ["price", "original_price", "size"];
+
+// List filters matched case-insensitively; each accepts "a,b" for several values
+const LIST_FILTER_COLUMNS = {
+  category: "category",
+  size: "size",
+  ...careColumns((field, { filter }) => filter),
+};
+
+// Filter dimensions that get value counts in the facets of a product list
+const FACET_COLUMNS = LIST_FILTER_COLUMNS;
+
+// Price facet ranges in ₹ (min inclusive, max exclusive, null = no upper bound)
+const PRICE_BUCKETS = [
+  { min: 0, max: 25 },
+  { min: 25, max: 50 },
+  { min: 50, max: 100 },
+  { min: 100, max: 500 },
+  { min: 500, max: null },
+];
+
+// Columns that may be changed through updateVariant (API field -> column)
+const VARIANT_COLUMNS = {
+  sku: "sku",
+  size: "size",
+  potColour: "pot_colour",
+  price: "price",
+  originalPrice: "original_price",
+  stock: "stock",
+  sortOrder: "sort_order",
+  weightGrams: "weight_grams",
+};
+
+// Slugs of a category and all of its parents, as a subquery (for sales on
+// a parent category, e.g. "plants", covering its subcategories)
+const categoryAncestors = (column) => `(
+    WITH RECURSIVE up AS (
+      SELECT id, parent_id, slug FROM categories WHERE slug = LOWER(${column})
+      UNION ALL
+      SELECT c.id, c.parent_id, c.slug FROM categories c JOIN up ON c.id = up.parent_id
+    )
+    SELECT slug FROM up
+  )`;
+
+// Every product row carries its variants and gallery as JSON arrays, in
+// display order, its bundle components (empty unless it is a bundle), plus
+// the best sale running now on the product or its category (null when
+// there is none)
+const variantsColumn = (table = "products") => `COALESCE((
+    SELECT json_agg(v ORDER BY v.sort_order, v.price, v.id)
+    FROM product_variants v WHERE v.product_id = ${table}.id
+  ), '[]'::json) AS variants,
+  COALESCE((
+    SELECT json_agg(i ORDER BY i.position, i.id)
+    FROM product_images i WHERE i.product_id = ${table}.id
+  ), '[]'::json) AS images,
+  COALESCE((
+    SELECT json_agg(json_build_object(
+      'product_id', cv.product_id, 'variant_id', cv.id, 'name', cp.name, 'slug', cp.slug, 'image', cp.image,
+      'sku', cv.sku, 'size', cv.size, 'pot_colour', cv.pot_colour, 'price', cv.price, 'stock', cv.stock,
+      'quantity', bc.quantity, 'archived', cp.archived_at IS NOT NULL
+    ) ORDER BY bc.sort_order, bc.id)
+    FROM bundle_components bc
+    JOIN product_variants cv ON cv.id = bc.variant_id
+    JOIN products cp ON cp.id = cv.product_id
+    WHERE bc.bundle_id = ${table}.id
+  ), '[]'::json) AS bundle_components,
+  (
+    SELECT json_build_object('id', s.id, 'name', s.name, 'discount_percent', s.discount_percent, 'ends_at', s.ends_at)
+    FROM sales s
+    WHERE (s.product_id = ${table}.id OR s.category IN ${categoryAncestors(`${table}.category`)})
+      AND s.starts_at <= NOW() AND s.ends_at > NOW()
+    ORDER BY s.discount_percent DESC, s.id
+    LIMIT 1
+  ) AS sale`;
+
+// Products with effective_price: what mapProduct prices them at now (a
+// bundle's discounted component total, less the best running sale), so
+// lists filter, sort and bucket by the price shoppers see. Aliased back to
+// "products" for variantsColumn().
+const PRICED_PRODUCTS = `(
+    SELECT products.*, ROUND(COALESCE((
+      SELECT ROUND(SUM(cv.price * bc.quantity) * (100 - products.bundle_discount_percent)) / 100
+      FROM bundle_components bc
+      JOIN product_variants cv ON cv.id = bc.variant_id
+      WHERE bc.bundle_id = products.id AND products.bundle_discount_percent IS NOT NULL
+    ), products.price) * (100 - COALESCE((
+      SELECT MAX(s.discount_percent)
+      FROM sales s
+      WHERE (s.product_id = products.id OR s.category IN ${categoryAncestors("products.category")})
+        AND s.starts_at <= NOW() AND s.ends_at > NOW()
+    ), 0))) / 100 AS effective_price
+    FROM products
+  ) products`;
+
+const SORT_ORDER = {
+  "price-low": "effective_price ASC",
+  "price-high": "effective_price DESC",
+  rating: "rating DESC NULLS LAST",
+  name: "name ASC",
+  newest: "id DESC",
+};
+
+/* -------------------------------------------------------------------------- */
+/*                                   Helpers                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Convert a product_variants row (or its json_agg form) to camelCase.
+ * A null stock means the variant isn't stock-tracked and is sellable
+ * whenever the parent product is in stock.
+ * @param {Object} row
+ * @returns {Object|null} Variant object
+ */
+function mapVariant(row) {
+  if (!row) return null;
+  const stock = row.stock === null || row.stock === undefined ? null : parseInt(row.stock);
+  return {
+    id: row.id,
+    productId: row.product_id,
+    sku: row.sku,
+    size: row.size || null,
+    potColour: row.pot_colour || null,
+    label: [row.size, row.pot_colour].filter(Boolean).join(" / ") || row.sku,
+    price: parseFloat(row.price) || 0,
+    originalPrice: row.original_price ? parseFloat(row.original_price) : null,
+    stock,
+    inStock: stock === null || stock > 0,
+    sortOrder: row.sort_order || 0,
+    weightGrams: row.weight_grams || null,
+  };
+}
+
+/**
+ * Price after a percentage discount, rounded to the paisa.
+ * @param {number} price
+ * @param {number} discountPercent
+ * @returns {number}
+ */
+function salePrice(price, discountPercent) {
+  return Math.round(price * (100 - discountPercent)) / 100;
+}
+
+/**
+ * Apply a running sale to a mapped variant: price becomes the sale price,
+ * listPrice keeps the regular price and originalPrice (the struck-through
+ * price) is at least the regular price.
+ * @param {Object} variant - mapVariant() result
+ * @param {Object|null} sale - { discountPercent }
+ * @returns {Object} Variant with effective prices
+ */
+function applySale(variant, sale) {
+  if (!sale) return { ...variant, listPrice: variant.price };
+  return {
+    ...variant,
+    listPrice: variant.price,
+    price: salePrice(variant.price, sale.discountPercent),
+    originalPrice: Math.max(variant.originalPrice || 0, variant.price),
+  };
+}
+
+/**
+ * Bundle details from a product's bundle_components JSON. A bundle can be
+ * sold as many times as its scarcest tracked component allows (null =
+ * no component is stock-tracked); an archived component sells it out.
+ * Component prices are regular prices.
+ * @param {Array} rows - bundle_components JSON (see variantsColumn)
+ * @param {string|number|null} discountPercent - products.bundle_discount_percent
+ * @returns {Object|null} { discountPercent, componentTotal, available, components }, or null if not a bundle
+ */
+function mapBundle(rows, discountPercent) {
+  if (!rows || rows.length === 0) return null;
+  const components = rows.map((row) => ({
+    productId: row.product_id,
+    variantId: row.variant_id,
+    name: row.name,
+    url: row.slug ? `/products/${row.slug}` : null,
+    image: row.image || null,
+    sku: row.sku,
+    label: [row.size, row.pot_colour].filter(Boolean).join(" / ") || row.sku,
+    quantity: row.quantity,
+    price: parseFloat(row.price) || 0,
+    stock: row.stock === null || row.stock === undefined ? null : parseInt(row.stock),
+    archived: Boolean(row.archived),
+  }));
+  const tracked = components.filter((c) => c.stock !== null);
+  return {
+    discountPercent: discountPercent != null ? parseFloat(discountPercent) : null,
+    componentTotal: Math.round(components.reduce((sum, c) => sum + c.price * c.quantity, 0) * 100) / 100,
+    available: components.some((c) => c.archived)
+      ? 0
+      : tracked.length ? Math.min(...tracked.map((c) => Math.floor(c.stock / c.quantity))) : null,
+    components,
+  };
+}
+
+/**
+ * Price and stock of a bundle's variant: the components' total less the
+ * bundle discount (or the variant's own price without one), struck
+ * through against the components' total, with stock from the components.
+ * @param {Object} variant - mapVariant() result
+ * @param {Object} bundle - mapBundle() result
+ * @returns {Object} Variant
+ */
+function priceBundleVariant(variant, bundle) {
+  const price = bundle.discountPercent ? salePrice(bundle.componentTotal, bundle.discountPercent) : variant.price;
+  return {
+    ...variant,
+    price,
+    originalPrice: bundle.componentTotal > price ? bundle.componentTotal : variant.originalPrice,
+    stock: bundle.available,
+    inStock: bundle.available === null || bundle.available > 0,
+  };
+}
+
+/**
+ * Convert a product_images row to camelCase, with a ready-made srcset.
+ * @param {Object} row
+ * @returns {Object|null} Gallery image
+ */
+function mapImage(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    position: row.position,
+    alt: row.alt || "",
+    thumb: row.thumb_url,
+    card: row.card_url,
+    zoom: row.zoom_url,
+    srcset: `${row.thumb_url} 200w, ${row.card_url} 480w, ${row.zoom_url} 1200w`,
+  };
+}
+
+/**
+ * Convert a snake_case products row into the shape templates and the
+ * frontend expect. The original columns are kept for older templates.
+ * A product with variants is in stock when any variant is, and gets a
+ * priceRange spanning its variants. Prices are effective prices: during a
+ * sale they are discounted and listPrice holds the regular price. Bundles
+ * get their price and stock from their components (see mapBundle). Archived
+ * products are never in stock.
+ * @param {Object} row - Raw row from the products table
+ * @returns {Object|null} Product object
+ */
+function mapProduct(row) {
+  if (!row) return null;
+  const {
+    search_vector, // internal, never sent to clients
+    variants: variantRows,
+    images: imageRows,
+    sale: saleRow,
+    bundle_components: bundleRows,
+    bundle_discount_percent: bundleDiscount,
+    ...columns
+  } = row;
+  const sale = saleRow
+    ? { id: saleRow.id, name: saleRow.name, discountPercent: parseFloat(saleRow.discount_percent), endsAt: saleRow.ends_at }
+    : null;
+  const bundle = mapBundle(bundleRows, bundleDiscount);
+  const regular = (variantRows || []).map((v) => (bundle ? priceBundleVariant(mapVariant(v), bundle) : mapVariant(v)));
+  const variants = regular.map((v) => applySale(v, sale));
+  const prices = variants.map((v) => v.price);
+  const base = applySale(bundle && regular.length ? { price: regular[0].price, originalPrice: regular[0].originalPrice } : {
+    price: parseFloat(row.price) || 0,
+    originalPrice: row.original_price != null ? parseFloat(row.original_price) : null,
+  }, sale);
+  return {
+    ...columns,
+    variants,
+    images: (imageRows || []).map(mapImage),
+    priceRange: prices.length ? { min: Math.min(...prices), max: Math.max(...prices) } : null,
+    price: base.price,
+    listPrice: base.listPrice,
+    originalPrice: base.originalPrice,
+    sale,
+    discount: sale ? Math.round(sale.discountPercent) : 0,
+    isBundle: Boolean(bundle),
+    bundle: bundle && { ...bundle, savings: Math.max(Math.round((bundle.componentTotal - base.price) * 100) / 100, 0) },
+    rating: row.rating != null ? parseFloat(row.rating) : 0,
+    reviewCount: parseInt(row.review_count) || 0,
+    url: row.slug ? `/products/${row.slug}` : null,
+    inStock: !row.archived_at && row.instock !== false && (variants.length === 0 || variants.some((v) => v.inStock)),
+    archived: Boolean(row.archived_at),
+    archivedAt: row.archived_at || null,
+    ...Object.fromEntries(Object.entries(CARE_ATTRIBUTES).map(([field, { column }]) => [field, row[column] || null])),
+    petSafe: row.toxicity === "pet-safe",
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Split a filter value like "indoor,outdoor" into lowercase values,
+ * dropping "all" and blanks.
+ * @param {string|Array} value
+ * @returns {Array<string>}
+ */
+function toFilterList(value) {
+  if (value === undefined || value === null) return [];
+  return (Array.isArray(value) ? value : String(value).split(","))
+    .map((v) => String(v).trim().toLowerCase())
+    .filter((v) => v && v !== "all");
+}
+
+/**
+ * Expand category slugs with all of their subcategories, so filtering on
+ * a parent category finds the products filed under its children.
+ * @param {Array<{ id: number, slug: string, parentId: number|null }>} categories - getCategoryCounts()
+ * @param {Array<string>} slugs
+ * @returns {Array<string>} The given slugs followed by their descendants
+ */
+function withDescendants(categories, slugs) {
+  const result = [...slugs];
+  const ids = categories.filter((c) => slugs.includes(c.slug)).map((c) => c.id);
+  for (let i = 0; i < ids.length; i++) {
+    for (const child of categories.filter((c) => c.parentId === ids[i])) {
+      if (!result.includes(child.slug)) result.push(child.slug);
+      ids.push(child.id);
+    }
+  }
+  return result;
+}
+
+/**
+ * Build the WHERE clause shared by listing, counting and facet queries,
+ * which select FROM PRICED_PRODUCTS. Archived products are always left out
+ * and minPrice/maxPrice compare the effective (sale) price.
+ * @param {Object} filters - category, size, the care filters (care, light,
+ *   watering, humidity, toxicity, origin, adultSize), petSafe, minPrice,
+ *   maxPrice, inStock, search
+ * @param {Object} [options]
+ * @param {string} [options.exclude] - Filter to leave out (a LIST_FILTER_COLUMNS
+ *   name, "petSafe", "price" or "inStock"), so a facet can count its own values
+ * @returns {{ where: string, values: Array }}
+ */
+function buildFilterClause(filters = {}, { exclude } = {}) {
+  const { minPrice, maxPrice, inStock, petSafe, search } = filters;
+  const conditions = ["archived_at IS NULL"];
+  const values = [];
+
+  for (const [name, column] of Object.entries(LIST_FILTER_COLUMNS)) {
+    const list = toFilterList(filters[name]);
+    if (name === exclude || list.length === 0) continue;
+    values.push(list);
+    conditions.push(`LOWER(${column}) = ANY($${values.length})`);
+  }
+  if (exclude !== "price") {
+    if (minPrice !== undefined && minPrice !== null && minPrice !== "") {
+      values.push(parseFloat(minPrice));
+      conditions.push(`effective_price >= $${values.length}`);
+    }
+    if (maxPrice !== undefined && maxPrice !== null && maxPrice !== "") {
+      values.push(parseFloat(maxPrice));
+      conditions.push(`effective_price <= $${values.length}`);
+    }
+  }
+  if (exclude !== "inStock" && (inStock === true || inStock === "true")) {
+    conditions.push("instock IS NOT FALSE");
+  }
+  // Products with unknown toxicity are never listed as pet-safe
+  if (exclude !== "petSafe" && (petSafe === true || petSafe === "true")) {
+    conditions.push("toxicity = 'pet-safe'");
+  } else if (exclude !== "petSafe" && (petSafe === false || petSafe === "false")) {
+    conditions.push("toxicity IS DISTINCT FROM 'pet-safe'");
+  }
+  const tsQuery = search ? toTsQuery(search) : null;
+  if (tsQuery) {
+    values.push(tsQuery, String(search).trim());
+    conditions.push(
+      `(search_vector @@ to_tsquery('english', $${values.length - 1}) OR $${values.length} <% name)`
+    );
+  }
+
+  return {
+    where: `WHERE ${conditions.join(" AND ")}`,
+    values,
+  };
+}
+
+/**
+ * Facet counts for a product list. Each dimension is counted with every
+ * other active filter applied but not its own, so the numbers say how many
+ * products selecting that value would show.
+ * @param {Object} filters - Same filters as listProducts
+ * @returns {Promise<Object>} { category, size, care filters..., inStock, petSafe, price }
+ */
+async function getFacets(filters = {}) {
+  const valueFacets = Object.entries(FACET_COLUMNS).map(async ([name, column]) => {
+    const { where, values } = buildFilterClause(filters, { exclude: name });
+    const result = await pool.query(
+      `SELECT LOWER(${column}) AS value, COUNT(*)::int AS count
+       FROM ${PRICED_PRODUCTS} ${where}
+       GROUP BY LOWER(${column})
+       HAVING LOWER(${column}) IS NOT NULL
+       ORDER BY count DESC, value ASC`,
+      values
+    );
+    return [name, result.rows];
+  });
+
+  const stockFacet = (async () => {
+    const { where, values } = buildFilterClause(filters, { exclude: "inStock" });
+    const result = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE instock IS NOT FALSE)::int AS in_stock,
+              COUNT(*) FILTER (WHERE instock IS FALSE)::int AS out_of_stock
+       FROM ${PRICED_PRODUCTS} ${where}`,
+      values
+    );
+    const { in_stock, out_of_stock } = result.rows[0];
+    return ["inStock", [{ value: true, count: in_stock }, { value: false, count: out_of_stock }]];
+  })();
+
+  const petSafeFacet = (async () => {
+    const { where, values } = buildFilterClause(filters, { exclude: "petSafe" });
+    const result = await pool.query(
+      `SELECT COUNT(*) FILTER (WHERE toxicity = 'pet-safe')::int AS pet_safe,
+              COUNT(*) FILTER (WHERE toxicity IS DISTINCT FROM 'pet-safe')::int AS not_pet_safe
+       FROM ${PRICED_PRODUCTS} ${where}`,
+      values
+    );
+    const { pet_safe, not_pet_safe } = result.rows[0];
+    return ["petSafe", [{ value: true, count: pet_safe }, { value: false, count: not_pet_safe }]];
+  })();
+
+  const priceFacet = (async () => {
+    const { where, values } = buildFilterClause(filters, { exclude: "price" });
+    const columns = PRICE_BUCKETS.map(({ min, max }, i) =>
+      `COUNT(*) FILTER (WHERE effective_price >= ${min}${max === null ? "" : ` AND effective_price < ${max}`})::int AS b${i}`
+    );
+    const result = await pool.query(`SELECT ${columns.join(", ")} FROM ${PRICED_PRODUCTS} ${where}`, values);
+    return ["price", PRICE_BUCKETS.map((bucket, i) => ({ ...bucket, count: result.rows[0][`b${i}`] }))];
+  })();
+
+  return Object.fromEntries(await Promise.all([...valueFacets, stockFacet, petSafeFacet, priceFacet]));
+}
+
+/**
+ * Read-through cache helper. Redis is optional: when the client is not
+ * connected we go straight to PostgreSQL instead of waiting on it.
+ * @param {string} key - Redis key
+ * @param {number} ttl - Expiry in seconds
+ * @param {Function} loader - Async function producing the value
+ */
+async function cached(key, ttl, loader) {
+  if (redisClient.isReady) {
+    try {
+      const hit = await redisClient.get(key);
+      if (hit) {
+        console.log("⚡ Cache hit:", key);
+        return JSON.parse(hit);
+      }
+      console.log("🧭 Cache miss:", key);
+    } catch (err) {
+      console.error("Redis read error:", err.message);
+    }
+  }
+
+  const value = await loader();
+
+  if (redisClient.isReady) {
+    try {
+      await redisClient.setEx(key, ttl, JSON.stringify(value));
+    } catch (err) {
+      console.error("Redis write error:", err.message);
+    }
+  }
+  return value;
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                    Reads                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Filtered, sorted and paginated product list, with facet counts.
+ * The whole result (page + facets) is cached as one Redis entry.
+ * @param {Object} filters - See buildFilterClause, plus sort, page and limit
+ * @returns {Promise<{ products: Array, total: number, facets: Object }>}
+ */
+async function listProducts(filters = {}) {
+  const page = Math.max(parseInt(filters.page) || 1, 1);
+  const limit = Math.max(parseInt(filters.limit) || 12, 1);
+  const cacheKey = `${LIST_CACHE_PREFIX}list:${JSON.stringify({ ...filters, page, limit })}`;
+
+  return cached(cacheKey, LIST_CACHE_TTL, async () => {
+    const categories = toFilterList(filters.category);
+    if (categories.length) {
+      filters = { ...filters, category: withDescendants(await getCategoryCounts(), categories) };
+    }
+    const { where, values } = buildFilterClause(filters);
+    const orderBy = SORT_ORDER[String(filters.sort || "").toLowerCase()] || "id ASC";
+
+    const result = await pool.query(
+      `SELECT products.*, ${variantsColumn()} FROM ${PRICED_PRODUCTS} ${where} ORDER BY ${orderBy}
+       LIMIT $${values.length + 1} OFFSET $${values.length + 2}`,
+      [...values, limit, (page - 1) * limit]
+    );
+    const countResult = await pool.query(`SELECT COUNT(*) FROM ${PRICED_PRODUCTS} ${where}`, values);
+    const facets = await getFacets(filters);
+
+    return {
+      products: result.rows.map(mapProduct),
+      total: parseInt(countResult.rows[0].count),
+      facets,
+    };
+  });
+}
+
+/**
+ * Every product that isn't archived, ordered by ID.
+ * @returns {Promise<Array>}
+ */
+async function getAllProducts() {
+  return cached(`${LIST_CACHE_PREFIX}all`, LIST_CACHE_TTL, async () => {
+    const result = await pool.query(
+      `SELECT products.*, ${variantsColumn()} FROM products WHERE archived_at IS NULL ORDER BY id ASC`
+    );
+    return result.rows.map(mapProduct);
+  });
+}
+
+/**
+ * Products in a category or any of its subcategories (case-insensitive),
+ * archived ones left out.
+ * @param {string} category - Category slug
+ * @returns {Promise<Array>}
+ */
+async function getProductsByCategory(category) {
+  const slug = String(category).toLowerCase();
+  return cached(`${LIST_CACHE_PREFIX}category:${slug}`, LIST_CACHE_TTL, async () => {
+    const slugs = withDescendants(await getCategoryCounts(), [slug]);
+    const result = await pool.query(
+      `SELECT products.*, ${variantsColumn()} FROM products
+       WHERE LOWER(category) = ANY($1) AND archived_at IS NULL ORDER BY id ASC`,
+      [slugs]
+    );
+    return result.rows.map(mapProduct);
+  });
+}
+
+/**
+ * Single product by ID. Archived products are still found (past orders
+ * link to them) and come with archived: true.
+ * @param {number|string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getProductById(id) {
+  return cached(`${ITEM_CACHE_PREFIX}${id}`, ITEM_CACHE_TTL, async () => {
+    const result = await pool.query(
+      `SELECT products.*, ${variantsColumn()} FROM products WHERE id = $1`,
+      [id]
+    );
+    return mapProduct(result.rows[0]);
+  });
+}
+
+/**
+ * Single product by its current slug. Archived products have no page.
+ * @param {string} slug
+ * @returns {Promise<Object|null>}
+ */
+async function getProductBySlug(slug) {
+  const result = await pool.query("SELECT id FROM products WHERE slug = $1 AND archived_at IS NULL", [String(slug).toLowerCase()]);
+  return result.rows.length ? getProductById(result.rows[0].id) : null;
+}
+
+/**
+ * Current slug of the product that used to live at an old slug.
+ * @param {string} oldSlug
+ * @returns {Promise<string|null>}
+ */
+async function getSlugRedirect(oldSlug) {
+  const result = await pool.query(
+    `SELECT p.slug FROM product_slug_redirects r JOIN products p ON p.id = r.product_id
+     WHERE r.old_slug = $1 AND p.archived_at IS NULL`,
+    [String(oldSlug).toLowerCase()]
+  );
+  return result.rows.length ? result.rows[0].slug : null;
+}
+
+/**
+ * Several products by ID in one query (not cached - used for cart checks
+ * that must see current stock and prices).
+ * @param {Array<number>} ids
+ * @returns {Promise<Array>}
+ */
+async function getProductsByIds(ids) {
+  const numericIds = [...new Set(ids.map((id) => parseInt(id)).filter(Number.isInteger))];
+  if (numericIds.length === 0) return [];
+  const result = await pool.query(
+    `SELECT products.*, ${variantsColumn()} FROM products WHERE id = ANY($1::int[])`,
+    [numericIds]
+  );
+  return result.rows.map(mapProduct);
+}
+
+/**
+ * Turn free text into a to_tsquery() expression. Words are OR-ed so that
+ * "low light fern" still finds products matching only some of the words
+ * (ts_rank_cd ranks products matching more of them higher), and the last
+ * word is a prefix match so live suggestions work while the user types.
+ * @param {string} term - Raw search text
+ * @returns {string|null} tsquery source, or null if no usable words
+ */
+function toTsQuery(term) {
+  const words = String(term || "")
+    .toLowerCase()
+    .match(/[\p{L}\p{N}]+/gu);
+  if (!words) return null;
+  return words
+    .map((word, i) => (i === words.length - 1 ? `${word}:*` : word))
+    .join(" | ");
+}
+
+/**
+ * Escape a ts_headline() result for HTML while keeping its <mark> tags.
+ * @param {string} headline - Text containing <mark>...</mark> markers
+ * @returns {string} Safe HTML
+ */
+function highlightToHtml(headline) {
+  if (!headline) return "";
+  const escape = (text) =>
+    text.replace(/&/g, "&amp;").replace(/</g, "&lt;").replace(/>/g, "&gt;").replace(/"/g, "&quot;");
+  return headline
+    .split(/(<mark>|<\/mark>)/)
+    .map((part) => (part === "<mark>" || part === "</mark>" ? part : escape(part)))
+    .join("");
+}
+
+/**
+ * Full-text product search.
+ *
+ * Matches against the weighted search_vector column (name A, category B,
+ * description C) and falls back to pg_trgm similarity on the name, so
+ * typos like "snak plant" still find the Snake Plant. Results are ranked
+ * by text rank plus name similarity, with rating as the tie-breaker, and
+ * carry highlighted name/description snippets.
+ * @param {string} term
+ * @param {Object} options - { category (subcategories included), limit }
+ * @returns {Promise<{ results: Array, total: number }>}
+ */
+async function searchProducts(term, { category, limit = 10 } = {}) {
+  const tsQuery = toTsQuery(term);
+  if (!tsQuery) return { results: [], total: 0 };
+
+  const values = [tsQuery, String(term).trim(), parseInt(limit)];
+  let categoryClause = "";
+  if (category) {
+    values.push(withDescendants(await getCategoryCounts(), [String(category).toLowerCase()]));
+    categoryClause = `AND LOWER(p.category) = ANY($${values.length})`;
+  }
+
+  const result = await pool.query(
+    `WITH q AS (SELECT to_tsquery('english', $1) AS query, $2::text AS raw)
+     SELECT p.*,
+            ${variantsColumn("p")},
+            ts_rank_cd(p.search_vector, q.query) + word_similarity(q.raw, p.name) AS relevance,
+            ts_headline('english', p.name, q.query,
+                        'StartSel=<mark>, StopSel=</mark>, HighlightAll=true') AS name_highlight,
+            ts_headline('english', COALESCE(p.description, ''), q.query,
+                        'StartSel=<mark>, StopSel=</mark>, MaxWords=18, MinWords=6') AS snippet,
+            COUNT(*) OVER() AS total_found
+     FROM products p, q
+     WHERE (p.search_vector @@ q.query OR q.raw <% p.name) AND p.archived_at IS NULL ${categoryClause}
+     ORDER BY relevance DESC, p.rating DESC NULLS LAST
+     LIMIT $3`,
+    values
+  );
+
+  return {
+    results: result.rows.map(({ total_found, relevance, name_highlight, snippet, ...row }) => ({
+      ...mapProduct(row),
+      relevance: Math.round(parseFloat(relevance) * 1000) / 1000,
+      highlight: {
+        name: highlightToHtml(name_highlight),
+        snippet: highlightToHtml(snippet),
+      },
+    })),
+    total: result.rows.length ? parseInt(result.rows[0].total_found) : 0,
+  };
+}
+
+/**
+ * Convert a categories row to camelCase.
+ * @param {Object} row
+ * @returns {Object|null} Category
+ */
+function mapCategory(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    slug: row.slug,
+    name: row.name,
+    description: row.description || "",
+    image: row.image || null,
+    parentId: row.parent_id || null,
+    sortOrder: row.sort_order || 0,
+    gstRate: row.gst_rate === null || row.gst_rate === undefined ? null : parseFloat(row.gst_rate),
+  };
+}
+
+/**
+ * The category taxonomy in display order (each parent followed by its
+ * children, by sort order then name), with product counts. A category's
+ * counts include its subcategories' products; archived products don't count.
+ * @returns {Promise<Array<{ id, slug, name, description, image, parentId, sortOrder, depth, count, inStockCount }>>}
+ */
+async function getCategoryCounts() {
+  return cached(`${LIST_CACHE_PREFIX}category-counts`, LIST_CACHE_TTL, async () => {
+    const result = await pool.query(
+      `SELECT c.*, COUNT(p.id)::int AS count,
+              COUNT(p.id) FILTER (WHERE p.instock IS NOT FALSE)::int AS in_stock_count
+       FROM categories c
+       LEFT JOIN products p ON LOWER(p.category) = c.slug AND p.archived_at IS NULL
+       GROUP BY c.id
+       ORDER BY c.sort_order, c.name`
+    );
+    const rows = result.rows.map((row) => ({
+      ...mapCategory(row),
+      count: row.count,
+      inStockCount: row.in_stock_count,
+    }));
+
+    const ordered = [];
+    const visit = (parentId, depth) => {
+      for (const category of rows.filter((c) => c.parentId === parentId)) {
+        const start = ordered.length;
+        ordered.push({ ...category, depth });
+        visit(category.id, depth + 1);
+        for (const child of ordered.slice(start + 1).filter((c) => c.depth === depth + 1)) {
+          ordered[start].count += child.count;
+          ordered[start].inStockCount += child.inStockCount;
+        }
+      }
+    };
+    visit(null, 0);
+    return ordered;
+  });
+}
+
+/**
+ * Slug, category and last change of every product, for sitemap.xml.
+ * @returns {Promise<Array<{ slug: string, category: string, updatedAt: Date }>>}
+ */
+async function getSitemapEntries() {
+  const result = await pool.query(
+    `SELECT slug, category, COALESCE(updated_at, created_at) AS updated_at
+     FROM products WHERE slug IS NOT NULL AND archived_at IS NULL ORDER BY id`
+  );
+  return result.rows.map((row) => ({ slug: row.slug, category: row.category, updatedAt: row.updated_at }));
+}
+
+/**
+ * Cheap connectivity check for health endpoints.
+ */
+async function ping() {
+  await pool.query("SELECT 1");
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Writes                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Drop cached product lists (and one product, if given) after a write.
+ * With "*" every cached product is dropped too, for changes that affect
+ * many products at once such as a sale starting. Bundles containing the
+ * product are dropped with it, since their price and stock follow it.
+ * @param {number|string} [id]
+ */
+async function invalidateProductCache(id) {
+  if (!redisClient.isReady) return;
+  try {
+    const keys = await redisClient.keys(`${LIST_CACHE_PREFIX}*`);
+    if (id === "*") keys.push(...(await redisClient.keys(`${ITEM_CACHE_PREFIX}*`)));
+    else if (id !== undefined) {
+      keys.push(`${ITEM_CACHE_PREFIX}${id}`);
+      for (const bundleId of await getBundlesContaining(id)) keys.push(`${ITEM_CACHE_PREFIX}${bundleId}`);
+    }
+    if (keys.length > 0) await redisClient.del(keys);
+  } catch (err) {
+    console.error("Redis invalidation error:", err.message);
+  }
+}
+
+/**
+ * IDs of the bundles that include any variant of a product.
+ * @param {number|string} productId
+ * @returns {Promise<Array<number>>}
+ */
+async function getBundlesContaining(productId) {
+  const result = await pool.query(
+    `SELECT DISTINCT bc.bundle_id FROM bundle_components bc
+     JOIN product_variants v ON v.id = bc.variant_id
+     WHERE v.product_id = $1`,
+    [productId]
+  );
+  return result.rows.map((row) => row.bundle_id);
+}
+
+/**
+ * URL slug for a product name, e.g. "Bird's Nest Fern" -> "birds-nest-fern".
+ * @param {string} name
+ * @returns {string}
+ */
+function slugify(name) {
+  const slug = String(name || "")
+    .normalize("NFKD")
+    .replace(/[\u0300-\u036f]/g, "") // drop accents
+    .toLowerCase()
+    .replace(/['’]/g, "")
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "")
+    .slice(0, 80)
+    .replace(/-+$/, "");
+  return slug || "product";
+}
+
+/**
+ * Give a product the slug of its (new) name, made unique with a "-2",
+ * "-3"... suffix. The previous slug is kept as a redirect. Slugs still
+ * redirecting to other products are not reused. Keeps the current slug
+ * when it already belongs to the name (e.g. "fern-2" for "Fern").
+ * @param {Object} db - Pool or transaction client
+ * @param {number} productId
+ * @param {string} name
+ * @returns {Promise<string>} The product's slug
+ */
+async function assignSlug(db, productId, name) {
+  const base = slugify(name);
+  const current = await db.query("SELECT slug FROM products WHERE id = $1", [productId]);
+  const previous = current.rows.length ? current.rows[0].slug : null;
+  if (previous && (previous === base || new RegExp(`^${base}-\\d+$`).test(previous))) return previous;
+
+  const taken = await db.query(
+    `SELECT slug FROM products WHERE id <> $2 AND (slug = $1 OR slug LIKE $1 || '-%')
+     UNION
+     SELECT old_slug FROM product_slug_redirects WHERE product_id <> $2 AND (old_slug = $1 OR old_slug LIKE $1 || '-%')`,
+    [base, productId]
+  );
+  const used = new Set(taken.rows.map((row) => row.slug));
+  let slug = base;
+  for (let n = 2; used.has(slug); n++) slug = `${base}-${n}`;
+
+  if (previous) {
+    await db.query(
+      `INSERT INTO product_slug_redirects (old_slug, product_id) VALUES ($1, $2)
+       ON CONFLICT (old_slug) DO UPDATE SET product_id = EXCLUDED.product_id, created_at = NOW()`,
+      [previous, productId]
+    );
+  }
+  // Renaming back to an earlier name takes its slug back from the redirects
+  await db.query("DELETE FROM product_slug_redirects WHERE old_slug = $1", [slug]);
+  await db.query("UPDATE products SET slug = $2 WHERE id = $1", [productId, slug]);
+  return slug;
+}
+
+/**
+ * Default SKU for a variant created without one, e.g. "GL-0042-2".
+ * @param {number} productId
+ * @param {number} index - Position of the variant within the product
+ */
+function defaultSku(productId, index) {
+  const base = `GL-${String(productId).padStart(4, "0")}`;
+  return index === 0 ? base : `${base}-${index + 1}`;
+}
+
+/**
+ * Translate a unique-violation on product_variants.sku into a 409.
+ */
+function rethrowSkuConflict(err, sku) {
+  if (err.code === "23505") throw createError(`SKU ${sku} already exists`, 409);
+  throw err;
+}
+
+/**
+ * Insert one variant row using the given client (pool or transaction).
+ */
+async function insertVariant(db, productId, variant, index) {
+  const sku = variant.sku || defaultSku(productId, index);
+  try {
+    const result = await db.query(
+      `INSERT INTO product_variants
+         (product_id, sku, size, pot_colour, price, original_price, stock, sort_order, weight_grams)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       RETURNING *`,
+      [productId, sku, variant.size || null, variant.potColour || null, variant.price,
+       variant.originalPrice ?? null, variant.stock ?? null, variant.sortOrder ?? index, variant.weightGrams ?? null]
+    );
+    return result.rows[0];
+  } catch (err) {
+    return rethrowSkuConflict(err, sku);
+  }
+}
+
+/**
+ * Keep products.price/original_price on the cheapest variant, so list
+ * filters, sorting and "from ₹x" prices match what can be bought, and
+ * record any variant price change in the price history.
+ */
+async function syncPriceFromVariants(db, productId) {
+  await db.query(
+    `UPDATE products p
+     SET price = v.price, original_price = v.original_price, updated_at = NOW()
+     FROM (SELECT price, original_price FROM product_variants
+           WHERE product_id = $1 ORDER BY price ASC, id ASC LIMIT 1) v
+     WHERE p.id = $1`,
+    [productId]
+  );
+  await recordPriceHistory(db, productId);
+}
+
+/**
+ * Re-price discounted bundles that include a product, so their stored
+ * variant price (used by list filters, sorting and the price history)
+ * follows the components' prices. Reads price bundles themselves.
+ * @param {Object} db - Pool or transaction client
+ * @param {number|string} productId - Component product whose price changed
+ */
+async function syncBundlePrices(db, productId) {
+  const result = await db.query(
+    `UPDATE product_variants bv
+     SET price = ROUND(t.total * (100 - b.bundle_discount_percent) / 100, 2), updated_at = NOW()
+     FROM products b,
+          (SELECT bc.bundle_id, SUM(v.price * bc.quantity) AS total
+           FROM bundle_components bc JOIN product_variants v ON v.id = bc.variant_id
+           GROUP BY bc.bundle_id) t
+     WHERE bv.product_id = b.id AND t.bundle_id = b.id AND b.bundle_discount_percent IS NOT NULL
+       AND b.id IN (
+         SELECT bc.bundle_id FROM bundle_components bc
+         JOIN product_variants v ON v.id = bc.variant_id WHERE v.product_id = $1
+       )
+     RETURNING bv.product_id`,
+    [productId]
+  );
+  for (const bundleId of new Set(result.rows.map((row) => row.product_id))) {
+    await syncPriceFromVariants(db, bundleId);
+  }
+}
+
+/**
+ * Record variant price changes in price_history: the open row (ends_at
+ * NULL) of a variant whose price changed is closed and a new one opened.
+ * Called after every write that can change a variant's price.
+ * @param {Object} db - Pool or transaction client
+ * @param {number|string} productId
+ */
+async function recordPriceHistory(db, productId) {
+  await db.query(
+    `UPDATE price_history h SET ends_at = NOW()
+     FROM product_variants v
+     WHERE h.variant_id = v.id AND v.product_id = $1 AND h.ends_at IS NULL AND h.price <> v.price`,
+    [productId]
+  );
+  await db.query(
+    `INSERT INTO price_history (variant_id, product_id, price)
+     SELECT v.id, v.product_id, v.price FROM product_variants v
+     WHERE v.product_id = $1
+       AND NOT EXISTS (SELECT 1 FROM price_history h WHERE h.variant_id = v.id AND h.ends_at IS NULL)`,
+    [productId]
+  );
+}
+
+/**
+ * Flip products.instock to match their variants' on-hand stock: a product
+ * is in stock while any variant is untracked (stock NULL) or above zero.
+ * Bundles containing the products are synced too: a bundle is in stock
+ * while every component can cover its quantity.
+ * @param {Object} db - Pool or transaction client
+ * @param {Array<number>} productIds
+ * @returns {Promise<Array<{ id: number, instock: boolean }>>} Products whose flag changed
+ */
+async function syncStockFlags(db, productIds) {
+  const ids = [...new Set(productIds.map((id) => parseInt(id)).filter(Number.isInteger))];
+  if (ids.length === 0) return [];
+  const result = await db.query(
+    `UPDATE products p
+     SET instock = s.available, updated_at = NOW()
+     FROM (
+       SELECT p2.id,
+         CASE WHEN EXISTS (SELECT 1 FROM bundle_components bc WHERE bc.bundle_id = p2.id)
+           THEN NOT EXISTS (
+             SELECT 1 FROM bundle_components bc
+             JOIN product_variants v ON v.id = bc.variant_id
+             JOIN products cp ON cp.id = v.product_id
+             WHERE bc.bundle_id = p2.id
+               AND ((v.stock IS NOT NULL AND v.stock < bc.quantity) OR cp.archived_at IS NOT NULL)
+           )
+           ELSE EXISTS (
+             SELECT 1 FROM product_variants v
+             WHERE v.product_id = p2.id AND (v.stock IS NULL OR v.stock > 0)
+           )
+         END AS available
+       FROM products p2
+       WHERE p2.id = ANY($1::int[])
+          OR p2.id IN (
+            SELECT bc.bundle_id FROM bundle_components bc
+            JOIN product_variants v ON v.id = bc.variant_id
+            WHERE v.product_id = ANY($1::int[])
+          )
+     ) s
+     WHERE p.id = s.id AND p.instock IS DISTINCT FROM s.available
+     RETURNING p.id, p.instock`,
+    [ids]
+  );
+  return result.rows;
+}
+
+/**
+ * Insert a product with its variants in one transaction. Without a
+ * variants array a single default variant is created from the product's
+ * own size/price (and optional sku/stock).
+ * @param {Object} data - Product fields (camelCase), optionally variants[]
+ * @returns {Promise<Object>} Created product
+ */
+async function createProduct(data) {
+  const {
+    name, category, price, originalPrice, badge, description, inStock,
+    image, size, rating, sku, stock,
+  } = data;
+  const variants = Array.isArray(data.variants) && data.variants.length
+    ? data.variants
+    : [{ sku, size, price, originalPrice, stock }];
+
+  const client = await pool.connect();
+  let productId;
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      `INSERT INTO products
+         (name, category, price, original_price, badge, description, instock, image, size, rating,
+          care, light_requirement, watering_frequency, humidity, toxicity, origin, adult_size)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13,$14,$15,$16,$17)
+       RETURNING id`,
+      [name, category, price, originalPrice ?? null, badge || null, description,
+       inStock ?? true, image || null, size || null, rating ?? null,
+       ...Object.keys(CARE_ATTRIBUTES).map((field) => data[field] || null)]
+    );
+    productId = result.rows[0].id;
+    await assignSlug(client, productId, name);
+
+    for (const [index, variant] of variants.entries()) {
+      await insertVariant(client, productId, variant, index);
+    }
+    await syncPriceFromVariants(client, productId);
+    if (variants.some((v) => v.stock !== undefined && v.stock !== null)) {
+      await syncStockFlags(client, [productId]);
+    }
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await invalidateProductCache();
+  const created = await pool.query(
+    `SELECT products.*, ${variantsColumn()} FROM products WHERE id = $1`,
+    [productId]
+  );
+  return mapProduct(created.rows[0]);
+}
+
+/**
+ * Update whitelisted product fields. A product with a single variant keeps
+ * that variant's size and prices in step with the product row; one with
+ * several takes those per variant (see updateVariant). A renamed product
+ * gets a new slug. All writes, including price history and bundle prices,
+ * run in one transaction.
+ * @param {number|string} id
+ * @param {Object} changes - Field/value pairs (camelCase or column names)
+ * @returns {Promise<Object|null>} Updated product, or null if not found
+ * @throws 400 for price, originalPrice or size on a product with several variants
+ */
+async function updateProduct(id, changes) {
+  const sets = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(changes)) {
+    const column = UPDATABLE_COLUMNS[key];
+    if (!column || sets.some((s) => s.startsWith(`${column}=`))) continue;
+    values.push(value);
+    sets.push(`${column}=$${values.length}`);
+  }
+  if (sets.length === 0) throw createError("No updatable fields provided", 400);
+
+  values.push(id);
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    if (sets.some((s) => VARIANT_LEVEL_COLUMNS.some((column) => s.startsWith(`${column}=`)))) {
+      const count = await client.query("SELECT COUNT(*)::int AS count FROM product_variants WHERE product_id = $1", [id]);
+      if (count.rows[0].count > 1) {
+        throw createError("This product has several variants; set price, originalPrice and size on each variant", 400);
+      }
+    }
+
+    const result = await client.query(
+      `UPDATE products SET ${sets.join(", ")}, updated_at = NOW()
+       WHERE id = $${values.length} RETURNING id`,
+      values
+    );
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return null;
+    }
+
+    if (changes.name) await assignSlug(client, parseInt(id), changes.name);
+    await client.query(
+      `UPDATE product_variants v
+       SET size = p.size, price = p.price, original_price = p.original_price, updated_at = NOW()
+       FROM products p
+       WHERE p.id = $1 AND v.product_id = p.id
+         AND (SELECT COUNT(*) FROM product_variants WHERE product_id = $1) = 1`,
+      [id]
+    );
+    await recordPriceHistory(client, id);
+    await syncBundlePrices(client, id);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  await invalidateProductCache(id);
+  return getProductById(id);
+}
+
+/**
+ * Archive a product: it disappears from listings, search and its page, but
+ * stays resolvable by ID for past orders and carts, and can be restored.
+ * Archiving an archived product keeps its original archived_at.
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} Archived product, or null if not found
+ */
+async function archiveProduct(id) {
+  const result = await pool.query(
+    `UPDATE products SET archived_at = COALESCE(archived_at, NOW()), updated_at = NOW()
+     WHERE id = $1 RETURNING id`,
+    [id]
+  );
+  if (result.rows.length === 0) return null;
+  await invalidateProductCache(id);
+  return getProductById(id);
+}
+
+/**
+ * Bring an archived product back into the catalog.
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} Restored product, or null if not found
+ */
+async function restoreProduct(id) {
+  const result = await pool.query(
+    "UPDATE products SET archived_at = NULL, updated_at = NOW() WHERE id = $1 RETURNING id",
+    [id]
+  );
+  if (result.rows.length === 0) return null;
+  await invalidateProductCache(id);
+  return getProductById(id);
+}
+
+/**
+ * Archived products, most recently archived first.
+ * @returns {Promise<Array>}
+ */
+async function getArchivedProducts() {
+  const result = await pool.query(
+    `SELECT products.*, ${variantsColumn()} FROM products
+     WHERE archived_at IS NOT NULL ORDER BY archived_at DESC, id DESC`
+  );
+  return result.rows.map(mapProduct);
+}
+
+/**
+ * Number of orders whose lines (or bundle lines' components) reference a product.
+ * @param {number|string} id
+ * @returns {Promise<number>}
+ */
+async function countOrdersWithProduct(id) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM orders o
+     WHERE EXISTS (
+       SELECT 1 FROM jsonb_array_elements(o.items) AS item
+       WHERE COALESCE(item->>'productId', item->>'id') = $1::text
+          OR EXISTS (
+            SELECT 1 FROM jsonb_array_elements(COALESCE(item->'components', '[]'::jsonb)) AS component
+            WHERE component->>'productId' = $1::text
+          )
+     )`,
+    [String(id)]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Permanently delete a product with its variants, gallery rows and
+ * reviews, and take it out of any cart. Refused while any order
+ * references it - archive it instead - or while a bundle includes it.
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} Deleted product, or null if not found
+ * @throws 409 if an order or a bundle references the product
+ */
+async function purgeProduct(id) {
+  const orders = await countOrdersWithProduct(id);
+  if (orders > 0) {
+    throw createError(`Product ${id} appears in ${orders} order${orders === 1 ? "" : "s"} and can only be archived`, 409);
+  }
+  const bundles = await getBundlesContaining(id);
+  if (bundles.length > 0) {
+    throw createError(`Product ${id} is part of bundle${bundles.length === 1 ? "" : "s"} ${bundles.join(", ")}; remove it from them first`, 409);
+  }
+  const client = await pool.connect();
+  let result;
+  try {
+    await client.query("BEGIN");
+    // cart_items restricts the delete; carts holding the product lose that line
+    await client.query("DELETE FROM cart_items WHERE product_id = $1", [id]);
+    result = await client.query("DELETE FROM products WHERE id = $1 RETURNING *", [id]);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    if (err.code === "23503") throw createError(`Product ${id} is still referenced; try again`, 409);
+    throw err;
+  } finally {
+    client.release();
+  }
+  await invalidateProductCache(id);
+  return mapProduct(result.rows[0]);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                  Variants                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Variants of one product, in display order.
+ * @param {number|string} productId
+ * @returns {Promise<Array>}
+ */
+async function getVariants(productId) {
+  const result = await pool.query(
+    `SELECT * FROM product_variants WHERE product_id = $1
+     ORDER BY sort_order, price, id`,
+    [productId]
+  );
+  return result.rows.map(mapVariant);
+}
+
+/**
+ * Add a variant to an existing product.
+ * @param {number|string} productId
+ * @param {Object} data - sku, size, potColour, price, originalPrice, stock, sortOrder, weightGrams
+ * @returns {Promise<Object|null>} Created variant, or null if the product doesn't exist
+ */
+async function createVariant(productId, data) {
+  const product = await pool.query(
+    "SELECT (SELECT COUNT(*) FROM product_variants WHERE product_id = $1)::int AS count FROM products WHERE id = $1",
+    [productId]
+  );
+  if (product.rows.length === 0) return null;
+
+  const row = await insertVariant(pool, parseInt(productId), data, product.rows[0].count);
+  await syncPriceFromVariants(pool, productId);
+  await syncStockFlags(pool, [productId]);
+  await invalidateProductCache(productId);
+  return mapVariant(row);
+}
+
+/**
+ * Update whitelisted fields of a product's variant.
+ * @param {number|string} productId
+ * @param {number|string} variantId
+ * @param {Object} changes - camelCase field/value pairs
+ * @returns {Promise<Object|null>} Updated variant, or null if not found
+ */
+async function updateVariant(productId, variantId, changes) {
+  const sets = [];
+  const values = [];
+
+  for (const [key, value] of Object.entries(changes)) {
+    const column = VARIANT_COLUMNS[key];
+    if (!column) continue;
+    values.push(value);
+    sets.push(`${column}=$${values.length}`);
+  }
+  if (sets.length === 0) throw createError("No updatable fields provided", 400);
+
+  values.push(variantId, productId);
+  let result;
+  try {
+    result = await pool.query(
+      `UPDATE product_variants SET ${sets.join(", ")}, updated_at = NOW()
+       WHERE id = $${values.length - 1} AND product_id = $${values.length} RETURNING *`,
+      values
+    );
+  } catch (err) {
+    rethrowSkuConflict(err, changes.sku);
+  }
+  if (result.rows.length === 0) return null;
+
+  await syncPriceFromVariants(pool, productId);
+  await syncBundlePrices(pool, productId);
+  if ("stock" in changes) await syncStockFlags(pool, [productId]);
+  await invalidateProductCache(productId);
+  return mapVariant(result.rows[0]);
+}
+
+/**
+ * Remove a variant. The last variant of a product can't be removed, nor
+ * can a variant that is part of a bundle.
+ * @param {number|string} productId
+ * @param {number|string} variantId
+ * @returns {Promise<Object|null>} Deleted variant, or null if not found
+ */
+async function deleteVariant(productId, variantId) {
+  const remaining = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM product_variants WHERE product_id = $1",
+    [productId]
+  );
+  if (remaining.rows[0].count <= 1) {
+    throw createError("A product must keep at least one variant", 400);
+  }
+
+  let result;
+  try {
+    result = await pool.query(
+      "DELETE FROM product_variants WHERE id = $1 AND product_id = $2 RETURNING *",
+      [variantId, productId]
+    );
+  } catch (err) {
+    if (err.code === "23503") throw createError("This variant is part of a bundle; remove it from the bundle first", 409);
+    throw err;
+  }
+  if (result.rows.length === 0) return null;
+
+  await syncPriceFromVariants(pool, productId);
+  await syncStockFlags(pool, [productId]);
+  await invalidateProductCache(productId);
+  return mapVariant(result.rows[0]);
+}
+
+/* -------------------------------------------------------------------------- */
+/*                                   Gallery                                  */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Point products.image at the first gallery image's card rendition, so
+ * templates and carts that only know the single image column stay right.
+ */
+async function syncPrimaryImage(db, productId) {
+  await db.query(
+    `UPDATE products SET image = i.card_url, updated_at = NOW()
+     FROM (SELECT card_url FROM product_images WHERE product_id = $1
+           ORDER BY position, id LIMIT 1) i
+     WHERE products.id = $1`,
+    [productId]
+  );
+}
+
+/**
+ * Append rendition sets to a product's gallery.
+ * @param {number|string} productId
+ * @param {Array<Object>} images - [{ thumb, card, zoom, width, height, alt }]
+ * @returns {Promise<Array>} The product's full gallery
+ */
+async function addProductImages(productId, images) {
+  for (const image of images) {
+    await pool.query(
+      `INSERT INTO product_images (product_id, position, alt, thumb_url, card_url, zoom_url, width, height)
+       VALUES ($1, (SELECT COALESCE(MAX(position) + 1, 0) FROM product_images WHERE product_id = $1),
+               $2, $3, $4, $5, $6, $7)`,
+      [productId, image.alt || null, image.thumb, image.card, image.zoom, image.width || null, image.height || null]
+    );
+  }
+  await syncPrimaryImage(pool, productId);
+  await invalidateProductCache(productId);
+  return getProductImages(productId);
+}
+
+/**
+ * A product's gallery, in display order.
+ * @param {number|string} productId
+ * @returns {Promise<Array>}
+ */
+async function getProductImages(productId) {
+  const result = await pool.query(
+    "SELECT * FROM product_images WHERE product_id = $1 ORDER BY position, id",
+    [productId]
+  );
+  return result.rows.map(mapImage);
+}
+
+/**
+ * Reorder a gallery. Images not listed keep their relative order after
+ * the listed ones.
+ * @param {number|string} productId
+ * @param {Array<number>} imageIds - New order, first = primary image
+ * @returns {Promise<Array>} The reordered gallery
+ */
+async function reorderProductImages(productId, imageIds) {
+  const current = await getProductImages(productId);
+  const listed = imageIds.map((id) => parseInt(id));
+  const unknown = listed.filter((id) => !current.some((image) => image.id === id));
+  if (unknown.length > 0) throw createError(`Images not in this gallery: ${unknown.join(", ")}`, 400);
+
+  const ordered = [
+    ...listed,
+    ...current.map((image) => image.id).filter((id) => !listed.includes(id)),
+  ];
+  await pool.query(
+    `UPDATE product_images SET position = o.position - 1
+     FROM unnest($2::int[]) WITH ORDINALITY AS o(id, position)
+     WHERE product_images.id = o.id AND product_images.product_id = $1`,
+    [productId, ordered]
+  );
+  await syncPrimaryImage(pool, productId);
+  await invalidateProductCache(productId);
+  return getProductImages(productId);
+}
+
+/**
+ * Remove one gallery image row (the caller deletes its files).
+ * @param {number|string} productId
+ * @param {number|string} imageId
+ * @returns {Promise<Object|null>} Removed image, or null if not found
+ */
+async function deleteProductImage(productId, imageId) {
+  const result = await pool.query(
+    "DELETE FROM product_images WHERE id = $1 AND product_id = $2 RETURNING *",
+    [imageId, productId]
+  );
+  if (result.rows.length === 0) return null;
+  await syncPrimaryImage(pool, productId);
+  await invalidateProductCache(productId);
+  return mapImage(result.rows[0]);
+}
+
+module.exports = {
+  CARE_ATTRIBUTES,
+  PRICE_BUCKETS,
+  mapProduct,
+  mapVariant,
+  mapImage,
+  mapBundle,
+  priceBundleVariant,
+  salePrice,
+  applySale,
+  buildFilterClause,
+  toFilterList,
+  withDescendants,
+  categoryAncestors,
+  mapCategory,
+  toTsQuery,
+  highlightToHtml,
+  listProducts,
+  getFacets,
+  getAllProducts,
+  getProductsByCategory,
+  getProductById,
+  getProductBySlug,
+  getSlugRedirect,
+  getProductsByIds,
+  searchProducts,
+  getCategoryCounts,
+  getSitemapEntries,
+  ping,
+  invalidateProductCache,
+  slugify,
+  assignSlug,
+  createProduct,
+  updateProduct,
+  archiveProduct,
+  restoreProduct,
+  getArchivedProducts,
+  countOrdersWithProduct,
+  getBundlesContaining,
+  purgeProduct,
+  syncStockFlags,
+  syncPriceFromVariants,
+  syncBundlePrices,
+  recordPriceHistory,
+  insertVariant,
+  getVariants,
+  createVariant,
+  updateVariant,
+  deleteVariant,
+  addProductImages,
+  getProductImages,
+  reorderProductImages,
+  deleteProductImage,
+};
@@ -0,0 +1,159 @@
+// backend/db/recommendationRepository.js
+/**
+ * Recommendation repository - "frequently bought together" and "customers
+ * also bought" lists mined from order history.
+ *
+ * rebuildRecommendations() expands orders.items into product pairs and
+ * stores two scores per pair in product_recommendations:
+ *   together    - number of orders containing both products
+ *   also_bought - number of customers who bought both (in any orders)
+ * It runs periodically; reads only touch the precomputed table. Products
+ * without enough history are topped up with same-category top-rated items.
+ */
+
+const pool = require("./pool");
+const { getProductsByIds } = require("./productRepository");
+
+const REBUILD_HOURS = parseFloat(process.env.RECOMMENDATION_REBUILD_HOURS) || 6;
+const FIRST_REBUILD_DELAY_MS = 60 * 1000; // let the server finish starting first
+
+// One row per (order, product); unpaid and cancelled orders and unparseable lines are skipped
+const ORDER_LINES = `
+  SELECT DISTINCT o.id AS order_id, o.user_email,
+         (COALESCE(item->>'productId', item->>'id'))::int AS product_id
+  FROM orders o, jsonb_array_elements(o.items) AS item
+  WHERE COALESCE(o.status, 'placed') NOT IN ('pending', 'cancelled')
+    AND COALESCE(item->>'productId', item->>'id') ~ '^[0-9]+$'`;
+
+/**
+ * Recompute all product pairs from order history in one transaction.
+ * @returns {Promise<{ together: number, alsoBought: number }>} Pairs stored per list
+ */
+async function rebuildRecommendations() {
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+    await client.query("DELETE FROM product_recommendations");
+
+    const together = await client.query(
+      `WITH lines AS (${ORDER_LINES})
+       INSERT INTO product_recommendations (product_id, related_id, kind, score)
+       SELECT a.product_id, b.product_id, 'together', COUNT(*)
+       FROM lines a
+       JOIN lines b ON b.order_id = a.order_id AND b.product_id <> a.product_id
+       WHERE EXISTS (SELECT 1 FROM products WHERE id = a.product_id)
+         AND EXISTS (SELECT 1 FROM products WHERE id = b.product_id)
+       GROUP BY a.product_id, b.product_id`
+    );
+    const alsoBought = await client.query(
+      `WITH lines AS (${ORDER_LINES})
+       INSERT INTO product_recommendations (product_id, related_id, kind, score)
+       SELECT a.product_id, b.product_id, 'also_bought', COUNT(DISTINCT a.user_email)
+       FROM lines a
+       JOIN lines b ON b.user_email = a.user_email AND b.product_id <> a.product_id
+       WHERE EXISTS (SELECT 1 FROM products WHERE id = a.product_id)
+         AND EXISTS (SELECT 1 FROM products WHERE id = b.product_id)
+       GROUP BY a.product_id, b.product_id`
+    );
+
+    await client.query("COMMIT");
+    return { together: together.rowCount, alsoBought: alsoBought.rowCount };
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Top-rated in-stock products from the given categories.
+ * @param {Array<string>} categories
+ * @param {Array<number>} excludeIds - Products already shown or in the cart
+ * @param {number} limit
+ * @returns {Promise<Array<number>>} Product IDs
+ */
+async function topRatedInCategories(categories, excludeIds, limit) {
+  if (categories.length === 0 || limit <= 0) return [];
+  const result = await pool.query(
+    `SELECT id FROM products
+     WHERE category = ANY($1) AND id <> ALL($2::int[]) AND instock IS NOT FALSE AND archived_at IS NULL
+     ORDER BY rating DESC NULLS LAST, review_count DESC, id
+     LIMIT $3`,
+    [categories, excludeIds, limit]
+  );
+  return result.rows.map((row) => row.id);
+}
+
+/**
+ * Recommendations for one product or a whole cart. Scores of several
+ * source products are added up; source products are never recommended.
+ * Lists are padded with same-category top-rated products.
+ * @param {Array<number|string>} productIds - Product page or cart contents
+ * @param {Object} [options]
+ * @param {number} [options.limit=4] - Products per list
+ * @returns {Promise<{ frequentlyBoughtTogether: Array, customersAlsoBought: Array }>}
+ */
+async function getRecommendations(productIds, { limit = 4 } = {}) {
+  const ids = [...new Set(productIds.map((id) => parseInt(id)).filter(Number.isInteger))];
+  if (ids.length === 0) return { frequentlyBoughtTogether: [], customersAlsoBought: [] };
+
+  const [pairs, sources] = await Promise.all([
+    pool.query(
+      `SELECT r.kind, r.related_id, SUM(r.score)::int AS score
+       FROM product_recommendations r
+       JOIN products p ON p.id = r.related_id AND p.instock IS NOT FALSE AND p.archived_at IS NULL
+       WHERE r.product_id = ANY($1::int[]) AND r.related_id <> ALL($1::int[])
+       GROUP BY r.kind, r.related_id
+       ORDER BY score DESC, r.related_id`,
+      [ids]
+    ),
+    pool.query("SELECT DISTINCT category FROM products WHERE id = ANY($1::int[])", [ids]),
+  ]);
+
+  const ranked = (kind) => pairs.rows.filter((row) => row.kind === kind).map((row) => row.related_id);
+  const together = ranked("together").slice(0, limit);
+  // "Also bought" shouldn't repeat what's already suggested as bought together
+  const alsoBought = ranked("also_bought").filter((id) => !together.includes(id)).slice(0, limit);
+
+  const categories = sources.rows.map((row) => row.category);
+  const fill = async (list, exclude) => [
+    ...list,
+    ...(await topRatedInCategories(categories, [...ids, ...exclude, ...list], limit - list.length)),
+  ];
+  const togetherIds = await fill(together, alsoBought);
+  const alsoBoughtIds = await fill(alsoBought, togetherIds);
+
+  const products = await getProductsByIds([...togetherIds, ...alsoBoughtIds]);
+  const byId = new Map(products.map((product) => [product.id, product]));
+  const pick = (list) => list.map((id) => byId.get(id)).filter(Boolean);
+  return {
+    frequentlyBoughtTogether: pick(togetherIds),
+    customersAlsoBought: pick(alsoBoughtIds),
+  };
+}
+
+/**
+ * Rebuild shortly after start-up, then every REBUILD_HOURS.
+ * @returns {NodeJS.Timeout}
+ */
+function startRecommendationRebuilder() {
+  const rebuild = () => {
+    rebuildRecommendations()
+      .then(({ together, alsoBought }) =>
+        console.log(`🔗 Recommendations rebuilt (${together} bought-together pairs, ${alsoBought} also-bought pairs)`)
+      )
+      .catch((err) => console.error("Recommendation rebuild failed:", err.message));
+  };
+  setTimeout(rebuild, FIRST_REBUILD_DELAY_MS).unref();
+  const timer = setInterval(rebuild, REBUILD_HOURS * 60 * 60 * 1000);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  REBUILD_HOURS,
+  rebuildRecommendations,
+  getRecommendations,
+  startRecommendationRebuilder,
+};
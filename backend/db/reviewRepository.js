@@ -0,0 +1,260 @@
+// backend/db/reviewRepository.js
+/**
+ * Review repository - customer reviews, moderation and helpful votes.
+ *
+ * Customers who ordered a product can review it once. Reviews start as
+ * "pending" and only approved reviews are shown or counted: products.rating
+ * and products.review_count are recalculated from them whenever a review
+ * is approved, rejected or removed.
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const { invalidateProductCache } = require("./productRepository");
+
+const REVIEW_STATUSES = ["pending", "approved", "rejected"];
+
+const REVIEW_SORTS = {
+  helpful: "helpful_count DESC, created_at DESC",
+  newest: "created_at DESC",
+  highest: "rating DESC, created_at DESC",
+  lowest: "rating ASC, created_at DESC",
+};
+
+// Order lines store productId (older orders: id)
+const ORDER_HAS_PRODUCT = `EXISTS (
+    SELECT 1 FROM jsonb_array_elements(o.items) AS item
+    WHERE COALESCE(item->>'productId', item->>'id') = $2::text
+  )`;
+
+/**
+ * Convert a reviews row to camelCase. The reviewer's email is never exposed.
+ * @param {Object} row
+ * @returns {Object|null} Review
+ */
+function mapReview(row) {
+  if (!row) return null;
+  return {
+    id: row.id,
+    productId: row.product_id,
+    rating: row.rating,
+    title: row.title || "",
+    body: row.body || "",
+    photos: row.photos || [],
+    author: row.user_name || "Customer",
+    status: row.status,
+    verifiedPurchase: row.verified_purchase === true,
+    helpfulCount: row.helpful_count || 0,
+    createdAt: row.created_at,
+    updatedAt: row.updated_at,
+  };
+}
+
+/**
+ * Whether a customer has ordered a product.
+ * @param {string} email - Session user's email
+ * @param {number|string} productId
+ * @returns {Promise<{ ordered: boolean, verified: boolean }>} verified = an order that wasn't cancelled
+ */
+async function getPurchaseStatus(email, productId) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS ordered,
+            COUNT(*) FILTER (WHERE COALESCE(o.status, 'placed') <> 'cancelled')::int AS kept
+     FROM orders o
+     WHERE o.user_email = $1 AND COALESCE(o.status, 'placed') <> 'pending' AND ${ORDER_HAS_PRODUCT}`,
+    [email, productId]
+  );
+  const { ordered, kept } = result.rows[0];
+  return { ordered: ordered > 0, verified: kept > 0 };
+}
+
+/**
+ * Approved reviews of a product plus its rating summary.
+ * @param {number|string} productId
+ * @param {Object} [options] - sort (helpful|newest|highest|lowest), page, limit
+ * @returns {Promise<{ reviews: Array, total: number, summary: Object }>}
+ */
+async function getProductReviews(productId, { sort = "helpful", page = 1, limit = 10 } = {}) {
+  const orderBy = REVIEW_SORTS[sort] || REVIEW_SORTS.helpful;
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+
+  const [list, summary] = await Promise.all([
+    pool.query(
+      `SELECT * FROM reviews WHERE product_id = $1 AND status = 'approved'
+       ORDER BY ${orderBy} LIMIT $2 OFFSET $3`,
+      [productId, parseInt(limit), offset]
+    ),
+    pool.query(
+      `SELECT rating, COUNT(*)::int AS count FROM reviews
+       WHERE product_id = $1 AND status = 'approved' GROUP BY rating`,
+      [productId]
+    ),
+  ]);
+
+  const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+  summary.rows.forEach((row) => { distribution[row.rating] = row.count; });
+  const total = Object.values(distribution).reduce((sum, count) => sum + count, 0);
+  const average = total
+    ? Math.round((Object.entries(distribution).reduce((sum, [stars, count]) => sum + stars * count, 0) / total) * 100) / 100
+    : null;
+
+  return { reviews: list.rows.map(mapReview), total, summary: { average, count: total, distribution } };
+}
+
+/**
+ * Store a customer's review (pending moderation).
+ * @param {number|string} productId
+ * @param {Object} user - Session user { id, name, email }
+ * @param {Object} data - rating, title, body, photos[]
+ * @returns {Promise<Object>} Created review
+ * @throws 403 if the customer never ordered the product, 409 if they already reviewed it
+ */
+async function createReview(productId, user, data) {
+  const purchase = await getPurchaseStatus(user.email, productId);
+  if (!purchase.ordered) throw createError("Only customers who ordered this product can review it", 403);
+
+  try {
+    const result = await pool.query(
+      `INSERT INTO reviews
+         (product_id, user_id, user_name, user_email, rating, title, body, photos, verified_purchase)
+       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9)
+       RETURNING *`,
+      [productId, String(user.id), user.name || null, user.email, parseInt(data.rating),
+       data.title || null, data.body || null, JSON.stringify(data.photos || []), purchase.verified]
+    );
+    return mapReview(result.rows[0]);
+  } catch (err) {
+    if (err.code === "23505") throw createError("You have already reviewed this product", 409);
+    throw err;
+  }
+}
+
+/**
+ * Recalculate a product's rating and review count from its approved reviews.
+ * @param {Object} db - Pool or transaction client
+ * @param {number|string} productId
+ */
+async function recalculateProductRating(db, productId) {
+  await db.query(
+    `UPDATE products p
+     SET rating = s.average, review_count = s.count, updated_at = NOW()
+     FROM (
+       SELECT ROUND(AVG(rating)::numeric, 2) AS average, COUNT(*)::int AS count
+       FROM reviews WHERE product_id = $1 AND status = 'approved'
+     ) s
+     WHERE p.id = $1`,
+    [productId]
+  );
+}
+
+/**
+ * Reviews for the moderation queue, oldest first.
+ * @param {Object} [options] - status (default "pending"), page, limit
+ * @returns {Promise<{ reviews: Array, total: number }>} Reviews include the reviewer's email
+ */
+async function listReviewsForModeration({ status = "pending", page = 1, limit = 20 } = {}) {
+  const offset = (parseInt(page) - 1) * parseInt(limit);
+  const result = await pool.query(
+    `SELECT r.*, p.name AS product_name, COUNT(*) OVER()::int AS total
+     FROM reviews r JOIN products p ON p.id = r.product_id
+     WHERE r.status = $1
+     ORDER BY r.created_at ASC LIMIT $2 OFFSET $3`,
+    [status, parseInt(limit), offset]
+  );
+  return {
+    reviews: result.rows.map((row) => ({
+      ...mapReview(row),
+      productName: row.product_name,
+      userEmail: row.user_email,
+    })),
+    total: result.rows.length ? result.rows[0].total : 0,
+  };
+}
+
+/**
+ * Approve or reject a review and refresh the product's rating.
+ * @param {number|string} reviewId
+ * @param {string} status - One of REVIEW_STATUSES
+ * @returns {Promise<Object|null>} Updated review, or null if not found
+ */
+async function setReviewStatus(reviewId, status) {
+  if (!REVIEW_STATUSES.includes(status)) throw createError(`Status must be one of ${REVIEW_STATUSES.join(", ")}`, 400);
+
+  const client = await pool.connect();
+  let review;
+  try {
+    await client.query("BEGIN");
+    const result = await client.query(
+      "UPDATE reviews SET status = $2, updated_at = NOW() WHERE id = $1 RETURNING *",
+      [reviewId, status]
+    );
+    review = result.rows[0];
+    if (review) await recalculateProductRating(client, review.product_id);
+    await client.query("COMMIT");
+  } catch (err) {
+    await client.query("ROLLBACK");
+    throw err;
+  } finally {
+    client.release();
+  }
+
+  if (!review) return null;
+  await invalidateProductCache(review.product_id);
+  return mapReview(review);
+}
+
+/**
+ * Delete a review and refresh the product's rating.
+ * @param {number|string} reviewId
+ * @returns {Promise<Object|null>} Deleted review (photos included, for file cleanup), or null
+ */
+async function deleteReview(reviewId) {
+  const result = await pool.query("DELETE FROM reviews WHERE id = $1 RETURNING *", [reviewId]);
+  const review = result.rows[0];
+  if (!review) return null;
+
+  await recalculateProductRating(pool, review.product_id);
+  await invalidateProductCache(review.product_id);
+  return mapReview(review);
+}
+
+/**
+ * Mark an approved review as helpful. Each voter counts once.
+ * @param {number|string} productId
+ * @param {number|string} reviewId
+ * @param {string} voter - Voting customer's email
+ * @returns {Promise<{ helpfulCount: number, counted: boolean }|null>} null if the review isn't shown
+ */
+async function voteHelpful(productId, reviewId, voter) {
+  const review = await pool.query(
+    "SELECT id FROM reviews WHERE id = $1 AND product_id = $2 AND status = 'approved'",
+    [reviewId, productId]
+  );
+  if (review.rows.length === 0) return null;
+
+  const vote = await pool.query(
+    `INSERT INTO review_votes (review_id, voter) VALUES ($1, $2)
+     ON CONFLICT (review_id, voter) DO NOTHING`,
+    [reviewId, voter]
+  );
+  const result = await pool.query(
+    `UPDATE reviews SET helpful_count = (SELECT COUNT(*) FROM review_votes WHERE review_id = $1)
+     WHERE id = $1 RETURNING helpful_count`,
+    [reviewId]
+  );
+  return { helpfulCount: result.rows[0].helpful_count, counted: vote.rowCount > 0 };
+}
+
+module.exports = {
+  REVIEW_STATUSES,
+  REVIEW_SORTS,
+  mapReview,
+  getPurchaseStatus,
+  getProductReviews,
+  createReview,
+  recalculateProductRating,
+  listReviewsForModeration,
+  setReviewStatus,
+  deleteReview,
+  voteHelpful,
+};
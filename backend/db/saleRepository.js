@@ -0,0 +1,289 @@
+// backend/db/saleRepository.js
+/**
+ * Sale repository - scheduled percentage discounts and price history.
+ *
+ * A sale applies to one product or a whole category between starts_at and
+ * ends_at. Nothing is rewritten when a sale starts or ends: effective
+ * prices are worked out at read time (productRepository.mapProduct), and
+ * the scheduler only drops cached products when a sale boundary passes.
+ * Regular prices are recorded in price_history by the product repository.
+ */
+
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const { invalidateProductCache, categoryAncestors } = require("./productRepository");
+
+const SALE_STATUSES = ["scheduled", "active", "ended"];
+const SCHEDULER_INTERVAL_MS = 60 * 1000;
+const LOWEST_PRICE_DAYS = 30;
+
+const STATUS_CONDITIONS = {
+  scheduled: "s.starts_at > NOW()",
+  active: "s.starts_at <= NOW() AND s.ends_at > NOW()",
+  ended: "s.ends_at <= NOW()",
+};
+
+/**
+ * Convert a sales row to camelCase, with its status right now.
+ * @param {Object} row
+ * @returns {Object|null} Sale
+ */
+function mapSale(row) {
+  if (!row) return null;
+  const now = new Date();
+  const startsAt = new Date(row.starts_at);
+  const endsAt = new Date(row.ends_at);
+  return {
+    id: row.id,
+    name: row.name,
+    productId: row.product_id || null,
+    productName: row.product_name || null,
+    category: row.category || null,
+    discountPercent: parseFloat(row.discount_percent),
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+    status: startsAt > now ? "scheduled" : endsAt > now ? "active" : "ended",
+    createdAt: row.created_at,
+  };
+}
+
+/**
+ * Reject a sale without exactly one target or with an empty window.
+ * Both rules are also CHECK constraints; this gives a readable 400.
+ * @param {Object} sale - productId, category, startsAt, endsAt
+ */
+function assertValidSale({ productId, category, startsAt, endsAt }) {
+  if (Boolean(productId) === Boolean(category)) {
+    throw createError("A sale applies to either a product or a category", 400);
+  }
+  if (new Date(endsAt) <= new Date(startsAt)) {
+    throw createError("A sale must end after it starts", 400);
+  }
+}
+
+const rethrowMissingProduct = (err) => {
+  if (err.code === "23503") throw createError("Product not found", 404);
+  throw err;
+};
+
+/**
+ * Sales, newest start first.
+ * @param {Object} [options]
+ * @param {string} [options.status] - One of SALE_STATUSES
+ * @param {number|string} [options.productId] - Sales on this product or its category
+ * @returns {Promise<Array>}
+ */
+async function listSales({ status, productId } = {}) {
+  const conditions = [];
+  const values = [];
+  if (status) {
+    if (!STATUS_CONDITIONS[status]) throw createError(`Status must be one of ${SALE_STATUSES.join(", ")}`, 400);
+    conditions.push(STATUS_CONDITIONS[status]);
+  }
+  if (productId !== undefined) {
+    values.push(productId);
+    conditions.push(`(s.product_id = $${values.length} OR s.category IN
+      ${categoryAncestors(`(SELECT category FROM products WHERE id = $${values.length})`)})`);
+  }
+  const result = await pool.query(
+    `SELECT s.*, p.name AS product_name
+     FROM sales s LEFT JOIN products p ON p.id = s.product_id
+     ${conditions.length ? `WHERE ${conditions.join(" AND ")}` : ""}
+     ORDER BY s.starts_at DESC, s.id DESC`,
+    values
+  );
+  return result.rows.map(mapSale);
+}
+
+/**
+ * Single sale by ID.
+ * @param {number|string} id
+ * @returns {Promise<Object|null>}
+ */
+async function getSaleById(id) {
+  const result = await pool.query(
+    `SELECT s.*, p.name AS product_name
+     FROM sales s LEFT JOIN products p ON p.id = s.product_id WHERE s.id = $1`,
+    [id]
+  );
+  return mapSale(result.rows[0]);
+}
+
+/**
+ * Schedule a sale.
+ * @param {Object} data - name, productId or category, discountPercent, startsAt, endsAt
+ * @returns {Promise<Object>} Created sale
+ */
+async function createSale(data) {
+  assertValidSale(data);
+  let result;
+  try {
+    result = await pool.query(
+      `INSERT INTO sales (name, product_id, category, discount_percent, starts_at, ends_at)
+       VALUES ($1,$2,$3,$4,$5,$6) RETURNING id`,
+      [data.name, data.productId || null, data.category ? String(data.category).toLowerCase() : null,
+       data.discountPercent, data.startsAt, data.endsAt]
+    );
+  } catch (err) {
+    rethrowMissingProduct(err);
+  }
+  await invalidateProductCache("*");
+  return getSaleById(result.rows[0].id);
+}
+
+/**
+ * Change a sale. Target and window are checked as a whole after merging
+ * the changes into the stored sale.
+ * @param {number|string} id
+ * @param {Object} changes - Any of name, productId, category, discountPercent, startsAt, endsAt
+ * @returns {Promise<Object|null>} Updated sale, or null if not found
+ */
+async function updateSale(id, changes) {
+  const current = await getSaleById(id);
+  if (!current) return null;
+
+  const merged = { ...current, ...changes };
+  // Moving a sale to a category clears its product and vice versa
+  if (changes.category) merged.productId = changes.productId || null;
+  if (changes.productId) merged.category = changes.category || null;
+  assertValidSale(merged);
+
+  try {
+    await pool.query(
+      `UPDATE sales SET name = $2, product_id = $3, category = $4, discount_percent = $5,
+              starts_at = $6, ends_at = $7
+       WHERE id = $1`,
+      [id, merged.name, merged.productId || null, merged.category ? String(merged.category).toLowerCase() : null,
+       merged.discountPercent, merged.startsAt, merged.endsAt]
+    );
+  } catch (err) {
+    rethrowMissingProduct(err);
+  }
+  await invalidateProductCache("*");
+  return getSaleById(id);
+}
+
+/**
+ * Delete a sale (ending one early is an update of endsAt instead).
+ * @param {number|string} id
+ * @returns {Promise<Object|null>} Deleted sale, or null if not found
+ */
+async function deleteSale(id) {
+  const result = await pool.query("DELETE FROM sales WHERE id = $1 RETURNING *", [id]);
+  if (result.rows.length === 0) return null;
+  await invalidateProductCache("*");
+  return mapSale(result.rows[0]);
+}
+
+/**
+ * A product's regular price changes per variant, newest first.
+ * @param {number|string} productId
+ * @returns {Promise<Array<{ variantId: number, sku: string, price: number, startsAt: Date, endsAt: Date|null }>>}
+ */
+async function getPriceHistory(productId) {
+  const result = await pool.query(
+    `SELECT h.*, v.sku FROM price_history h
+     JOIN product_variants v ON v.id = h.variant_id
+     WHERE h.product_id = $1
+     ORDER BY h.starts_at DESC, h.id DESC`,
+    [productId]
+  );
+  return result.rows.map((row) => ({
+    variantId: row.variant_id,
+    sku: row.sku,
+    price: parseFloat(row.price),
+    startsAt: row.starts_at,
+    endsAt: row.ends_at,
+  }));
+}
+
+/**
+ * Lowest price each product sold for in the last LOWEST_PRICE_DAYS days,
+ * counting sales that overlapped each price. Today's price is included.
+ * @param {Array<number|string>} productIds
+ * @returns {Promise<Map<number, { lowest: number, byVariant: Object }>>}
+ */
+async function getLowestPrices(productIds) {
+  const ids = [...new Set(productIds.map((id) => parseInt(id)).filter(Number.isInteger))];
+  if (ids.length === 0) return new Map();
+
+  const result = await pool.query(
+    `SELECT h.product_id, h.variant_id,
+            MIN(ROUND(h.price * (100 - COALESCE(s.discount_percent, 0)) / 100, 2)) AS lowest
+     FROM price_history h
+     JOIN products p ON p.id = h.product_id
+     LEFT JOIN sales s
+       ON (s.product_id = h.product_id OR s.category IN ${categoryAncestors("p.category")})
+      AND s.starts_at <= NOW()
+      AND s.starts_at < COALESCE(h.ends_at, NOW() + INTERVAL '1 second')
+      AND s.ends_at > GREATEST(h.starts_at, NOW() - make_interval(days => $2))
+     WHERE h.product_id = ANY($1::int[])
+       AND COALESCE(h.ends_at, NOW()) >= NOW() - make_interval(days => $2)
+     GROUP BY h.product_id, h.variant_id`,
+    [ids, LOWEST_PRICE_DAYS]
+  );
+
+  const lowest = new Map();
+  for (const row of result.rows) {
+    const price = parseFloat(row.lowest);
+    const entry = lowest.get(row.product_id) || { lowest: price, byVariant: {} };
+    entry.lowest = Math.min(entry.lowest, price);
+    entry.byVariant[row.variant_id] = price;
+    lowest.set(row.product_id, entry);
+  }
+  return lowest;
+}
+
+/**
+ * Number of sales that started or ended in (since, now].
+ * @param {Date} since
+ * @returns {Promise<number>}
+ */
+async function countSaleBoundariesSince(since) {
+  const result = await pool.query(
+    `SELECT COUNT(*)::int AS count FROM sales
+     WHERE (starts_at > $1 AND starts_at <= NOW()) OR (ends_at > $1 AND ends_at <= NOW())`,
+    [since]
+  );
+  return result.rows[0].count;
+}
+
+/**
+ * Every SCHEDULER_INTERVAL_MS, drop cached products when a sale has
+ * started or ended since the last check, so cached prices follow the
+ * schedule within a minute.
+ * @returns {NodeJS.Timeout}
+ */
+function startSaleScheduler() {
+  let lastCheck = new Date();
+  const timer = setInterval(() => {
+    const now = new Date();
+    countSaleBoundariesSince(lastCheck)
+      .then(async (count) => {
+        lastCheck = now;
+        if (count > 0) {
+          await invalidateProductCache("*");
+          console.log(`🏷️  ${count} sale(s) started or ended - product cache cleared`);
+        }
+      })
+      .catch((err) => console.error("Sale scheduler failed:", err.message));
+  }, SCHEDULER_INTERVAL_MS);
+  timer.unref();
+  return timer;
+}
+
+module.exports = {
+  SALE_STATUSES,
+  LOWEST_PRICE_DAYS,
+  mapSale,
+  assertValidSale,
+  listSales,
+  getSaleById,
+  createSale,
+  updateSale,
+  deleteSale,
+  getPriceHistory,
+  getLowestPrices,
+  countSaleBoundariesSince,
+  startSaleScheduler,
+};
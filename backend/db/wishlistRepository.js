@@ -0,0 +1,270 @@
+// backend/db/wishlistRepository.js
+/**
+ * Wishlist repository - products a signed-in customer saved for later.
+ *
+ * Each customer has at most one wishlists row, created on the first save,
+ * with one wishlist_items row per product (or product variant). Lines only
+ * store IDs; name, price and stock are read from the catalogue whenever the
+ * list is shown, so a wishlist never shows stale prices. Guests keep their
+ * list in the browser and merge it in with mergeItems() after signing in.
+ * A wishlist can be shared read-only: shareWishlist() gives it a random
+ * token, and anyone with /wishlist/shared/<token> can view it until the
+ * owner turns sharing off again.
+ */
+
+const { v4: uuidv4 } = require("uuid");
+const pool = require("./pool");
+const { createError } = require("../middleware/errorHandler");
+const productRepository = require("./productRepository");
+
+const MAX_WISHLIST_ITEMS = 100;
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+/**
+ * Wishlist lines with live product details. Lines whose product or variant
+ * has gone are left out; archived products stay, marked unavailable.
+ * @param {Array<Object>} rows - wishlist_items rows (product_id, variant_id, added_at)
+ * @returns {Promise<Array<Object>>} { productId, variantId, addedAt, name, url, image,
+ *   variantLabel, price, originalPrice, inStock, available }
+ */
+async function describeItems(rows) {
+  const products = await productRepository.getProductsByIds(rows.map((row) => row.product_id));
+  const byId = new Map(products.map((product) => [product.id, product]));
+
+  return rows.flatMap((row) => {
+    const product = byId.get(row.product_id);
+    if (!product) return [];
+    const variant = row.variant_id ? product.variants.find((v) => v.id === row.variant_id) : null;
+    if (row.variant_id && !variant) return [];
+    return [{
+      productId: product.id,
+      variantId: variant ? variant.id : null,
+      addedAt: row.added_at,
+      name: product.name,
+      url: product.url,
+      image: product.image || null,
+      variantLabel: variant ? variant.label : null,
+      price: variant ? variant.price : product.price,
+      originalPrice: variant ? variant.originalPrice : product.originalPrice,
+      inStock: !product.archived && (variant ? variant.inStock : product.inStock),
+      available: !product.archived,
+    }];
+  });
+}
+
+/**
+ * Product details for a guest's wishlist, which only lives in the browser.
+ * @param {Array<{ productId: number, variantId?: number, addedAt?: string }>} items
+ * @returns {Promise<Array<Object>>} Same lines as getWishlist() returns
+ */
+async function describeGuestItems(items) {
+  return describeItems(items.map((item) => ({
+    product_id: item.productId,
+    variant_id: item.variantId || null,
+    added_at: item.addedAt || null,
+  })));
+}
+
+/**
+ * Lines of a wishlist, newest first, with product details.
+ * @param {number} wishlistId
+ * @returns {Promise<Array<Object>>}
+ */
+async function loadItems(wishlistId) {
+  const result = await pool.query(
+    `SELECT product_id, variant_id, added_at FROM wishlist_items
+     WHERE wishlist_id = $1 ORDER BY added_at DESC, id DESC`,
+    [wishlistId]
+  );
+  return describeItems(result.rows);
+}
+
+/**
+ * The customer's wishlist row, created if they don't have one yet.
+ * @param {string} userId
+ * @returns {Promise<{ id: number, share_token: string|null }>}
+ */
+async function ensureWishlist(userId) {
+  const result = await pool.query(
+    `INSERT INTO wishlists (user_id) VALUES ($1)
+     ON CONFLICT (user_id) DO UPDATE SET updated_at = NOW()
+     RETURNING id, share_token`,
+    [userId]
+  );
+  return result.rows[0];
+}
+
+/**
+ * Save lines to a wishlist, skipping ones already on it and products that
+ * don't exist (or variants that aren't the product's). Stops at
+ * MAX_WISHLIST_ITEMS lines.
+ * @param {number} wishlistId
+ * @param {Array<{ productId: number, variantId?: number }>} items
+ * @returns {Promise<number>} Lines added
+ */
+async function insertItems(wishlistId, items) {
+  const seen = new Set();
+  const lines = items.filter(({ productId, variantId }) => {
+    const key = `${productId}:${variantId || 0}`;
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+  const count = await pool.query(
+    "SELECT COUNT(*)::int AS count FROM wishlist_items WHERE wishlist_id = $1",
+    [wishlistId]
+  );
+  const room = MAX_WISHLIST_ITEMS - count.rows[0].count;
+  if (room <= 0 || lines.length === 0) return 0;
+
+  const result = await pool.query(
+    `INSERT INTO wishlist_items (wishlist_id, product_id, variant_id)
+     SELECT $1, i.product_id, i.variant_id
+     FROM unnest($2::int[], $3::int[]) WITH ORDINALITY AS i(product_id, variant_id, position)
+     JOIN products p ON p.id = i.product_id AND p.archived_at IS NULL
+     LEFT JOIN product_variants v ON v.id = i.variant_id AND v.product_id = i.product_id
+     WHERE (i.variant_id IS NULL OR v.id IS NOT NULL)
+       AND NOT EXISTS (
+         SELECT 1 FROM wishlist_items w
+         WHERE w.wishlist_id = $1 AND w.product_id = i.product_id AND COALESCE(w.variant_id, 0) = COALESCE(i.variant_id, 0)
+       )
+     ORDER BY i.position
+     LIMIT $4
+     ON CONFLICT (wishlist_id, product_id, COALESCE(variant_id, 0)) DO NOTHING`,
+    [wishlistId, lines.map((line) => line.productId), lines.map((line) => line.variantId || null), room]
+  );
+  return result.rowCount;
+}
+
+/**
+ * A customer's wishlist.
+ * @param {string} userId
+ * @returns {Promise<{ shareToken: string|null, items: Array<Object> }>}
+ */
+async function getWishlist(userId) {
+  const result = await pool.query("SELECT id, share_token FROM wishlists WHERE user_id = $1", [userId]);
+  if (result.rows.length === 0) return { shareToken: null, items: [] };
+  const wishlist = result.rows[0];
+  return { shareToken: wishlist.share_token, items: await loadItems(wishlist.id) };
+}
+
+/**
+ * Save a product (variant) to the customer's wishlist. Saving one that is
+ * already there does nothing.
+ * @param {string} userId
+ * @param {number} productId
+ * @param {number} [variantId]
+ * @returns {Promise<{ shareToken: string|null, items: Array<Object> }|null>} Updated wishlist,
+ *   or null if the product doesn't exist
+ * @throws 404 for a variant of another product, 400 when the wishlist is full
+ */
+async function addItem(userId, productId, variantId = null) {
+  const product = await pool.query(
+    "SELECT id FROM products WHERE id = $1 AND archived_at IS NULL",
+    [productId]
+  );
+  if (product.rows.length === 0) return null;
+  if (variantId) {
+    const variant = await pool.query(
+      "SELECT id FROM product_variants WHERE id = $1 AND product_id = $2",
+      [variantId, productId]
+    );
+    if (variant.rows.length === 0) throw createError("Variant not found", 404);
+  }
+
+  const wishlist = await ensureWishlist(userId);
+  const existing = await pool.query(
+    "SELECT 1 FROM wishlist_items WHERE wishlist_id = $1 AND product_id = $2 AND COALESCE(variant_id, 0) = $3",
+    [wishlist.id, productId, variantId || 0]
+  );
+  if (existing.rows.length === 0 && (await insertItems(wishlist.id, [{ productId, variantId }])) === 0) {
+    throw createError(`A wishlist can hold at most ${MAX_WISHLIST_ITEMS} products`, 400);
+  }
+  return { shareToken: wishlist.share_token, items: await loadItems(wishlist.id) };
+}
+
+/**
+ * Take a product off the customer's wishlist.
+ * @param {string} userId
+ * @param {number} productId
+ * @param {number} [variantId] - Only this variant; by default every line of the product
+ * @returns {Promise<boolean>} false if it wasn't on the wishlist
+ */
+async function removeItem(userId, productId, variantId = null) {
+  const result = await pool.query(
+    `DELETE FROM wishlist_items i USING wishlists w
+     WHERE w.id = i.wishlist_id AND w.user_id = $1 AND i.product_id = $2
+       AND ($3::int IS NULL OR COALESCE(i.variant_id, 0) = $3)`,
+    [userId, productId, variantId]
+  );
+  return result.rowCount > 0;
+}
+
+/**
+ * Merge a guest's wishlist (kept in the browser) into the customer's.
+ * Unknown products are dropped, duplicates saved once.
+ * @param {string} userId
+ * @param {Array<{ productId: number, variantId?: number }>} items
+ * @returns {Promise<{ shareToken: string|null, items: Array<Object>, added: number }>}
+ */
+async function mergeItems(userId, items) {
+  const wishlist = await ensureWishlist(userId);
+  const added = await insertItems(wishlist.id, items);
+  return { shareToken: wishlist.share_token, items: await loadItems(wishlist.id), added };
+}
+
+/**
+ * Turn on the public read-only link for the customer's wishlist. The token
+ * is kept if the list is already shared, so links handed out earlier keep
+ * working.
+ * @param {string} userId
+ * @param {string} [ownerName] - Shown on the shared page ("Asha's wishlist")
+ * @returns {Promise<string>} Share token
+ */
+async function shareWishlist(userId, ownerName = null) {
+  const wishlist = await ensureWishlist(userId);
+  const result = await pool.query(
+    `UPDATE wishlists SET share_token = COALESCE(share_token, $2), share_name = $3, updated_at = NOW()
+     WHERE id = $1 RETURNING share_token`,
+    [wishlist.id, uuidv4(), ownerName ? String(ownerName).slice(0, 100) : null]
+  );
+  return result.rows[0].share_token;
+}
+
+/**
+ * Turn the public link off; the old token stops working.
+ * @param {string} userId
+ * @returns {Promise<void>}
+ */
+async function unshareWishlist(userId) {
+  await pool.query(
+    "UPDATE wishlists SET share_token = NULL, updated_at = NOW() WHERE user_id = $1",
+    [userId]
+  );
+}
+
+/**
+ * A wishlist opened through its share link.
+ * @param {string} token
+ * @returns {Promise<{ ownerName: string|null, items: Array<Object> }|null>} null for an
+ *   unknown (or revoked) token
+ */
+async function getSharedWishlist(token) {
+  if (!UUID_PATTERN.test(String(token))) return null;
+  const result = await pool.query("SELECT id, share_name FROM wishlists WHERE share_token = $1", [token]);
+  if (result.rows.length === 0) return null;
+  const wishlist = result.rows[0];
+  return { ownerName: wishlist.share_name, items: await loadItems(wishlist.id) };
+}
+
+module.exports = {
+  MAX_WISHLIST_ITEMS,
+  getWishlist,
+  describeGuestItems,
+  addItem,
+  removeItem,
+  mergeItems,
+  shareWishlist,
+  unshareWishlist,
+  getSharedWishlist,
+};
@@ -49,6 +49,38 @@ function requireAuthAPI(req, res, next) {
   });
 }
 
+/**
+ * Whether a signed-in user may use the admin API: their email must be
+ * listed in ADMIN_EMAILS (comma-separated, case-insensitive)
+ * @param {Object} user - req.session.user
+ * @returns {boolean}
+ */
+function isAdmin(user) {
+  const admins = (process.env.ADMIN_EMAILS || '')
+    .split(',')
+    .map(email => email.trim().toLowerCase())
+    .filter(Boolean);
+  return Boolean(user && user.email) && admins.includes(String(user.email).toLowerCase());
+}
+
+/**
+ * Middleware for admin API routes (API version)
+ * Guests get requireAuthAPI's 401, signed-in customers who aren't admins a 403
+ */
+function requireAdminAPI(req, res, next) {
+  requireAuthAPI(req, res, () => {
+    if (isAdmin(req.session.user)) {
+      return next();
+    }
+    
+    return res.status(403).json({
+      success: false,
+      message: 'Admin access required.',
+      error: 'FORBIDDEN'
+    });
+  });
+}
+
 /**
  * Middleware to check if user is already logged in
  * Redirects to intended page or home if already authenticated
@@ -86,6 +118,8 @@ function optionalAuth(req, res, next) {
 module.exports = {
   requireAuth,
   requireAuthAPI,
+  requireAdminAPI,
+  isAdmin,
   redirectIfAuthenticated,
   optionalAuth
 };
@@ -0,0 +1,140 @@
+/**
+ * Image Upload Middleware
+ *
+ * Accepts multipart image uploads (admin product images, review photos) and
+ * turns each upload into three renditions:
+ *   thumb - 200x200 square (cart, suggestions)
+ *   card  - 480x480 square (product grids)
+ *   zoom  - up to 1200px on the long edge (quick view / detail gallery)
+ * Files are written as WebP under frontend/images/<folder>/<category>/,
+ * where folder is "products" or "reviews".
+ */
+
+const fs = require("fs").promises;
+const path = require("path");
+const crypto = require("crypto");
+const multer = require("multer");
+const sharp = require("sharp");
+const { createError } = require("./errorHandler");
+
+const ALLOWED_MIME_TYPES = ["image/jpeg", "image/png", "image/webp"];
+const MAX_FILE_SIZE = 5 * 1024 * 1024; // 5 MB per image
+const MAX_FILES = 8;
+
+const IMAGE_DIR = path.join(__dirname, "../../frontend/images");
+const IMAGE_URL = "/images";
+const UPLOAD_FOLDERS = ["products", "reviews"];
+
+const RENDITIONS = {
+  thumb: { width: 200, height: 200, fit: "cover" },
+  card: { width: 480, height: 480, fit: "cover" },
+  zoom: { width: 1200, height: 1200, fit: "inside" },
+};
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_FILE_SIZE, files: MAX_FILES },
+  fileFilter: (req, file, cb) => {
+    if (ALLOWED_MIME_TYPES.includes(file.mimetype)) return cb(null, true);
+    cb(createError(`${file.originalname}: only JPEG, PNG or WebP images are allowed`, 400));
+  },
+});
+
+/**
+ * Middleware that parses up to maxFiles images from one multipart field.
+ * JSON requests pass straight through; multer limit errors become 400s.
+ * @param {string} field - Form field name
+ * @param {number} maxFiles
+ */
+const acceptImages = (field, maxFiles) => (req, res, next) => {
+  upload.array(field, maxFiles)(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === "LIMIT_FILE_SIZE"
+        ? `Images must be ${MAX_FILE_SIZE / (1024 * 1024)} MB or smaller`
+        : err.code === "LIMIT_FILE_COUNT" || err.code === "LIMIT_UNEXPECTED_FILE"
+          ? `Upload at most ${maxFiles} files in the "${field}" field`
+          : err.message;
+      return next(createError(message, 400));
+    }
+    next(err);
+  });
+};
+
+// Admin product uploads: up to MAX_FILES files in "images"
+const acceptProductImages = acceptImages("images", MAX_FILES);
+
+/**
+ * Folder-safe version of a category or product name.
+ * @param {string} value
+ * @returns {string}
+ */
+function toPathSegment(value) {
+  return String(value || "uncategorized")
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, "-")
+    .replace(/^-+|-+$/g, "") || "uncategorized";
+}
+
+/**
+ * Write the renditions of one uploaded image.
+ * @param {Object} file - multer file (memory storage)
+ * @param {Object} product - { name, category }, used for the file name and sub-folder
+ * @param {string} [folder="products"] - One of UPLOAD_FOLDERS
+ * @returns {Promise<Object>} { thumb, card, zoom, width, height } - URLs and source size
+ * @throws 400 if the file isn't a decodable image
+ */
+async function saveRenditions(file, product, folder = "products") {
+  if (!UPLOAD_FOLDERS.includes(folder)) throw new Error(`Unknown upload folder: ${folder}`);
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    throw createError(`${file.originalname} is not a valid image`, 400);
+  }
+
+  const category = toPathSegment(product.category);
+  const baseName = `${toPathSegment(product.name)}-${crypto.randomBytes(4).toString("hex")}`;
+  const dir = path.join(IMAGE_DIR, folder, category);
+  await fs.mkdir(dir, { recursive: true });
+
+  const urls = {};
+  for (const [name, size] of Object.entries(RENDITIONS)) {
+    const fileName = `${baseName}-${name}.webp`;
+    await sharp(file.buffer)
+      .rotate() // respect EXIF orientation from phone photos
+      .resize({ ...size, withoutEnlargement: size.fit === "inside" })
+      .webp({ quality: 82 })
+      .toFile(path.join(dir, fileName));
+    urls[name] = `${IMAGE_URL}/${folder}/${category}/${fileName}`;
+  }
+
+  return { ...urls, width: metadata.width, height: metadata.height };
+}
+
+/**
+ * Remove the rendition files of an uploaded image. Missing files and URLs
+ * outside the upload folders are ignored.
+ * @param {Object} image - { thumb, card, zoom } URLs
+ */
+async function deleteRenditions(image) {
+  for (const name of Object.keys(RENDITIONS)) {
+    const url = image[name];
+    if (!url || !UPLOAD_FOLDERS.some((folder) => url.startsWith(`${IMAGE_URL}/${folder}/`))) continue;
+    const filePath = path.join(IMAGE_DIR, url.slice(IMAGE_URL.length + 1));
+    await fs.unlink(filePath).catch((err) => {
+      if (err.code !== "ENOENT") console.error("Could not delete image file:", err.message);
+    });
+  }
+}
+
+module.exports = {
+  ALLOWED_MIME_TYPES,
+  MAX_FILE_SIZE,
+  RENDITIONS,
+  acceptImages,
+  acceptProductImages,
+  saveRenditions,
+  deleteRenditions,
+  toPathSegment,
+};
@@ -0,0 +1,36 @@
+/**
+ * Navigation Middleware
+ *
+ * Gives every rendered page the category taxonomy for the nav bar and the
+ * footer, read from the categories table (cached with the product lists).
+ */
+
+const { getCategoryCounts } = require("../db/productRepository");
+const { categoryPath } = require("./seo");
+
+// The homepage is the shop for this category; the nav links it as "Home"
+const HOME_CATEGORY = "plants";
+
+/**
+ * Expose navCategories (top-level categories other than the homepage's),
+ * footerCategories (categories without subcategories) and categoryPath to
+ * every view. API requests are skipped. If the categories can't be loaded
+ * the page still renders, with empty lists.
+ */
+async function navigationLocals(req, res, next) {
+  res.locals.categoryPath = categoryPath;
+  res.locals.navCategories = [];
+  res.locals.footerCategories = [];
+  if (req.path.startsWith("/api/")) return next();
+
+  try {
+    const categories = await getCategoryCounts();
+    res.locals.navCategories = categories.filter((c) => !c.parentId && c.slug !== HOME_CATEGORY);
+    res.locals.footerCategories = categories.filter((c) => !categories.some((child) => child.parentId === c.id));
+  } catch (err) {
+    console.error("Navigation categories unavailable:", err.message);
+  }
+  next();
+}
+
+module.exports = { HOME_CATEGORY, navigationLocals };
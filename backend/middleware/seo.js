@@ -0,0 +1,189 @@
+/**
+ * SEO Middleware & Helpers
+ *
+ * siteLocals gives every rendered page its canonical URL and base URL.
+ * The builders produce schema.org JSON-LD for product and category pages,
+ * and the sitemap.xml / robots.txt served by routes/seo.js.
+ */
+
+const { BASE_URL, absoluteUrl } = require("../config/site");
+
+const CURRENCY = "INR";
+
+// Catalog pages listed in the sitemap besides category and product pages
+const STATIC_PAGES = ["/", "/products", "/pots", "/tools", "/care", "/gifting", "/services", "/contact"];
+
+// Categories with a page of their own; the rest are /products?category=<slug>
+const CATEGORY_PAGES = { pots: "/pots", tools: "/tools" };
+
+// Never worth crawling: the API and per-customer pages
+const DISALLOWED_PATHS = ["/api/", "/checkout", "/orders", "/auth/"];
+
+/**
+ * Expose baseUrl and a default canonicalUrl (current path, no query
+ * string) to every view. Routes can override canonicalUrl.
+ */
+function siteLocals(req, res, next) {
+  res.locals.baseUrl = BASE_URL;
+  res.locals.canonicalUrl = absoluteUrl(req.path);
+  next();
+}
+
+const categoryPath = (category) =>
+  CATEGORY_PAGES[category] || `/products?category=${encodeURIComponent(category)}`;
+
+/**
+ * schema.org Product with an Offer (or AggregateOffer across variants) and
+ * an AggregateRating once the product has approved reviews.
+ * @param {Object} product - Mapped product (productRepository.mapProduct)
+ * @returns {Object}
+ */
+function productSchema(product) {
+  const variants = product.variants || [];
+  const availability = `https://schema.org/${product.inStock ? "InStock" : "OutOfStock"}`;
+  const url = absoluteUrl(product.url || `/products/${product.id}`);
+  const images = (product.images || []).map((image) => absoluteUrl(image.zoom));
+  if (images.length === 0 && product.image) images.push(absoluteUrl(product.image));
+
+  const offers = variants.length > 1
+    ? {
+        "@type": "AggregateOffer",
+        priceCurrency: CURRENCY,
+        lowPrice: product.priceRange.min,
+        highPrice: product.priceRange.max,
+        offerCount: variants.length,
+        availability,
+      }
+    : {
+        "@type": "Offer",
+        priceCurrency: CURRENCY,
+        price: variants.length ? variants[0].price : product.price,
+        availability,
+        itemCondition: "https://schema.org/NewCondition",
+        url,
+      };
+
+  const schema = {
+    "@type": "Product",
+    name: product.name,
+    description: product.description || undefined,
+    sku: variants.length ? variants[0].sku : undefined,
+    category: product.category,
+    image: images.length ? images : undefined,
+    url,
+    offers,
+  };
+  if (product.reviewCount > 0) {
+    schema.aggregateRating = {
+      "@type": "AggregateRating",
+      ratingValue: product.rating,
+      reviewCount: product.reviewCount,
+      bestRating: 5,
+      worstRating: 1,
+    };
+  }
+  return schema;
+}
+
+/**
+ * JSON-LD for a product page.
+ * @param {Object} product
+ * @returns {Object}
+ */
+function productJsonLd(product) {
+  return { "@context": "https://schema.org", ...productSchema(product) };
+}
+
+/**
+ * JSON-LD for a category page: an ItemList of its products.
+ * @param {string} name - Page heading
+ * @param {Array} products
+ * @returns {Object}
+ */
+function categoryJsonLd(name, products) {
+  return {
+    "@context": "https://schema.org",
+    "@type": "ItemList",
+    name,
+    numberOfItems: products.length,
+    itemListElement: products.map((product, index) => ({
+      "@type": "ListItem",
+      position: index + 1,
+      item: productSchema(product),
+    })),
+  };
+}
+
+/**
+ * Serialize JSON-LD for a <script type="application/ld+json"> tag.
+ * "<" is escaped so product text can't close the script element.
+ * @param {Object} data
+ * @returns {string}
+ */
+function toJsonLdScript(data) {
+  return JSON.stringify(data).replace(/</g, "\\u003c");
+}
+
+const escapeXml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&apos;");
+
+const latest = (dates) =>
+  dates.filter(Boolean).reduce((max, date) => (!max || new Date(date) > new Date(max) ? date : max), null);
+
+/**
+ * sitemap.xml with the catalog pages, one page per category and one per
+ * product. lastmod comes from products.updated_at (newest product for
+ * catalog and category pages).
+ * @param {Array<{ slug: string, category: string, updatedAt: Date }>} products
+ * @param {Array<{ slug: string }>} [categories] - The taxonomy, so empty and parent categories are listed too
+ * @returns {string}
+ */
+function buildSitemap(products, categories = []) {
+  const entries = new Map();
+  const newest = latest(products.map((p) => p.updatedAt));
+
+  for (const page of STATIC_PAGES) entries.set(page, null);
+  entries.set("/", newest);
+  entries.set("/products", newest);
+  for (const category of new Set([...categories.map((c) => c.slug), ...products.map((p) => p.category)])) {
+    entries.set(categoryPath(category), latest(products.filter((p) => p.category === category).map((p) => p.updatedAt)));
+  }
+  for (const product of products) entries.set(`/products/${product.slug}`, product.updatedAt);
+
+  const urls = [...entries].map(([loc, lastmod]) =>
+    `  <url>\n    <loc>${escapeXml(absoluteUrl(loc))}</loc>` +
+    (lastmod ? `\n    <lastmod>${new Date(lastmod).toISOString()}</lastmod>` : "") +
+    "\n  </url>"
+  );
+  return `<?xml version="1.0" encoding="UTF-8"?>\n` +
+    `<urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">\n${urls.join("\n")}\n</urlset>\n`;
+}
+
+/**
+ * robots.txt pointing crawlers at the sitemap.
+ * @returns {string}
+ */
+function buildRobots() {
+  return [
+    "User-agent: *",
+    ...DISALLOWED_PATHS.map((p) => `Disallow: ${p}`),
+    "",
+    `Sitemap: ${absoluteUrl("/sitemap.xml")}`,
+    "",
+  ].join("\n");
+}
+
+module.exports = {
+  siteLocals,
+  categoryPath,
+  productJsonLd,
+  categoryJsonLd,
+  toJsonLdScript,
+  buildSitemap,
+  buildRobots,
+};
@@ -1,8 +1,20 @@
 // routes/admin.js
-// Admin routes for managing login rate limits
+// Admin routes for managing login rate limits, bulk catalog changes and review moderation
 
 const express = require('express');
-const { asyncHandler } = require('../middleware/errorHandler');
+const multer = require('multer');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { requireAdminAPI } = require('../middleware/auth');
+const { importCatalog, exportCatalog } = require('../db/catalogTransfer');
+const reviewRepository = require('../db/reviewRepository');
+const { rebuildRecommendations } = require('../db/recommendationRepository');
+const saleRepository = require('../db/saleRepository');
+const productRepository = require('../db/productRepository');
+const categoryRepository = require('../db/categoryRepository');
+const notificationRepository = require('../db/notificationRepository');
+const pricingRepository = require('../db/pricingRepository');
+const couponRepository = require('../db/couponRepository');
+const { deleteRenditions } = require('../middleware/imageUpload');
 const { 
     getLoginAttemptStatus, 
     unblockUser,
@@ -12,11 +24,18 @@ const {
 
 const router = express.Router();
 
+// Catalog files arrive as a multipart "file" field or as a raw CSV/JSON body
+const catalogUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024, files: 1 }
+}).single('file');
+const csvBody = express.text({ type: ['text/csv', 'text/plain'], limit: '10mb' });
+
 /**
  * GET /api/admin/login-attempts/:identifier
  * Check login attempt status for a user (by email or IP)
  */
-router.get('/login-attempts/:identifier', asyncHandler(async (req, res) => {
+router.get('/login-attempts/:identifier', requireAdminAPI, asyncHandler(async (req, res) => {
     const { identifier } = req.params;
     
     const status = await getLoginAttemptStatus(identifier);
@@ -43,7 +62,7 @@ router.get('/login-attempts/:identifier', asyncHandler(async (req, res) => {
  * POST /api/admin/unblock-user
  * Manually unblock a user
  */
-router.post('/unblock-user', asyncHandler(async (req, res) => {
+router.post('/unblock-user', requireAdminAPI, asyncHandler(async (req, res) => {
     const { identifier } = req.body;
     
     if (!identifier) {
@@ -72,7 +91,7 @@ router.post('/unblock-user', asyncHandler(async (req, res) => {
  * GET /api/admin/rate-limit-config
  * Get current rate limit configuration
  */
-router.get('/rate-limit-config', (req, res) => {
+router.get('/rate-limit-config', requireAdminAPI, (req, res) => {
     res.json({
         success: true,
         data: {
@@ -84,4 +103,527 @@ router.get('/rate-limit-config', (req, res) => {
     });
 });
 
+/**
+ * Work out csv/json from ?format=, the uploaded file name or the content type
+ */
+function catalogFormat(req) {
+    if (req.query.format) return String(req.query.format).toLowerCase();
+    if (req.file) {
+        return /\.json$/i.test(req.file.originalname) || req.file.mimetype === 'application/json' ? 'json' : 'csv';
+    }
+    return req.is('application/json') ? 'json' : 'csv';
+}
+
+/**
+ * GET /api/admin/catalog/export?format=csv|json
+ * Download the full catalog (one row per variant) in import format
+ */
+router.get('/catalog/export', requireAdminAPI, asyncHandler(async (req, res) => {
+    const format = String(req.query.format || 'csv').toLowerCase();
+    const file = await exportCatalog(format);
+    const date = new Date().toISOString().slice(0, 10);
+
+    res.setHeader('Content-Type', format === 'json' ? 'application/json; charset=utf-8' : 'text/csv; charset=utf-8');
+    res.setHeader('Content-Disposition', `attachment; filename="catalog-${date}.${format}"`);
+    res.send(file);
+}));
+
+/**
+ * POST /api/admin/catalog/import?format=csv|json&dryRun=true
+ * Upsert products from a CSV/JSON file in one transaction. With dryRun the
+ * diff is reported and nothing is saved; any invalid row rejects the file.
+ */
+router.post('/catalog/import', requireAdminAPI, catalogUpload, csvBody, asyncHandler(async (req, res) => {
+    const format = catalogFormat(req);
+    const input = req.file ? req.file.buffer.toString('utf8') : req.body;
+    const isEmpty = !input || (typeof input === 'object' && !Array.isArray(input) && Object.keys(input).length === 0);
+    if (isEmpty) {
+        throw createError('Send the catalog as a "file" upload or as a CSV/JSON request body', 400);
+    }
+
+    const dryRun = ['true', '1'].includes(String(req.query.dryRun).toLowerCase());
+    const report = await importCatalog(input, { format, dryRun });
+
+    if (report.errors.length > 0) {
+        return res.status(400).json({
+            success: false,
+            message: `${report.errors.length} problem(s) found - nothing was imported`,
+            errors: report.errors,
+            data: report
+        });
+    }
+
+    const { created, updated, unchanged } = report.summary;
+    res.json({
+        success: true,
+        data: report,
+        message: `${dryRun ? 'Dry run: would create' : 'Created'} ${created}, ${dryRun ? 'update' : 'updated'} ${updated}, ${unchanged} unchanged`
+    });
+}));
+
+/**
+ * GET /api/admin/reviews?status=pending&page=1
+ * Moderation queue (oldest first), including the reviewer's email
+ */
+router.get('/reviews', requireAdminAPI, asyncHandler(async (req, res) => {
+    const status = req.query.status || 'pending';
+    if (!reviewRepository.REVIEW_STATUSES.includes(status)) {
+        throw createError(`Status must be one of ${reviewRepository.REVIEW_STATUSES.join(', ')}`, 400);
+    }
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+
+    const { reviews, total } = await reviewRepository.listReviewsForModeration({ status, page });
+    res.json({
+        success: true,
+        data: { reviews, total, page },
+        message: `${total} ${status} reviews`
+    });
+}));
+
+/**
+ * PUT /api/admin/reviews/:id
+ * Approve or reject a review: { "status": "approved" | "rejected" | "pending" }
+ * The product's rating and review count are recalculated
+ */
+router.put('/reviews/:id(\\d+)', requireAdminAPI, asyncHandler(async (req, res) => {
+    const review = await reviewRepository.setReviewStatus(req.params.id, req.body.status);
+    if (!review) throw createError(`Review ${req.params.id} not found`, 404);
+
+    res.json({
+        success: true,
+        data: review,
+        message: `Review ${review.id} is now ${review.status}`
+    });
+}));
+
+/**
+ * DELETE /api/admin/reviews/:id
+ * Remove a review and its photos
+ */
+router.delete('/reviews/:id(\\d+)', requireAdminAPI, asyncHandler(async (req, res) => {
+    const review = await reviewRepository.deleteReview(req.params.id);
+    if (!review) throw createError(`Review ${req.params.id} not found`, 404);
+    for (const photo of review.photos) await deleteRenditions(photo);
+
+    res.json({
+        success: true,
+        message: `Review ${review.id} deleted`
+    });
+}));
+
+/**
+ * POST /api/admin/recommendations/rebuild
+ * Recompute "frequently bought together" now instead of waiting for the next scheduled run
+ */
+router.post('/recommendations/rebuild', requireAdminAPI, asyncHandler(async (req, res) => {
+    const pairs = await rebuildRecommendations();
+    res.json({
+        success: true,
+        data: pairs,
+        message: `Rebuilt ${pairs.together} bought-together and ${pairs.alsoBought} also-bought pairs`
+    });
+}));
+
+/**
+ * GET /api/admin/stock-notifications
+ * Back-in-stock demand per product: requests still waiting, already mailed
+ * and given up on after repeated send failures (most-wanted first)
+ */
+router.get('/stock-notifications', requireAdminAPI, asyncHandler(async (req, res) => {
+    const demand = await notificationRepository.getDemand();
+    res.json({
+        success: true,
+        data: demand,
+        message: `${demand.reduce((sum, row) => sum + row.pending, 0)} customers waiting on ${demand.filter(row => row.pending > 0).length} products`
+    });
+}));
+
+/**
+ * POST /api/admin/stock-notifications/dispatch
+ * Mail the waiting customers of restocked products now instead of on the next scheduled run
+ */
+router.post('/stock-notifications/dispatch', requireAdminAPI, asyncHandler(async (req, res) => {
+    const result = await notificationRepository.dispatchStockNotifications();
+    res.json({
+        success: true,
+        data: result,
+        message: `${result.sent} back-in-stock emails sent, ${result.failed} failed`
+    });
+}));
+
+/**
+ * GET /api/admin/products/archived
+ * Archived products (most recently archived first), for restoring or purging
+ */
+router.get('/products/archived', requireAdminAPI, asyncHandler(async (req, res) => {
+    const products = await productRepository.getArchivedProducts();
+    res.json({
+        success: true,
+        data: products,
+        message: `${products.length} archived products`
+    });
+}));
+
+/**
+ * Pick and check sale fields from a request body
+ * @param {Object} body - name, productId or category, discountPercent, startsAt, endsAt
+ * @param {boolean} partial - Allow missing fields (updates)
+ * @returns {Object} Sale fields that were given
+ */
+function parseSaleBody(body, partial) {
+    const sale = {};
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 120) {
+            throw createError('Name must be 1-120 characters', 400);
+        }
+        sale.name = body.name.trim();
+    }
+    if (body.productId !== undefined && body.productId !== null) {
+        if (!/^\d+$/.test(String(body.productId))) throw createError('productId must be a product ID', 400);
+        sale.productId = parseInt(body.productId);
+    }
+    if (body.category !== undefined && body.category !== null) {
+        if (typeof body.category !== 'string' || !body.category.trim()) throw createError('category must be a category slug', 400);
+        sale.category = body.category.trim().toLowerCase();
+    }
+    if (body.discountPercent !== undefined) {
+        const percent = parseFloat(body.discountPercent);
+        if (!(percent > 0 && percent < 100)) throw createError('discountPercent must be between 0 and 100', 400);
+        sale.discountPercent = percent;
+    }
+    for (const field of ['startsAt', 'endsAt']) {
+        if (body[field] === undefined) continue;
+        if (Number.isNaN(Date.parse(body[field]))) throw createError(`${field} must be a date and time`, 400);
+        sale[field] = new Date(body[field]);
+    }
+    if (!partial) {
+        const missing = ['name', 'discountPercent', 'startsAt', 'endsAt'].filter(field => sale[field] === undefined);
+        if (missing.length) throw createError(`Missing ${missing.join(', ')}`, 400);
+    }
+    return sale;
+}
+
+/**
+ * Reject a sale on a category that isn't in the taxonomy
+ * @param {string} [slug]
+ */
+async function assertCategoryExists(slug) {
+    if (slug === undefined) return;
+    const slugs = await categoryRepository.getCategorySlugs();
+    if (!slugs.includes(slug)) throw createError(`Unknown category "${slug}"`, 400);
+}
+
+/**
+ * GET /api/admin/sales?status=scheduled|active|ended
+ * Scheduled, running and past sales (newest start first)
+ */
+router.get('/sales', requireAdminAPI, asyncHandler(async (req, res) => {
+    const sales = await saleRepository.listSales({ status: req.query.status });
+    res.json({
+        success: true,
+        data: sales,
+        message: `${sales.length} sales`
+    });
+}));
+
+/**
+ * POST /api/admin/sales
+ * Schedule a sale on one product or a whole category:
+ * { "name": "Succulent weekend", "category": "succulent", "discountPercent": 20,
+ *   "startsAt": "2025-06-07T00:00:00", "endsAt": "2025-06-09T00:00:00" }
+ */
+router.post('/sales', requireAdminAPI, asyncHandler(async (req, res) => {
+    const changes = parseSaleBody(req.body, false);
+    await assertCategoryExists(changes.category);
+    const sale = await saleRepository.createSale(changes);
+    res.status(201).json({
+        success: true,
+        data: sale,
+        message: `Sale "${sale.name}" scheduled`
+    });
+}));
+
+/**
+ * PUT /api/admin/sales/:id
+ * Change a sale; set endsAt to now to end it early
+ */
+router.put('/sales/:id(\\d+)', requireAdminAPI, asyncHandler(async (req, res) => {
+    const changes = parseSaleBody(req.body, true);
+    await assertCategoryExists(changes.category);
+    const sale = await saleRepository.updateSale(req.params.id, changes);
+    if (!sale) throw createError(`Sale ${req.params.id} not found`, 404);
+
+    res.json({
+        success: true,
+        data: sale,
+        message: `Sale "${sale.name}" updated`
+    });
+}));
+
+/**
+ * DELETE /api/admin/sales/:id
+ */
+router.delete('/sales/:id(\\d+)', requireAdminAPI, asyncHandler(async (req, res) => {
+    const sale = await saleRepository.deleteSale(req.params.id);
+    if (!sale) throw createError(`Sale ${req.params.id} not found`, 404);
+
+    res.json({
+        success: true,
+        message: `Sale "${sale.name}" deleted`
+    });
+}));
+
+/**
+ * GET /api/admin/products/:id/price-history
+ * Regular price changes per variant, the sales that applied to the product
+ * and its lowest price over the last 30 days
+ */
+router.get('/products/:id(\\d+)/price-history', requireAdminAPI, asyncHandler(async (req, res) => {
+    const productId = parseInt(req.params.id);
+    const [history, sales, lowest] = await Promise.all([
+        saleRepository.getPriceHistory(productId),
+        saleRepository.listSales({ productId }),
+        saleRepository.getLowestPrices([productId])
+    ]);
+    if (history.length === 0) throw createError(`Product ${productId} not found`, 404);
+
+    res.json({
+        success: true,
+        data: {
+            history,
+            sales,
+            lowestPrice30Days: lowest.has(productId) ? lowest.get(productId).lowest : null
+        },
+        message: `${history.length} price changes`
+    });
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                                 Categories                                 */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * Validate a category body; with partial, only the fields present are checked
+ * @param {Object} body
+ * @param {boolean} partial - true for updates
+ * @returns {Object} slug, name, description, image, parentId, sortOrder, gstRate
+ */
+function parseCategoryBody(body, partial) {
+    const category = {};
+    if (body.slug !== undefined) {
+        if (typeof body.slug !== 'string' || !categoryRepository.SLUG_PATTERN.test(body.slug) || body.slug.length > 50) {
+            throw createError('slug must be 1-50 lowercase letters, digits and single hyphens', 400);
+        }
+        category.slug = body.slug;
+    }
+    if (body.name !== undefined) {
+        if (typeof body.name !== 'string' || !body.name.trim() || body.name.length > 100) {
+            throw createError('Name must be 1-100 characters', 400);
+        }
+        category.name = body.name.trim();
+    }
+    for (const field of ['description', 'image']) {
+        if (body[field] === undefined) continue;
+        if (body[field] !== null && typeof body[field] !== 'string') throw createError(`${field} must be text`, 400);
+        category[field] = body[field];
+    }
+    if (category.image && category.image.length > 255) throw createError('image must be at most 255 characters', 400);
+    if (body.parentId !== undefined) {
+        if (body.parentId !== null && !/^\d+$/.test(String(body.parentId))) {
+            throw createError('parentId must be a category ID or null', 400);
+        }
+        category.parentId = body.parentId === null ? null : parseInt(body.parentId);
+    }
+    if (body.sortOrder !== undefined) {
+        if (!/^\d+$/.test(String(body.sortOrder))) throw createError('sortOrder must be a whole number of at least 0', 400);
+        category.sortOrder = parseInt(body.sortOrder);
+    }
+    if (body.gstRate !== undefined) {
+        const rate = body.gstRate === null ? null : Number(body.gstRate);
+        if (rate !== null && !(rate >= 0 && rate <= 28)) {
+            throw createError('gstRate must be a percentage from 0 to 28, or null to use the parent category\'s rate', 400);
+        }
+        category.gstRate = rate;
+    }
+    if (!partial) {
+        const missing = ['slug', 'name'].filter(field => category[field] === undefined);
+        if (missing.length) throw createError(`Missing ${missing.join(', ')}`, 400);
+    }
+    return category;
+}
+
+/**
+ * GET /api/admin/categories
+ * The taxonomy as a tree, with product counts
+ */
+router.get('/categories', requireAdminAPI, asyncHandler(async (req, res) => {
+    const categories = await categoryRepository.getCategories();
+    res.json({
+        success: true,
+        data: categoryRepository.buildCategoryTree(categories),
+        message: `${categories.length} categories`
+    });
+}));
+
+/**
+ * POST /api/admin/categories
+ * { "slug": "herbs", "name": "Herbs", "parentId": 1, "sortOrder": 4,
+ *   "description": "Kitchen herbs for sunny windowsills", "image": "/images/herbs.jpg" }
+ */
+router.post('/categories', requireAdminAPI, asyncHandler(async (req, res) => {
+    const category = await categoryRepository.createCategory(parseCategoryBody(req.body, false));
+    res.status(201).json({
+        success: true,
+        data: category,
+        message: `Category "${category.name}" created`
+    });
+}));
+
+/**
+ * PUT /api/admin/categories/:id
+ * Rename, re-parent or reorder a category, or set its GST rate
+ * ({ "gstRate": 5 }; null inherits the parent's). A new slug moves its
+ * products and sales along with it.
+ */
+router.put('/categories/:id(\\d+)', requireAdminAPI, asyncHandler(async (req, res) => {
+    const category = await categoryRepository.updateCategory(req.params.id, parseCategoryBody(req.body, true));
+    if (!category) throw createError(`Category ${req.params.id} not found`, 404);
+
+    res.json({
+        success: true,
+        data: category,
+        message: `Category "${category.name}" updated`
+    });
+}));
+
+/**
+ * DELETE /api/admin/categories/:id
+ * Only empty categories can be deleted (409 while products or child
+ * categories remain)
+ */
+router.delete('/categories/:id(\\d+)', requireAdminAPI, asyncHandler(async (req, res) => {
+    const category = await categoryRepository.deleteCategory(req.params.id);
+    if (!category) throw createError(`Category ${req.params.id} not found`, 404);
+
+    res.json({
+        success: true,
+        message: `Category "${category.name}" deleted`
+    });
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                               Tax & Shipping                               */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * GET /api/admin/pricing
+ * GST and shipping settings in force (stored values over the defaults)
+ */
+router.get('/pricing', requireAdminAPI, asyncHandler(async (req, res) => {
+    res.json({
+        success: true,
+        data: await pricingRepository.getSettings()
+    });
+}));
+
+/**
+ * PUT /api/admin/pricing
+ * Replace the tax and/or shipping settings; each is sent whole, e.g.
+ * { "tax": { "storeState": "KA", "defaultRate": 18, "shippingRate": 18, "pricesIncludeTax": false },
+ *   "shipping": { "defaultWeightGrams": 500, "methods": [...], "zones": [...] } }
+ * The last zone must have no states: it covers every other state.
+ * Carts and checkout use the new rates at once.
+ */
+router.put('/pricing', requireAdminAPI, asyncHandler(async (req, res) => {
+    const settings = await pricingRepository.updateSettings(req.body || {});
+    res.json({
+        success: true,
+        data: settings,
+        message: 'Tax and shipping settings updated'
+    });
+}));
+
+/**
+ * POST /api/admin/pricing/quote
+ * Try the current rules on some lines without a cart:
+ * { "items": [{ "productId": 1, "variantId": 2, "price": 499, "quantity": 2 }],
+ *   "state": "MH", "shippingMethod": "express" }
+ */
+router.post('/pricing/quote', requireAdminAPI, asyncHandler(async (req, res) => {
+    const { items, state, shippingMethod } = req.body || {};
+    if (!Array.isArray(items) || items.length === 0 || items.length > 100) {
+        throw createError('items must be a list of 1-100 lines', 400);
+    }
+    if (items.some(item => !item || !(parseInt(item.productId) > 0) || !(Number(item.price) >= 0))) {
+        throw createError('Every line needs a productId and a price', 400);
+    }
+    res.json({
+        success: true,
+        data: await pricingRepository.quoteTotals(items, { state, method: shippingMethod })
+    });
+}));
+
+/* -------------------------------------------------------------------------- */
+/*                                  Coupons                                   */
+/* -------------------------------------------------------------------------- */
+
+/**
+ * GET /api/admin/coupons
+ * Every coupon with how often it has been redeemed (used)
+ */
+router.get('/coupons', requireAdminAPI, asyncHandler(async (req, res) => {
+    const coupons = await couponRepository.getCoupons();
+    res.json({
+        success: true,
+        data: coupons,
+        message: `${coupons.length} coupons`
+    });
+}));
+
+/**
+ * POST /api/admin/coupons
+ * { "code": "MONSOON20", "type": "percent", "value": 20, "maxDiscount": 500,
+ *   "categories": ["plants"], "minOrder": 999, "startsAt": "2026-07-01", "endsAt": "2026-08-01",
+ *   "usageLimit": 500, "perCustomerLimit": 1, "stackable": false }
+ * Types: percent, fixed (value = rupees off), free_shipping, and
+ * buy_x_get_y ("buyQuantity": 2, "getQuantity": 1, "value": 100 = the cheapest one free)
+ */
+router.post('/coupons', requireAdminAPI, asyncHandler(async (req, res) => {
+    const coupon = await couponRepository.createCoupon(req.body);
+    res.status(201).json({
+        success: true,
+        data: coupon,
+        message: `Coupon ${coupon.code} created`
+    });
+}));
+
+/**
+ * PUT /api/admin/coupons/:id
+ * Change any of the fields above, e.g. { "active": false } to end a campaign early
+ */
+router.put('/coupons/:id(\\d+)', requireAdminAPI, asyncHandler(async (req, res) => {
+    const coupon = await couponRepository.updateCoupon(req.params.id, req.body);
+    if (!coupon) throw createError(`Coupon ${req.params.id} not found`, 404);
+
+    res.json({
+        success: true,
+        data: coupon,
+        message: `Coupon ${coupon.code} updated`
+    });
+}));
+
+/**
+ * DELETE /api/admin/coupons/:id
+ * Only coupons that were never redeemed can be deleted (409 otherwise)
+ */
+router.delete('/coupons/:id(\\d+)', requireAdminAPI, asyncHandler(async (req, res) => {
+    const coupon = await couponRepository.deleteCoupon(req.params.id);
+    if (!coupon) throw createError(`Coupon ${req.params.id} not found`, 404);
+
+    res.json({
+        success: true,
+        message: `Coupon ${coupon.code} deleted`
+    });
+}));
+
 module.exports = router;
@@ -21,6 +21,7 @@
  * - Newsletter subscription
  * - Popular products
  * - Recent products
+ * - Cart recommendations
  */
 
 const express = require('express');
@@ -29,11 +30,13 @@ const path = require('path');
 const { body, query, validationResult } = require('express-validator');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
 const client = require('../config/redisClient');
+const productRepository = require('../db/productRepository');
+const recommendationRepository = require('../db/recommendationRepository');
+const categoryRepository = require('../db/categoryRepository');
 
 const router = express.Router();
 
-// File paths
-const PRODUCTS_FILE = path.join(__dirname, '../data/products.json');
+// File paths (products live in PostgreSQL - see db/productRepository.js)
 const CONTACTS_FILE = path.join(__dirname, '../data/contacts.json');
 const NEWSLETTER_FILE = path.join(__dirname, '../data/newsletter.json');
 const SERVICES_BOOKINGS_FILE = path.join(__dirname, '../data/services-bookings.json');
@@ -42,22 +45,6 @@ const SERVICES_BOOKINGS_FILE = path.join(__dirname, '../data/services-bookings.j
  * HELPER FUNCTIONS
  */
 
-/**
- * Read products from file
- * @returns {Array} Array of product objects
- */
-async function readProducts() {
-    try {
-        const data = await fs.readFile(PRODUCTS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            return [];
-        }
-        throw error;
-    }
-}
-
 /**
  * Read contacts from file
  * @returns {Array} Array of contact submissions
@@ -155,10 +142,10 @@ async function writeServiceBookings(bookings) {
 router.get('/health', asyncHandler(async (req, res) => {
     const startTime = Date.now();
     
-    // Check if we can read data files (basic functionality test)
+    // Check that the product database answers (basic functionality test)
     let dataHealth = 'healthy';
     try {
-        await readProducts();
+        await productRepository.ping();
     } catch (error) {
         dataHealth = 'error';
         console.error('Health check - data error:', error.message);
@@ -254,8 +241,12 @@ router.get('/search',
             .withMessage('Search query is required and must be 1-100 characters'),
         query('limit').optional().isInt({ min: 1, max: 50 })
             .withMessage('Limit must be between 1 and 50'),
-        query('category').optional().isIn(['indoor', 'outdoor', 'flowering', 'succulent'])
-            .withMessage('Invalid category')
+        query('category').optional()
+            .custom(async (value) => {
+                const slugs = await categoryRepository.getCategorySlugs();
+                if (!slugs.includes(String(value).toLowerCase())) throw new Error('Invalid category');
+                return true;
+            })
     ],
     
     asyncHandler(async (req, res) => {
@@ -269,64 +260,26 @@ router.get('/search',
         }
         
         const { q: query, limit = 10, category } = req.query;
-        const searchTerm = query.toLowerCase();
         
         console.log(`Searching for: "${query}"${category ? ` in category: ${category}` : ''}`);
         
-        // Read products
-        let products = await readProducts();
-        
-        // Filter by category if specified
-        if (category) {
-            products = products.filter(product => 
-                product.category.toLowerCase() === category.toLowerCase()
-            );
-        }
-        
-        // Search in multiple fields
-        const searchResults = products.filter(product => {
-            const searchableText = [
-                product.name,
-                product.description,
-                product.category,
-                product.care,
-                product.size,
-                product.badge,
-                Object.values(product.details || {}).join(' ')
-            ].join(' ').toLowerCase();
-            
-            return searchableText.includes(searchTerm);
-        });
-        
-        // Sort by relevance (simple scoring based on where the match occurs)
-        searchResults.sort((a, b) => {
-            const aNameMatch = a.name.toLowerCase().includes(searchTerm) ? 10 : 0;
-            const bNameMatch = b.name.toLowerCase().includes(searchTerm) ? 10 : 0;
-            const aCategoryMatch = a.category.toLowerCase().includes(searchTerm) ? 5 : 0;
-            const bCategoryMatch = b.category.toLowerCase().includes(searchTerm) ? 5 : 0;
-            const aDescMatch = a.description.toLowerCase().includes(searchTerm) ? 2 : 0;
-            const bDescMatch = b.description.toLowerCase().includes(searchTerm) ? 2 : 0;
-            
-            const aScore = aNameMatch + aCategoryMatch + aDescMatch + a.rating;
-            const bScore = bNameMatch + bCategoryMatch + bDescMatch + b.rating;
-            
-            return bScore - aScore;
+        // Search and rank in PostgreSQL (same catalog as /api/products)
+        const { results, total } = await productRepository.searchProducts(query, {
+            category,
+            limit: parseInt(limit)
         });
         
-        // Limit results
-        const limitedResults = searchResults.slice(0, parseInt(limit));
-        
         res.json({
             success: true,
             data: {
-                results: limitedResults,
+                results,
                 query: query,
                 category: category || 'all',
-                totalFound: searchResults.length,
+                totalFound: total,
                 limit: parseInt(limit),
-                hasMore: searchResults.length > parseInt(limit)
+                hasMore: total > parseInt(limit)
             },
-            message: `Found ${searchResults.length} results for "${query}"`
+            message: `Found ${total} results for "${query}"`
         });
     })
 );
@@ -558,14 +511,14 @@ router.get('/popular',
         
         console.log(`Getting ${limit} popular products`);
         
-        const products = await readProducts();
+        const products = await productRepository.getAllProducts();
         
         // Calculate popularity score (rating * reviews with some weighting)
         const popularProducts = products
             .filter(product => product.inStock) // Only show in-stock items
             .map(product => ({
                 ...product,
-                popularityScore: (product.rating * product.reviews) + (product.rating * 10)
+                popularityScore: (product.rating * product.reviewCount) + (product.rating * 10)
             }))
             .sort((a, b) => b.popularityScore - a.popularityScore)
             .slice(0, limit)
@@ -587,6 +540,42 @@ router.get('/popular',
     })
 );
 
+/**
+ * GET /api/recommendations?productIds=3,17&limit=4
+ * "Frequently bought together" and "customers also bought" for a set of
+ * products (the cart), used by the cart modal and the checkout page
+ */
+router.get('/recommendations',
+    [
+        query('productIds').matches(/^\d+(,\d+)*$/)
+            .withMessage('productIds must be a comma-separated list of product IDs'),
+        query('limit').optional().isInt({ min: 1, max: 12 })
+            .withMessage('Limit must be between 1 and 12')
+    ],
+    
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid parameters',
+                errors: errors.array()
+            });
+        }
+        
+        const productIds = req.query.productIds.split(',').slice(0, 50);
+        const limit = parseInt(req.query.limit) || 4;
+        
+        const recommendations = await recommendationRepository.getRecommendations(productIds, { limit });
+        
+        res.json({
+            success: true,
+            data: recommendations,
+            message: `Retrieved recommendations for ${productIds.length} products`
+        });
+    })
+);
+
 /**
  * GET /api/featured
  * Get featured products (products with special badges)
@@ -612,7 +601,7 @@ router.get('/featured',
         
         console.log(`Getting ${limit} featured products`);
         
-        const products = await readProducts();
+        const products = await productRepository.getAllProducts();
         
         // Define featured badges priority
         const featuredBadges = ['popular', 'new', 'sale', 'exotic', 'beginner-friendly'];
@@ -646,34 +635,29 @@ router.get('/featured',
 
 /**
  * GET /api/categories
- * Get all available product categories with counts
+ * Get the category taxonomy with product counts
  * Useful for building navigation menus and filters
+ *
+ * categories is the flat list in display order (parentId/depth give the
+ * hierarchy); tree nests the same categories under their parents. Counts
+ * include subcategories, so totals only add up top-level categories.
  */
 router.get('/categories', asyncHandler(async (req, res) => {
     console.log('Getting product categories');
     
-    const products = await readProducts();
-    
-    // Count products in each category
-    const categoryCounts = products.reduce((counts, product) => {
-        const category = product.category;
-        counts[category] = (counts[category] || 0) + 1;
-        return counts;
-    }, {});
-    
-    // Format response
-    const categories = Object.entries(categoryCounts).map(([name, count]) => ({
-        name,
-        count,
-        inStockCount: products.filter(p => p.category === name && p.inStock).length
-    }));
+    // Count products (and in-stock products) in each category
+    const categories = await productRepository.getCategoryCounts();
+    const totalProducts = categories
+        .filter((category) => !category.parentId)
+        .reduce((sum, category) => sum + category.count, 0);
     
     res.json({
         success: true,
         data: {
             categories,
+            tree: categoryRepository.buildCategoryTree(categories),
             totalCategories: categories.length,
-            totalProducts: products.length
+            totalProducts
         },
         message: 'Product categories retrieved successfully'
     });
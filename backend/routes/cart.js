@@ -6,159 +6,504 @@
  * 
  * LEARNING OBJECTIVES:
  * - Shopping cart functionality implementation
- * - Session management without databases
- * - File-based data persistence
- * - Cart item calculations (totals, taxes, discounts)
+ * - Session-keyed carts stored in PostgreSQL
+ * - Row locking so concurrent cart changes don't lose updates
+ * - Cart item calculations (totals, GST, shipping - see db/pricingRepository.js)
  * - UUID generation for unique cart sessions
  * - Input validation for cart operations
  * - RESTful cart API design
  * 
  * CART SESSION CONCEPT:
  * Each cart is identified by a unique session ID (UUID).
- * Cart data is stored in a JSON file with the following structure:
+ * Carts live in the carts / cart_items tables (db/cartRepository.js) and
+ * are returned with the following structure:
  * {
  *   sessionId: "uuid-string",
- *   items: [{ productId, quantity, price, name }],
- *   totals: { subtotal, tax, shipping, total },
+ *   items: [{ lineId, productId, variantId, sku, variantLabel, quantity, price, quotedPrice?, name }],
+ *   couponCodes: ["WELCOME10"],
+ *   totals: { subtotal, discount, tax, shipping, total, gst, shippingOptions, coupons, couponIssues, ... },
  *   createdAt: timestamp,
  *   updatedAt: timestamp
  * }
+ * Every change runs in a transaction with the cart row locked.
+ * 
+ * A cart line is one product variant: adding the same product in two pot
+ * sizes gives two lines. Lines saved before variants existed have no
+ * variantId and are matched by productId alone. A bundle line also lists
+ * its components (the variants in one kit), and its stock is theirs.
+ * 
+ * PRICE AND STOCK CHANGES:
+ * Line prices follow the catalogue, but when one moves the line keeps the
+ * price the customer last agreed to as quotedPrice. POST /:sessionId/validate
+ * reports every such change, plus lines it had to remove or cut back, as
+ * change events; checkout shows them and the customer accepts them with
+ * POST /:sessionId/changes/accept before paying.
+ * 
+ * SHARED CARTS:
+ * POST /:sessionId/share snapshots a cart's lines behind a short token
+ * (cart_shares, see cartRepository.createShare). /cart/shared/:token shows
+ * what the link would add at today's prices and stock, and
+ * POST /shared/:token/add adds it all to the visitor's own cart.
  */
 
 const express = require('express');
-const fs = require('fs').promises;
-const path = require('path');
-const { v4: uuidv4 } = require('uuid'); // For generating unique session IDs
-const { body, param, validationResult } = require('express-validator');
+const { body, param, query, validationResult } = require('express-validator');
 const { asyncHandler, createError } = require('../middleware/errorHandler');
+const productRepository = require('../db/productRepository');
+const inventory = require('../db/inventoryRepository');
+const cartRepository = require('../db/cartRepository');
+const pricing = require('../db/pricingRepository');
+const coupons = require('../db/couponRepository');
+const { absoluteUrl } = require('../config/site');
 
 const router = express.Router();
 
-// File paths for data storage
-const CARTS_FILE = path.join(__dirname, '../data/carts.json');
-const PRODUCTS_FILE = path.join(__dirname, '../data/products.json');
-
 /**
  * HELPER FUNCTIONS
  */
 
 /**
- * Read all cart sessions from file
- * @returns {Array} Array of cart objects
+ * Signed-in customer's ID, if any
+ * @param {Object} req - Express request
+ * @returns {string|null}
+ */
+function currentUserId(req) {
+    return req.session && req.session.user ? req.session.user.id : null;
+}
+
+/**
+ * Apply a change to the cart named by req.params.sessionId in one
+ * transaction (see cartRepository.modifyCart). A cart that belongs to an
+ * account can only be used while signed in to that account.
+ * @param {Object} req - Express request
+ * @param {Function} change - Edits cart.items; may throw to abandon the change
+ * @param {string} [sessionId] - Cart session ID (default: req.params.sessionId)
+ * @returns {Promise<{ cart: Object, result: any }>} Updated cart with totals
+ * @throws 404 if the cart doesn't exist (or has expired, or is someone else's)
  */
-async function readCarts() {
-    try {
-        const data = await fs.readFile(CARTS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            console.log('Carts file not found, returning empty array');
-            return [];
+async function changeCart(req, change, sessionId = req.params.sessionId) {
+    const changed = await cartRepository.modifyCart(sessionId, (cart) => {
+        if (cart.userId && cart.userId !== currentUserId(req)) {
+            throw createError('Cart not found', 404);
         }
-        console.error('Error reading carts:', error);
-        throw error;
+        return change(cart);
+    });
+    if (!changed) {
+        throw createError('Cart not found', 404);
     }
+    await updateCartCalculations(changed.cart, quoteOptions(req));
+    return changed;
 }
 
 /**
- * Write carts to file
- * @param {Array} carts - Array of cart objects to save
+ * Pick the variant a cart line refers to
+ * @param {Object} product - Product from the repository (with variants)
+ * @param {number} [variantId] - Requested variant; defaults to the first in-stock one
+ * @returns {Object|null} Variant, or null for products without variants
  */
-async function writeCarts(carts) {
-    try {
-        const data = JSON.stringify(carts, null, 2);
-        await fs.writeFile(CARTS_FILE, data, 'utf8');
-    } catch (error) {
-        console.error('Error writing carts:', error);
-        throw error;
+function resolveVariant(product, variantId) {
+    const variants = product.variants || [];
+    if (variantId !== undefined && variantId !== null) {
+        return variants.find(v => v.id === parseInt(variantId)) || null;
     }
+    return variants.find(v => v.inStock) || variants[0] || null;
 }
 
 /**
- * Read products from file (to get product details for cart items)
- * @returns {Array} Array of product objects
+ * Find the index of a cart line
+ * @param {Array} items - Cart items
+ * @param {number} productId - Product ID
+ * @param {number|null} [variantId] - Variant ID (null = line without a variant); when omitted the first line for the product matches
+ * @returns {number} Index or -1
  */
-async function readProducts() {
-    try {
-        const data = await fs.readFile(PRODUCTS_FILE, 'utf8');
-        return JSON.parse(data);
-    } catch (error) {
-        if (error.code === 'ENOENT') {
-            return [];
-        }
-        console.error('Error reading products:', error);
-        throw error;
+function findLineIndex(items, productId, variantId) {
+    const id = parseInt(productId);
+    if (variantId === undefined) {
+        return items.findIndex(item => item.productId === id);
     }
+    const wanted = variantId === null ? null : parseInt(variantId);
+    return items.findIndex(item => item.productId === id && (item.variantId || null) === wanted);
 }
 
 /**
- * Find a cart by session ID
- * @param {Array} carts - Array of cart objects
- * @param {string} sessionId - Cart session ID
- * @returns {Object|null} Cart object or null if not found
+ * Components stored on a bundle's cart line
+ * @param {Object} product - Product from the repository
+ * @returns {Array|undefined} Components, or undefined for a plain product
  */
-function findCartBySessionId(carts, sessionId) {
-    return carts.find(cart => cart.sessionId === sessionId) || null;
+function bundleComponents(product) {
+    if (!product.bundle) return undefined;
+    return product.bundle.components.map(component => ({
+        productId: component.productId,
+        variantId: component.variantId,
+        sku: component.sku,
+        name: component.name,
+        label: component.label,
+        quantity: component.quantity
+    }));
 }
 
 /**
- * Calculate cart totals
- * @param {Array} items - Cart items
- * @returns {Object} Totals object with subtotal, tax, shipping, total
+ * Variant IDs whose stock a cart line depends on
+ * @param {Object} line - Cart line ({ variantId, components? })
+ * @returns {Array<number>}
  */
-function calculateCartTotals(items) {
-    // Calculate subtotal (sum of all item prices * quantities)
-    const subtotal = items.reduce((sum, item) => {
-        return sum + (item.price * item.quantity);
-    }, 0);
-    
-    // Calculate tax (8.5% - this would be configurable in a real app)
-    const taxRate = 0.085;
-    const tax = subtotal * taxRate;
+function stockVariantIds(line) {
+    if (line.components) return line.components.map(component => component.variantId);
+    return line.variantId ? [line.variantId] : [];
+}
+
+/**
+ * Units of a cart line that can be sold: the variant's unreserved stock,
+ * or for a bundle the number of whole kits its components' stock makes
+ * @param {Object} line - Cart line ({ variantId, components? })
+ * @param {Map} availability - From inventory.getAvailability
+ * @returns {number|null} null = not tracked (unlimited)
+ */
+function lineAvailable(line, availability) {
+    if (!line.components) {
+        const stock = line.variantId ? availability.get(line.variantId) : null;
+        return stock ? stock.available : null;
+    }
+    let available = null;
+    for (const component of line.components) {
+        const stock = availability.get(component.variantId);
+        if (!stock || stock.available === null) continue;
+        const kits = Math.floor(stock.available / component.quantity);
+        available = available === null ? kits : Math.min(available, kits);
+    }
+    return available;
+}
+
+/**
+ * Reject a line quantity the unreserved stock can't cover
+ * @param {Object} line - Cart line ({ variantId, components? }); untracked/no variant always passes
+ * @param {number} quantity - Requested line quantity
+ * @param {string} sessionId - Cart session; units this cart itself holds still count
+ */
+async function assertAvailable(line, quantity, sessionId) {
+    const variantIds = stockVariantIds(line);
+    if (variantIds.length === 0) return;
+    const available = lineAvailable(line, await inventory.getAvailability(variantIds, sessionId));
+    if (available !== null && quantity > available) {
+        throw createError(available === 0 ? 'Product is out of stock' : `Only ${available} left in stock`, 400);
+    }
+}
+
+/**
+ * Move a cart line to a new price. The price the customer last agreed to
+ * stays on the line as quotedPrice until they accept the change (or the
+ * price goes back to it).
+ * @param {Object} item - Cart line (updated in place)
+ * @param {number} livePrice - Current effective price
+ * @returns {boolean} Whether the price changed
+ */
+function repriceLine(item, livePrice) {
+    if (livePrice === item.price) return false;
+    const quotedPrice = item.quotedPrice ?? item.price;
+    item.price = livePrice;
+    if (livePrice === quotedPrice) delete item.quotedPrice;
+    else item.quotedPrice = quotedPrice;
+    return true;
+}
+
+/**
+ * Price change events for lines whose price moved since the customer
+ * last agreed to it (see repriceLine)
+ * @param {Object} cart - Cart object
+ * @returns {Array<Object>} [{ type: 'price_increased'|'price_decreased', productId, variantId, name, oldPrice, newPrice, message }]
+ */
+function priceChanges(cart) {
+    return cart.items
+        .filter(item => item.quotedPrice !== undefined && item.quotedPrice !== item.price)
+        .map(item => {
+            const increased = item.price > item.quotedPrice;
+            return {
+                type: increased ? 'price_increased' : 'price_decreased',
+                productId: item.productId,
+                variantId: item.variantId || null,
+                name: item.name,
+                oldPrice: item.quotedPrice,
+                newPrice: item.price,
+                message: `The price of ${item.name} has gone ${increased ? 'up' : 'down'} from ₹${item.quotedPrice.toFixed(2)} to ₹${item.price.toFixed(2)}`
+            };
+        });
+}
+
+/**
+ * Bring line prices up to date with the current effective prices, so a
+ * sale that started or ended since an item was added shows in the totals.
+ * Lines whose product or variant is gone are left for /validate to report.
+ * @param {Object} cart - Cart object (updated in place)
+ * @returns {Promise<boolean>} Whether any price changed
+ */
+async function refreshLinePrices(cart) {
+    if (cart.items.length === 0) return false;
+    const products = await productRepository.getProductsByIds(cart.items.map(item => item.productId));
+    let changed = false;
+    for (const item of cart.items) {
+        const product = products.find(p => p.id === item.productId);
+        if (!product) continue;
+        const variant = item.variantId ? resolveVariant(product, item.variantId) : null;
+        if (item.variantId && !variant) continue;
+        if (repriceLine(item, variant ? variant.price : product.price)) changed = true;
+    }
+    return changed;
+}
+
+/**
+ * Merge lines from another cart (a guest cart, or lines kept in the
+ * browser) into a cart. Lines are re-checked against the live catalogue:
+ * removed or out-of-stock items are left out, a line already in the cart
+ * keeps the larger of the two quantities rather than adding them up (the
+ * same plant put in the cart on two devices), and quantities are capped at
+ * the stock left. Prices are the current ones.
+ * @param {Object} cart - Cart being changed (inside changeCart)
+ * @param {Array} lines - [{ productId, variantId?, quantity, name? }]
+ * @param {Object} [options]
+ * @param {boolean} [options.add] - Add quantities to lines already in the cart instead (shared carts)
+ * @returns {Promise<Array>} Notices about lines that couldn't be merged as they were
+ */
+async function mergeLines(cart, lines, { add = false } = {}) {
+    const notices = [];
+    if (lines.length === 0) return notices;
     
-    // Calculate shipping (free over $75, otherwise $9.99)
-    const shippingThreshold = 75;
-    const shippingCost = 9.99;
-    const shipping = subtotal >= shippingThreshold ? 0 : shippingCost;
+    const products = await productRepository.getProductsByIds(lines.map(line => parseInt(line.productId)));
+    const candidates = [];
+    for (const line of lines) {
+        const product = products.find(p => p.id === parseInt(line.productId));
+        const variant = product ? resolveVariant(product, line.variantId || null) : null;
+        const notice = { productId: parseInt(line.productId), variantId: line.variantId || null };
+        if (!product || product.archived || (line.variantId && !variant)) {
+            notices.push({ ...notice, type: 'product_removed', message: `${line.name || 'An item'} is no longer available and wasn't added to your cart` });
+        } else if (!product.inStock || (variant && !variant.inStock)) {
+            notices.push({ ...notice, type: 'out_of_stock', message: `${product.name} is out of stock and wasn't added to your cart` });
+        } else {
+            candidates.push({ line, product, variant, components: bundleComponents(product) });
+        }
+    }
+    const availability = await inventory.getAvailability(
+        candidates.flatMap(({ variant, components }) => stockVariantIds({ variantId: variant ? variant.id : null, components })),
+        cart.sessionId
+    );
     
-    // Calculate total
-    const total = subtotal + tax + shipping;
+    for (const { line, product, variant, components } of candidates) {
+        const variantId = variant ? variant.id : null;
+        const index = findLineIndex(cart.items, product.id, variantId);
+        const existing = index >= 0 ? cart.items[index] : null;
+        const current = existing ? existing.quantity : 0;
+        const requested = parseInt(line.quantity) || 1;
+        const wanted = Math.min(99, add ? current + requested : Math.max(current, requested));
+        const available = lineAvailable({ variantId, components }, availability);
+        const quantity = available === null ? wanted : Math.min(wanted, available);
+        if (quantity === 0) {
+            notices.push({ productId: product.id, variantId, type: 'out_of_stock', message: `${product.name} is out of stock and wasn't added to your cart` });
+            continue;
+        }
+        if (quantity < wanted) {
+            notices.push({
+                productId: product.id,
+                variantId,
+                type: 'insufficient_stock',
+                requested: wanted,
+                available,
+                message: `Only ${available} of ${product.name} left in stock; your cart quantity has been reduced`
+            });
+        }
+        if (existing) {
+            existing.quantity = quantity;
+            continue;
+        }
+        cart.items.push({
+            productId: product.id,
+            variantId,
+            sku: variant ? variant.sku : null,
+            name: product.name,
+            variantLabel: variant ? variant.label : null,
+            price: variant ? variant.price : product.price,
+            originalPrice: variant ? variant.originalPrice : product.originalPrice,
+            image: product.image,
+            size: variant && variant.size ? variant.size : product.size,
+            potColour: variant ? variant.potColour : null,
+            quantity,
+            ...(components && { components }),
+            addedAt: new Date().toISOString()
+        });
+    }
+    return notices;
+}
+
+/**
+ * What a shared cart would add today: each snapshot line checked against
+ * the live catalogue and unreserved stock, at the current price.
+ * status is 'available', 'limited' (fewer left than shared), 'out_of_stock'
+ * or 'removed' (no longer sold).
+ * @param {Array} lines - Share snapshot lines ({ productId, variantId, quantity, name, price })
+ * @returns {Promise<{ items: Array, subtotal: number }>}
+ */
+async function previewSharedLines(lines) {
+    const products = await productRepository.getProductsByIds(lines.map(line => line.productId));
+    const checked = lines.map(line => {
+        const product = products.find(p => p.id === line.productId);
+        const variant = product ? resolveVariant(product, line.variantId || null) : null;
+        const removed = !product || product.archived || Boolean(line.variantId && !variant);
+        return { line, product, variant, removed, components: removed ? undefined : bundleComponents(product) };
+    });
+    const availability = await inventory.getAvailability(checked
+        .filter(({ removed }) => !removed)
+        .flatMap(({ variant, components }) => stockVariantIds({ variantId: variant ? variant.id : null, components })));
     
-    return {
-        subtotal: Math.round(subtotal * 100) / 100,      // Round to 2 decimal places
-        tax: Math.round(tax * 100) / 100,
-        shipping: Math.round(shipping * 100) / 100,
-        total: Math.round(total * 100) / 100,
-        freeShipping: subtotal >= shippingThreshold,
-        amountForFreeShipping: subtotal >= shippingThreshold ? 0 : 
-            Math.round((shippingThreshold - subtotal) * 100) / 100
-    };
+    const items = checked.map(({ line, product, variant, removed, components }) => {
+        if (removed) {
+            return { ...line, image: null, url: null, price: null, sharedPrice: line.price, requested: line.quantity, quantity: 0, status: 'removed' };
+        }
+        const variantId = variant ? variant.id : null;
+        const inStock = product.inStock && (!variant || variant.inStock);
+        const available = inStock ? lineAvailable({ variantId, components }, availability) : 0;
+        const quantity = available === null ? line.quantity : Math.min(line.quantity, available);
+        return {
+            productId: product.id,
+            variantId,
+            name: product.name,
+            variantLabel: variant ? variant.label : null,
+            image: product.image,
+            url: product.url,
+            price: variant ? variant.price : product.price,
+            sharedPrice: line.price,
+            requested: line.quantity,
+            quantity,
+            status: quantity === 0 ? 'out_of_stock' : quantity < line.quantity ? 'limited' : 'available'
+        };
+    });
+    const subtotal = items.reduce((sum, item) => sum + (item.status === 'removed' ? 0 : item.price * item.quantity), 0);
+    return { items, subtotal: Math.round(subtotal * 100) / 100 };
 }
 
 /**
- * Create a new empty cart
- * @returns {Object} New cart object
+ * Destination and shipping method for totals, from the query string
+ * (?state=KA&shippingMethod=express). Without a state the totals are an
+ * estimate for delivery within the store's state. A signed-in customer's
+ * earlier coupon uses count against per-customer limits.
+ * @param {Object} req - Express request
+ * @returns {{ state: string|undefined, method: string|undefined, customer: Object|null }}
  */
-function createNewCart() {
-    const now = new Date().toISOString();
+function quoteOptions(req) {
+    const user = req.session && req.session.user;
     return {
-        sessionId: uuidv4(),          // Generate unique session ID
-        items: [],                    // Empty items array
-        totals: calculateCartTotals([]), // Calculate totals for empty cart
-        createdAt: now,
-        updatedAt: now,
-        itemCount: 0                  // Total number of items in cart
+        state: typeof req.query.state === 'string' ? req.query.state : undefined,
+        method: typeof req.query.shippingMethod === 'string' ? req.query.shippingMethod : undefined,
+        customer: user ? { userId: user.id, email: user.email } : null
     };
 }
 
 /**
- * Update cart totals and item count
+ * Calculate cart totals with the store's GST and shipping rules.
+ * The checkout page and the payment endpoint use the same calculation.
+ * @param {Array} items - Cart items
+ * @param {Object} [options] - { state, method } (see quoteOptions)
+ * @returns {Promise<Object>} Totals: subtotal, tax, shipping, total, GST split,
+ *   free-shipping progress and shippingOptions
+ */
+function calculateCartTotals(items, options = {}) {
+    return pricing.quoteTotals(items, options);
+}
+
+/**
+ * Update cart totals (with the cart's coupons) and item count
  * @param {Object} cart - Cart object to update
+ * @param {Object} [options] - { state, method, customer }
  */
-function updateCartCalculations(cart) {
-    cart.totals = calculateCartTotals(cart.items);
+async function updateCartCalculations(cart, options = {}) {
+    cart.totals = await calculateCartTotals(cart.items, { ...options, couponCodes: cart.couponCodes });
     cart.itemCount = cart.items.reduce((sum, item) => sum + item.quantity, 0);
-    cart.updatedAt = new Date().toISOString();
+}
+
+/**
+ * Add a product (variant) to a cart, or raise the quantity of the line that
+ * already holds it, and tell the cart's other tabs. Used by POST
+ * /:sessionId/items and by the wishlist's move-to-cart.
+ * @param {Object} req - Express request
+ * @param {string} sessionId - Cart session ID
+ * @param {Object} item
+ * @param {number} item.productId
+ * @param {number} [item.variantId] - Defaults to the first in-stock variant
+ * @param {number} [item.quantity=1]
+ * @returns {Promise<{ cart: Object, product: Object, variant: Object|null }>}
+ * @throws 404 for an unknown product, variant or cart; 400 if out of stock or over the limit
+ */
+async function addProductToCart(req, sessionId, { productId, variantId, quantity = 1 }) {
+    // Find product
+    const product = await productRepository.getProductById(productId);
+    if (!product || product.archived) {
+        throw createError('Product not found', 404);
+    }
+    
+    // Resolve the variant (size / pot colour) being bought
+    const variant = resolveVariant(product, variantId);
+    if (variantId && !variant) {
+        throw createError('Variant not found', 404);
+    }
+    
+    // Check if product is in stock
+    if (!product.inStock || (variant && !variant.inStock)) {
+        throw createError('Product is out of stock', 400);
+    }
+    
+    const { cart } = await changeCart(req, async (cart) => {
+        // Check if the same variant already exists in cart
+        const existingItemIndex = findLineIndex(cart.items, product.id, variant ? variant.id : null);
+    
+        if (existingItemIndex >= 0) {
+            // Update existing item quantity
+            const existingItem = cart.items[existingItemIndex];
+            const newQuantity = existingItem.quantity + quantity;
+        
+            // Check quantity limits
+            if (newQuantity > 99) {
+                throw createError('Maximum quantity per item is 99', 400);
+            }
+            await assertAvailable(existingItem, newQuantity, sessionId);
+        
+            cart.items[existingItemIndex].quantity = newQuantity;
+            console.log(`Updated item quantity to ${newQuantity}`);
+        } else {
+            const components = bundleComponents(product);
+            await assertAvailable({ variantId: variant ? variant.id : null, components }, quantity, sessionId);
+        
+            // Add new item to cart
+            const cartItem = {
+                productId: product.id,
+                variantId: variant ? variant.id : null,
+                sku: variant ? variant.sku : null,
+                name: product.name,
+                variantLabel: variant ? variant.label : null,
+                price: variant ? variant.price : product.price,
+                originalPrice: variant ? variant.originalPrice : product.originalPrice,
+                image: product.image,
+                size: variant && variant.size ? variant.size : product.size,
+                potColour: variant ? variant.potColour : null,
+                quantity: quantity,
+                ...(components && { components }),
+                addedAt: new Date().toISOString()
+            };
+        
+            cart.items.push(cartItem);
+            console.log('Added new item to cart');
+        }
+    }, sessionId);
+    
+    // Emit Socket.io event for real-time cart updates
+    const io = req.app.get('io');
+    if (io) {
+        io.to(`cart:${cart.sessionId}`).emit('cart:updated', {
+            sessionId: cart.sessionId,
+            action: 'item_added',
+            itemCount: cart.itemCount,
+            totals: cart.totals,
+            product: { id: product.id, variantId: variant ? variant.id : null, name: product.name, quantity }
+        });
+    }
+    
+    return { cart, product, variant };
 }
 
 /**
@@ -173,15 +518,10 @@ function updateCartCalculations(cart) {
 router.post('/create', asyncHandler(async (req, res) => {
     console.log('Creating new cart session');
     
-    // Create new cart
-    const newCart = createNewCart();
-    
-    // Read existing carts and add new one
-    const carts = await readCarts();
-    carts.push(newCart);
-    
-    // Save to file
-    await writeCarts(carts);
+    // Create new cart (the session ID is a fresh UUID)
+    const newCart = await cartRepository.createCart();
+    await updateCartCalculations(newCart, quoteOptions(req));
+    if (req.session) req.session.cartId = newCart.sessionId;
     
     res.status(201).json({
         success: true,
@@ -190,6 +530,167 @@ router.post('/create', asyncHandler(async (req, res) => {
     });
 }));
 
+/**
+ * POST /api/cart/current
+ * The cart this browser should show, created if needed. Signed-in customers
+ * get their account's cart wherever they sign in; the first time a guest
+ * cart is seen after signing in it's merged into that cart (see mergeLines),
+ * coupon codes included, and deleted, or simply becomes the account's cart
+ * if there is none yet.
+ * 
+ * Request Body (all optional):
+ * {
+ *   sessionId: string (the cart the browser last used),
+ *   items: [{ productId, variantId, quantity }] (lines kept only in the browser, to add)
+ * }
+ * 
+ * Response data: { cart, notices: [...], merged: boolean (a guest cart was merged) }
+ */
+router.post('/current',
+    [
+        body('sessionId').optional({ nullable: true, checkFalsy: true }).isUUID(4)
+            .withMessage('Session ID must be a valid UUID'),
+        body('items').optional().isArray({ max: 100 })
+            .withMessage('Items must be a list of at most 100 lines'),
+        body('items.*.productId').isInt({ min: 1 })
+            .withMessage('Product ID must be a positive integer'),
+        body('items.*.variantId').optional({ nullable: true }).isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer'),
+        body('items.*.quantity').isInt({ min: 1, max: 99 })
+            .withMessage('Quantity must be between 1 and 99')
+    ],
+    
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+        
+        const userId = currentUserId(req);
+        const lines = req.body.items || [];
+        
+        // The browser's cart, unless it belongs to an account that isn't signed in here
+        let browserCart = null;
+        for (const sessionId of [req.body.sessionId, req.session && req.session.cartId]) {
+            if (!sessionId || browserCart) continue;
+            const found = await cartRepository.getCart(sessionId);
+            if (found && (!found.userId || found.userId === userId)) browserCart = found;
+        }
+        
+        let cart;
+        let guestCart = null;
+        if (userId) {
+            cart = await cartRepository.getUserCart(userId);
+            if (!cart && browserCart && !browserCart.userId) {
+                cart = await cartRepository.claimCart(browserCart.sessionId, userId);
+            } else if (browserCart && !browserCart.userId) {
+                guestCart = browserCart;
+            }
+            if (!cart) cart = await cartRepository.createCart({ userId });
+        } else {
+            cart = browserCart || await cartRepository.createCart();
+        }
+        
+        const guestLines = guestCart ? guestCart.items : [];
+        const { cart: current, result: notices } = await changeCart(req, async (cart) => {
+            const notices = await mergeLines(cart, [...guestLines, ...lines]);
+            for (const code of guestCart ? guestCart.couponCodes : []) {
+                if (!cart.couponCodes.includes(code)) cart.couponCodes.push(code);
+            }
+            await refreshLinePrices(cart);
+            return notices;
+        }, cart.sessionId);
+        if (guestCart) {
+            await cartRepository.deleteCart(guestCart.sessionId);
+            console.log(`Merged guest cart ${guestCart.sessionId} into cart ${current.sessionId}`);
+        }
+        if (req.session) req.session.cartId = current.sessionId;
+        
+        res.json({
+            success: true,
+            data: {
+                cart: current,
+                notices,
+                merged: guestLines.length > 0
+            },
+            message: 'Cart retrieved successfully'
+        });
+    })
+);
+
+/**
+ * GET /api/cart/shared/:token
+ * Preview a shared cart: its lines with today's prices and stock
+ * 
+ * Response data: { token, title, expiresAt, items: [{ ..., price, sharedPrice, requested, quantity, status }], subtotal }
+ */
+router.get('/shared/:token', asyncHandler(async (req, res) => {
+    const share = await cartRepository.getShare(req.params.token);
+    if (!share) {
+        throw createError('This cart link has expired or doesn\'t exist', 404);
+    }
+    
+    res.json({
+        success: true,
+        data: {
+            token: share.token,
+            title: share.title,
+            expiresAt: share.expiresAt,
+            ...await previewSharedLines(share.items)
+        }
+    });
+}));
+
+/**
+ * POST /api/cart/shared/:token/add
+ * Add everything in a shared cart to the visitor's own cart. Lines are
+ * re-checked like a merged guest cart: items no longer sold or out of
+ * stock are skipped and quantities capped at the stock left, with a notice
+ * for each; quantities add to lines already in the cart.
+ * 
+ * Request Body:
+ * {
+ *   sessionId: string (the visitor's cart)
+ * }
+ * 
+ * Response data: { cart, notices: [...] }
+ */
+router.post('/shared/:token/add',
+    [
+        body('sessionId').isUUID(4)
+            .withMessage('Session ID must be a valid UUID')
+    ],
+    
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+        
+        const share = await cartRepository.getShare(req.params.token);
+        if (!share) {
+            throw createError('This cart link has expired or doesn\'t exist', 404);
+        }
+        
+        const { cart, result: notices } = await changeCart(req, cart => mergeLines(cart, share.items, { add: true }), req.body.sessionId);
+        const added = share.items.length - notices.filter(notice => notice.type !== 'insufficient_stock').length;
+        
+        res.json({
+            success: true,
+            data: { cart, notices },
+            message: added > 0 ? `Added ${added} item${added === 1 ? '' : 's'} to your cart` : 'Nothing from this link could be added'
+        });
+    })
+);
+
 /**
  * GET /api/cart/:sessionId
  * Get cart by session ID
@@ -213,12 +714,8 @@ router.get('/:sessionId',
         const { sessionId } = req.params;
         console.log(`Getting cart for session: ${sessionId}`);
         
-        const carts = await readCarts();
-        const cart = findCartBySessionId(carts, sessionId);
-        
-        if (!cart) {
-            throw createError(404, 'Cart not found');
-        }
+        // Sales start and end on their own schedule
+        const { cart } = await changeCart(req, refreshLinePrices);
         
         res.json({
             success: true,
@@ -235,6 +732,7 @@ router.get('/:sessionId',
  * Request Body:
  * {
  *   productId: number,
+ *   variantId: number (optional, defaults to the first in-stock variant),
  *   quantity: number (optional, defaults to 1)
  * }
  */
@@ -244,6 +742,8 @@ router.post('/:sessionId/items',
             .withMessage('Session ID must be a valid UUID'),
         body('productId').isInt({ min: 1 })
             .withMessage('Product ID must be a positive integer'),
+        body('variantId').optional({ nullable: true }).isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer'),
         body('quantity').optional().isInt({ min: 1, max: 99 })
             .withMessage('Quantity must be between 1 and 99')
     ],
@@ -259,84 +759,11 @@ router.post('/:sessionId/items',
         }
         
         const { sessionId } = req.params;
-        const { productId, quantity = 1 } = req.body;
+        const { productId, variantId, quantity = 1 } = req.body;
         
         console.log(`Adding product ${productId} (qty: ${quantity}) to cart ${sessionId}`);
         
-        // Read carts and products
-        const carts = await readCarts();
-        const products = await readProducts();
-        
-        // Find cart
-        let cart = findCartBySessionId(carts, sessionId);
-        if (!cart) {
-            throw createError(404, 'Cart not found');
-        }
-        
-        // Find product
-        const product = products.find(p => p.id === productId);
-        if (!product) {
-            throw createError(404, 'Product not found');
-        }
-        
-        // Check if product is in stock
-        if (!product.inStock) {
-            throw createError(400, 'Product is out of stock');
-        }
-        
-        // Check if item already exists in cart
-        const existingItemIndex = cart.items.findIndex(item => item.productId === productId);
-        
-        if (existingItemIndex >= 0) {
-            // Update existing item quantity
-            const existingItem = cart.items[existingItemIndex];
-            const newQuantity = existingItem.quantity + quantity;
-            
-            // Check quantity limits
-            if (newQuantity > 99) {
-                throw createError(400, 'Maximum quantity per item is 99');
-            }
-            
-            cart.items[existingItemIndex].quantity = newQuantity;
-            console.log(`Updated item quantity to ${newQuantity}`);
-        } else {
-            // Add new item to cart
-            const cartItem = {
-                productId: product.id,
-                name: product.name,
-                price: product.price,
-                originalPrice: product.originalPrice,
-                image: product.image,
-                size: product.size,
-                quantity: quantity,
-                addedAt: new Date().toISOString()
-            };
-            
-            cart.items.push(cartItem);
-            console.log('Added new item to cart');
-        }
-        
-        // Update cart calculations
-        updateCartCalculations(cart);
-        
-        // Find cart index and update in array
-        const cartIndex = carts.findIndex(c => c.sessionId === sessionId);
-        carts[cartIndex] = cart;
-        
-        // Save to file
-        await writeCarts(carts);
-        
-        // Emit Socket.io event for real-time cart updates
-        const io = req.app.get('io');
-        if (io) {
-            io.emit('cart:updated', {
-                sessionId: cart.sessionId,
-                action: 'item_added',
-                itemCount: cart.itemCount,
-                totals: cart.totals,
-                product: { id: product.id, name: product.name, quantity }
-            });
-        }
+        const { cart, product } = await addProductToCart(req, sessionId, { productId, variantId, quantity });
         
         res.json({
             success: true,
@@ -347,7 +774,7 @@ router.post('/:sessionId/items',
 );
 
 /**
- * PUT /api/cart/:sessionId/items/:productId
+ * PUT /api/cart/:sessionId/items/:productId[?variantId=]
  * Update item quantity in cart
  * 
  * Request Body:
@@ -361,6 +788,8 @@ router.put('/:sessionId/items/:productId',
             .withMessage('Session ID must be a valid UUID'),
         param('productId').isInt({ min: 1 })
             .withMessage('Product ID must be a positive integer'),
+        query('variantId').optional().isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer'),
         body('quantity').isInt({ min: 1, max: 99 })
             .withMessage('Quantity must be between 1 and 99')
     ],
@@ -376,45 +805,34 @@ router.put('/:sessionId/items/:productId',
         }
         
         const { sessionId, productId } = req.params;
+        const { variantId } = req.query;
         const { quantity } = req.body;
         
         console.log(`Updating product ${productId} quantity to ${quantity} in cart ${sessionId}`);
         
-        const carts = await readCarts();
-        let cart = findCartBySessionId(carts, sessionId);
-        
-        if (!cart) {
-            throw createError(404, 'Cart not found');
-        }
-        
-        // Find item in cart
-        const itemIndex = cart.items.findIndex(item => item.productId === parseInt(productId));
-        if (itemIndex === -1) {
-            throw createError(404, 'Item not found in cart');
-        }
-        
-        // Update quantity
-        cart.items[itemIndex].quantity = quantity;
-        
-        // Update cart calculations
-        updateCartCalculations(cart);
-        
-        // Update cart in array
-        const cartIndex = carts.findIndex(c => c.sessionId === sessionId);
-        carts[cartIndex] = cart;
-        
-        // Save to file
-        await writeCarts(carts);
+        const { cart, result: updatedItem } = await changeCart(req, async (cart) => {
+            // Find item in cart
+            const itemIndex = findLineIndex(cart.items, productId, variantId);
+            if (itemIndex === -1) {
+                throw createError('Item not found in cart', 404);
+            }
+            await assertAvailable(cart.items[itemIndex], quantity, sessionId);
+            
+            // Update quantity
+            cart.items[itemIndex].quantity = quantity;
+            return cart.items[itemIndex];
+        });
         
         // Emit Socket.io event for real-time cart updates
         const io = req.app.get('io');
         if (io) {
-            io.emit('cart:updated', {
+            io.to(`cart:${cart.sessionId}`).emit('cart:updated', {
                 sessionId: cart.sessionId,
                 action: 'item_quantity_updated',
                 itemCount: cart.itemCount,
                 totals: cart.totals,
                 productId: parseInt(productId),
+                variantId: updatedItem.variantId || null,
                 quantity
             });
         }
@@ -428,7 +846,7 @@ router.put('/:sessionId/items/:productId',
 );
 
 /**
- * DELETE /api/cart/:sessionId/items/:productId
+ * DELETE /api/cart/:sessionId/items/:productId[?variantId=]
  * Remove an item from the cart
  */
 router.delete('/:sessionId/items/:productId',
@@ -436,7 +854,9 @@ router.delete('/:sessionId/items/:productId',
         param('sessionId').isUUID(4)
             .withMessage('Session ID must be a valid UUID'),
         param('productId').isInt({ min: 1 })
-            .withMessage('Product ID must be a positive integer')
+            .withMessage('Product ID must be a positive integer'),
+        query('variantId').optional().isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer')
     ],
     
     asyncHandler(async (req, res) => {
@@ -450,44 +870,28 @@ router.delete('/:sessionId/items/:productId',
         }
         
         const { sessionId, productId } = req.params;
+        const { variantId } = req.query;
         
         console.log(`Removing product ${productId} from cart ${sessionId}`);
         
-        const carts = await readCarts();
-        let cart = findCartBySessionId(carts, sessionId);
-        
-        if (!cart) {
-            throw createError(404, 'Cart not found');
-        }
-        
-        // Find and remove item
-        const itemIndex = cart.items.findIndex(item => item.productId === parseInt(productId));
-        if (itemIndex === -1) {
-            throw createError(404, 'Item not found in cart');
-        }
-        
-        const removedItem = cart.items[itemIndex];
-        cart.items.splice(itemIndex, 1);
-        
-        // Update cart calculations
-        updateCartCalculations(cart);
-        
-        // Update cart in array
-        const cartIndex = carts.findIndex(c => c.sessionId === sessionId);
-        carts[cartIndex] = cart;
-        
-        // Save to file
-        await writeCarts(carts);
+        const { cart, result: removedItem } = await changeCart(req, (cart) => {
+            // Find and remove item
+            const itemIndex = findLineIndex(cart.items, productId, variantId);
+            if (itemIndex === -1) {
+                throw createError('Item not found in cart', 404);
+            }
+            return cart.items.splice(itemIndex, 1)[0];
+        });
         
         // Emit Socket.io event for real-time cart updates
         const io = req.app.get('io');
         if (io) {
-            io.emit('cart:updated', {
+            io.to(`cart:${cart.sessionId}`).emit('cart:updated', {
                 sessionId: cart.sessionId,
                 action: 'item_removed',
                 itemCount: cart.itemCount,
                 totals: cart.totals,
-                product: { id: parseInt(productId), name: removedItem.name }
+                product: { id: parseInt(productId), variantId: removedItem.variantId || null, name: removedItem.name }
             });
         }
         
@@ -523,28 +927,15 @@ router.delete('/:sessionId/clear',
         
         console.log(`Clearing cart ${sessionId}`);
         
-        const carts = await readCarts();
-        let cart = findCartBySessionId(carts, sessionId);
-        
-        if (!cart) {
-            throw createError(404, 'Cart not found');
-        }
-        
         // Clear items
-        cart.items = [];
-        updateCartCalculations(cart);
-        
-        // Update cart in array
-        const cartIndex = carts.findIndex(c => c.sessionId === sessionId);
-        carts[cartIndex] = cart;
-        
-        // Save to file
-        await writeCarts(carts);
+        const { cart } = await changeCart(req, (cart) => {
+            cart.items = [];
+        });
         
         // Emit Socket.io event for real-time cart updates
         const io = req.app.get('io');
         if (io) {
-            io.emit('cart:updated', {
+            io.to(`cart:${cart.sessionId}`).emit('cart:updated', {
                 sessionId: cart.sessionId,
                 action: 'cart_cleared',
                 itemCount: 0,
@@ -561,11 +952,67 @@ router.delete('/:sessionId/clear',
 );
 
 /**
- * GET /api/cart/:sessionId/summary
- * Get cart summary with totals and item count
- * This is useful for displaying cart information in headers/navbars
+ * POST /api/cart/:sessionId/coupons
+ * Apply a coupon code. The code is refused (400, with the reason) unless it
+ * can be used on the cart as it is now, alongside the codes already applied.
+ * Once applied it stays on the cart: if the cart changes so that it no
+ * longer qualifies, totals.couponIssues says why and it takes no effect.
+ * 
+ * Request Body:
+ * {
+ *   code: string
+ * }
  */
-router.get('/:sessionId/summary',
+router.post('/:sessionId/coupons',
+    [
+        param('sessionId').isUUID(4)
+            .withMessage('Session ID must be a valid UUID'),
+        body('code').isString().trim().isLength({ min: 1, max: 40 })
+            .withMessage('Enter a coupon code')
+    ],
+    
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+        
+        const code = coupons.normalizeCode(req.body.code);
+        
+        const { cart } = await changeCart(req, async (cart) => {
+            if (cart.couponCodes.includes(code)) {
+                throw createError(`${code} is already applied`, 400);
+            }
+            const couponCodes = [...cart.couponCodes, code];
+            const totals = await calculateCartTotals(cart.items, { ...quoteOptions(req), couponCodes });
+            const issue = totals.couponIssues.find(item => item.code === code);
+            if (issue) {
+                throw createError(issue.message, 400);
+            }
+            cart.couponCodes = couponCodes;
+        });
+        
+        const applied = cart.totals.coupons.find(item => item.code === code);
+        
+        res.json({
+            success: true,
+            data: cart,
+            message: applied && applied.discount > 0
+                ? `${code} applied: ₹${applied.discount.toFixed(2)} off`
+                : `${code} applied`
+        });
+    })
+);
+
+/**
+ * DELETE /api/cart/:sessionId/coupons/:code
+ * Remove a coupon code from the cart
+ */
+router.delete('/:sessionId/coupons/:code',
     [
         param('sessionId').isUUID(4)
             .withMessage('Session ID must be a valid UUID')
@@ -581,19 +1028,120 @@ router.get('/:sessionId/summary',
             });
         }
         
-        const { sessionId } = req.params;
+        const code = coupons.normalizeCode(req.params.code);
+        
+        const { cart } = await changeCart(req, (cart) => {
+            if (!cart.couponCodes.includes(code)) {
+                throw createError(`${code} isn't applied to this cart`, 404);
+            }
+            cart.couponCodes = cart.couponCodes.filter(item => item !== code);
+        });
+        
+        res.json({
+            success: true,
+            data: cart,
+            message: `${code} removed`
+        });
+    })
+);
+
+/**
+ * POST /api/cart/:sessionId/share
+ * Snapshot the cart behind a short link that expires after
+ * CART_SHARE_TTL_DAYS (default 14). Later changes to the cart don't change
+ * what the link adds.
+ * 
+ * Request Body (optional):
+ * {
+ *   title: string (shown on the shared page, e.g. "Low-light starter set")
+ * }
+ * 
+ * Response data: { token, url, title, expiresAt }
+ */
+router.post('/:sessionId/share',
+    [
+        param('sessionId').isUUID(4)
+            .withMessage('Session ID must be a valid UUID'),
+        body('title').optional({ nullable: true, checkFalsy: true }).isString().trim().isLength({ max: 100 })
+            .withMessage('Title must be at most 100 characters')
+    ],
+    
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
         
-        const carts = await readCarts();
-        const cart = findCartBySessionId(carts, sessionId);
+        const cart = await cartRepository.getCart(req.params.sessionId);
+        if (!cart || (cart.userId && cart.userId !== currentUserId(req))) {
+            throw createError('Cart not found', 404);
+        }
+        if (cart.items.length === 0) {
+            throw createError('Your cart is empty', 400);
+        }
+        
+        const share = await cartRepository.createShare(cart.items, {
+            title: req.body.title || null,
+            userId: currentUserId(req)
+        });
         
-        if (!cart) {
-            throw createError(404, 'Cart not found');
+        res.json({
+            success: true,
+            data: {
+                token: share.token,
+                url: absoluteUrl(`/cart/shared/${share.token}`),
+                title: share.title,
+                expiresAt: share.expiresAt
+            },
+            message: 'Share link created'
+        });
+    })
+);
+
+/**
+ * GET /api/cart/:sessionId/summary
+ * Get cart summary with totals and item count
+ * This is useful for displaying cart information in headers/navbars, and is
+ * what the checkout page shows as the order total.
+ * 
+ * Query Parameters (optional, as on every cart endpoint):
+ * - state: destination state code (e.g. KA); decides the shipping zone and CGST/SGST vs IGST
+ * - shippingMethod: shipping method code (e.g. express); defaults to the zone's first
+ */
+router.get('/:sessionId/summary',
+    [
+        param('sessionId').isUUID(4)
+            .withMessage('Session ID must be a valid UUID'),
+        query('state').optional().matches(/^[A-Za-z]{2}$/)
+            .withMessage('State must be a two-letter state code'),
+        query('shippingMethod').optional().matches(/^[a-z0-9-]+$/)
+            .withMessage('Invalid shipping method')
+    ],
+    
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
         }
         
+        const { sessionId } = req.params;
+        
+        // Sales start and end on their own schedule
+        const { cart } = await changeCart(req, refreshLinePrices);
+        
         // Return only summary information (not full item details)
         const summary = {
             sessionId: cart.sessionId,
             itemCount: cart.itemCount,
+            couponCodes: cart.couponCodes,
             totals: cart.totals,
             hasItems: cart.items.length > 0,
             updatedAt: cart.updatedAt
@@ -609,8 +1157,17 @@ router.get('/:sessionId/summary',
 
 /**
  * POST /api/cart/:sessionId/validate
- * Validate cart items (check stock, prices, etc.)
- * This should be called before checkout to ensure all items are still available
+ * Check the cart against the live catalogue before checkout. Lines that
+ * can't be bought are fixed right away (removed, or cut back to the stock
+ * left) and prices are brought up to date; every difference from what the
+ * customer last saw comes back as a change event.
+ * 
+ * Change events:
+ * - price_increased / price_decreased { oldPrice, newPrice } - stays listed until accepted
+ * - quantity_reduced { requested, available }
+ * - out_of_stock, product_removed - the line was taken out of the cart
+ * 
+ * Response data: { cart, changes, requiresAcceptance, isValid }
  */
 router.post('/:sessionId/validate',
     [
@@ -632,76 +1189,146 @@ router.post('/:sessionId/validate',
         
         console.log(`Validating cart ${sessionId}`);
         
-        const carts = await readCarts();
-        const products = await readProducts();
-        let cart = findCartBySessionId(carts, sessionId);
-        
-        if (!cart) {
-            throw createError(404, 'Cart not found');
-        }
+        const { cart, result: changes } = await changeCart(req, async (cart) => {
+            // Load live product data, then unreserved stock for every line
+            // (a bundle's contents may have been changed since it was added)
+            const products = await productRepository.getProductsByIds(cart.items.map(item => item.productId));
+            for (const cartItem of cart.items) {
+                const product = products.find(p => p.id === cartItem.productId);
+                const components = product && bundleComponents(product);
+                if (components) cartItem.components = components;
+                else delete cartItem.components;
+            }
+            const availability = await inventory.getAvailability(cart.items.flatMap(stockVariantIds), sessionId);
         
-        const validationIssues = [];
-        let hasChanges = false;
+            const changes = [];
         
-        // Validate each item in cart
-        for (let i = cart.items.length - 1; i >= 0; i--) {
-            const cartItem = cart.items[i];
-            const product = products.find(p => p.id === cartItem.productId);
-            
-            if (!product) {
-                // Product no longer exists
-                validationIssues.push({
-                    type: 'product_removed',
-                    productId: cartItem.productId,
-                    message: `${cartItem.name} is no longer available and has been removed from your cart`
-                });
-                cart.items.splice(i, 1);
-                hasChanges = true;
-            } else if (!product.inStock) {
-                // Product out of stock
-                validationIssues.push({
-                    type: 'out_of_stock',
+            // Validate each item in cart
+            for (let i = cart.items.length - 1; i >= 0; i--) {
+                const cartItem = cart.items[i];
+                const product = products.find(p => p.id === cartItem.productId);
+                const variant = product && cartItem.variantId
+                    ? resolveVariant(product, cartItem.variantId)
+                    : null;
+                const available = lineAvailable(cartItem, availability);
+                const change = {
                     productId: cartItem.productId,
-                    message: `${product.name} is currently out of stock and has been removed from your cart`
-                });
-                cart.items.splice(i, 1);
-                hasChanges = true;
-            } else if (product.price !== cartItem.price) {
-                // Price changed
-                validationIssues.push({
-                    type: 'price_change',
-                    productId: cartItem.productId,
-                    oldPrice: cartItem.price,
-                    newPrice: product.price,
-                    message: `The price of ${product.name} has changed from $${cartItem.price} to $${product.price}`
-                });
-                cartItem.price = product.price;
-                hasChanges = true;
+                    variantId: cartItem.variantId || null,
+                    name: cartItem.name
+                };
+            
+                if (!product || product.archived || (cartItem.variantId && !variant)) {
+                    // Product no longer exists (or was archived)
+                    changes.push({
+                        ...change,
+                        type: 'product_removed',
+                        message: `${cartItem.name} is no longer available and has been removed from your cart`
+                    });
+                    cart.items.splice(i, 1);
+                    continue;
+                }
+                if (!product.inStock || (variant && !variant.inStock) || available === 0) {
+                    // Product (or the chosen variant) out of stock
+                    changes.push({
+                        ...change,
+                        type: 'out_of_stock',
+                        message: `${product.name} is currently out of stock and has been removed from your cart`
+                    });
+                    cart.items.splice(i, 1);
+                    continue;
+                }
+                if (available !== null && cartItem.quantity > available) {
+                    // More in the cart than is left (oversold line)
+                    changes.push({
+                        ...change,
+                        type: 'quantity_reduced',
+                        requested: cartItem.quantity,
+                        available: available,
+                        message: `Only ${available} of ${product.name} left in stock; your cart quantity has been reduced`
+                    });
+                    cartItem.quantity = available;
+                }
+                repriceLine(cartItem, variant ? variant.price : product.price);
             }
-        }
-        
-        // Update cart if there were changes
-        if (hasChanges) {
-            updateCartCalculations(cart);
             
-            const cartIndex = carts.findIndex(c => c.sessionId === sessionId);
-            carts[cartIndex] = cart;
-            await writeCarts(carts);
+            // Price changes (including ones picked up earlier) in cart order
+            changes.reverse();
+            return [...changes, ...priceChanges(cart)];
+        });
+        
+        const requiresAcceptance = changes.length > 0;
+        
+        res.json({
+            success: true,
+            data: {
+                cart: cart,
+                changes: changes,
+                requiresAcceptance: requiresAcceptance,
+                isValid: !requiresAcceptance
+            },
+            message: requiresAcceptance ? `${changes.length} change${changes.length === 1 ? '' : 's'} to your cart need${changes.length === 1 ? 's' : ''} your review` : 'Cart is valid'
+        });
+    })
+);
+
+/**
+ * POST /api/cart/:sessionId/changes/accept
+ * Accept the price changes /validate reported. Only lines still at the
+ * price the customer saw are accepted; a price that moved again stays
+ * pending, and is listed in the response.
+ * 
+ * Request Body:
+ * {
+ *   changes: [{ productId: number, variantId: number (optional), newPrice: number }]
+ * }
+ */
+router.post('/:sessionId/changes/accept',
+    [
+        param('sessionId').isUUID(4)
+            .withMessage('Session ID must be a valid UUID'),
+        body('changes').isArray({ max: 100 })
+            .withMessage('Changes must be a list'),
+        body('changes.*.productId').isInt({ min: 1 })
+            .withMessage('Product ID must be a positive integer').toInt(),
+        body('changes.*.variantId').optional({ nullable: true }).isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer').toInt(),
+        body('changes.*.newPrice').isFloat({ min: 0 })
+            .withMessage('New price must be a number').toFloat()
+    ],
+    
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
         }
         
-        const isValid = validationIssues.length === 0;
+        const { cart, result: changes } = await changeCart(req, (cart) => {
+            for (const accepted of req.body.changes) {
+                const index = findLineIndex(cart.items, accepted.productId, accepted.variantId || null);
+                const item = index >= 0 ? cart.items[index] : null;
+                if (item && item.quotedPrice !== undefined && item.price === accepted.newPrice) {
+                    delete item.quotedPrice;
+                }
+            }
+            return priceChanges(cart);
+        });
         
         res.json({
             success: true,
             data: {
                 cart: cart,
-                isValid: isValid,
-                issues: validationIssues,
-                hasChanges: hasChanges
+                changes: changes,
+                requiresAcceptance: changes.length > 0
             },
-            message: isValid ? 'Cart is valid' : `Cart validation found ${validationIssues.length} issues`
+            message: changes.length > 0 ? 'Some price changes still need your review' : 'Changes accepted'
         });
     })
 );
 
-module.exports = router;
\ No newline at end of file
+module.exports = router;
+module.exports.addProductToCart = addProductToCart;
+module.exports.mergeLines = mergeLines;
\ No newline at end of file
@@ -1,6 +1,8 @@
 const express = require("express");
 const router = express.Router();
 const pool = require("../db/pool");
+const inventory = require("../db/inventoryRepository");
+const coupons = require("../db/couponRepository");
 
 // Get orders for logged-in user
 router.get("/my-orders", async (req, res) => {
@@ -18,7 +20,7 @@ router.get("/my-orders", async (req, res) => {
     // Fetch orders from database
     const result = await pool.query(
       `SELECT * FROM orders 
-       WHERE user_email = $1 
+       WHERE user_email = $1 AND COALESCE(status, 'placed') <> 'pending'
        ORDER BY created_at DESC`,
       [userEmail]
     );
@@ -52,7 +54,7 @@ router.get("/:id", async (req, res) => {
 
     const result = await pool.query(
       `SELECT * FROM orders 
-       WHERE id = $1 AND user_email = $2`,
+       WHERE id = $1 AND user_email = $2 AND COALESCE(status, 'placed') <> 'pending'`,
       [orderId, userEmail]
     );
 
@@ -77,4 +79,73 @@ router.get("/:id", async (req, res) => {
   }
 });
 
+// Cancel an order, put its stock back and give back its coupon uses
+router.post("/:id/cancel", async (req, res) => {
+  if (!req.session || !req.session.user) {
+    return res.status(401).json({
+      success: false,
+      error: "Please log in to cancel orders"
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    // Match the account that placed the order; only legacy orders without
+    // a customer_id fall back to the email address
+    const result = await client.query(
+      `SELECT * FROM orders 
+       WHERE id = $1 AND COALESCE(status, 'placed') <> 'pending'
+         AND (customer_id = $2 OR (customer_id IS NULL AND LOWER(user_email) = LOWER($3)))
+       FOR UPDATE`,
+      [req.params.id, String(req.session.user.id), req.session.user.email]
+    );
+
+    if (result.rows.length === 0) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({
+        success: false,
+        error: "Order not found"
+      });
+    }
+
+    const order = result.rows[0];
+    if (order.status === "cancelled") {
+      await client.query("ROLLBACK");
+      return res.status(400).json({
+        success: false,
+        error: "Order is already cancelled"
+      });
+    }
+
+    const stockChange = await inventory.restock(client, order.items || []);
+    await coupons.releaseRedemptions(client, order.order_number);
+    const updated = await client.query(
+      `UPDATE orders SET status = 'cancelled', cancelled_at = NOW()
+       WHERE id = $1 RETURNING *`,
+      [order.id]
+    );
+
+    await client.query("COMMIT");
+    await inventory.afterStockChange(stockChange.productIds);
+
+    res.json({
+      success: true,
+      order: updated.rows[0],
+      message: `Order ${order.order_number} cancelled`
+    });
+
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    console.error("❌ Error cancelling order:", error);
+    res.status(500).json({
+      success: false,
+      error: "Failed to cancel order"
+    });
+  } finally {
+    client.release();
+  }
+});
+
 module.exports = router;
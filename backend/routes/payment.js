@@ -2,64 +2,312 @@
  * routes/payment.js
  * Mock Payment API route for checkout functionality
  * This simulates a payment endpoint (you can replace it later with Stripe, Razorpay, etc.)
+ *
+ * Checkout is two calls, and the browser never sends prices or amounts:
+ * - POST /orders builds a pending order from the server-side cart at
+ *   today's prices and works out discounts, GST and shipping
+ * - POST /checkout pays that order by its ID (for the customer who created
+ *   it); the totals are worked out again and the payment is refused if they
+ *   no longer match
+ * Pending orders can be paid for PENDING_ORDER_MINUTES (the same window as
+ * the stock hold) and don't show up anywhere until they are paid.
  */
 
 const express = require("express");
 const router = express.Router();
 const pool = require("../db/pool");
+const inventory = require("../db/inventoryRepository");
+const pricing = require("../db/pricingRepository");
+const coupons = require("../db/couponRepository");
+const cartRepository = require("../db/cartRepository");
+const productRepository = require("../db/productRepository");
 
-// ✅ POST /api/payment/checkout
-router.post("/checkout", async (req, res) => {
+const PENDING_ORDER_MINUTES = inventory.RESERVATION_MINUTES;
+const PAYMENT_METHODS = ["card", "paypal"];
+const UUID_PATTERN = /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Shape stored in orders.items: one line per product variant (bundles also list their components)
+const toOrderItem = (item) => ({
+  productId: parseInt(item.productId ?? item.id),
+  variantId: item.variantId ? parseInt(item.variantId) : null,
+  sku: item.sku || null,
+  name: item.name,
+  variantLabel: item.variantLabel || null,
+  price: parseFloat(item.price) || 0,
+  quantity: parseInt(item.quantity) || 1,
+  image: item.image || null,
+});
+
+// Stock errors (409) carry the lines that can't be covered
+const sendStockError = (res, err) =>
+  res.status(409).json({ success: false, error: err.message, shortages: err.shortages });
+
+// Signed-in customer's ID, if any
+const sessionUserId = (req) => (req.session && req.session.user ? req.session.user.id : null);
+
+// The cart to check out, or null when there is none or it belongs to an
+// account that isn't signed in here
+async function findOwnCart(req, sessionId) {
+  const cart = await cartRepository.getCart(sessionId);
+  return cart && (!cart.userId || cart.userId === sessionUserId(req)) ? cart : null;
+}
+
+// Whether this request may pay a pending order: the account that created
+// it, or for a guest order the browser holding the cart it was made from
+function ownsOrder(req, order, sessionId) {
+  if (order.customer_id) return order.customer_id === sessionUserId(req);
+  return String(sessionId || "").toLowerCase() === order.cart_session_id;
+}
+
+// Cart lines that no longer match the catalogue: the product (or variant) is
+// gone or out of stock, or its price isn't the one the customer accepted
+// (see POST /api/cart/:sessionId/validate)
+async function changedCartLines(items) {
+  const products = await productRepository.getProductsByIds(items.map((item) => item.productId));
+  return items.filter((item) => {
+    const product = products.find((p) => p.id === item.productId);
+    const variant = product && item.variantId ? (product.variants || []).find((v) => v.id === item.variantId) : null;
+    if (!product || product.archived || (item.variantId && !variant)) return true;
+    if (!product.inStock || (variant && !variant.inStock)) return true;
+    return item.quotedPrice !== undefined || (variant ? variant.price : product.price) !== item.price;
+  });
+}
+
+// ✅ POST /api/payment/reserve - hold stock while the customer is on the checkout page
+// Body: { sessionId } - the lines held are the server cart's. The hold is keyed
+// by the cart's session ID, so the cart's own stock checks
+// (inventory.getAvailability with the same ID) don't count it as taken
+router.post("/reserve", async (req, res) => {
+  try {
+    const { sessionId } = req.body;
+    if (!UUID_PATTERN.test(String(sessionId))) {
+      return res.status(400).json({ success: false, error: "Missing cart session." });
+    }
+
+    const cart = await findOwnCart(req, sessionId);
+    if (!cart) {
+      return res.status(404).json({ success: false, error: "Cart not found." });
+    }
+    if (cart.items.length === 0) {
+      return res.status(400).json({ success: false, error: "Cart is empty." });
+    }
+
+    const hold = await inventory.reserve(cart.sessionId, cart.items.map(toOrderItem));
+    res.status(200).json({
+      success: true,
+      holdId: hold.holdId,
+      expiresAt: hold.expiresAt,
+      message: `Items reserved for ${inventory.RESERVATION_MINUTES} minutes`,
+    });
+  } catch (err) {
+    if (err.shortages) return sendStockError(res, err);
+    console.error("❌ Reservation error:", err.message);
+    res.status(500).json({ success: false, error: "Could not reserve stock" });
+  }
+});
+
+// ✅ DELETE /api/payment/reserve/:holdId - customer left checkout
+router.delete("/reserve/:holdId", async (req, res) => {
+  try {
+    const released = await inventory.release(req.params.holdId);
+    res.status(200).json({ success: true, released });
+  } catch (err) {
+    console.error("❌ Reservation release error:", err.message);
+    res.status(500).json({ success: false, error: "Could not release reservation" });
+  }
+});
+
+// ✅ POST /api/payment/orders - turn the cart into a pending order
+// Body: { sessionId, name, email, method, shippingInfo } - no prices or amounts
+router.post("/orders", async (req, res) => {
   try {
-    const { name, email, amount, method, cart, shippingInfo } = req.body;
+    const { sessionId, name, email, method, shippingInfo } = req.body;
 
-    // Basic validation
-    if (!name || !email || !amount || !method) {
+    if (!sessionId || !name || !email || !PAYMENT_METHODS.includes(method)) {
       return res.status(400).json({
         success: false,
         error: "Missing required payment details.",
       });
     }
 
-    console.log("💳 Payment request received:", { name, email, amount, method });
+    // A cart that belongs to an account can only be ordered while signed in to it
+    const userId = sessionUserId(req);
+    const cart = await findOwnCart(req, sessionId);
+    if (!cart) {
+      return res.status(404).json({ success: false, error: "Cart not found." });
+    }
+    if (cart.items.length === 0) {
+      return res.status(400).json({ success: false, error: "Cart is empty." });
+    }
+
+    // Prices and stock the customer hasn't seen yet go back to the cart review
+    const changed = await changedCartLines(cart.items);
+    if (changed.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: "Your cart has changed. Please review the changes before paying.",
+        cartChanged: true,
+      });
+    }
+
+    const items = await inventory.attachBundleComponents(pool,
+      await inventory.resolveLines(pool, cart.items.map(toOrderItem)));
+    const totals = await pricing.quoteTotals(items, {
+      state: shippingInfo && shippingInfo.state,
+      method: shippingInfo && shippingInfo.shippingMethod,
+      couponCodes: cart.couponCodes,
+      customer: { userId, email },
+    });
+    if (totals.couponIssues.length > 0) {
+      return res.status(409).json({
+        success: false,
+        error: totals.couponIssues.map((issue) => issue.message).join(". "),
+        totals,
+      });
+    }
 
-    // Generate unique transaction ID and order number
     const transactionId = "TXN" + Math.floor(Math.random() * 1_000_000_000);
     const orderNumber = "ORD" + Date.now() + Math.floor(Math.random() * 1000);
 
-    // Save order to database
-    const orderData = {
-      user_email: email,
-      user_name: name,
-      items: cart || [],
-      shipping_info: shippingInfo || {},
-      total_amount: amount,
-      payment_method: method,
-      transaction_id: transactionId,
-      order_number: orderNumber,
-      payment_status: 'success'
-    };
-
+    // One pending order per cart: a new attempt replaces the last one
+    // (abandoned ones from other carts go after a day)
+    await pool.query(
+      `DELETE FROM orders
+       WHERE status = 'pending' AND (cart_session_id = $1 OR created_at < NOW() - INTERVAL '1 day')`,
+      [cart.sessionId]
+    );
     await pool.query(
-      `INSERT INTO orders (user_email, user_name, order_number, transaction_id, total_amount, payment_method, payment_status, shipping_info, items, created_at)
-       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, NOW())`,
-      [orderData.user_email, orderData.user_name, orderData.order_number, orderData.transaction_id,
-       orderData.total_amount, orderData.payment_method, orderData.payment_status,
-       JSON.stringify(orderData.shipping_info), JSON.stringify(orderData.items)]
+      `INSERT INTO orders (user_email, user_name, order_number, transaction_id, total_amount, payment_method, payment_status, status, cart_session_id, customer_id, shipping_info, items, totals, created_at)
+       VALUES ($1, $2, $3, $4, $5, $6, 'pending', 'pending', $7, $8, $9, $10, $11, NOW())`,
+      [email, name, orderNumber, transactionId, totals.total, method, cart.sessionId, userId,
+       JSON.stringify({ ...shippingInfo, shippingMethod: totals.shippingMethod }), JSON.stringify(items), JSON.stringify(totals)]
+    );
+
+    console.log("🧾 Pending order created:", orderNumber, totals.total);
+
+    res.status(201).json({
+      success: true,
+      orderId: orderNumber,
+      totals,
+      expiresAt: new Date(Date.now() + PENDING_ORDER_MINUTES * 60 * 1000),
+    });
+  } catch (err) {
+    console.error("❌ Order creation error:", err.message);
+    res.status(500).json({ success: false, error: "Could not create the order" });
+  }
+});
+
+// ✅ POST /api/payment/checkout - pay a pending order
+// Body: { orderId, sessionId } - the amount is the order's, worked out again here.
+// sessionId is the cart the order was made from (needed for guest orders)
+router.post("/checkout", async (req, res) => {
+  const { orderId, sessionId } = req.body;
+
+  if (!orderId) {
+    return res.status(400).json({
+      success: false,
+      error: "Missing required payment details.",
+    });
+  }
+
+  const client = await pool.connect();
+  try {
+    await client.query("BEGIN");
+
+    const found = await client.query(
+      `SELECT *, created_at < NOW() - make_interval(mins => $2) AS expired
+       FROM orders WHERE order_number = $1 FOR UPDATE`,
+      [String(orderId), PENDING_ORDER_MINUTES]
     );
+    const order = found.rows[0];
+    if (!order || !ownsOrder(req, order, sessionId)) {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, error: "Order not found." });
+    }
+    if (order.payment_status === "success") {
+      await client.query("ROLLBACK");
+      return res.status(409).json({ success: false, error: "This order has already been paid." });
+    }
+    if (order.status !== "pending") {
+      await client.query("ROLLBACK");
+      return res.status(404).json({ success: false, error: "Order not found." });
+    }
+    if (order.expired) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        error: "This order has expired. Please review it and try again.",
+        orderExpired: true,
+      });
+    }
+
+    const { user_email: email, user_name: name, payment_method: method, items } = order;
+    const shippingInfo = order.shipping_info || {};
+    console.log("💳 Payment request received:", { orderNumber: order.order_number, email, method });
+
+    // Tax, shipping and coupons are worked out here exactly as the cart and
+    // checkout page show them, for the customer who created the order; the
+    // coupons stay locked until the order is saved
+    const userId = order.customer_id;
+    const totals = await pricing.quoteTotals(items, {
+      state: shippingInfo.state,
+      method: shippingInfo.shippingMethod,
+      couponCodes: ((order.totals && order.totals.coupons) || []).map((coupon) => coupon.code),
+      customer: { userId, email },
+      lockCoupons: true,
+    }, client);
+    if (totals.couponIssues.length > 0) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        error: totals.couponIssues.map((issue) => issue.message).join(". "),
+        totals,
+      });
+    }
+    if (Math.abs(totals.total - parseFloat(order.total_amount)) > 0.01) {
+      await client.query("ROLLBACK");
+      return res.status(409).json({
+        success: false,
+        error: "The order total has changed. Please review it and try again.",
+        totals,
+      });
+    }
+
+    // Decrement stock atomically (and drop the cart's checkout hold) in the order's transaction
+    const stockChange = await inventory.commitOrder(client, items, order.cart_session_id);
+
+    await client.query(
+      `UPDATE orders SET status = 'placed', payment_status = 'success', totals = $2, created_at = NOW()
+       WHERE id = $1`,
+      [order.id, JSON.stringify(totals)]
+    );
+    await coupons.recordRedemptions(client, totals.coupons, { orderNumber: order.order_number, email, userId });
+
+    await client.query("COMMIT");
+    await inventory.afterStockChange(stockChange.productIds);
+
+    // The cart has been ordered
+    await cartRepository.modifyCart(order.cart_session_id, (cart) => {
+      cart.items = [];
+      cart.couponCodes = [];
+    }).catch((err) => console.error("❌ Could not empty the ordered cart:", err.message));
 
-    console.log("✅ Order saved to database:", orderNumber);
+    console.log("✅ Order saved to database:", order.order_number);
 
     res.status(200).json({
       success: true,
       message: "Payment processed successfully",
-      transactionId,
-      orderNumber,
-      details: { name, email, amount, method },
+      transactionId: order.transaction_id,
+      orderNumber: order.order_number,
+      details: { name, email, amount: totals.total, method },
     });
   } catch (err) {
+    await client.query("ROLLBACK").catch(() => {});
+    if (err.shortages) return sendStockError(res, err);
     console.error("❌ Payment error:", err.message);
     res.status(500).json({ success: false, error: "Internal payment error" });
+  } finally {
+    client.release();
   }
 });
 
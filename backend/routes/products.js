@@ -2,16 +2,104 @@
  * PRODUCT ROUTES - RESTful API endpoints for plant nursery products
  * 
  * CE-2 Upgraded Version: Uses PostgreSQL + Redis Cloud Caching
+ * All reads and writes go through db/productRepository.js
  */
 
 const express = require("express");
+const rateLimit = require("express-rate-limit");
 const { body, query, param, validationResult } = require("express-validator");
 const { asyncHandler, createError } = require("../middleware/errorHandler");
-const pool = require("../db/pool");
-const redisClient = require("../config/redisClient"); // ✅ Redis Cloud client
+const { requireAdminAPI } = require("../middleware/auth");
+const productRepository = require("../db/productRepository"); // ✅ PostgreSQL + Redis Cloud
+const reviewRepository = require("../db/reviewRepository");
+const recommendationRepository = require("../db/recommendationRepository");
+const categoryRepository = require("../db/categoryRepository");
+const bundleRepository = require("../db/bundleRepository");
+const notificationRepository = require("../db/notificationRepository");
+const { acceptImages, acceptProductImages, saveRenditions, deleteRenditions } = require("../middleware/imageUpload");
 
 const router = express.Router();
 
+// SKUs are letters, digits and dashes, e.g. "GL-0042-2" or "MONSTERA-6IN-WHT"
+const SKU_PATTERN = /^[A-Za-z0-9][A-Za-z0-9-]{1,63}$/;
+
+/**
+ * Body validators for variant fields, either top-level ("") or for each
+ * element of a variants array ("variants.*.", where price is required).
+ */
+const variantValidators = (prefix = "") => [
+  body(`${prefix}sku`).optional().matches(SKU_PATTERN).withMessage("SKU may only contain letters, digits and dashes"),
+  body(`${prefix}size`).optional({ nullable: true }).isLength({ max: 50 }),
+  body(`${prefix}potColour`).optional({ nullable: true }).isLength({ max: 50 }),
+  prefix ? body(`${prefix}price`).isFloat({ min: 0 }) : body("price").optional().isFloat({ min: 0 }),
+  body(`${prefix}originalPrice`).optional({ nullable: true }).isFloat({ min: 0 }),
+  body(`${prefix}stock`).optional({ nullable: true }).isInt({ min: 0 }),
+  body(`${prefix}sortOrder`).optional().isInt({ min: 0 }),
+  body(`${prefix}weightGrams`).optional({ nullable: true }).isInt({ min: 1, max: 100000 })
+    .withMessage("Weight must be a whole number of grams"),
+];
+
+/**
+ * Multipart forms send every field as a string; decode the JSON-valued ones
+ * so the same validators work for JSON and multipart requests.
+ */
+function parseMultipartJson(req, res, next) {
+  if (req.is("multipart/form-data") && typeof req.body.variants === "string") {
+    try {
+      req.body.variants = JSON.parse(req.body.variants);
+    } catch (err) {
+      return next(createError("variants must be a JSON array", 400));
+    }
+  }
+  next();
+}
+
+/**
+ * Write renditions for every uploaded file of this request.
+ * @returns {Promise<Array>} Rendition sets for productRepository.addProductImages
+ */
+async function renderUploads(req, product) {
+  const renditions = [];
+  for (const file of req.files || []) {
+    const saved = await saveRenditions(file, product);
+    renditions.push({ ...saved, alt: req.body.imageAlt || product.name });
+  }
+  return renditions;
+}
+
+// Validator for filters that take one value or a comma-separated list ("indoor,succulent")
+const isListOf = (allowed) => (value) =>
+  String(value).split(",").every((v) => allowed.includes(v.trim().toLowerCase()));
+
+// Category slugs come from the categories table, so these check asynchronously
+const isCategoryList = async (value) => {
+  if (!isListOf([...(await categoryRepository.getCategorySlugs()), "all"])(value)) {
+    throw new Error("Unknown category");
+  }
+  return true;
+};
+const isCategory = async (value) => {
+  if (!(await categoryRepository.getCategorySlugs()).includes(String(value).toLowerCase())) {
+    throw new Error("Unknown category");
+  }
+  return true;
+};
+
+const { CARE_ATTRIBUTES } = productRepository;
+// Query parameter of each care filter (care, light, watering, ...)
+const CARE_FILTERS = Object.values(CARE_ATTRIBUTES).map(({ filter }) => filter);
+
+/**
+ * Body validators for the plant-care attributes. All of them are optional
+ * and may be null: pots, tools and other supplies have no care level.
+ */
+const careValidators = () =>
+  Object.entries(CARE_ATTRIBUTES).map(([field, { values }]) =>
+    body(field).optional({ nullable: true })
+      .isIn(values)
+      .withMessage(`${field} must be one of ${values.join(", ")}`)
+  );
+
 /* -------------------------------------------------------------------------- */
 /*                            GET /api/products (Cached)                      */
 /* -------------------------------------------------------------------------- */
@@ -19,9 +107,12 @@ const router = express.Router();
 router.get(
   "/",
   [
-    query("category").optional().isIn(["indoor", "outdoor", "flowering", "succulent", "all"]),
-    query("care").optional().isIn(["easy", "moderate", "expert", "all"]),
-    query("size").optional().isIn(["small", "medium", "large", "all"]),
+    query("category").optional().custom(isCategoryList),
+    query("size").optional().custom(isListOf(["small", "medium", "large", "all"])),
+    ...Object.values(CARE_ATTRIBUTES).map(({ filter, values }) =>
+      query(filter).optional().custom(isListOf([...values, "all"]))
+    ),
+    query("petSafe").optional().isBoolean(),
     query("minPrice").optional().isFloat({ min: 0 }),
     query("maxPrice").optional().isFloat({ min: 0 }),
     query("inStock").optional().isBoolean(),
@@ -36,20 +127,10 @@ router.get(
       return res.status(400).json({ success: false, message: "Invalid query parameters", errors: errors.array() });
     }
 
-    const cacheKey = `products:${JSON.stringify(req.query)}`;
-
-    // ✅ Try Redis cache first
-    const cachedData = await redisClient.get(cacheKey);
-    if (cachedData) {
-      console.log("⚡ Cache hit:", cacheKey);
-      return res.json(JSON.parse(cachedData));
-    }
-    console.log("🧭 Cache miss:", cacheKey);
-
     const {
       category,
-      care,
       size,
+      petSafe,
       minPrice,
       maxPrice,
       inStock,
@@ -58,73 +139,15 @@ router.get(
       page = 1,
       limit = 12,
     } = req.query;
+    const careFilters = Object.fromEntries(CARE_FILTERS.map((name) => [name, req.query[name]]));
 
-    // ---------------------- Build SQL Query Dynamically ----------------------
-    let queryStr = "SELECT * FROM products WHERE 1=1";
-    const values = [];
-    let i = 1;
-
-    if (category && category !== "all") {
-      queryStr += ` AND LOWER(category)=LOWER($${i++})`;
-      values.push(category);
-    }
-    if (care && care !== "all") {
-      queryStr += ` AND LOWER(care)=LOWER($${i++})`;
-      values.push(care);
-    }
-    if (size && size !== "all") {
-      queryStr += ` AND LOWER(size)=LOWER($${i++})`;
-      values.push(size);
-    }
-    if (minPrice) {
-      queryStr += ` AND price >= $${i++}`;
-      values.push(parseFloat(minPrice));
-    }
-    if (maxPrice) {
-      queryStr += ` AND price <= $${i++}`;
-      values.push(parseFloat(maxPrice));
-    }
-    if (inStock === "true") queryStr += " AND instock = true";
-    if (search) {
-      queryStr += ` AND (LOWER(name) LIKE LOWER($${i}) OR LOWER(description) LIKE LOWER($${i}))`;
-      values.push(`%${search}%`);
-      i++;
-    }
-
-    // ----------------------------- Sorting -----------------------------------
-    if (sort) {
-      switch (sort.toLowerCase()) {
-        case "price-low": queryStr += " ORDER BY price ASC"; break;
-        case "price-high": queryStr += " ORDER BY price DESC"; break;
-        case "rating": queryStr += " ORDER BY rating DESC"; break;
-        case "name": queryStr += " ORDER BY name ASC"; break;
-        case "newest": queryStr += " ORDER BY id DESC"; break;
-        default: queryStr += " ORDER BY id ASC";
-      }
-    } else queryStr += " ORDER BY id ASC";
-
-    // ---------------------------- Pagination ---------------------------------
-    const offset = (page - 1) * limit;
-    queryStr += ` LIMIT ${limit} OFFSET ${offset}`;
-
-    // ----------------------------- Execute -----------------------------------
-    const result = await pool.query(queryStr, values);
-    
-    // Convert snake_case to camelCase for frontend compatibility
-    const products = result.rows.map(row => ({
-      ...row,
-      inStock: row.instock !== undefined ? row.instock : true,
-      originalPrice: row.original_price ? parseFloat(row.original_price) : null,
-      price: parseFloat(row.price) || 0,
-      createdAt: row.created_at,
-      updatedAt: row.updated_at
-    }));
-
-    const countResult = await pool.query("SELECT COUNT(*) FROM products");
-    const totalProducts = parseInt(countResult.rows[0].count);
+    // ✅ Filtering, sorting, facet counts and Redis caching live in the product repository
+    const { products, total: totalProducts, facets } = await productRepository.listProducts({
+      category, size, ...careFilters, petSafe, minPrice, maxPrice, inStock, search, sort, page, limit,
+    });
     const totalPages = Math.ceil(totalProducts / limit);
 
-    const responseData = {
+    res.json({
       success: true,
       data: {
         products,
@@ -138,22 +161,19 @@ router.get(
         },
         filters: {
           category: category || "all",
-          care: care || "all",
           size: size || "all",
+          ...Object.fromEntries(CARE_FILTERS.map((name) => [name, careFilters[name] || "all"])),
+          petSafe: petSafe || null,
           minPrice: minPrice || null,
           maxPrice: maxPrice || null,
           inStock: inStock || null,
           search: search || null,
           sort: sort || "popular",
         },
+        facets,
       },
       message: `Found ${products.length} products (page ${page}/${totalPages})`,
-    };
-
-    // ✅ Store in Redis for 2 minutes
-    await redisClient.setEx(cacheKey, 120, JSON.stringify(responseData));
-
-    res.json(responseData);
+    });
   })
 );
 
@@ -172,23 +192,10 @@ router.get(
 
     const { id } = req.params;
 
-    // ✅ Try Redis first
-    const cacheKey = `product:${id}`;
-    const cachedProduct = await redisClient.get(cacheKey);
-    if (cachedProduct) {
-      console.log("⚡ Cache hit:", cacheKey);
-      return res.json(JSON.parse(cachedProduct));
-    }
-
-    const result = await pool.query("SELECT * FROM products WHERE id=$1", [id]);
-    if (result.rows.length === 0) throw createError(404, `Product with ID ${id} not found`);
-
-    const response = { success: true, data: result.rows[0], message: "Product retrieved successfully" };
-
-    // ✅ Store single product cache for 5 minutes
-    await redisClient.setEx(cacheKey, 300, JSON.stringify(response));
+    const product = await productRepository.getProductById(id);
+    if (!product) throw createError(`Product with ID ${id} not found`, 404);
 
-    res.json(response);
+    res.json({ success: true, data: product, message: "Product retrieved successfully" });
   })
 );
 
@@ -198,14 +205,22 @@ router.get(
 
 router.post(
   "/",
+  requireAdminAPI,
+  acceptProductImages,
+  parseMultipartJson,
   [
     body("name").notEmpty(),
-    body("category").isIn(["indoor", "outdoor", "flowering", "succulent"]),
+    body("category").custom(isCategory),
     body("price").isFloat({ min: 0 }),
     body("description").notEmpty(),
     body("size").isIn(["small", "medium", "large"]),
-    body("care").isIn(["easy", "moderate", "expert"]),
+    ...careValidators(),
     body("inStock").isBoolean(),
+    body("sku").optional().matches(SKU_PATTERN),
+    body("stock").optional({ nullable: true }).isInt({ min: 0 }),
+    body("variants").optional().isArray({ min: 1 }),
+    body("imageAlt").optional().isLength({ max: 255 }),
+    ...variantValidators("variants.*."),
   ],
   asyncHandler(async (req, res) => {
     const errors = validationResult(req);
@@ -213,26 +228,17 @@ router.post(
       return res.status(400).json({ success: false, message: "Invalid product data", errors: errors.array() });
     }
 
-    const {
-      name, category, price, badge, description, inStock,
-      image, lightRequirement, wateringFrequency, humidity,
-      toxicity, origin, adultSize
-    } = req.body;
-
-    const result = await pool.query(
-      `INSERT INTO products
-      (name, category, price, badge, description, instock, image,
-       lightRequirement, wateringFrequency, humidity, toxicity, origin, adultSize)
-       VALUES ($1,$2,$3,$4,$5,$6,$7,$8,$9,$10,$11,$12,$13)
-       RETURNING *`,
-      [name, category, price, badge || null, description, inStock, image || null,
-       lightRequirement, wateringFrequency, humidity, toxicity, origin, adultSize]
-    );
-
-    // ✅ Clear cache after product creation
-    await redisClient.flushAll();
-
-    res.status(201).json({ success: true, data: result.rows[0], message: "Product created successfully" });
+    // Render uploads first so a bad image doesn't leave a half-created product
+    const renditions = await renderUploads(req, req.body);
+
+    // ✅ Repository inserts the row and clears cached product lists
+    let product = await productRepository.createProduct(req.body);
+    if (renditions.length > 0) {
+      await productRepository.addProductImages(product.id, renditions);
+      product = await productRepository.getProductById(product.id);
+    }
+
+    res.status(201).json({ success: true, data: product, message: "Product created successfully" });
   })
 );
 
@@ -242,33 +248,44 @@ router.post(
 
 router.put(
   "/:id",
-  [param("id").isInt({ min: 1 })],
+  requireAdminAPI,
+  acceptProductImages,
+  [
+    param("id").isInt({ min: 1 }),
+    body("category").optional().custom(isCategory),
+    body("imageAlt").optional().isLength({ max: 255 }),
+    ...careValidators(),
+  ],
   asyncHandler(async (req, res) => {
-    const { id } = req.params;
-    const fields = [];
-    const values = [];
-    let idx = 1;
-
-    for (const [key, value] of Object.entries(req.body)) {
-      fields.push(`${key}=$${idx++}`);
-      values.push(value);
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid product data", errors: errors.array() });
     }
 
-    if (fields.length === 0) {
+    const { id } = req.params;
+    const { imageAlt, ...fields } = req.body || {};
+    const hasUploads = (req.files || []).length > 0;
+    if (Object.keys(fields).length === 0 && !hasUploads) {
       return res.status(400).json({ success: false, message: "No fields to update" });
     }
 
-    values.push(id);
-    const query = `UPDATE products SET ${fields.join(", ")} WHERE id=$${idx} RETURNING *`;
-    const result = await pool.query(query, values);
+    let product = await productRepository.getProductById(id);
+    if (!product) throw createError(`Product with ID ${id} not found`, 404);
 
-    if (result.rows.length === 0) throw createError(404, `Product with ID ${id} not found`);
+    // New uploads are appended to the gallery, filed under the (possibly new) category
+    const renditions = await renderUploads(req, { ...product, ...fields });
 
-    // ✅ Invalidate product cache
-    await redisClient.del(`product:${id}`);
-    await redisClient.flushAll(); // clear product list cache
+    // ✅ Only whitelisted columns are updated; caches are invalidated
+    if (Object.keys(fields).length > 0) {
+      product = await productRepository.updateProduct(id, fields);
+      if (!product) throw createError(`Product with ID ${id} not found`, 404);
+    }
+    if (hasUploads) {
+      await productRepository.addProductImages(id, renditions);
+      product = await productRepository.getProductById(id);
+    }
 
-    res.json({ success: true, data: result.rows[0], message: "Product updated successfully" });
+    res.json({ success: true, data: product, message: "Product updated successfully" });
   })
 );
 
@@ -276,19 +293,389 @@ router.put(
 /*                         DELETE /api/products/:id                           */
 /* -------------------------------------------------------------------------- */
 
+// Archives the product; past orders and carts can still resolve it by ID
 router.delete(
   "/:id",
+  requireAdminAPI,
+  [param("id").isInt({ min: 1 })],
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const product = await productRepository.archiveProduct(id);
+    if (!product) throw createError(`Product with ID ${id} not found`, 404);
+
+    res.json({ success: true, data: product, message: `Product ${product.name} archived` });
+  })
+);
+
+router.post(
+  "/:id/restore",
+  requireAdminAPI,
+  [param("id").isInt({ min: 1 })],
+  asyncHandler(async (req, res) => {
+    const { id } = req.params;
+    const product = await productRepository.restoreProduct(id);
+    if (!product) throw createError(`Product with ID ${id} not found`, 404);
+
+    res.json({ success: true, data: product, message: `Product ${product.name} restored` });
+  })
+);
+
+// Permanent removal, refused (409) while any order references the product
+router.delete(
+  "/:id/purge",
+  requireAdminAPI,
   [param("id").isInt({ min: 1 })],
   asyncHandler(async (req, res) => {
     const { id } = req.params;
-    const result = await pool.query("DELETE FROM products WHERE id=$1 RETURNING *", [id]);
-    if (result.rows.length === 0) throw createError(404, `Product with ID ${id} not found`);
+    const gallery = await productRepository.getProductImages(id);
+    const product = await productRepository.purgeProduct(id);
+    if (!product) throw createError(`Product with ID ${id} not found`, 404);
+    for (const image of gallery) await deleteRenditions(image); // rows went with the product (ON DELETE CASCADE)
 
-    // ✅ Clear cache after delete
-    await redisClient.del(`product:${id}`);
-    await redisClient.flushAll();
+    res.json({ success: true, message: `Product ${product.name} permanently deleted` });
+  })
+);
+
+/* -------------------------------------------------------------------------- */
+/*                      Variants: /api/products/:id/variants                  */
+/* -------------------------------------------------------------------------- */
+
+router.get(
+  "/:id/variants",
+  [param("id").isInt({ min: 1 })],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid product ID", errors: errors.array() });
+    }
+
+    const product = await productRepository.getProductById(req.params.id);
+    if (!product) throw createError(`Product with ID ${req.params.id} not found`, 404);
+
+    res.json({ success: true, data: product.variants, message: `Found ${product.variants.length} variants` });
+  })
+);
+
+router.post(
+  "/:id/variants",
+  requireAdminAPI,
+  [
+    param("id").isInt({ min: 1 }),
+    body("price").isFloat({ min: 0 }),
+    ...variantValidators(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid variant data", errors: errors.array() });
+    }
+
+    const variant = await productRepository.createVariant(req.params.id, req.body);
+    if (!variant) throw createError(`Product with ID ${req.params.id} not found`, 404);
+
+    res.status(201).json({ success: true, data: variant, message: `Variant ${variant.sku} created successfully` });
+  })
+);
+
+router.put(
+  "/:id/variants/:variantId",
+  requireAdminAPI,
+  [param("id").isInt({ min: 1 }), param("variantId").isInt({ min: 1 }), ...variantValidators()],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid variant data", errors: errors.array() });
+    }
+
+    const { id, variantId } = req.params;
+    const variant = await productRepository.updateVariant(id, variantId, req.body);
+    if (!variant) throw createError(`Variant ${variantId} of product ${id} not found`, 404);
+
+    res.json({ success: true, data: variant, message: "Variant updated successfully" });
+  })
+);
+
+router.delete(
+  "/:id/variants/:variantId",
+  requireAdminAPI,
+  [param("id").isInt({ min: 1 }), param("variantId").isInt({ min: 1 })],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid variant ID", errors: errors.array() });
+    }
+
+    const { id, variantId } = req.params;
+    const variant = await productRepository.deleteVariant(id, variantId);
+    if (!variant) throw createError(`Variant ${variantId} of product ${id} not found`, 404);
+
+    res.json({ success: true, message: `Variant ${variant.sku} deleted successfully` });
+  })
+);
+
+/* -------------------------------------------------------------------------- */
+/*              Back in stock: POST /api/products/:id/notify                  */
+/* -------------------------------------------------------------------------- */
+
+// Each address is also capped on pending requests (see notificationRepository)
+const notifyLimiter = rateLimit({
+  windowMs: 60 * 60 * 1000,
+  max: 10,
+  standardHeaders: true,
+  legacyHeaders: false,
+  message: { success: false, message: "Too many notification requests. Please try again later." },
+});
+
+// Signed-in customers may leave out the email; their account's is used
+router.post(
+  "/:id/notify",
+  notifyLimiter,
+  [
+    param("id").isInt({ min: 1 }),
+    body("email").optional({ checkFalsy: true }).trim().isEmail().withMessage("Please provide a valid email address")
+      .isLength({ max: 255 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid notification request", errors: errors.array() });
+    }
 
-    res.json({ success: true, message: `Product ${result.rows[0].name} deleted successfully` });
+    const user = req.session?.user;
+    const email = req.body.email || user?.email;
+    if (!email) throw createError("Please provide an email address or log in", 400);
+
+    const result = await notificationRepository.subscribe(req.params.id, { email, userId: user ? user.id : null });
+    if (!result) throw createError(`Product with ID ${req.params.id} not found`, 404);
+
+    res.status(result.created ? 201 : 200).json({
+      success: true,
+      message: result.created
+        ? `We'll email ${email} when ${result.product.name} is back in stock`
+        : `${email} is already on the list for ${result.product.name}`,
+    });
+  })
+);
+
+/* -------------------------------------------------------------------------- */
+/*                      Bundles: /api/products/:id/bundle                     */
+/* -------------------------------------------------------------------------- */
+
+router.put(
+  "/:id/bundle",
+  requireAdminAPI,
+  [
+    param("id").isInt({ min: 1 }),
+    body("components").isArray({ min: 1, max: bundleRepository.MAX_COMPONENTS }),
+    body("components.*.variantId").optional({ nullable: true }).isInt({ min: 1 }),
+    body("components.*.productId").optional({ nullable: true }).isInt({ min: 1 }),
+    body("components.*.quantity").optional().isInt({ min: 1, max: 99 }).toInt(),
+    body("discountPercent").optional({ nullable: true }).isFloat({ gt: 0, lt: 100 }).toFloat(),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid bundle data", errors: errors.array() });
+    }
+
+    const { components, discountPercent = null } = req.body;
+    const product = await bundleRepository.setBundle(req.params.id, { components, discountPercent });
+    if (!product) throw createError(`Product with ID ${req.params.id} not found`, 404);
+
+    res.json({ success: true, data: product, message: `${product.name} is now a bundle of ${components.length} items` });
+  })
+);
+
+router.delete(
+  "/:id/bundle",
+  requireAdminAPI,
+  [param("id").isInt({ min: 1 })],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid product ID", errors: errors.array() });
+    }
+
+    const product = await bundleRepository.removeBundle(req.params.id);
+    if (!product) throw createError(`Product with ID ${req.params.id} not found`, 404);
+
+    res.json({ success: true, data: product, message: `${product.name} is no longer a bundle` });
+  })
+);
+
+/* -------------------------------------------------------------------------- */
+/*                      Gallery: /api/products/:id/images                     */
+/* -------------------------------------------------------------------------- */
+
+router.put(
+  "/:id/images/order",
+  requireAdminAPI,
+  [
+    param("id").isInt({ min: 1 }),
+    body("imageIds").isArray({ min: 1 }),
+    body("imageIds.*").isInt({ min: 1 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid image order", errors: errors.array() });
+    }
+
+    const product = await productRepository.getProductById(req.params.id);
+    if (!product) throw createError(`Product with ID ${req.params.id} not found`, 404);
+
+    const images = await productRepository.reorderProductImages(product.id, req.body.imageIds);
+    res.json({ success: true, data: images, message: "Gallery reordered successfully" });
+  })
+);
+
+router.delete(
+  "/:id/images/:imageId",
+  requireAdminAPI,
+  [param("id").isInt({ min: 1 }), param("imageId").isInt({ min: 1 })],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid image ID", errors: errors.array() });
+    }
+
+    const { id, imageId } = req.params;
+    const image = await productRepository.deleteProductImage(id, imageId);
+    if (!image) throw createError(`Image ${imageId} of product ${id} not found`, 404);
+    await deleteRenditions(image);
+
+    res.json({ success: true, message: "Image deleted successfully" });
+  })
+);
+
+/* -------------------------------------------------------------------------- */
+/*                GET /api/products/:id/recommendations                       */
+/* -------------------------------------------------------------------------- */
+
+router.get(
+  "/:id/recommendations",
+  [param("id").isInt({ min: 1 }), query("limit").optional().isInt({ min: 1, max: 12 })],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid parameters", errors: errors.array() });
+    }
+
+    const product = await productRepository.getProductById(req.params.id);
+    if (!product) throw createError(`Product with ID ${req.params.id} not found`, 404);
+
+    const recommendations = await recommendationRepository.getRecommendations([product.id], {
+      limit: parseInt(req.query.limit) || 4,
+    });
+    res.json({ success: true, data: recommendations, message: `Recommendations for ${product.name}` });
+  })
+);
+
+/* -------------------------------------------------------------------------- */
+/*                     Reviews: /api/products/:id/reviews                     */
+/* -------------------------------------------------------------------------- */
+
+router.get(
+  "/:id/reviews",
+  [
+    param("id").isInt({ min: 1 }),
+    query("sort").optional().isIn(Object.keys(reviewRepository.REVIEW_SORTS)),
+    query("page").optional().isInt({ min: 1 }),
+    query("limit").optional().isInt({ min: 1, max: 50 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid query parameters", errors: errors.array() });
+    }
+
+    const { sort = "helpful", page = 1, limit = 10 } = req.query;
+    const { reviews, total, summary } = await reviewRepository.getProductReviews(req.params.id, { sort, page, limit });
+    const totalPages = Math.ceil(total / limit);
+
+    res.json({
+      success: true,
+      data: {
+        reviews,
+        summary,
+        pagination: {
+          currentPage: parseInt(page),
+          totalPages,
+          totalReviews: total,
+          hasNextPage: page < totalPages,
+        },
+      },
+      message: `Found ${total} reviews`,
+    });
+  })
+);
+
+router.post(
+  "/:id/reviews",
+  acceptImages("photos", 4),
+  [
+    param("id").isInt({ min: 1 }),
+    body("rating").isInt({ min: 1, max: 5 }).withMessage("Rating must be 1 to 5 stars"),
+    body("title").optional().trim().isLength({ max: 150 }),
+    body("body").optional().trim().isLength({ max: 5000 }),
+  ],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid review", errors: errors.array() });
+    }
+    if (!req.session || !req.session.user) throw createError("Please log in to write a review", 401);
+
+    const product = await productRepository.getProductById(req.params.id);
+    if (!product) throw createError(`Product with ID ${req.params.id} not found`, 404);
+
+    // Check the purchase before writing any photo files
+    const purchase = await reviewRepository.getPurchaseStatus(req.session.user.email, product.id);
+    if (!purchase.ordered) throw createError("Only customers who ordered this product can review it", 403);
+
+    const photos = [];
+    for (const file of req.files || []) {
+      const { thumb, card, zoom } = await saveRenditions(file, { name: product.name, category: String(product.id) }, "reviews");
+      photos.push({ thumb, card, zoom });
+    }
+
+    let review;
+    try {
+      review = await reviewRepository.createReview(product.id, req.session.user, { ...req.body, photos });
+    } catch (err) {
+      for (const photo of photos) await deleteRenditions(photo);
+      throw err;
+    }
+
+    res.status(201).json({
+      success: true,
+      data: review,
+      message: "Thanks! Your review will appear once it has been approved",
+    });
+  })
+);
+
+router.post(
+  "/:id/reviews/:reviewId/helpful",
+  [param("id").isInt({ min: 1 }), param("reviewId").isInt({ min: 1 })],
+  asyncHandler(async (req, res) => {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ success: false, message: "Invalid review ID", errors: errors.array() });
+    }
+
+    if (!req.session || !req.session.user) throw createError("Please log in to vote on reviews", 401);
+
+    // One vote per account
+    const { id, reviewId } = req.params;
+    const result = await reviewRepository.voteHelpful(id, reviewId, req.session.user.email);
+    if (!result) throw createError(`Review ${reviewId} of product ${id} not found`, 404);
+
+    res.json({
+      success: true,
+      data: result,
+      message: result.counted ? "Thanks for your feedback" : "You already marked this review as helpful",
+    });
   })
 );
 
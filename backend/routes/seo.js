@@ -0,0 +1,29 @@
+/**
+ * SEO ROUTES - sitemap.xml and robots.txt
+ *
+ * Both are generated from BASE_URL (config/site.js), so they point at the
+ * right host in every environment.
+ */
+
+const express = require("express");
+const { asyncHandler } = require("../middleware/errorHandler");
+const { getSitemapEntries, getCategoryCounts } = require("../db/productRepository");
+const { buildSitemap, buildRobots } = require("../middleware/seo");
+
+const router = express.Router();
+
+router.get(
+  "/sitemap.xml",
+  asyncHandler(async (req, res) => {
+    const [products, categories] = await Promise.all([getSitemapEntries(), getCategoryCounts()]);
+    res.set("Cache-Control", "public, max-age=3600");
+    res.type("application/xml").send(buildSitemap(products, categories));
+  })
+);
+
+router.get("/robots.txt", (req, res) => {
+  res.set("Cache-Control", "public, max-age=86400");
+  res.type("text/plain").send(buildRobots());
+});
+
+module.exports = router;
@@ -0,0 +1,357 @@
+/**
+ * WISHLIST ROUTES - Products customers saved for later
+ *
+ * Signed-in customers keep one wishlist on the server
+ * (db/wishlistRepository.js). Guests keep theirs in localStorage
+ * (frontend/js/wishlist.js), which is merged in here after they sign in.
+ *
+ * Endpoints (all but the shared view need a signed-in customer):
+ * - GET    /api/wishlist                               the customer's wishlist
+ * - POST   /api/wishlist/items                         save a product { productId, variantId? }
+ * - DELETE /api/wishlist/items/:productId[?variantId=] take it off again
+ * - POST   /api/wishlist/items/:productId/move-to-cart add it to a cart and take it off
+ * - POST   /api/wishlist/merge                         merge a guest wishlist { items }
+ * - POST   /api/wishlist/share                         turn the public link on
+ * - DELETE /api/wishlist/share                         turn it off
+ * - GET    /api/wishlist/shared/:token                 someone's shared wishlist (read-only)
+ * - POST   /api/wishlist/lookup                        product details for a guest wishlist { items }
+ *
+ * Wishlist shape:
+ * {
+ *   shareToken: "uuid-string" | null,
+ *   shareUrl: "https://.../wishlist/shared/uuid-string" | null,
+ *   items: [{ productId, variantId, name, url, image, variantLabel, price, originalPrice, inStock, available, addedAt }]
+ * }
+ */
+
+const express = require('express');
+const { body, param, query, validationResult } = require('express-validator');
+const { asyncHandler, createError } = require('../middleware/errorHandler');
+const { requireAuthAPI } = require('../middleware/auth');
+const { absoluteUrl } = require('../config/site');
+const wishlistRepository = require('../db/wishlistRepository');
+const { addProductToCart } = require('./cart');
+
+const router = express.Router();
+
+/**
+ * HELPER FUNCTIONS
+ */
+
+/**
+ * Public address of a shared wishlist
+ * @param {string|null} token - Share token
+ * @returns {string|null}
+ */
+function shareUrl(token) {
+    return token ? absoluteUrl(`/wishlist/shared/${token}`) : null;
+}
+
+/**
+ * Wishlist as sent to the browser
+ * @param {Object} wishlist - { shareToken, items }
+ * @returns {Object}
+ */
+function formatWishlist(wishlist) {
+    return {
+        shareToken: wishlist.shareToken,
+        shareUrl: shareUrl(wishlist.shareToken),
+        items: wishlist.items
+    };
+}
+
+/**
+ * ROUTE DEFINITIONS
+ */
+
+/**
+ * GET /api/wishlist/shared/:token
+ * A wishlist shared through its public link. Read-only, no sign-in needed.
+ */
+router.get('/shared/:token',
+    [
+        param('token').isUUID()
+            .withMessage('Invalid share link')
+    ],
+
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+
+        const wishlist = await wishlistRepository.getSharedWishlist(req.params.token);
+        if (!wishlist) {
+            throw createError('This wishlist is no longer shared', 404);
+        }
+
+        res.json({
+            success: true,
+            data: wishlist
+        });
+    })
+);
+
+/**
+ * POST /api/wishlist/lookup
+ * Current product details for a guest's wishlist (kept in localStorage),
+ * in the same shape as a signed-in customer's wishlist items
+ *
+ * Request Body:
+ * {
+ *   items: [{ productId: number, variantId: number (optional), addedAt: string (optional) }]
+ * }
+ */
+router.post('/lookup',
+    [
+        body('items').isArray({ max: wishlistRepository.MAX_WISHLIST_ITEMS })
+            .withMessage(`Items must be a list of at most ${wishlistRepository.MAX_WISHLIST_ITEMS} products`),
+        body('items.*.productId').isInt({ min: 1 })
+            .withMessage('Product ID must be a positive integer').toInt(),
+        body('items.*.variantId').optional({ nullable: true }).isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer').toInt()
+    ],
+
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+
+        res.json({
+            success: true,
+            data: { items: await wishlistRepository.describeGuestItems(req.body.items) }
+        });
+    })
+);
+
+// Everything below is the signed-in customer's own wishlist
+router.use(requireAuthAPI);
+
+/**
+ * GET /api/wishlist
+ * The signed-in customer's wishlist
+ */
+router.get('/', asyncHandler(async (req, res) => {
+    const wishlist = await wishlistRepository.getWishlist(req.session.user.id);
+
+    res.json({
+        success: true,
+        data: formatWishlist(wishlist)
+    });
+}));
+
+/**
+ * POST /api/wishlist/items
+ * Save a product to the wishlist
+ *
+ * Request Body:
+ * {
+ *   productId: number,
+ *   variantId: number (optional; without it the product as a whole is saved)
+ * }
+ */
+router.post('/items',
+    [
+        body('productId').isInt({ min: 1 })
+            .withMessage('Product ID must be a positive integer').toInt(),
+        body('variantId').optional({ nullable: true }).isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer').toInt()
+    ],
+
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+
+        const { productId, variantId = null } = req.body;
+        const wishlist = await wishlistRepository.addItem(req.session.user.id, productId, variantId);
+        if (!wishlist) {
+            throw createError('Product not found', 404);
+        }
+
+        res.json({
+            success: true,
+            data: formatWishlist(wishlist),
+            message: 'Saved to your wishlist'
+        });
+    })
+);
+
+/**
+ * DELETE /api/wishlist/items/:productId[?variantId=]
+ * Take a product off the wishlist (every saved variant of it, unless
+ * variantId names one)
+ */
+router.delete('/items/:productId',
+    [
+        param('productId').isInt({ min: 1 })
+            .withMessage('Product ID must be a positive integer').toInt(),
+        query('variantId').optional().isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer').toInt()
+    ],
+
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+
+        const userId = req.session.user.id;
+        const removed = await wishlistRepository.removeItem(userId, req.params.productId, req.query.variantId || null);
+        if (!removed) {
+            throw createError('Product is not on your wishlist', 404);
+        }
+
+        res.json({
+            success: true,
+            data: formatWishlist(await wishlistRepository.getWishlist(userId)),
+            message: 'Removed from your wishlist'
+        });
+    })
+);
+
+/**
+ * POST /api/wishlist/items/:productId/move-to-cart
+ * Add a saved product to a cart, then take it off the wishlist. If it
+ * can't be added (out of stock, say) it stays on the wishlist.
+ *
+ * Request Body:
+ * {
+ *   sessionId: string (cart session UUID),
+ *   variantId: number (optional; the saved variant, or the first in-stock one),
+ *   quantity: number (optional, defaults to 1)
+ * }
+ */
+router.post('/items/:productId/move-to-cart',
+    [
+        param('productId').isInt({ min: 1 })
+            .withMessage('Product ID must be a positive integer').toInt(),
+        body('sessionId').isUUID(4)
+            .withMessage('Session ID must be a valid UUID'),
+        body('variantId').optional({ nullable: true }).isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer').toInt(),
+        body('quantity').optional().isInt({ min: 1, max: 99 })
+            .withMessage('Quantity must be between 1 and 99').toInt()
+    ],
+
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+
+        const userId = req.session.user.id;
+        const { productId } = req.params;
+        const { sessionId, variantId = null, quantity = 1 } = req.body;
+
+        const saved = await wishlistRepository.getWishlist(userId);
+        if (!saved.items.some(item => item.productId === productId && (!variantId || item.variantId === variantId))) {
+            throw createError('Product is not on your wishlist', 404);
+        }
+
+        const { cart, product } = await addProductToCart(req, sessionId, { productId, variantId, quantity });
+        await wishlistRepository.removeItem(userId, productId, variantId);
+
+        res.json({
+            success: true,
+            data: {
+                cart,
+                wishlist: formatWishlist(await wishlistRepository.getWishlist(userId))
+            },
+            message: `Moved ${product.name} to your cart`
+        });
+    })
+);
+
+/**
+ * POST /api/wishlist/merge
+ * Merge the wishlist a guest kept in the browser into the account's, after
+ * signing in. Products already saved or no longer sold are skipped.
+ *
+ * Request Body:
+ * {
+ *   items: [{ productId: number, variantId: number (optional) }]
+ * }
+ */
+router.post('/merge',
+    [
+        body('items').isArray({ max: wishlistRepository.MAX_WISHLIST_ITEMS })
+            .withMessage(`Items must be a list of at most ${wishlistRepository.MAX_WISHLIST_ITEMS} products`),
+        body('items.*.productId').isInt({ min: 1 })
+            .withMessage('Product ID must be a positive integer').toInt(),
+        body('items.*.variantId').optional({ nullable: true }).isInt({ min: 1 })
+            .withMessage('Variant ID must be a positive integer').toInt()
+    ],
+
+    asyncHandler(async (req, res) => {
+        const errors = validationResult(req);
+        if (!errors.isEmpty()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid request data',
+                errors: errors.array()
+            });
+        }
+
+        const { added, ...wishlist } = await wishlistRepository.mergeItems(req.session.user.id, req.body.items);
+
+        res.json({
+            success: true,
+            data: formatWishlist(wishlist),
+            message: added > 0 ? `Added ${added} saved item${added === 1 ? '' : 's'} to your wishlist` : 'Wishlist is up to date'
+        });
+    })
+);
+
+/**
+ * POST /api/wishlist/share
+ * Turn on the public read-only link. Calling it again returns the same link.
+ */
+router.post('/share', asyncHandler(async (req, res) => {
+    const { id, name } = req.session.user;
+    const token = await wishlistRepository.shareWishlist(id, name ? String(name).split(' ')[0] : null);
+
+    res.json({
+        success: true,
+        data: { shareToken: token, shareUrl: shareUrl(token) },
+        message: 'Anyone with the link can now see your wishlist'
+    });
+}));
+
+/**
+ * DELETE /api/wishlist/share
+ * Turn the public link off; links handed out stop working
+ */
+router.delete('/share', asyncHandler(async (req, res) => {
+    await wishlistRepository.unshareWishlist(req.session.user.id);
+
+    res.json({
+        success: true,
+        data: { shareToken: null, shareUrl: null },
+        message: 'Your wishlist is private again'
+    });
+}));
+
+module.exports = router;
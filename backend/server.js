@@ -22,6 +22,9 @@ require("dotenv").config();
 const { errorHandler, asyncHandler } = require("./middleware/errorHandler");
 const { logger } = require("./middleware/logger");
 const { requireAuth, redirectIfAuthenticated } = require("./middleware/auth");
+const { siteLocals, categoryPath, productJsonLd, categoryJsonLd, toJsonLdScript } = require("./middleware/seo");
+const { HOME_CATEGORY, navigationLocals } = require("./middleware/navigation");
+const { absoluteUrl } = require("./config/site");
 const productRoutes = require("./routes/products");
 const cartRoutes = require("./routes/cart");
 const apiRoutes = require("./routes/api");
@@ -151,35 +154,26 @@ app.use((req, res, next) => {
   res.locals.currentUser = req.session?.user || null;
   next();
 });
+app.use(siteLocals);
+app.use(navigationLocals);
 app.use(logger);
 
-/* -------------------- PostgreSQL Helper -------------------- */
-async function getProductsByCategory(category) {
-  const result = await pool.query(
-    "SELECT * FROM products WHERE LOWER(category)=LOWER($1)",
-    [category]
-  );
-  // Convert snake_case to camelCase for template compatibility
-  return result.rows.map(row => ({
-    ...row,
-    inStock: row.in_stock !== undefined ? row.in_stock : true,
-    originalPrice: row.original_price,
-    createdAt: row.created_at,
-    updatedAt: row.updated_at
-  }));
-}
-async function getAllProducts() {
-  const result = await pool.query("SELECT * FROM products ORDER BY id ASC");
-  // Convert snake_case to camelCase for template compatibility
-  return result.rows.map(row => ({
-    ...row,
-    inStock: row.in_stock !== undefined ? row.in_stock : true,
-    price: parseFloat(row.price) || 0,
-    originalPrice: row.original_price ? parseFloat(row.original_price) : null,
-    createdAt: row.created_at,
-    updatedAt: row.updated_at
-  }));
-}
+/* -------------------- Product Data Access -------------------- */
+// Pages read the catalog through the same repository as the API routes
+const {
+  getAllProducts,
+  getProductsByCategory,
+  getProductById,
+  getProductBySlug,
+  getSlugRedirect,
+  getCategoryCounts,
+} = require("./db/productRepository");
+const { getCategoryBySlug } = require("./db/categoryRepository");
+const { getProductReviews } = require("./db/reviewRepository");
+const { getRecommendations } = require("./db/recommendationRepository");
+const { getLowestPrices } = require("./db/saleRepository");
+const { getSharedWishlist } = require("./db/wishlistRepository");
+const { getShare } = require("./db/cartRepository");
 
 /* -------------------- Render Helper -------------------- */
 function renderWithLayout(res, viewName, data = {}) {
@@ -199,14 +193,16 @@ function renderWithLayout(res, viewName, data = {}) {
 const paymentRoutes = require("./routes/payment");
 const newsletterRoutes = require("./routes/newsletter");
 const contactRoutes = require("./routes/contacts");
+const seoRoutes = require("./routes/seo");
 
 /* -------------------- API ROUTES -------------------- */
 app.use("/api/products", productRoutes);
 app.use("/api/cart", cartRoutes);
 app.use("/api", apiRoutes);
 app.use("/api/auth", require("./routes/auth"));
-app.use("/api/admin", require("./routes/admin")); // Admin routes for rate limit management
+app.use("/api/admin", require("./routes/admin")); // Admin routes (rate limits, catalog import/export, review moderation)
 app.use("/api/orders", require("./routes/orders")); // Orders route
+app.use("/api/wishlist", require("./routes/wishlist")); // Wishlists, save for later and share links
 
 // ✅ Defensive middleware binding
 if (paymentRoutes && typeof paymentRoutes === "function") {
@@ -232,6 +228,9 @@ if (contactRoutes && typeof contactRoutes === "function") {
 
 /* -------------------- MAIN WEB ROUTES -------------------- */
 
+// sitemap.xml and robots.txt
+app.use(seoRoutes);
+
 // Homepage
 app.get(
   "/",
@@ -246,21 +245,18 @@ app.get(
     const featuredProducts = allProducts.filter(
       (p) => p.badge && ["popular", "new", "sale"].includes(p.badge)
     );
-    const popularProducts = allProducts.sort((a, b) => b.rating - a.rating).slice(0, 20);
+    const popularProducts = [...allProducts].sort((a, b) => b.rating - a.rating).slice(0, 20);
 
     console.log(`🏠 HOME PAGE LOADED - Total: ${allProducts.length} | Featured: ${featuredProducts.length} | Popular: ${popularProducts.length}`);
 
-    // Get categories with counts
-    const categories = [
-      { name: 'indoor', count: allProducts.filter(p => p.category === 'indoor').length },
-      { name: 'outdoor', count: allProducts.filter(p => p.category === 'outdoor').length },
-      { name: 'flowering', count: allProducts.filter(p => p.category === 'flowering').length },
-      { name: 'succulent', count: allProducts.filter(p => p.category === 'succulent').length }
-    ];
+    // Subcategories of the homepage's category, with counts, for the sidebar filters
+    const allCategories = await getCategoryCounts();
+    const home = allCategories.find((c) => c.slug === HOME_CATEGORY);
+    const categories = home ? allCategories.filter((c) => c.parentId === home.id) : [];
 
     const stats = {
       totalProducts: allProducts.length,
-      inStock: allProducts.filter((p) => p.instock).length,
+      inStock: allProducts.filter((p) => p.inStock).length,
       averageRating:
         allProducts.length > 0
           ? (
@@ -280,74 +276,103 @@ app.get(
       stats,
       cartSessionId: req.session?.cartId || "",
       metaDescription: "Discover premium plants, garden supplies, and expert care tips at our online plant nursery.",
-      canonicalUrl: "http://localhost:3000",
       timestamp: Date.now() // Force cache bust
     });
   })
 );
 
-// Products page
+/**
+ * Grid page for one category and its subcategories, titled and described
+ * from the categories table. Unknown categories fall through to the 404 page.
+ */
+async function renderCategoryPage(req, res, next, slug) {
+  const category = await getCategoryBySlug(slug);
+  if (!category) return next();
+  const products = await getProductsByCategory(category.slug);
+
+  await renderWithLayout(res, "aux-grid", {
+    pageTitle: `${category.name} - PlantNursery`,
+    metaDescription: category.description || undefined,
+    canonicalUrl: absoluteUrl(categoryPath(category.slug)),
+    jsonLd: toJsonLdScript(categoryJsonLd(category.name, products)),
+    currentPage: category.slug,
+    heading: category.name,
+    subheading: category.description,
+    items: products,
+    ctaLabel: "Add to Cart",
+    cartSessionId: req.session?.cartId || "",
+  });
+}
+
+// Products page: the category overview, or one category's grid with ?category=<slug>
 app.get(
   "/products",
-  asyncHandler(async (req, res) => {
-    const category = req.query.category;
-    let products = [];
+  asyncHandler(async (req, res, next) => {
+    const { category } = req.query;
     if (category) {
-      const result = await pool.query(
-        "SELECT * FROM products WHERE LOWER(category)=LOWER($1)",
-        [category]
-      );
-      products = result.rows;
-    } else {
-      products = await getAllProducts();
+      const slug = String(category).toLowerCase();
+      const path = categoryPath(slug);
+      // Categories with a page of their own (/pots, /tools) live there
+      if (!path.startsWith("/products?")) return res.redirect(301, path);
+      return renderCategoryPage(req, res, next, slug);
     }
 
+    const [products, categories] = await Promise.all([getAllProducts(), getCategoryCounts()]);
+    const pageTitle = "All Plants - PlantNursery";
     await renderWithLayout(res, "categories", {
-      pageTitle: category
-        ? `${category.charAt(0).toUpperCase() + category.slice(1)} Plants`
-        : "All Plants - PlantNursery",
+      pageTitle,
+      canonicalUrl: absoluteUrl("/products"),
+      jsonLd: toJsonLdScript(categoryJsonLd(pageTitle, products)),
       currentPage: "products",
       products,
-      currentCategory: category || "all",
+      categories: categories.filter((c) => !categories.some((child) => child.parentId === c.id)),
+      currentCategory: "all",
       cartSessionId: req.session?.cartId || "",
     });
   })
 );
 
-// Pots Page
+// Product detail page. Old slugs (and numeric IDs) redirect to the current slug;
+// archived products have no page.
 app.get(
-  "/pots",
-  asyncHandler(async (req, res) => {
-    const pots = await getProductsByCategory("pots");
-    await renderWithLayout(res, "aux-grid", {
-      pageTitle: "Pots & Planters - PlantNursery",
-      currentPage: "pots",
-      heading: "🏺Pots & Planters",
-      subheading: "Style your plants with beautiful planters",
-      items: pots,
-      ctaLabel: "Add to Cart",
-      cartSessionId: req.session?.cartId || "",
-    });
-  })
-);
+  "/products/:slug",
+  asyncHandler(async (req, res, next) => {
+    const { slug } = req.params;
+    const product = await getProductBySlug(slug);
+    if (!product) {
+      const byId = /^\d+$/.test(slug) ? await getProductById(slug) : null;
+      const current = byId ? !byId.archived && byId.slug : await getSlugRedirect(slug);
+      if (current) return res.redirect(301, `/products/${current}`);
+      return next(); // 404 page
+    }
 
-// Tools Page
-app.get(
-  "/tools",
-  asyncHandler(async (req, res) => {
-    const tools = await getProductsByCategory("tools");
-    await renderWithLayout(res, "aux-grid", {
-      pageTitle: "Garden Tools - PlantNursery",
-      currentPage: "tools",
-      heading: "🔧 Garden Tools",
-      subheading: "Everything you need to help plants thrive",
-      items: tools,
-      ctaLabel: "Add to Cart",
+    const [reviews, related, lowestPrices] = await Promise.all([
+      getProductReviews(product.id, { sort: "helpful", limit: 5 }),
+      getRecommendations([product.id], { limit: 4 }),
+      getLowestPrices([product.id]),
+    ]);
+
+    const primaryImage = product.images.length ? product.images[0].zoom : product.image;
+    await renderWithLayout(res, "product", {
+      pageTitle: `${product.name} - PlantNursery`,
+      currentPage: "products",
+      metaDescription: product.description,
+      ogType: "product",
+      ogImage: primaryImage ? absoluteUrl(primaryImage) : null,
+      jsonLd: toJsonLdScript(productJsonLd(product)),
+      product,
+      reviews,
+      related,
+      lowestPrice: lowestPrices.get(product.id) || null,
       cartSessionId: req.session?.cartId || "",
     });
   })
 );
 
+// Pots and Tools pages
+app.get("/pots", asyncHandler((req, res, next) => renderCategoryPage(req, res, next, "pots")));
+app.get("/tools", asyncHandler((req, res, next) => renderCategoryPage(req, res, next, "tools")));
+
 // Static Pages
 app.get("/about", (req, res) =>
   renderWithLayout(res, "about", { pageTitle: "About Us", currentPage: "about" })
@@ -386,6 +411,52 @@ app.get("/orders", requireAuth, (req, res) =>
   })
 );
 
+// Wishlist Page (guests see the one kept in their browser)
+app.get("/wishlist", (req, res) =>
+  renderWithLayout(res, "wishlist", {
+    pageTitle: "My Wishlist - PlantNursery",
+    metaDescription: "Plants and supplies you saved for later.",
+    currentPage: "wishlist",
+    wishlistOwner: null,
+    sharedWishlist: null,
+  })
+);
+
+// Shared Wishlist Page (read-only, through the owner's share link)
+app.get(
+  "/wishlist/shared/:token",
+  asyncHandler(async (req, res, next) => {
+    const wishlist = await getSharedWishlist(req.params.token);
+    if (!wishlist) return next(); // 404 page
+
+    const owner = wishlist.ownerName ? `${wishlist.ownerName}'s` : "A";
+    await renderWithLayout(res, "wishlist", {
+      pageTitle: `${owner} Wishlist - PlantNursery`,
+      metaDescription: `${owner} wishlist of plants and supplies at PlantNursery.`,
+      currentPage: "wishlist",
+      wishlistOwner: wishlist.ownerName || "Someone",
+      sharedWishlist: toJsonLdScript(wishlist.items),
+    });
+  })
+);
+
+// Shared Cart Page (preview a cart link and add it all to your own cart)
+app.get(
+  "/cart/shared/:token",
+  asyncHandler(async (req, res, next) => {
+    const share = await getShare(req.params.token);
+    if (!share) return next(); // 404 page
+
+    await renderWithLayout(res, "cart-shared", {
+      pageTitle: `${share.title || "A Shared Cart"} - PlantNursery`,
+      metaDescription: "A hand-picked set of plants and supplies shared with you. Add them all to your cart in one go.",
+      currentPage: "cart-shared",
+      cartSessionId: req.session?.cartId || "",
+      share: { token: share.token, title: share.title },
+    });
+  })
+);
+
 // Auth Pages (redirect if already logged in)
 app.get("/auth/login", redirectIfAuthenticated, (req, res) =>
   renderWithLayout(res, "auth-login", {
@@ -530,6 +601,15 @@ io.on('connection', (socket) => {
     io.emit('cart:updated', data);
   });
 
+  // Follow one cart's changes (routes/cart.js emits to the cart's room)
+  socket.on('cart:watch', (sessionId) => {
+    if (typeof sessionId !== 'string' || !/^[0-9a-f-]{36}$/i.test(sessionId)) return;
+    for (const room of socket.rooms) {
+      if (room.startsWith('cart:')) socket.leave(room);
+    }
+    socket.join(`cart:${sessionId}`);
+  });
+
   // Handle disconnect
   socket.on('disconnect', () => {
     console.log(`🔌 Client disconnected: ${socket.id}`);
@@ -540,6 +620,28 @@ io.on('connection', (socket) => {
 app.set('io', io);
 console.log('✅ Socket.io initialized for real-time updates\n');
 
+/* -------------------- Carts -------------------- */
+// Carts from the old data/carts.json are imported once; idle guest carts expire
+const cartRepository = require("./db/cartRepository");
+cartRepository.migrateJsonCarts().catch((err) => console.error("Cart migration failed:", err.message));
+cartRepository.startCartSweeper();
+
+/* -------------------- Stock Reservations -------------------- */
+// Expired checkout holds stop counting immediately; this just clears them out
+require("./db/inventoryRepository").startReservationSweeper();
+
+/* -------------------- Recommendations -------------------- */
+// "Frequently bought together" pairs are mined from orders every few hours
+require("./db/recommendationRepository").startRecommendationRebuilder();
+
+/* -------------------- Sales -------------------- */
+// Sale prices are computed on read; cached products are dropped when a sale starts or ends
+require("./db/saleRepository").startSaleScheduler();
+
+/* -------------------- Back-in-stock Notifications -------------------- */
+// Waiting customers are mailed (config/mailer) once their product is in stock again
+require("./db/notificationRepository").startNotificationDispatcher();
+
 /* -------------------- Graceful Shutdown -------------------- */
 process.on("SIGINT", () => {
   console.log("\n🛑 Server stopping...");
@@ -29,6 +29,49 @@ async function setupDatabase() {
     // Start transaction
     await client.query('BEGIN');
 
+    // Create categories table (taxonomy; products.category holds the slug)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS categories (
+        id SERIAL PRIMARY KEY,
+        slug VARCHAR(50) NOT NULL UNIQUE,
+        name VARCHAR(100) NOT NULL,
+        description TEXT,
+        image VARCHAR(255),
+        parent_id INTEGER REFERENCES categories(id) ON DELETE RESTRICT,
+        sort_order INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK (slug ~ '^[a-z0-9]+(-[a-z0-9]+)*$')
+      );
+    `);
+    await client.query(`
+      INSERT INTO categories (slug, name, description, image, parent_id, sort_order) VALUES
+      ('plants', 'Plants', 'Houseplants, garden plants, flowering plants and succulents', '/images/products/plants/monstera.jpg', NULL, 0),
+      ('pots', 'Pots & Planters', 'Style your plants with beautiful planters', '/images/products/pots/ceramic-planter.jpg', NULL, 1),
+      ('tools', 'Garden Tools', 'Everything you need to help plants thrive', '/images/products/tools/tool-kit.jpg', NULL, 2),
+      ('kits', 'Starter Kits', 'Plant, pot and tools together at a bundle price', '/images/products/plants/snake-plant.jpg', NULL, 3)
+      ON CONFLICT (slug) DO NOTHING;
+
+      INSERT INTO categories (slug, name, description, image, parent_id, sort_order)
+      SELECT c.slug, c.name, c.description, c.image, (SELECT id FROM categories WHERE slug = 'plants'), c.sort_order
+      FROM (VALUES
+        ('indoor', 'Indoor Plants', 'Perfect houseplants for every room and lighting condition', '/images/products/plants/snake-plant.jpg', 0),
+        ('outdoor', 'Outdoor Plants', 'Hardy plants for gardens, patios and balconies', '/images/products/plants/bird-of-paradise.jpg', 1),
+        ('flowering', 'Flowering Plants', 'Colourful blooms for home and garden', '/images/products/plants/orchid-phalaenopsis.jpg', 2),
+        ('succulent', 'Succulents', 'Low-maintenance beauties that thrive on neglect', '/images/products/plants/succulent-mix.jpg', 3)
+      ) AS c(slug, name, description, image, sort_order)
+      ON CONFLICT (slug) DO NOTHING;
+    `);
+    // GST rate per category (NULL = parent's rate / store default); live plants are exempt
+    await client.query(`
+      ALTER TABLE categories ADD COLUMN IF NOT EXISTS gst_rate DECIMAL(5, 2)
+        CHECK (gst_rate IS NULL OR (gst_rate >= 0 AND gst_rate <= 28));
+      UPDATE categories c SET gst_rate = r.rate
+      FROM (VALUES ('plants', 0), ('pots', 12), ('tools', 18)) AS r (slug, rate)
+      WHERE c.slug = r.slug AND c.gst_rate IS NULL;
+    `);
+    console.log('✅ Categories table created');
+
     // Create products table
     await client.query(`
       CREATE TABLE IF NOT EXISTS products (
@@ -49,6 +92,218 @@ async function setupDatabase() {
     `);
     console.log('✅ Products table created');
 
+    // Every product belongs to a known category
+    await client.query(`
+      DO $$ BEGIN
+        ALTER TABLE products ADD CONSTRAINT products_category_fkey
+          FOREIGN KEY (category) REFERENCES categories(slug) ON UPDATE CASCADE;
+      EXCEPTION WHEN duplicate_object THEN NULL;
+      END $$;
+    `);
+
+    // Full-text search column (name A, category B, description C) + trigram support
+    await client.query('CREATE EXTENSION IF NOT EXISTS pg_trgm;');
+    await client.query(`
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS search_vector tsvector
+        GENERATED ALWAYS AS (
+          setweight(to_tsvector('english', coalesce(name, '')), 'A') ||
+          setweight(to_tsvector('english', coalesce(category, '')), 'B') ||
+          setweight(to_tsvector('english', coalesce(description, '')), 'C')
+        ) STORED;
+    `);
+    console.log('✅ Product search vector added');
+
+    // Plant-care attributes (NULL = not applicable, e.g. pots and tools)
+    await client.query(`
+      ALTER TABLE products
+        ADD COLUMN IF NOT EXISTS care VARCHAR(20)
+          CHECK (care IN ('easy', 'moderate', 'expert')),
+        ADD COLUMN IF NOT EXISTS light_requirement VARCHAR(20)
+          CHECK (light_requirement IN ('low', 'medium', 'bright-indirect', 'full-sun')),
+        ADD COLUMN IF NOT EXISTS watering_frequency VARCHAR(20)
+          CHECK (watering_frequency IN ('sparse', 'moderate', 'frequent')),
+        ADD COLUMN IF NOT EXISTS humidity VARCHAR(20)
+          CHECK (humidity IN ('low', 'medium', 'high')),
+        ADD COLUMN IF NOT EXISTS toxicity VARCHAR(20)
+          CHECK (toxicity IN ('pet-safe', 'mildly-toxic', 'toxic')),
+        ADD COLUMN IF NOT EXISTS origin VARCHAR(20)
+          CHECK (origin IN ('africa', 'asia', 'australasia', 'central-america', 'europe', 'north-america', 'south-america')),
+        ADD COLUMN IF NOT EXISTS adult_size VARCHAR(20)
+          CHECK (adult_size IN ('compact', 'medium', 'large', 'tree'));
+    `);
+    console.log('✅ Plant-care columns added');
+
+    // Create product variants table (stock NULL = not tracked)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS product_variants (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        sku VARCHAR(64) UNIQUE NOT NULL,
+        size VARCHAR(50),
+        pot_colour VARCHAR(50),
+        price DECIMAL(10, 2) NOT NULL,
+        original_price DECIMAL(10, 2),
+        stock INTEGER CHECK (stock IS NULL OR stock >= 0),
+        sort_order INTEGER DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(`
+      ALTER TABLE product_variants ADD COLUMN IF NOT EXISTS weight_grams INTEGER
+        CHECK (weight_grams IS NULL OR weight_grams > 0);
+    `);
+    console.log('✅ Product variants table created');
+
+    // Create product images table (ordered gallery of rendition sets)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS product_images (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        position INTEGER NOT NULL DEFAULT 0,
+        alt VARCHAR(255),
+        thumb_url TEXT NOT NULL,
+        card_url TEXT NOT NULL,
+        zoom_url TEXT NOT NULL,
+        width INTEGER,
+        height INTEGER,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Product images table created');
+
+    // Create reviews tables (moderated reviews + helpful votes)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS reviews (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        user_id VARCHAR(64) NOT NULL,
+        user_name VARCHAR(255),
+        user_email VARCHAR(255) NOT NULL,
+        rating SMALLINT NOT NULL CHECK (rating BETWEEN 1 AND 5),
+        title VARCHAR(150),
+        body TEXT,
+        photos JSONB NOT NULL DEFAULT '[]',
+        status VARCHAR(20) NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'approved', 'rejected')),
+        verified_purchase BOOLEAN NOT NULL DEFAULT false,
+        helpful_count INTEGER NOT NULL DEFAULT 0,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (product_id, user_email)
+      );
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS review_votes (
+        review_id INTEGER NOT NULL REFERENCES reviews(id) ON DELETE CASCADE,
+        voter VARCHAR(255) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        PRIMARY KEY (review_id, voter)
+      );
+    `);
+    await client.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS review_count INTEGER NOT NULL DEFAULT 0;');
+    console.log('✅ Reviews tables created');
+
+    // Product URL slugs, plus old slugs that redirect after a rename
+    await client.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS slug VARCHAR(100) UNIQUE;');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS product_slug_redirects (
+        old_slug VARCHAR(100) PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Product slugs added');
+
+    // Archived products stay in the table for past orders (NULL = live)
+    await client.query('ALTER TABLE products ADD COLUMN IF NOT EXISTS archived_at TIMESTAMP;');
+
+    // Create bundle components table (starter kits made of other products'
+    // variants; the bundle's stock comes from its components)
+    await client.query(`
+      ALTER TABLE products ADD COLUMN IF NOT EXISTS bundle_discount_percent DECIMAL(5,2)
+        CHECK (bundle_discount_percent > 0 AND bundle_discount_percent < 100);
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS bundle_components (
+        id SERIAL PRIMARY KEY,
+        bundle_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE RESTRICT,
+        quantity INTEGER NOT NULL DEFAULT 1 CHECK (quantity > 0),
+        sort_order INTEGER DEFAULT 0,
+        UNIQUE (bundle_id, variant_id)
+      );
+    `);
+    console.log('✅ Bundle components table created');
+
+    // Create sales and price history tables (scheduled discounts; regular
+    // price of each variant over time)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS sales (
+        id SERIAL PRIMARY KEY,
+        name VARCHAR(120) NOT NULL,
+        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
+        category VARCHAR(50),
+        discount_percent DECIMAL(5,2) NOT NULL CHECK (discount_percent > 0 AND discount_percent < 100),
+        starts_at TIMESTAMP NOT NULL,
+        ends_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        CHECK ((product_id IS NULL) <> (category IS NULL)),
+        CHECK (ends_at > starts_at)
+      );
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS price_history (
+        id SERIAL PRIMARY KEY,
+        variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        price DECIMAL(10,2) NOT NULL,
+        starts_at TIMESTAMP NOT NULL DEFAULT CURRENT_TIMESTAMP,
+        ends_at TIMESTAMP
+      );
+    `);
+    console.log('✅ Sales and price history tables created');
+
+    // Create product recommendations table (pairs mined from orders)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS product_recommendations (
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        related_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        kind VARCHAR(20) NOT NULL CHECK (kind IN ('together', 'also_bought')),
+        score INTEGER NOT NULL,
+        PRIMARY KEY (product_id, kind, related_id)
+      );
+    `);
+    console.log('✅ Product recommendations table created');
+
+    // Create stock reservations table (checkout holds with an expiry)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stock_reservations (
+        id SERIAL PRIMARY KEY,
+        hold_id VARCHAR(64) NOT NULL,
+        variant_id INTEGER NOT NULL REFERENCES product_variants(id) ON DELETE CASCADE,
+        quantity INTEGER NOT NULL CHECK (quantity > 0),
+        expires_at TIMESTAMP NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Stock reservations table created');
+
+    // Create back-in-stock notifications table (queued until the product is restocked)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS stock_notifications (
+        id SERIAL PRIMARY KEY,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        email VARCHAR(255) NOT NULL,
+        user_id VARCHAR(64),
+        attempts INTEGER NOT NULL DEFAULT 0,
+        last_error TEXT,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        notified_at TIMESTAMP
+      );
+    `);
+    await client.query('ALTER TABLE stock_notifications ADD COLUMN IF NOT EXISTS claimed_at TIMESTAMP;');
+    console.log('✅ Stock notifications table created');
+
     // Create users table
     await client.query(`
       CREATE TABLE IF NOT EXISTS users (
@@ -61,19 +316,45 @@ async function setupDatabase() {
     `);
     console.log('✅ Users table created');
 
-    // Create carts table
+    // Create carts and cart items tables. The old one-row-per-product carts
+    // table was never written to (carts lived in data/carts.json); replace it.
+    await client.query(`
+      DO $$
+      BEGIN
+        IF EXISTS (SELECT 1 FROM information_schema.columns WHERE table_name = 'carts' AND column_name = 'product_id') THEN
+          DROP TABLE carts CASCADE;
+        END IF;
+      END $$;
+    `);
     await client.query(`
       CREATE TABLE IF NOT EXISTS carts (
         id SERIAL PRIMARY KEY,
-        user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
-        session_id VARCHAR(255),
-        product_id INTEGER REFERENCES products(id) ON DELETE CASCADE,
-        quantity INTEGER DEFAULT 1,
+        session_id UUID NOT NULL UNIQUE,
+        user_id VARCHAR(64),
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
         updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
-    console.log('✅ Carts table created');
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS cart_items (
+        id SERIAL PRIMARY KEY,
+        cart_id INTEGER NOT NULL REFERENCES carts(id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE RESTRICT,
+        variant_id INTEGER,
+        quantity INTEGER NOT NULL CHECK (quantity BETWEEN 1 AND 99),
+        price DECIMAL(10,2) NOT NULL,
+        details JSONB NOT NULL DEFAULT '{}',
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    // Purging a product clears its cart lines itself; earlier schemas cascaded
+    await client.query(`
+      ALTER TABLE cart_items DROP CONSTRAINT IF EXISTS cart_items_product_id_fkey,
+        ADD CONSTRAINT cart_items_product_id_fkey
+          FOREIGN KEY (product_id) REFERENCES products(id) ON DELETE RESTRICT;
+    `);
+    console.log('✅ Carts tables created');
 
     // Create contacts table
     await client.query(`
@@ -112,8 +393,105 @@ async function setupDatabase() {
         created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
       );
     `);
+    await client.query("ALTER TABLE orders ADD COLUMN IF NOT EXISTS status VARCHAR(20) DEFAULT 'placed';");
+    await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS cancelled_at TIMESTAMP;');
+    await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS totals JSONB;');
+    await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS cart_session_id UUID;');
+    await client.query('ALTER TABLE orders ADD COLUMN IF NOT EXISTS customer_id VARCHAR(64);');
     console.log('✅ Orders table created');
 
+    // Create store settings table (tax and shipping rules, see db/pricingRepository.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS store_settings (
+        key VARCHAR(50) PRIMARY KEY,
+        value JSONB NOT NULL,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Store settings table created');
+
+    // Create coupon tables (rules in db/couponRepository.js; redemptions count
+    // against usage limits) and the codes entered for each cart
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS coupons (
+        id SERIAL PRIMARY KEY,
+        code VARCHAR(40) NOT NULL UNIQUE,
+        description VARCHAR(255),
+        type VARCHAR(20) NOT NULL CHECK (type IN ('percent', 'fixed', 'free_shipping', 'buy_x_get_y')),
+        value DECIMAL(10,2) NOT NULL DEFAULT 0 CHECK (value >= 0),
+        max_discount DECIMAL(10,2) CHECK (max_discount >= 0),
+        buy_quantity INTEGER CHECK (buy_quantity > 0),
+        get_quantity INTEGER CHECK (get_quantity > 0),
+        product_ids INTEGER[] NOT NULL DEFAULT '{}',
+        categories TEXT[] NOT NULL DEFAULT '{}',
+        min_order DECIMAL(10,2) NOT NULL DEFAULT 0,
+        starts_at TIMESTAMP,
+        ends_at TIMESTAMP,
+        usage_limit INTEGER CHECK (usage_limit > 0),
+        per_customer_limit INTEGER CHECK (per_customer_limit > 0),
+        stackable BOOLEAN NOT NULL DEFAULT false,
+        active BOOLEAN NOT NULL DEFAULT true,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS coupon_redemptions (
+        id SERIAL PRIMARY KEY,
+        coupon_id INTEGER NOT NULL REFERENCES coupons(id) ON DELETE RESTRICT,
+        order_number VARCHAR(255) NOT NULL,
+        email VARCHAR(255) NOT NULL,
+        user_id VARCHAR(64),
+        discount DECIMAL(10,2) NOT NULL,
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        UNIQUE (coupon_id, order_number)
+      );
+    `);
+    await client.query("ALTER TABLE carts ADD COLUMN IF NOT EXISTS coupon_codes TEXT[] NOT NULL DEFAULT '{}';");
+    await client.query(`
+      INSERT INTO coupons (code, description, type, value, min_order, per_customer_limit, stackable, categories, buy_quantity, get_quantity) VALUES
+      ('WELCOME10', '10% off your first order over ₹499', 'percent', 10, 499, 1, false, '{}', NULL, NULL),
+      ('FREESHIP', 'Free standard shipping on orders over ₹299', 'free_shipping', 0, 299, NULL, true, '{}', NULL, NULL),
+      ('PLANTS3FOR2', 'Buy 2 plants, get the cheapest third free', 'buy_x_get_y', 100, 0, NULL, false, '{plants}', 2, 1)
+      ON CONFLICT (code) DO NOTHING;
+    `);
+    console.log('✅ Coupon tables created');
+
+    // Create cart share links (snapshots of a cart behind /cart/shared/<token>)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS cart_shares (
+        token VARCHAR(16) PRIMARY KEY,
+        title VARCHAR(100),
+        items JSONB NOT NULL,
+        created_by VARCHAR(64),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        expires_at TIMESTAMP NOT NULL
+      );
+    `);
+    console.log('✅ Cart shares table created');
+
+    // Create wishlist tables (db/wishlistRepository.js)
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS wishlists (
+        id SERIAL PRIMARY KEY,
+        user_id VARCHAR(64) NOT NULL UNIQUE,
+        share_token UUID UNIQUE,
+        share_name VARCHAR(100),
+        created_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP,
+        updated_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    await client.query(`
+      CREATE TABLE IF NOT EXISTS wishlist_items (
+        id SERIAL PRIMARY KEY,
+        wishlist_id INTEGER NOT NULL REFERENCES wishlists(id) ON DELETE CASCADE,
+        product_id INTEGER NOT NULL REFERENCES products(id) ON DELETE CASCADE,
+        variant_id INTEGER,
+        added_at TIMESTAMP DEFAULT CURRENT_TIMESTAMP
+      );
+    `);
+    console.log('✅ Wishlist tables created');
+
     // Import products from SQL file
     console.log('\n📦 Importing products from products-data.sql...');
     const sqlFilePath = path.join(__dirname, 'database', 'products-data.sql');
@@ -124,6 +502,80 @@ async function setupDatabase() {
       // Execute the SQL file content
       await client.query(sqlContent);
       console.log('✅ Products imported successfully\n');
+
+      // Default variant for every product that has none yet
+      await client.query(`
+        INSERT INTO product_variants (product_id, sku, size, price, original_price)
+        SELECT p.id, 'GL-' || LPAD(p.id::text, 4, '0'), p.size, p.price, p.original_price
+        FROM products p
+        WHERE NOT EXISTS (SELECT 1 FROM product_variants v WHERE v.product_id = p.id)
+        ON CONFLICT (sku) DO NOTHING;
+      `);
+      console.log('✅ Default product variants created\n');
+
+      // Starter kit: snake plant, ceramic planter set and watering can, 15% off
+      await client.query(`
+        INSERT INTO products (name, slug, description, price, category, image, instock, badge, size, bundle_discount_percent)
+        SELECT 'Beginner Plant Starter Kit', 'beginner-plant-starter-kit',
+               'Everything to start your first houseplant: a hardy snake plant, ceramic planters and a watering can.',
+               ROUND(SUM(v.price) * 0.85, 2), 'kits', '/images/products/plants/snake-plant.jpg', true, 'bundle', 'medium', 15
+        FROM products p JOIN product_variants v ON v.product_id = p.id
+        WHERE p.name IN ('Snake Plant', 'Ceramic Planter Set', 'Watering Can')
+          AND NOT EXISTS (SELECT 1 FROM products WHERE slug = 'beginner-plant-starter-kit');
+
+        INSERT INTO product_variants (product_id, sku, size, price)
+        SELECT p.id, 'GL-' || LPAD(p.id::text, 4, '0'), p.size, p.price
+        FROM products p WHERE p.slug = 'beginner-plant-starter-kit'
+        ON CONFLICT (sku) DO NOTHING;
+
+        INSERT INTO bundle_components (bundle_id, variant_id, quantity, sort_order)
+        SELECT kit.id, v.id, 1, c.sort_order
+        FROM products kit
+        CROSS JOIN (VALUES ('Snake Plant', 0), ('Ceramic Planter Set', 1), ('Watering Can', 2)) AS c (name, sort_order)
+        JOIN products p ON p.name = c.name
+        JOIN product_variants v ON v.product_id = p.id
+        WHERE kit.slug = 'beginner-plant-starter-kit'
+        ON CONFLICT (bundle_id, variant_id) DO NOTHING;
+      `);
+      console.log('✅ Starter kit bundle created\n');
+
+      // Packed shipping weights by category (kits weigh what their contents weigh)
+      await client.query(`
+        UPDATE product_variants v
+        SET weight_grams = CASE
+          WHEN p.category = 'pots' THEN 2000
+          WHEN p.category = 'tools' THEN 800
+          ELSE 1500
+        END
+        FROM products p
+        WHERE p.id = v.product_id AND v.weight_grams IS NULL AND p.category <> 'kits';
+      `);
+      console.log('✅ Shipping weights set\n');
+
+      // Open a price history entry for every variant
+      await client.query(`
+        INSERT INTO price_history (variant_id, product_id, price)
+        SELECT v.id, v.product_id, v.price
+        FROM product_variants v
+        WHERE NOT EXISTS (SELECT 1 FROM price_history h WHERE h.variant_id = v.id AND h.ends_at IS NULL);
+      `);
+      console.log('✅ Price history started\n');
+
+      // Slugs for imported products (repeated names get -2, -3...)
+      await client.query(`
+        UPDATE products p
+        SET slug = s.base || CASE WHEN s.n > 1 THEN '-' || s.n ELSE '' END
+        FROM (
+          SELECT id, base, ROW_NUMBER() OVER (PARTITION BY base ORDER BY id) AS n
+          FROM (
+            SELECT id, COALESCE(NULLIF(TRIM(BOTH '-' FROM REGEXP_REPLACE(
+                     LOWER(REPLACE(name, '''', '')), '[^a-z0-9]+', '-', 'g')), ''), 'product') AS base
+            FROM products WHERE slug IS NULL
+          ) named
+        ) s
+        WHERE p.id = s.id;
+      `);
+      console.log('✅ Product slugs generated\n');
     } else {
       console.error('❌ products-data.sql file not found!');
       throw new Error('Missing products data file');
@@ -131,12 +583,30 @@ async function setupDatabase() {
 
     // Create indexes for performance
     await client.query('CREATE INDEX IF NOT EXISTS idx_products_category ON products(category);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_categories_parent ON categories(parent_id, sort_order);');
     await client.query('CREATE INDEX IF NOT EXISTS idx_products_badge ON products(badge);');
     await client.query('CREATE INDEX IF NOT EXISTS idx_products_instock ON products(instock);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_products_search ON products USING GIN (search_vector);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_products_name_trgm ON products USING GIN (name gin_trgm_ops);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_product_variants_product_id ON product_variants(product_id);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_product_images_product_id ON product_images(product_id, position);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_reviews_product_status ON reviews(product_id, status);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_sales_window ON sales(starts_at, ends_at);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_price_history_variant ON price_history(variant_id, starts_at);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_bundle_components_variant ON bundle_components(variant_id);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_stock_reservations_variant ON stock_reservations(variant_id, expires_at);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_stock_reservations_hold ON stock_reservations(hold_id);');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_stock_notifications_pending ON stock_notifications(product_id, LOWER(email)) WHERE notified_at IS NULL;');
     await client.query('CREATE INDEX IF NOT EXISTS idx_carts_user_id ON carts(user_id);');
-    await client.query('CREATE INDEX IF NOT EXISTS idx_carts_session_id ON carts(session_id);');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_carts_updated_at ON carts(updated_at) WHERE user_id IS NULL;');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_cart_items_line ON cart_items(cart_id, product_id, COALESCE(variant_id, 0));');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_cart_shares_expires_at ON cart_shares(expires_at);');
     await client.query('CREATE INDEX IF NOT EXISTS idx_orders_user_id ON orders(user_id);');
     await client.query('CREATE INDEX IF NOT EXISTS idx_orders_transaction_id ON orders(transaction_id);');
+    await client.query("CREATE INDEX IF NOT EXISTS idx_orders_pending_cart ON orders(cart_session_id) WHERE status = 'pending';");
+    await client.query('CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_coupon ON coupon_redemptions(coupon_id, LOWER(email));');
+    await client.query('CREATE INDEX IF NOT EXISTS idx_coupon_redemptions_order ON coupon_redemptions(order_number);');
+    await client.query('CREATE UNIQUE INDEX IF NOT EXISTS idx_wishlist_items_line ON wishlist_items(wishlist_id, product_id, COALESCE(variant_id, 0));');
     console.log('✅ Created performance indexes');
 
     // Commit transaction
@@ -5,12 +5,68 @@
 
 const request = require('supertest');
 const express = require('express');
+
+// Product data comes from PostgreSQL; stub the repository so these tests
+// exercise the routes without needing a database.
+jest.mock('../db/productRepository', () => ({
+  CARE_ATTRIBUTES: jest.requireActual('../db/productRepository').CARE_ATTRIBUTES,
+  ping: jest.fn().mockResolvedValue(),
+  createProduct: jest.fn(),
+  getAllProducts: jest.fn().mockResolvedValue([]),
+  getProductsByIds: jest.fn().mockResolvedValue([]),
+  searchProducts: jest.fn().mockResolvedValue({ results: [], total: 0 }),
+  getCategoryCounts: jest.fn().mockResolvedValue([
+    { id: 4, slug: 'indoor', name: 'Indoor Plants', parentId: null, depth: 0, count: 2, inStockCount: 1 },
+    { id: 7, slug: 'succulent', name: 'Succulents', parentId: null, depth: 0, count: 1, inStockCount: 1 }
+  ])
+}));
+
+const pool = require('../db/pool');
+const productRepository = require('../db/productRepository');
+const cartRepository = require('../db/cartRepository');
+const inventory = require('../db/inventoryRepository');
+const pricing = require('../db/pricingRepository');
+const couponRepository = require('../db/couponRepository');
+const categoryRepository = require('../db/categoryRepository');
 const apiRoutes = require('../routes/api');
+const cartRoutes = require('../routes/cart');
+const paymentRoutes = require('../routes/payment');
+const productRoutes = require('../routes/products');
+const adminRoutes = require('../routes/admin');
+const orderRoutes = require('../routes/orders');
 
 // Create a test app
 const app = express();
 app.use(express.json());
+// Signed-in customer (null = guest); tests set it and reset it afterwards
+let sessionUser = null;
+app.use((req, res, next) => {
+  req.session = { user: sessionUser };
+  next();
+});
 app.use('/api', apiRoutes);
+app.use('/api/cart', cartRoutes);
+app.use('/api/payment', paymentRoutes);
+app.use('/api/products', productRoutes);
+app.use('/api/admin', adminRoutes);
+app.use('/api/orders', orderRoutes);
+
+// Keep a cart in memory: getCart / modifyCart work on it the way the
+// repository does on the carts tables
+function useCart(cart) {
+  const stored = { userId: null, couponCodes: [], ...cart };
+  jest.spyOn(cartRepository, 'getCart').mockImplementation(async (sessionId) =>
+    sessionId === stored.sessionId ? structuredClone(stored) : null);
+  jest.spyOn(cartRepository, 'modifyCart').mockImplementation(async (sessionId, change) => {
+    if (sessionId !== stored.sessionId) return null;
+    const draft = structuredClone(stored);
+    const result = await change(draft);
+    Object.assign(stored, draft);
+    return { cart: structuredClone(stored), result };
+  });
+  jest.spyOn(pricing, 'quoteTotals').mockResolvedValue({ total: 0, coupons: [], couponIssues: [] });
+  return stored;
+}
 
 describe('Integration Tests - API Endpoints', () => {
   
@@ -45,6 +101,16 @@ describe('Integration Tests - API Endpoints', () => {
       expect(response.body.data.status).toBe('healthy');
     });
     
+    test('should report degraded when the product database is unreachable', async () => {
+      productRepository.ping.mockRejectedValueOnce(new Error('connection refused'));
+      
+      const response = await request(app)
+        .get('/api/health')
+        .expect(503);
+      
+      expect(response.body.data.services.dataStore).toBe('error');
+    });
+    
     test('should include timestamp and version', async () => {
       const response = await request(app)
         .get('/api/health');
@@ -93,6 +159,40 @@ describe('Integration Tests - API Endpoints', () => {
       expect(response.body.data).toHaveProperty('categories');
       expect(Array.isArray(response.body.data.categories)).toBe(true);
     });
+    
+    test('should total category counts from the product repository', async () => {
+      const response = await request(app)
+        .get('/api/categories')
+        .expect(200);
+      
+      expect(response.body.data.totalCategories).toBe(2);
+      expect(response.body.data.totalProducts).toBe(3);
+    });
+  });
+  
+  describe('GET /api/search', () => {
+    test('should require a query', async () => {
+      const response = await request(app)
+        .get('/api/search')
+        .expect(400);
+      
+      expect(response.body.success).toBe(false);
+    });
+    
+    test('should search through the product repository', async () => {
+      productRepository.searchProducts.mockResolvedValueOnce({
+        results: [{ id: 9, name: 'Snake Plant' }],
+        total: 1
+      });
+      
+      const response = await request(app)
+        .get('/api/search?q=snake&limit=5')
+        .expect(200);
+      
+      expect(productRepository.searchProducts).toHaveBeenCalledWith('snake', { category: undefined, limit: 5 });
+      expect(response.body.data.results).toHaveLength(1);
+      expect(response.body.data.totalFound).toBe(1);
+    });
   });
   
   describe('POST /api/newsletter/subscribe', () => {
@@ -152,6 +252,466 @@ describe('Integration Tests - API Endpoints', () => {
   
 });
 
+describe('Integration Tests - Products', () => {
+
+  beforeEach(() => {
+    process.env.ADMIN_EMAILS = 'admin@example.com';
+    sessionUser = { id: 1, name: 'Admin', email: 'admin@example.com' };
+  });
+
+  afterEach(() => {
+    delete process.env.ADMIN_EMAILS;
+    sessionUser = null;
+    jest.restoreAllMocks();
+  });
+
+  test('should create a product without care attributes', async () => {
+    jest.spyOn(categoryRepository, 'getCategorySlugs').mockResolvedValue(['pots']);
+    productRepository.createProduct.mockResolvedValueOnce({ id: 41, name: 'Terracotta Pot' });
+
+    const response = await request(app)
+      .post('/api/products')
+      .send({
+        name: 'Terracotta Pot',
+        category: 'pots',
+        price: 349,
+        description: 'Unglazed pot with a drainage hole',
+        size: 'medium',
+        inStock: true
+      })
+      .expect(201);
+
+    expect(response.body.success).toBe(true);
+    expect(productRepository.createProduct).toHaveBeenCalledWith(
+      expect.not.objectContaining({ care: expect.anything() })
+    );
+  });
+});
+
+describe('Integration Tests - Admin Access', () => {
+  const coupon = { code: 'SPRING10', type: 'percent', value: 10 };
+  
+  beforeEach(() => {
+    process.env.ADMIN_EMAILS = 'admin@example.com, ops@example.com';
+  });
+  
+  afterEach(() => {
+    delete process.env.ADMIN_EMAILS;
+    sessionUser = null;
+    jest.restoreAllMocks();
+  });
+  
+  test('should not let guests change coupons or products', async () => {
+    const created = jest.spyOn(couponRepository, 'createCoupon');
+    const updated = jest.spyOn(couponRepository, 'updateCoupon');
+    
+    const response = await request(app).post('/api/admin/coupons').send(coupon).expect(401);
+    expect(response.body.error).toBe('UNAUTHORIZED');
+    await request(app).put('/api/admin/coupons/3').send({ active: false }).expect(401);
+    await request(app).put('/api/products/4').send({ price: 0 }).expect(401);
+    
+    expect(created).not.toHaveBeenCalled();
+    expect(updated).not.toHaveBeenCalled();
+  });
+  
+  test('should not let guests or customers import or export the catalog', async () => {
+    const connect = jest.spyOn(pool, 'connect');
+    
+    await request(app).post('/api/admin/catalog/import').set('Content-Type', 'text/csv').send('name,category,price\nFern,indoor,1\n').expect(401);
+    sessionUser = { id: 7, name: 'Asha Rao', email: 'asha@example.com' };
+    await request(app).post('/api/admin/catalog/import').set('Content-Type', 'text/csv').send('name,category,price\nFern,indoor,1\n').expect(403);
+    await request(app).get('/api/admin/catalog/export').expect(403);
+    
+    expect(connect).not.toHaveBeenCalled();
+  });
+  
+  test('should not let customers use the admin API', async () => {
+    sessionUser = { id: 7, name: 'Asha Rao', email: 'asha@example.com' };
+    const created = jest.spyOn(couponRepository, 'createCoupon');
+    
+    const response = await request(app).post('/api/admin/coupons').send(coupon).expect(403);
+    expect(response.body.error).toBe('FORBIDDEN');
+    await request(app).get('/api/admin/coupons').expect(403);
+    
+    expect(created).not.toHaveBeenCalled();
+  });
+  
+  test('should only let admins change tax and shipping rates', async () => {
+    const updated = jest.spyOn(pricing, 'updateSettings').mockResolvedValue({ tax: {}, shipping: {} });
+    const rates = { shipping: { defaultWeightGrams: 500 } };
+    
+    await request(app).put('/api/admin/pricing').send(rates).expect(401);
+    sessionUser = { id: 7, name: 'Asha Rao', email: 'asha@example.com' };
+    await request(app).put('/api/admin/pricing').send(rates).expect(403);
+    expect(updated).not.toHaveBeenCalled();
+    
+    sessionUser = { id: 1, name: 'Admin', email: 'admin@example.com' };
+    await request(app).put('/api/admin/pricing').send(rates).expect(200);
+    expect(updated).toHaveBeenCalledWith(rates);
+  });
+  
+  test('should let admins create coupons', async () => {
+    sessionUser = { id: 1, name: 'Ops', email: 'OPS@example.com' };
+    jest.spyOn(couponRepository, 'createCoupon').mockResolvedValue({ id: 3, ...coupon });
+    
+    const response = await request(app).post('/api/admin/coupons').send(coupon).expect(201);
+    
+    expect(response.body.data.code).toBe('SPRING10');
+  });
+});
+
+describe('Integration Tests - Checkout', () => {
+  const sessionId = '9b2f0d5e-8a4c-4b7e-9f3a-1c2d3e4f5a6b';
+  const order = { sessionId, name: 'Asha Rao', email: 'asha@example.com', method: 'card', shippingInfo: { state: 'KA' } };
+  
+  // A pending order as /orders stores it, locked and read back by /checkout
+  const pendingOrder = (fields) => ({
+    id: 12, order_number: 'ORD1', transaction_id: 'TXN1', status: 'pending', payment_status: 'pending',
+    expired: false, total_amount: '0', user_email: 'asha@example.com', user_name: 'Asha Rao', payment_method: 'card',
+    cart_session_id: sessionId, customer_id: null, shipping_info: { state: 'KA' }, totals: { coupons: [] },
+    items: [{ productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 1 }],
+    ...fields
+  });
+  const payingClient = (order) => {
+    const client = {
+      query: jest.fn(async (sql) => ({ rows: /FROM orders/.test(sql) ? [order] : [] })),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    return client;
+  };
+  
+  afterEach(() => {
+    sessionUser = null;
+    jest.restoreAllMocks();
+  });
+  
+  test('should only pay an order by its ID', async () => {
+    const response = await request(app)
+      .post('/api/payment/checkout')
+      .send({ amount: 1, cart: [{ productId: 1, price: 1, quantity: 5 }] })
+      .expect(400);
+    
+    expect(response.body.success).toBe(false);
+  });
+  
+  test('should refuse to order a cart whose prices changed since they were accepted', async () => {
+    jest.spyOn(cartRepository, 'getCart').mockResolvedValue({
+      sessionId,
+      userId: null,
+      couponCodes: [],
+      items: [{ productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 1 }]
+    });
+    productRepository.getProductsByIds.mockResolvedValueOnce([
+      { id: 4, name: 'Fern', price: 349, inStock: true, variants: [{ id: 9, price: 349, inStock: true }] }
+    ]);
+    
+    const response = await request(app)
+      .post('/api/payment/orders')
+      .send(order)
+      .expect(409);
+    
+    expect(response.body.cartChanged).toBe(true);
+  });
+  
+  test('should not order someone else\'s cart', async () => {
+    jest.spyOn(cartRepository, 'getCart').mockResolvedValue({ sessionId, userId: 'user-7', couponCodes: [], items: [] });
+    
+    await request(app)
+      .post('/api/payment/orders')
+      .send(order)
+      .expect(404);
+  });
+  
+  test('should store who created a pending order', async () => {
+    sessionUser = { id: 'user-7', name: 'Asha Rao', email: 'asha@example.com' };
+    useCart({ sessionId, userId: 'user-7', items: [{ productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 1 }] });
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([
+      { id: 4, name: 'Fern', price: 299, inStock: true, variants: [{ id: 9, price: 299, inStock: true }] }
+    ]);
+    jest.spyOn(inventory, 'resolveLines').mockImplementation(async (db, lines) => lines);
+    jest.spyOn(inventory, 'attachBundleComponents').mockImplementation(async (db, lines) => lines);
+    const query = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+    
+    await request(app).post('/api/payment/orders').send(order).expect(201);
+    
+    const [, params] = query.mock.calls.find(([sql]) => /INSERT INTO orders/.test(sql));
+    expect(params).toEqual(expect.arrayContaining([sessionId, 'user-7']));
+  });
+  
+  test('should only let the account that created an order pay it', async () => {
+    const client = payingClient(pendingOrder({ customer_id: 'user-7' }));
+    const commit = jest.spyOn(inventory, 'commitOrder');
+    
+    await request(app).post('/api/payment/checkout').send({ orderId: 'ORD1', sessionId }).expect(404);
+    sessionUser = { id: 'user-8', name: 'Ravi', email: 'ravi@example.com' };
+    await request(app).post('/api/payment/checkout').send({ orderId: 'ORD1', sessionId }).expect(404);
+    
+    expect(commit).not.toHaveBeenCalled();
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+  });
+  
+  test('should only let a guest order be paid with its cart', async () => {
+    payingClient(pendingOrder());
+    const commit = jest.spyOn(inventory, 'commitOrder');
+    
+    await request(app)
+      .post('/api/payment/checkout')
+      .send({ orderId: 'ORD1', sessionId: '0a1b2c3d-4e5f-4a6b-8c7d-9e0f1a2b3c4d' })
+      .expect(404);
+    
+    expect(commit).not.toHaveBeenCalled();
+  });
+  
+  test('should price and redeem coupons for the customer who created the order', async () => {
+    sessionUser = { id: 'user-7', name: 'Asha Rao', email: 'asha@example.com' };
+    const client = payingClient(pendingOrder({ customer_id: 'user-7' }));
+    useCart({ sessionId, userId: 'user-7', items: [] });
+    const commit = jest.spyOn(inventory, 'commitOrder').mockResolvedValue({ productIds: [4] });
+    jest.spyOn(inventory, 'afterStockChange').mockResolvedValue();
+    const redeem = jest.spyOn(couponRepository, 'recordRedemptions').mockResolvedValue();
+    
+    await request(app)
+      .post('/api/payment/checkout')
+      .send({ orderId: 'ORD1', sessionId })
+      .expect(200);
+    
+    expect(pricing.quoteTotals).toHaveBeenCalledWith(
+      expect.any(Array),
+      expect.objectContaining({ customer: { userId: 'user-7', email: 'asha@example.com' } }),
+      client
+    );
+    expect(commit).toHaveBeenCalledWith(client, expect.any(Array), sessionId);
+    expect(redeem).toHaveBeenCalledWith(client, [], expect.objectContaining({ userId: 'user-7' }));
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+  });
+});
+
+describe('Integration Tests - Cart Merging', () => {
+  const guestId = '5d1e2f3a-4b5c-4d6e-8f7a-9b0c1d2e3f4a';
+  const accountId = '7a8b9c0d-1e2f-4a3b-8c5d-6e7f8a9b0c1d';
+  
+  afterEach(() => {
+    sessionUser = null;
+    jest.restoreAllMocks();
+  });
+  
+  test('should merge a guest cart into the account cart on sign-in', async () => {
+    sessionUser = { id: 7, name: 'Asha Rao', email: 'asha@example.com' };
+    const guest = {
+      sessionId: guestId,
+      userId: null,
+      couponCodes: ['SPRING10'],
+      items: [
+        { productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 3 },
+        { productId: 5, variantId: 10, name: 'Calathea', price: 499, quantity: 1 },
+        { productId: 6, variantId: null, name: 'Old Palm', price: 899, quantity: 1 }
+      ]
+    };
+    const account = useCart({
+      sessionId: accountId,
+      userId: 7,
+      items: [{ productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 1 }]
+    });
+    cartRepository.getCart.mockImplementation(async (sessionId) => (sessionId === guestId ? structuredClone(guest) : null));
+    jest.spyOn(cartRepository, 'getUserCart').mockResolvedValue(structuredClone(account));
+    const deleted = jest.spyOn(cartRepository, 'deleteCart').mockResolvedValue(true);
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([
+      { id: 4, name: 'Fern', price: 299, inStock: true, variants: [{ id: 9, sku: 'FERN-M', price: 299, inStock: true }] },
+      { id: 5, name: 'Calathea', price: 499, inStock: false, variants: [{ id: 10, sku: 'CAL-M', price: 499, inStock: false }] }
+    ]);
+    jest.spyOn(inventory, 'getAvailability').mockResolvedValue(new Map([[9, { stock: 2, reserved: 0, available: 2 }]]));
+    
+    const response = await request(app)
+      .post('/api/cart/current')
+      .send({ sessionId: guestId })
+      .expect(200);
+    
+    const { cart, notices, merged } = response.body.data;
+    expect(merged).toBe(true);
+    expect(cart.sessionId).toBe(accountId);
+    expect(cart.items).toEqual([expect.objectContaining({ productId: 4, variantId: 9, quantity: 2 })]);
+    expect(cart.couponCodes).toEqual(['SPRING10']);
+    expect(notices.map(notice => [notice.productId, notice.type])).toEqual([
+      [5, 'out_of_stock'],
+      [6, 'product_removed'],
+      [4, 'insufficient_stock']
+    ]);
+    expect(deleted).toHaveBeenCalledWith(guestId);
+  });
+});
+
+describe('Integration Tests - Cart Changes', () => {
+  const sessionId = '2e4f6a8b-1c3d-4e5f-9a7b-8c6d4e2f0a1b';
+  const order = { sessionId, name: 'Asha Rao', email: 'asha@example.com', method: 'card', shippingInfo: { state: 'KA' } };
+  const line = (productId, price, quantity = 1) =>
+    ({ productId, variantId: productId + 10, name: `Plant ${productId}`, price, quantity });
+  const product = (id, price, inStock = true) =>
+    ({ id, name: `Plant ${id}`, price, inStock: true, variants: [{ id: id + 10, price, inStock }] });
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('should report every kind of change when validating', async () => {
+    const cart = useCart({
+      sessionId,
+      items: [line(1, 100), line(2, 200), line(3, 50, 5), line(4, 75), line(5, 90)]
+    });
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([
+      product(1, 120), product(2, 150), product(3, 50), product(4, 75, false)
+    ]);
+    jest.spyOn(inventory, 'getAvailability').mockResolvedValue(new Map([[13, { stock: 2, reserved: 0, available: 2 }]]));
+    
+    const response = await request(app)
+      .post(`/api/cart/${sessionId}/validate`)
+      .expect(200);
+    
+    const { changes, requiresAcceptance } = response.body.data;
+    expect(requiresAcceptance).toBe(true);
+    expect(changes).toEqual([
+      expect.objectContaining({ type: 'quantity_reduced', productId: 3, requested: 5, available: 2 }),
+      expect.objectContaining({ type: 'out_of_stock', productId: 4 }),
+      expect.objectContaining({ type: 'product_removed', productId: 5 }),
+      expect.objectContaining({ type: 'price_increased', productId: 1, oldPrice: 100, newPrice: 120 }),
+      expect.objectContaining({ type: 'price_decreased', productId: 2, oldPrice: 200, newPrice: 150 })
+    ]);
+    expect(cart.items.map(item => [item.productId, item.price, item.quantity, item.quotedPrice])).toEqual([
+      [1, 120, 1, 100],
+      [2, 150, 1, 200],
+      [3, 50, 2, undefined]
+    ]);
+  });
+  
+  test('should ask again when a price moved after it was quoted', async () => {
+    const cart = useCart({ sessionId, items: [line(1, 100)] });
+    let livePrice = 120;
+    jest.spyOn(productRepository, 'getProductsByIds').mockImplementation(async () => [product(1, livePrice)]);
+    jest.spyOn(inventory, 'getAvailability').mockResolvedValue(new Map());
+    
+    const quoted = await request(app).post(`/api/cart/${sessionId}/validate`).expect(200);
+    expect(quoted.body.data.changes).toEqual([expect.objectContaining({ oldPrice: 100, newPrice: 120 })]);
+    
+    livePrice = 130;
+    await request(app).post(`/api/cart/${sessionId}/validate`).expect(200);
+    
+    const stale = await request(app)
+      .post(`/api/cart/${sessionId}/changes/accept`)
+      .send({ changes: [{ productId: 1, variantId: 11, newPrice: 120 }] })
+      .expect(200);
+    expect(stale.body.data.requiresAcceptance).toBe(true);
+    expect(stale.body.data.changes).toEqual([
+      expect.objectContaining({ type: 'price_increased', oldPrice: 100, newPrice: 130 })
+    ]);
+    expect(cart.items[0].quotedPrice).toBe(100);
+    
+    const accepted = await request(app)
+      .post(`/api/cart/${sessionId}/changes/accept`)
+      .send({ changes: [{ productId: 1, variantId: 11, newPrice: 130 }] })
+      .expect(200);
+    expect(accepted.body.data.requiresAcceptance).toBe(false);
+    expect(cart.items[0].quotedPrice).toBeUndefined();
+  });
+  
+  test('should not order a cart with a price change still to accept', async () => {
+    useCart({ sessionId, items: [{ ...line(1, 120), quotedPrice: 100 }] });
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([product(1, 120)]);
+    const insert = jest.spyOn(pool, 'query');
+    
+    const response = await request(app)
+      .post('/api/payment/orders')
+      .send(order)
+      .expect(409);
+    
+    expect(response.body).toMatchObject({ success: false, cartChanged: true });
+    expect(insert).not.toHaveBeenCalled();
+  });
+});
+
+describe('Integration Tests - Stock Holds', () => {
+  const sessionId = '3c7e1a2b-5d4f-4a6b-8c9d-0e1f2a3b4c5d';
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('should not count a cart\'s own checkout hold against it', async () => {
+    const holds = [];
+    jest.spyOn(inventory, 'reserve').mockImplementation(async (holdId, lines) => {
+      lines.forEach(line => holds.push({ holdId, variantId: line.variantId, quantity: line.quantity }));
+      return { holdId, expiresAt: new Date(), lines };
+    });
+    // Two Ferns on the shelf; units held under any other hold ID are taken
+    jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => ({
+      rows: /stock_reservations/.test(sql) ? params[0].map(id => ({
+        id,
+        stock: 2,
+        reserved: holds.filter(h => h.variantId === id && h.holdId !== params[1]).reduce((sum, h) => sum + h.quantity, 0)
+      })) : []
+    }));
+    const cart = useCart({ sessionId, items: [{ lineId: 1, productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 2 }] });
+    productRepository.getProductsByIds.mockResolvedValueOnce([
+      { id: 4, name: 'Fern', price: 299, inStock: true, variants: [{ id: 9, price: 299, inStock: true }] }
+    ]);
+    
+    const reserved = await request(app)
+      .post('/api/payment/reserve')
+      .send({ sessionId })
+      .expect(200);
+    expect(reserved.body.holdId).toBe(sessionId);
+    
+    const response = await request(app)
+      .post(`/api/cart/${sessionId}/validate`)
+      .expect(200);
+    
+    expect(response.body.data.changes).toEqual([]);
+    expect(cart.items[0].quantity).toBe(2);
+  });
+  
+  test('should hold the server cart\'s lines, not ones the browser posts', async () => {
+    useCart({ sessionId, items: [{ lineId: 1, productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 2 }] });
+    const reserve = jest.spyOn(inventory, 'reserve').mockImplementation(async (holdId, lines) => ({ holdId, expiresAt: new Date(), lines }));
+    
+    await request(app)
+      .post('/api/payment/reserve')
+      .send({ sessionId, cart: [{ productId: 4, variantId: 9, quantity: 5000 }] })
+      .expect(200);
+    
+    expect(reserve).toHaveBeenCalledWith(sessionId, [expect.objectContaining({ productId: 4, variantId: 9, quantity: 2 })]);
+  });
+  
+  test('should not hold stock for someone else\'s cart', async () => {
+    useCart({ sessionId, userId: 7, items: [{ lineId: 1, productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 2 }] });
+    const reserve = jest.spyOn(inventory, 'reserve');
+    
+    await request(app)
+      .post('/api/payment/reserve')
+      .send({ sessionId })
+      .expect(404);
+    
+    expect(reserve).not.toHaveBeenCalled();
+  });
+});
+
+describe('Integration Tests - Order Cancellation', () => {
+  
+  afterEach(() => {
+    sessionUser = null;
+    jest.restoreAllMocks();
+  });
+  
+  test('should only cancel orders placed by the signed-in account', async () => {
+    sessionUser = { id: 'user-7', name: 'Asha Rao', email: 'asha@example.com' };
+    const client = { query: jest.fn().mockResolvedValue({ rows: [] }), release: jest.fn() };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    
+    await request(app).post('/api/orders/12/cancel').expect(404);
+    
+    const [sql, params] = client.query.mock.calls.find(([sql]) => /FROM orders/.test(sql));
+    expect(sql).toContain('customer_id = $2 OR (customer_id IS NULL');
+    expect(params).toEqual(['12', 'user-7', 'asha@example.com']);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+  
+});
+
 describe('Integration Tests - Error Handling', () => {
   
   test('should return 404 for non-existent endpoint', async () => {
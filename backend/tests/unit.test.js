@@ -48,3 +48,1387 @@ describe('Unit Tests - Helper Functions', () => {
   });
   
 });
+
+describe('Unit Tests - Product Repository Helpers', () => {
+  
+  const {
+    mapProduct,
+    mapVariant,
+    mapImage,
+    buildFilterClause,
+    getFacets,
+    toTsQuery,
+    highlightToHtml,
+    slugify,
+    assignSlug,
+    salePrice,
+    purgeProduct,
+    updateProduct
+  } = require('../db/productRepository');
+  const pool = require('../db/pool');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('mapProduct should convert a products row to camelCase', () => {
+    const product = mapProduct({
+      id: 1,
+      name: 'Snake Plant',
+      price: '29.99',
+      original_price: null,
+      rating: '4.80',
+      instock: false,
+      created_at: 'c',
+      updated_at: 'u'
+    });
+    
+    expect(product.price).toBe(29.99);
+    expect(product.originalPrice).toBeNull();
+    expect(product.rating).toBe(4.8);
+    expect(product.inStock).toBe(false);
+    expect(product.createdAt).toBe('c');
+    expect(product.updatedAt).toBe('u');
+  });
+  
+  test('mapProduct should price a discounted bundle from its components and derive its stock', () => {
+    const product = mapProduct({
+      id: 40,
+      name: 'Starter Kit',
+      price: '50.00',
+      instock: true,
+      bundle_discount_percent: '10.00',
+      variants: [{ id: 90, product_id: 40, sku: 'KIT', price: 50, stock: null, sort_order: 0 }],
+      bundle_components: [
+        { product_id: 1, variant_id: 1, name: 'Snake Plant', slug: 'snake-plant', sku: 'SP', price: 30, stock: 7, quantity: 1 },
+        { product_id: 2, variant_id: 2, name: 'Pebbles', slug: 'pebbles', sku: 'PB', price: 5, stock: 5, quantity: 2 }
+      ]
+    });
+    
+    expect(product.isBundle).toBe(true);
+    expect(product.price).toBe(36);
+    expect(product.originalPrice).toBe(40);
+    expect(product.variants[0]).toMatchObject({ price: 36, stock: 2, inStock: true });
+    expect(product.bundle).toMatchObject({ componentTotal: 40, available: 2, savings: 4 });
+    expect(product.bundle.components.map((c) => c.url)).toEqual(['/products/snake-plant', '/products/pebbles']);
+  });
+  
+  test('mapProduct should sell a bundle out when a component is archived', () => {
+    const product = mapProduct({
+      id: 40,
+      name: 'Starter Kit',
+      price: '50.00',
+      variants: [{ id: 90, product_id: 40, sku: 'KIT', price: 50, stock: null, sort_order: 0 }],
+      bundle_components: [
+        { product_id: 1, variant_id: 1, name: 'Snake Plant', sku: 'SP', price: 30, stock: null, quantity: 1, archived: true }
+      ]
+    });
+    
+    expect(product.price).toBe(50);
+    expect(product.bundle.available).toBe(0);
+    expect(product.variants[0].inStock).toBe(false);
+  });
+  
+  test('mapProduct should return null for a missing row', () => {
+    expect(mapProduct(undefined)).toBeNull();
+  });
+  
+  test('mapVariant should label variants and treat null stock as untracked', () => {
+    const variant = mapVariant({
+      id: 7,
+      product_id: 1,
+      sku: 'GL-0001-2',
+      size: '6"',
+      pot_colour: 'White',
+      price: 59.99,
+      original_price: null,
+      stock: null,
+      sort_order: 1
+    });
+    
+    expect(variant.label).toBe('6" / White');
+    expect(variant.price).toBe(59.99);
+    expect(variant.stock).toBeNull();
+    expect(variant.inStock).toBe(true);
+    expect(mapVariant({ id: 8, sku: 'GL-0001-3', price: '10', stock: 0 }).inStock).toBe(false);
+  });
+  
+  test('mapProduct should aggregate stock and price range from variants', () => {
+    const product = mapProduct({
+      id: 1,
+      name: 'Monstera Deliciosa',
+      price: '45.99',
+      instock: true,
+      variants: [
+        { id: 1, product_id: 1, sku: 'M-4', size: '4"', price: 45.99, stock: 0 },
+        { id: 2, product_id: 1, sku: 'M-10', size: '10"', price: 129.99, stock: 3 }
+      ]
+    });
+    
+    expect(product.variants).toHaveLength(2);
+    expect(product.priceRange).toEqual({ min: 45.99, max: 129.99 });
+    expect(product.inStock).toBe(true);
+    
+    const soldOut = mapProduct({
+      id: 1,
+      price: '45.99',
+      instock: true,
+      variants: [{ id: 1, sku: 'M-4', price: 45.99, stock: 0 }]
+    });
+    expect(soldOut.inStock).toBe(false);
+  });
+  
+  test('buildFilterClause should parameterize every filter', () => {
+    const { where, values } = buildFilterClause({
+      category: 'indoor',
+      minPrice: '10',
+      inStock: 'true',
+      search: 'fern'
+    });
+    
+    expect(where).toContain('LOWER(category) = ANY($1)');
+    expect(where).toContain('effective_price >= $2');
+    expect(where).toContain('instock IS NOT FALSE');
+    expect(where).toContain("search_vector @@ to_tsquery('english', $3)");
+    expect(where).toContain('$4 <% name');
+    expect(values).toEqual([['indoor'], 10, 'fern:*', 'fern']);
+  });
+  
+  test('buildFilterClause should ignore "all" values', () => {
+    expect(buildFilterClause({ category: 'all', size: 'all' })).toEqual({ where: 'WHERE archived_at IS NULL', values: [] });
+  });
+  
+  test('buildFilterClause should accept comma-separated values', () => {
+    const { where, values } = buildFilterClause({ category: 'Indoor, succulent', size: 'small' });
+    
+    expect(where).toBe('WHERE archived_at IS NULL AND LOWER(category) = ANY($1) AND LOWER(size) = ANY($2)');
+    expect(values).toEqual([['indoor', 'succulent'], ['small']]);
+  });
+  
+  test('buildFilterClause should leave out the excluded facet only', () => {
+    const filters = { category: 'indoor', size: 'small', minPrice: '10', maxPrice: '50', inStock: true };
+    
+    const withoutCategory = buildFilterClause(filters, { exclude: 'category' });
+    expect(withoutCategory.where).not.toContain('category');
+    expect(withoutCategory.values).toEqual([['small'], 10, 50]);
+    
+    const withoutPrice = buildFilterClause(filters, { exclude: 'price' });
+    expect(withoutPrice.where).not.toContain('price');
+    expect(withoutPrice.where).toContain('instock IS NOT FALSE');
+    
+    expect(buildFilterClause(filters, { exclude: 'inStock' }).where).not.toContain('instock');
+  });
+  
+  test('buildFilterClause should filter care attributes and pet safety', () => {
+    const { where, values } = buildFilterClause({ light: 'low,medium', adultSize: 'compact', petSafe: 'true' });
+    
+    expect(where).toBe(
+      "WHERE archived_at IS NULL AND LOWER(light_requirement) = ANY($1) AND LOWER(adult_size) = ANY($2) AND toxicity = 'pet-safe'"
+    );
+    expect(values).toEqual([['low', 'medium'], ['compact']]);
+    expect(buildFilterClause({ petSafe: 'false' }).where).toBe("WHERE archived_at IS NULL AND toxicity IS DISTINCT FROM 'pet-safe'");
+    expect(buildFilterClause({ petSafe: 'true' }, { exclude: 'petSafe' }).where).toBe('WHERE archived_at IS NULL');
+  });
+  
+  test('getFacets should bucket prices by the effective sale price', async () => {
+    const spy = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ b0: 1, b1: 0, b2: 0, b3: 0, b4: 0 }] });
+    
+    const facets = await getFacets({ minPrice: '10' });
+    const [sql] = spy.mock.calls.find(([text]) => text.includes('AS b0'));
+    
+    expect(sql).toContain('COUNT(*) FILTER (WHERE effective_price >= 0 AND effective_price < 25)');
+    expect(sql).toContain('AS effective_price');
+    expect(sql).toContain('FROM sales s');
+    expect(facets.price[0]).toEqual({ min: 0, max: 25, count: 1 });
+  });
+  
+  test('updateProduct should refuse product-level prices on a product with several variants', async () => {
+    const client = {
+      query: jest.fn(async (sql) => ({ rows: /COUNT/.test(sql) ? [{ count: 3 }] : [] })),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    
+    await expect(updateProduct(5, { price: 10 })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(updateProduct(5, { size: 'large' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(client.query.mock.calls.every(([sql]) => !/UPDATE/.test(sql))).toBe(true);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalledTimes(2);
+  });
+  
+  test('updateProduct should roll back the product row when a later write fails', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (/^UPDATE products/.test(sql.trim())) return { rows: [{ id: 5 }] };
+        if (/INSERT INTO price_history/.test(sql)) throw new Error('connection reset');
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    const query = jest.spyOn(pool, 'query');
+    
+    await expect(updateProduct(5, { name: 'Calathea' })).rejects.toThrow('connection reset');
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+    expect(query).not.toHaveBeenCalled();
+  });
+  
+  test('mapProduct should expose care attributes in camelCase', () => {
+    const product = mapProduct({
+      id: 9,
+      price: '12.00',
+      care: 'easy',
+      light_requirement: 'bright-indirect',
+      watering_frequency: 'sparse',
+      toxicity: 'pet-safe',
+      adult_size: 'compact'
+    });
+    
+    expect(product).toMatchObject({
+      care: 'easy',
+      lightRequirement: 'bright-indirect',
+      wateringFrequency: 'sparse',
+      humidity: null,
+      origin: null,
+      adultSize: 'compact',
+      petSafe: true
+    });
+    expect(mapProduct({ id: 10, price: '5' }).petSafe).toBe(false);
+  });
+  
+  test('toTsQuery should OR words and prefix-match the last one', () => {
+    expect(toTsQuery('Low light fern')).toBe('low | light | fern:*');
+    expect(toTsQuery("bird's nest")).toBe('bird | s | nest:*');
+  });
+  
+  test('toTsQuery should strip tsquery operators from user input', () => {
+    expect(toTsQuery("snake & !(plant) | ':*")).toBe('snake | plant:*');
+    expect(toTsQuery('  !!  ')).toBeNull();
+  });
+  
+  test('highlightToHtml should escape text but keep <mark> tags', () => {
+    expect(highlightToHtml('<mark>Snake</mark> Plant <b>x</b>'))
+      .toBe('<mark>Snake</mark> Plant &lt;b&gt;x&lt;/b&gt;');
+    expect(highlightToHtml(null)).toBe('');
+  });
+  
+  test('slugify should make URL-safe slugs from product names', () => {
+    expect(slugify("Bird's Nest Fern")).toBe('birds-nest-fern');
+    expect(slugify('Orchid (Phalaenopsis)')).toBe('orchid-phalaenopsis');
+    expect(slugify('Café  Palm!')).toBe('cafe-palm');
+    expect(slugify('***')).toBe('product');
+  });
+  
+  test('assignSlug should pick a free slug and keep the old one as a redirect', async () => {
+    const db = { query: jest.fn() };
+    db.query
+      .mockResolvedValueOnce({ rows: [{ slug: 'fern' }] })
+      .mockResolvedValueOnce({ rows: [{ slug: 'boston-fern' }, { slug: 'boston-fern-3' }] })
+      .mockResolvedValue({ rows: [] });
+    
+    await expect(assignSlug(db, 5, 'Boston Fern')).resolves.toBe('boston-fern-2');
+    expect(db.query.mock.calls[2][0]).toContain('INSERT INTO product_slug_redirects');
+    expect(db.query.mock.calls[2][1]).toEqual(['fern', 5]);
+    expect(db.query).toHaveBeenLastCalledWith('UPDATE products SET slug = $2 WHERE id = $1', [5, 'boston-fern-2']);
+  });
+  
+  test('assignSlug should keep a slug that already matches the name', async () => {
+    const db = { query: jest.fn().mockResolvedValueOnce({ rows: [{ slug: 'boston-fern-2' }] }) };
+    
+    await expect(assignSlug(db, 5, 'Boston Fern')).resolves.toBe('boston-fern-2');
+    expect(db.query).toHaveBeenCalledTimes(1);
+  });
+  
+  test('mapImage should expose renditions and a srcset', () => {
+    const image = mapImage({
+      id: 4,
+      position: 0,
+      alt: null,
+      thumb_url: '/images/products/indoor/fern-a1-thumb.webp',
+      card_url: '/images/products/indoor/fern-a1-card.webp',
+      zoom_url: '/images/products/indoor/fern-a1-zoom.webp'
+    });
+    
+    expect(image).toMatchObject({ id: 4, position: 0, alt: '', card: '/images/products/indoor/fern-a1-card.webp' });
+    expect(image.srcset).toBe(
+      '/images/products/indoor/fern-a1-thumb.webp 200w, ' +
+      '/images/products/indoor/fern-a1-card.webp 480w, ' +
+      '/images/products/indoor/fern-a1-zoom.webp 1200w'
+    );
+  });
+  
+  test('mapProduct should apply a running sale to the product and its variants', () => {
+    const product = mapProduct({
+      id: 3,
+      name: 'Jade Plant',
+      price: '20.00',
+      original_price: '25.00',
+      category: 'succulent',
+      variants: [
+        { id: 30, product_id: 3, sku: 'GL-0003', price: '20.00', original_price: '25.00', stock: null },
+        { id: 31, product_id: 3, sku: 'GL-0003-2', price: '40.00', original_price: null, stock: 2 }
+      ],
+      sale: { id: 9, name: 'Succulent weekend', discount_percent: '20.00', ends_at: '2025-06-09T00:00:00Z' }
+    });
+    
+    expect(product.sale).toEqual({ id: 9, name: 'Succulent weekend', discountPercent: 20, endsAt: '2025-06-09T00:00:00Z' });
+    expect(product).toMatchObject({ price: 16, listPrice: 20, originalPrice: 25, discount: 20 });
+    expect(product.variants[1]).toMatchObject({ price: 32, listPrice: 40, originalPrice: 40 });
+    expect(product.priceRange).toEqual({ min: 16, max: 32 });
+  });
+  
+  test('mapProduct should keep regular prices without a sale', () => {
+    const product = mapProduct({ id: 4, name: 'Fern', price: '12.50', original_price: null, sale: null });
+    
+    expect(product).toMatchObject({ price: 12.5, listPrice: 12.5, originalPrice: null, sale: null, discount: 0 });
+  });
+  
+  test('mapProduct should mark archived products as not in stock', () => {
+    const product = mapProduct({ id: 6, price: '10.00', instock: true, archived_at: '2025-05-01T10:00:00Z' });
+    
+    expect(product).toMatchObject({ archived: true, archivedAt: '2025-05-01T10:00:00Z', inStock: false });
+    expect(mapProduct({ id: 7, price: '10.00', archived_at: null })).toMatchObject({ archived: false, inStock: true });
+  });
+  
+  test('purgeProduct should refuse while orders reference the product', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ count: 2 }] });
+    
+    await expect(purgeProduct(6)).rejects.toMatchObject({ statusCode: 409 });
+    expect(pool.query).toHaveBeenCalledTimes(1);
+    expect(pool.query.mock.calls[0][1]).toEqual(['6']);
+  });
+  
+  test('purgeProduct should clear cart lines before deleting the product', async () => {
+    jest.spyOn(pool, 'query').mockImplementation(async (sql) => ({ rows: /COUNT/.test(sql) ? [{ count: 0 }] : [] }));
+    const client = {
+      query: jest.fn(async (sql) => ({ rows: /DELETE FROM products/.test(sql) ? [{ id: 6, name: 'Fern', price: '10.00' }] : [] })),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    
+    await expect(purgeProduct(6)).resolves.toMatchObject({ id: 6, name: 'Fern' });
+    const statements = client.query.mock.calls.map(([sql]) => sql);
+    expect(statements.findIndex((sql) => /DELETE FROM cart_items/.test(sql)))
+      .toBeLessThan(statements.findIndex((sql) => /DELETE FROM products/.test(sql)));
+    expect(client.query).toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+  
+  test('salePrice should round to the paisa', () => {
+    expect(salePrice(19.99, 15)).toBe(16.99);
+    expect(salePrice(100, 33.33)).toBe(66.67);
+  });
+  
+});
+
+describe('Unit Tests - Image Upload', () => {
+  
+  const { toPathSegment, saveRenditions } = require('../middleware/imageUpload');
+  
+  test('toPathSegment should make names folder-safe', () => {
+    expect(toPathSegment('Snake Plant (Laurentii)')).toBe('snake-plant-laurentii');
+    expect(toPathSegment('../../etc')).toBe('etc');
+    expect(toPathSegment('')).toBe('uncategorized');
+  });
+  
+  test('saveRenditions should reject files that are not images', async () => {
+    const file = { originalname: 'notes.png', buffer: Buffer.from('not really a png') };
+    
+    await expect(saveRenditions(file, { name: 'Fern', category: 'indoor' }))
+      .rejects.toMatchObject({ statusCode: 400 });
+  });
+  
+});
+
+describe('Unit Tests - Inventory Repository', () => {
+  
+  const { resolveLines, stockLines, commitOrder } = require('../db/inventoryRepository');
+  
+  test('resolveLines should give variant-less lines the product default variant', async () => {
+    const db = {
+      query: jest.fn().mockResolvedValue({ rows: [{ id: 31, product_id: 8 }] })
+    };
+    
+    const lines = await resolveLines(db, [
+      { id: 8, quantity: '2' },
+      { productId: 9, variantId: '40', quantity: 1 }
+    ]);
+    
+    expect(db.query).toHaveBeenCalledTimes(1);
+    expect(db.query.mock.calls[0][1]).toEqual([[8]]);
+    expect(lines[0]).toMatchObject({ productId: 8, variantId: 31, quantity: 2 });
+    expect(lines[1]).toMatchObject({ productId: 9, variantId: 40, quantity: 1 });
+  });
+  
+  test('commitOrder should reject lines that are short of stock', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [] })                          // conditional decrement matched nothing
+        .mockResolvedValueOnce({ rows: [{ stock: 3, reserved: 2 }] }) // 1 unit left for this order
+    };
+    
+    await expect(commitOrder(client, [{ productId: 8, variantId: 31, quantity: 2 }], 'hold-1'))
+      .rejects.toMatchObject({
+        statusCode: 409,
+        shortages: [{ productId: 8, variantId: 31, requested: 2, available: 1 }]
+      });
+  });
+  
+  test('stockLines should expand bundles into their components and merge variants', () => {
+    const lines = stockLines([
+      { productId: 40, variantId: 90, quantity: 2, components: [
+        { productId: 1, variantId: 1, quantity: 1 },
+        { productId: 2, variantId: 2, quantity: 3 }
+      ] },
+      { productId: 1, variantId: 1, quantity: 1 }
+    ]);
+    
+    expect(lines).toEqual([
+      { productId: 1, variantId: 1, quantity: 3, bundleIds: [40] },
+      { productId: 2, variantId: 2, quantity: 6, bundleIds: [40] }
+    ]);
+  });
+  
+  test('commitOrder should decrement a bundle line per component', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [{ product_id: 1 }] }) // plant
+        .mockResolvedValueOnce({ rows: [] })                  // pebbles short
+        .mockResolvedValueOnce({ rows: [{ stock: 3, reserved: 0 }] })
+    };
+    
+    await expect(commitOrder(client, [{ productId: 40, variantId: 90, quantity: 2, components: [
+      { productId: 1, variantId: 1, quantity: 1 },
+      { productId: 2, variantId: 2, quantity: 2 }
+    ] }], 'hold-1')).rejects.toMatchObject({
+      statusCode: 409,
+      shortages: [{ productId: 2, variantId: 2, requested: 4, available: 3, bundleIds: [40] }]
+    });
+    expect(client.query.mock.calls[0][1]).toEqual([1, 'hold-1', 2]);
+    expect(client.query.mock.calls[1][1]).toEqual([2, 'hold-1', 4]);
+  });
+  
+  test('commitOrder should skip untracked variants', async () => {
+    const client = {
+      query: jest.fn()
+        .mockResolvedValueOnce({ rows: [] })                              // no tracked row to decrement
+        .mockResolvedValueOnce({ rows: [{ stock: null, reserved: 0 }] })  // stock not tracked
+        .mockResolvedValueOnce({ rows: [] })                              // drop hold
+    };
+    
+    const result = await commitOrder(client, [{ productId: 8, variantId: 31, quantity: 5 }], 'hold-1');
+    expect(result.productIds).toEqual([]);
+  });
+  
+});
+
+describe('Unit Tests - Catalog Import/Export', () => {
+  
+  const pool = require('../db/pool');
+  const { parseCsv, toCsv, parseCatalog, validateRecord, importCatalog, exportCatalog } = require('../db/catalogTransfer');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('toCsv and parseCsv should round-trip quotes, commas and newlines', () => {
+    const records = [
+      ['productId', 'name', 'description'],
+      ['1', 'Snake Plant', 'Hardy, "unkillable"\nGreat for beginners'],
+      ['2', ' Fern ', '']
+    ];
+    
+    expect(parseCsv(toCsv(records))).toEqual(records);
+    expect(parseCsv('\uFEFFa,b\r\n1,2')).toEqual([['a', 'b'], ['1', '2']]);
+    expect(() => parseCsv('a,"b')).toThrow('unterminated');
+  });
+  
+  test('parseCatalog should map CSV headers and number rows like a spreadsheet', () => {
+    const { records, ignoredColumns } = parseCatalog(
+      'productid,Name,sku,price,notes\n3,Fern,GL-0003,12.50,x\n\n,Aloe,,9,\n',
+      'csv'
+    );
+    
+    expect(ignoredColumns).toEqual(['notes']);
+    expect(records).toHaveLength(2);
+    expect(records[0]).toMatchObject({ row: 2, values: { productId: '3', name: 'Fern', sku: 'GL-0003', price: '12.50' } });
+    expect(records[1]).toMatchObject({ row: 4, values: { productId: null, sku: null } });
+    expect(records[0].present.has('stock')).toBe(false);
+  });
+  
+  test('parseCatalog should flatten JSON products into one record per variant', () => {
+    const { records } = parseCatalog(JSON.stringify([
+      { id: 5, name: 'Monstera', size: 'large', variants: [{ sku: 'M-4', size: '4 inch', price: 20 }, { sku: 'M-6', size: '6 inch', price: 35 }] }
+    ]), 'json');
+    
+    expect(records).toHaveLength(2);
+    expect(records[1]).toMatchObject({
+      row: 'item 1, variant 2',
+      values: { productId: 5, size: 'large', variantSize: '6 inch', sku: 'M-6', price: 35 }
+    });
+  });
+  
+  test('validateRecord should normalize values and report each bad field', () => {
+    const categories = ['indoor', 'pots'];
+    const ok = validateRecord({ row: 2, values: { category: 'Indoor', price: '₹1,299', inStock: 'no', stock: null } }, categories);
+    expect(ok.errors).toEqual([]);
+    expect(ok.values).toEqual({ category: 'indoor', price: 1299, inStock: false, stock: null });
+    
+    const bad = validateRecord({ row: 7, values: { category: 'trees', price: '-1', stock: '2.5', sku: 'bad sku' } }, categories);
+    expect(bad.errors.map((e) => e.field)).toEqual(['category', 'price', 'stock', 'sku']);
+    expect(bad.errors[0]).toMatchObject({ row: 7, message: expect.stringContaining('must be one of') });
+  });
+  
+  test('exportCatalog output should import back with every variant field', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{
+      id: 5, name: 'Monstera', category: 'indoor', description: 'Split leaves', size: 'large', badge: null,
+      rating: '4.5', image: '/images/monstera.jpg', instock: true,
+      variants: [{ sku: 'M-6', size: '6 inch', pot_colour: 'Terracotta', price: '35.00', original_price: null, stock: 4, sort_order: 0, weight_grams: 2400 }]
+    }] });
+    
+    for (const format of ['csv', 'json']) {
+      const { records } = parseCatalog(await exportCatalog(format), format);
+      const { values, errors } = validateRecord(records[0], ['indoor']);
+      
+      expect(errors).toEqual([]);
+      expect(values).toMatchObject({
+        productId: 5, sku: 'M-6', variantSize: '6 inch', potColour: 'Terracotta',
+        price: 35, stock: 4, sortOrder: 0, weightGrams: 2400
+      });
+    }
+    
+    const bad = validateRecord({ row: 3, values: { weightGrams: '0' } }, []);
+    expect(bad.errors).toEqual([expect.objectContaining({ field: 'weightGrams' })]);
+  });
+  
+  test('importCatalog dry run should report new products and roll back', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (/^INSERT INTO products/.test(sql.trim())) return { rows: [{ id: 90 }] };
+        if (/INSERT INTO product_variants/.test(sql)) return { rows: [{ id: 300, sku: 'GL-0090' }] };
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ slug: 'indoor' }] });
+    
+    const report = await importCatalog('name,category,price\nCalathea,indoor,18\n', { dryRun: true });
+    
+    expect(report).toMatchObject({ dryRun: true, applied: false, summary: { created: 1, errors: 0 } });
+    expect(report.changes[0]).toMatchObject({ action: 'create', name: 'Calathea', variants: [{ action: 'create', sku: 'GL-0090' }] });
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+    expect(client.query).not.toHaveBeenCalledWith('COMMIT');
+    expect(client.release).toHaveBeenCalled();
+  });
+  
+  test('importCatalog should re-price bundles that include a re-priced variant', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (/FROM products WHERE id = ANY/.test(sql)) return { rows: [{ id: 4, name: 'Fern', category: 'indoor' }] };
+        if (/^SELECT \* FROM product_variants/.test(sql.trim())) return { rows: [{ id: 9, product_id: 4, sku: 'GL-0004', price: '10.00' }] };
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ slug: 'indoor' }] });
+    
+    const report = await importCatalog('productId,sku,price\n4,GL-0004,12\n', { dryRun: true });
+    
+    expect(report.changes[0]).toMatchObject({ action: 'update', productId: 4, variants: [{ action: 'update', sku: 'GL-0004' }] });
+    const bundleUpdate = client.query.mock.calls.find(([sql]) => /UPDATE product_variants bv/.test(sql));
+    expect(bundleUpdate[1]).toEqual([4]);
+    expect(client.query).toHaveBeenCalledWith('ROLLBACK');
+  });
+  
+});
+
+describe('Unit Tests - Review Repository', () => {
+  
+  const pool = require('../db/pool');
+  const { mapReview, getPurchaseStatus, setReviewStatus } = require('../db/reviewRepository');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('mapReview should not expose the reviewer email', () => {
+    const review = mapReview({
+      id: 3,
+      product_id: 8,
+      user_name: 'Asha',
+      user_email: 'asha@example.com',
+      rating: 5,
+      title: 'Thriving',
+      body: null,
+      photos: [],
+      status: 'approved',
+      verified_purchase: true,
+      helpful_count: 2
+    });
+    
+    expect(review).toMatchObject({ author: 'Asha', rating: 5, body: '', verifiedPurchase: true, helpfulCount: 2 });
+    expect(JSON.stringify(review)).not.toContain('asha@example.com');
+  });
+  
+  test('getPurchaseStatus should only verify orders that were not cancelled', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ ordered: 1, kept: 0 }] });
+    
+    await expect(getPurchaseStatus('asha@example.com', 8)).resolves.toEqual({ ordered: true, verified: false });
+    expect(pool.query.mock.calls[0][1]).toEqual(['asha@example.com', 8]);
+  });
+  
+  test('setReviewStatus should reject unknown statuses', async () => {
+    await expect(setReviewStatus(3, 'published')).rejects.toMatchObject({ statusCode: 400 });
+  });
+  
+});
+
+describe('Unit Tests - Recommendation Repository', () => {
+  
+  const pool = require('../db/pool');
+  const { getRecommendations } = require('../db/recommendationRepository');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('getRecommendations should rank order pairs and pad with same-category top-rated items', async () => {
+    const fallbacks = [[{ id: 7 }], [{ id: 8 }]];
+    jest.spyOn(pool, 'query').mockImplementation(async (sql, params) => {
+      if (sql.includes('FROM product_recommendations')) {
+        return { rows: [
+          { kind: 'together', related_id: 5, score: 3 },
+          { kind: 'also_bought', related_id: 5, score: 2 },
+          { kind: 'also_bought', related_id: 6, score: 1 }
+        ] };
+      }
+      if (sql.includes('SELECT DISTINCT category')) return { rows: [{ category: 'indoor' }] };
+      if (sql.includes('ORDER BY rating DESC')) return { rows: fallbacks.shift() };
+      return { rows: params[0].map((id) => ({ id, name: `Product ${id}`, price: '10.00' })) };
+    });
+    
+    const result = await getRecommendations(['1'], { limit: 2 });
+    
+    expect(result.frequentlyBoughtTogether.map((p) => p.id)).toEqual([5, 7]);
+    expect(result.customersAlsoBought.map((p) => p.id)).toEqual([6, 8]);
+    const fallbackCall = pool.query.mock.calls.find(([sql]) => sql.includes('ORDER BY rating DESC'));
+    expect(fallbackCall[1]).toEqual([['indoor'], [1, 6, 5], 1]);
+  });
+  
+  test('getRecommendations should return empty lists without products', async () => {
+    const spy = jest.spyOn(pool, 'query');
+    
+    await expect(getRecommendations([])).resolves.toEqual({ frequentlyBoughtTogether: [], customersAlsoBought: [] });
+    expect(spy).not.toHaveBeenCalled();
+  });
+  
+});
+
+describe('Unit Tests - SEO Helpers', () => {
+  
+  const { BASE_URL } = require('../config/site');
+  const { productJsonLd, categoryJsonLd, toJsonLdScript, buildSitemap, buildRobots } = require('../middleware/seo');
+  const { mapProduct } = require('../db/productRepository');
+  
+  const fern = mapProduct({
+    id: 3,
+    name: 'Boston Fern',
+    slug: 'boston-fern',
+    category: 'indoor',
+    price: '24.99',
+    rating: '4.50',
+    review_count: 12,
+    instock: true,
+    image: '/images/products/plants/boston-fern.jpg',
+    variants: [{ id: 1, sku: 'GL-0003', price: 24.99, stock: 4 }]
+  });
+  
+  test('productJsonLd should describe the product, its offer and rating', () => {
+    const data = productJsonLd(fern);
+    
+    expect(data).toMatchObject({
+      '@context': 'https://schema.org',
+      '@type': 'Product',
+      name: 'Boston Fern',
+      sku: 'GL-0003',
+      url: `${BASE_URL}/products/boston-fern`,
+      image: [`${BASE_URL}/images/products/plants/boston-fern.jpg`],
+      offers: { '@type': 'Offer', price: 24.99, priceCurrency: 'INR', availability: 'https://schema.org/InStock' },
+      aggregateRating: { '@type': 'AggregateRating', ratingValue: 4.5, reviewCount: 12 }
+    });
+  });
+  
+  test('productJsonLd should use an AggregateOffer for several variants and skip unrated products', () => {
+    const monstera = mapProduct({
+      id: 8,
+      name: 'Monstera',
+      slug: 'monstera',
+      price: '45.99',
+      instock: true,
+      variants: [
+        { id: 1, sku: 'M-4', price: 45.99, stock: 0 },
+        { id: 2, sku: 'M-10', price: 129.99, stock: 3 }
+      ]
+    });
+    const data = productJsonLd(monstera);
+    
+    expect(data.offers).toMatchObject({ '@type': 'AggregateOffer', lowPrice: 45.99, highPrice: 129.99, offerCount: 2 });
+    expect(data).not.toHaveProperty('aggregateRating');
+  });
+  
+  test('categoryJsonLd should list products in order', () => {
+    const data = categoryJsonLd('Indoor Plants', [fern]);
+    
+    expect(data['@type']).toBe('ItemList');
+    expect(data.itemListElement).toEqual([
+      expect.objectContaining({ '@type': 'ListItem', position: 1, item: expect.objectContaining({ name: 'Boston Fern' }) })
+    ]);
+    expect(data.itemListElement[0].item).not.toHaveProperty('@context');
+  });
+  
+  test('toJsonLdScript should escape markup', () => {
+    expect(toJsonLdScript({ name: '</script><b>' })).toBe('{"name":"\\u003c/script>\\u003cb>"}');
+  });
+  
+  test('buildSitemap should list pages, categories and products with lastmod', () => {
+    const xml = buildSitemap([
+      { slug: 'boston-fern', category: 'indoor', updatedAt: new Date('2026-03-01T10:00:00Z') },
+      { slug: 'clay-pot', category: 'pots', updatedAt: new Date('2026-04-02T08:30:00Z') }
+    ]);
+    
+    expect(xml).toMatch(/^<\?xml version="1.0" encoding="UTF-8"\?>/);
+    expect(xml).toContain(`<loc>${BASE_URL}/products/boston-fern</loc>\n    <lastmod>2026-03-01T10:00:00.000Z</lastmod>`);
+    expect(xml).toContain(`<loc>${BASE_URL}/products?category=indoor</loc>`);
+    expect(xml).toContain(`<loc>${BASE_URL}/pots</loc>\n    <lastmod>2026-04-02T08:30:00.000Z</lastmod>`);
+    expect(xml).toContain(`<loc>${BASE_URL}/</loc>\n    <lastmod>2026-04-02T08:30:00.000Z</lastmod>`);
+    expect(xml).toContain(`<loc>${BASE_URL}/contact</loc>\n  </url>`);
+    expect(xml.match(/<loc>[^<]*\/pots<\/loc>/g)).toHaveLength(1);
+  });
+  
+  test('buildRobots should keep crawlers out of the API and point at the sitemap', () => {
+    const robots = buildRobots();
+    
+    expect(robots).toContain('Disallow: /api/');
+    expect(robots).toContain(`Sitemap: ${BASE_URL}/sitemap.xml`);
+  });
+  
+});
+
+describe('Unit Tests - Sale Repository', () => {
+  
+  const pool = require('../db/pool');
+  const { mapSale, createSale, getLowestPrices } = require('../db/saleRepository');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('mapSale should report whether a sale is scheduled, active or ended', () => {
+    const day = 24 * 60 * 60 * 1000;
+    const at = (offset) => new Date(Date.now() + offset);
+    
+    expect(mapSale({ id: 1, discount_percent: '10', starts_at: at(day), ends_at: at(2 * day) }).status).toBe('scheduled');
+    expect(mapSale({ id: 2, discount_percent: '10', starts_at: at(-day), ends_at: at(day) }).status).toBe('active');
+    expect(mapSale({ id: 3, discount_percent: '10', starts_at: at(-2 * day), ends_at: at(-day) }).status).toBe('ended');
+  });
+  
+  test('createSale should reject a sale on both a product and a category', async () => {
+    const spy = jest.spyOn(pool, 'query');
+    
+    await expect(createSale({
+      name: 'Mixed', productId: 3, category: 'succulent', discountPercent: 20,
+      startsAt: '2025-06-07T00:00:00Z', endsAt: '2025-06-09T00:00:00Z'
+    })).rejects.toMatchObject({ statusCode: 400 });
+    await expect(createSale({
+      name: 'Backwards', category: 'succulent', discountPercent: 20,
+      startsAt: '2025-06-09T00:00:00Z', endsAt: '2025-06-07T00:00:00Z'
+    })).rejects.toMatchObject({ statusCode: 400 });
+    expect(spy).not.toHaveBeenCalled();
+  });
+  
+  test('getLowestPrices should keep the lowest price per product and variant', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows: [
+      { product_id: 3, variant_id: 30, lowest: '16.00' },
+      { product_id: 3, variant_id: 31, lowest: '32.00' }
+    ] });
+    
+    const lowest = await getLowestPrices(['3', 'x']);
+    
+    expect(lowest.get(3)).toEqual({ lowest: 16, byVariant: { 30: 16, 31: 32 } });
+    expect(pool.query.mock.calls[0][1]).toEqual([[3], 30]);
+  });
+  
+});
+
+describe('Unit Tests - Category Repository', () => {
+  
+  const pool = require('../db/pool');
+  const { getCategoryCounts, withDescendants } = require('../db/productRepository');
+  const { buildCategoryTree, updateCategory, deleteCategory } = require('../db/categoryRepository');
+  
+  // plants > indoor > ferns, plants > succulent, pots
+  const rows = [
+    { id: 1, slug: 'plants', name: 'Plants', parent_id: null, sort_order: 0, count: 0, in_stock_count: 0 },
+    { id: 5, slug: 'pots', name: 'Pots & Planters', parent_id: null, sort_order: 1, count: 8, in_stock_count: 6 },
+    { id: 2, slug: 'indoor', name: 'Indoor Plants', parent_id: 1, sort_order: 0, count: 4, in_stock_count: 3 },
+    { id: 3, slug: 'succulent', name: 'Succulents', parent_id: 1, sort_order: 1, count: 2, in_stock_count: 2 },
+    { id: 4, slug: 'ferns', name: 'Ferns', parent_id: 2, sort_order: 0, count: 1, in_stock_count: 0 }
+  ];
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('getCategoryCounts should list parents before children and roll up counts', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows });
+    
+    const categories = await getCategoryCounts();
+    
+    expect(categories.map((c) => [c.slug, c.depth, c.count])).toEqual([
+      ['plants', 0, 7], ['indoor', 1, 5], ['ferns', 2, 1], ['succulent', 1, 2], ['pots', 0, 8]
+    ]);
+    expect(categories[0].inStockCount).toBe(5);
+  });
+  
+  test('withDescendants should include subcategories at every depth', async () => {
+    jest.spyOn(pool, 'query').mockResolvedValue({ rows });
+    const categories = await getCategoryCounts();
+    
+    expect(withDescendants(categories, ['plants'])).toEqual(['plants', 'indoor', 'succulent', 'ferns']);
+    expect(withDescendants(categories, ['pots', 'ferns'])).toEqual(['pots', 'ferns']);
+    expect(buildCategoryTree(categories).map((c) => c.children.length)).toEqual([2, 0]);
+  });
+  
+  test('updateCategory should refuse to move a category under its own subcategory', async () => {
+    jest.spyOn(pool, 'query').mockImplementation(async (sql) =>
+      /WHERE id = \$1/.test(sql) ? { rows: [rows[0]] } : { rows }
+    );
+    const connect = jest.spyOn(pool, 'connect');
+    
+    await expect(updateCategory(1, { parentId: 4 })).rejects.toMatchObject({ statusCode: 400 });
+    expect(connect).not.toHaveBeenCalled();
+  });
+  
+  test('deleteCategory should refuse while products or subcategories remain', async () => {
+    const spy = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ products: 0, children: 2 }] });
+    
+    await expect(deleteCategory(1)).rejects.toMatchObject({ statusCode: 409 });
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+  
+});
+
+describe('Unit Tests - Bundle Repository', () => {
+  
+  const pool = require('../db/pool');
+  const { normalizeComponents, setBundle } = require('../db/bundleRepository');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('normalizeComponents should default quantities and reject malformed components', () => {
+    expect(normalizeComponents([{ productId: '3' }, { variantId: 12, quantity: 2 }])).toEqual([
+      { variantId: null, productId: 3, quantity: 1 },
+      { variantId: 12, productId: null, quantity: 2 }
+    ]);
+    expect(() => normalizeComponents([])).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => normalizeComponents([{ quantity: 1 }])).toThrow(expect.objectContaining({ statusCode: 400 }));
+    expect(() => normalizeComponents([{ productId: 3, quantity: 1.5 }])).toThrow(expect.objectContaining({ statusCode: 400 }));
+  });
+  
+  test('setBundle should refuse bundles nested in bundles', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (/FOR UPDATE/.test(sql)) return { rows: [{ id: 40 }] };
+        if (/UNNEST/.test(sql)) return { rows: [{ ord: 1, variant_id: 95, product_id: 41, is_bundle: true }] };
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    
+    await expect(setBundle(40, { components: [{ productId: 41 }] })).rejects.toMatchObject({ statusCode: 400 });
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+  
+});
+
+describe('Unit Tests - Mailer', () => {
+  
+  const net = require('net');
+  const { formatMessage, createSmtpTransport } = require('../config/mailer');
+  
+  test('formatMessage should use CRLF and escape lines starting with a dot', () => {
+    const raw = formatMessage({ from: 'shop@example.com', to: 'a@example.com', subject: 'Hi', text: 'one\n.two' });
+    
+    expect(raw).toMatch(/^From: shop@example.com\r\nTo: a@example.com\r\nSubject: Hi\r\n/);
+    expect(raw.endsWith('\r\n\r\none\r\n..two')).toBe(true);
+  });
+  
+  test('SMTP transport should deliver to a local SMTP sink', async () => {
+    const received = [];
+    const sink = net.createServer((socket) => {
+      let inData = false;
+      let buffer = '';
+      socket.write('220 sink ready\r\n');
+      socket.on('data', (chunk) => {
+        buffer += chunk;
+        let end;
+        while ((end = buffer.indexOf('\r\n')) >= 0) {
+          const line = buffer.slice(0, end);
+          buffer = buffer.slice(end + 2);
+          received.push(line);
+          if (inData) {
+            if (line === '.') { inData = false; socket.write('250 queued\r\n'); }
+          } else if (line.startsWith('EHLO')) socket.write('250-sink\r\n250 8BITMIME\r\n');
+          else if (line === 'DATA') { inData = true; socket.write('354 go ahead\r\n'); }
+          else if (line === 'QUIT') socket.end('221 bye\r\n');
+          else socket.write('250 ok\r\n');
+        }
+      });
+    });
+    await new Promise((resolve) => sink.listen(0, '127.0.0.1', resolve));
+    
+    try {
+      const transport = createSmtpTransport({ host: '127.0.0.1', port: sink.address().port });
+      const result = await transport.send({ from: 'Shop <shop@example.com>', to: 'a@example.com', subject: 'Back', text: 'Hello' });
+      
+      expect(result.accepted).toEqual(['a@example.com']);
+      expect(received).toEqual(expect.arrayContaining(['MAIL FROM:<shop@example.com>', 'RCPT TO:<a@example.com>', 'Hello']));
+    } finally {
+      sink.close();
+    }
+  });
+  
+});
+
+describe('Unit Tests - Notification Repository', () => {
+  
+  const pool = require('../db/pool');
+  const mailer = require('../config/mailer');
+  const { subscribe, dispatchStockNotifications } = require('../db/notificationRepository');
+  const transport = mailer.getTransport();
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    mailer.setTransport(transport);
+  });
+  
+  test('subscribe should refuse products that are in stock', async () => {
+    const spy = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [{ id: 3, name: 'Fern', instock: true }] });
+    
+    await expect(subscribe(3, { email: 'a@example.com' })).rejects.toMatchObject({ statusCode: 400 });
+    expect(spy).toHaveBeenCalledTimes(1);
+  });
+  
+  test('dispatchStockNotifications should mark sent mail and count failures', async () => {
+    const query = jest.spyOn(pool, 'query').mockImplementation(async (sql) => /SKIP LOCKED/.test(sql)
+      ? { rows: [{ id: 1, email: 'a@example.com', name: 'Fern', slug: 'fern' }, { id: 2, email: 'b@example.com', name: 'Fern', slug: 'fern' }] }
+      : { rows: [] });
+    const connect = jest.spyOn(pool, 'connect');
+    const send = jest.fn()
+      .mockResolvedValueOnce({ accepted: ['a@example.com'] })
+      .mockRejectedValueOnce(new Error('mailbox unavailable'));
+    mailer.setTransport({ name: 'test', send });
+    
+    await expect(dispatchStockNotifications()).resolves.toEqual({ sent: 1, failed: 1 });
+    expect(send.mock.calls[0][0]).toMatchObject({ to: 'a@example.com', subject: 'Fern is back in stock' });
+    expect(query.mock.calls[0][0]).toMatch(/SET claimed_at = NOW\(\)/);
+    const updates = query.mock.calls.slice(1);
+    expect(updates[0][0]).toMatch(/notified_at = NOW\(\)/);
+    expect(updates[0][1]).toEqual([1]);
+    expect(updates[1][1]).toEqual([2, 'mailbox unavailable']);
+    expect(connect).not.toHaveBeenCalled();
+  });
+  
+  test('dispatchStockNotifications should keep mail already sent when a later row fails', async () => {
+    const query = jest.spyOn(pool, 'query')
+      .mockResolvedValueOnce({ rows: [{ id: 1, email: 'a@example.com', name: 'Fern', slug: 'fern' }, { id: 2, email: 'b@example.com', name: 'Fern', slug: 'fern' }] })
+      .mockResolvedValueOnce({ rows: [] })
+      .mockRejectedValueOnce(new Error('connection lost'));
+    mailer.setTransport({ name: 'test', send: jest.fn().mockResolvedValue({}) });
+    
+    await expect(dispatchStockNotifications()).rejects.toThrow('connection lost');
+    expect(query).toHaveBeenCalledTimes(3);
+    expect(query.mock.calls.some(([sql]) => /ROLLBACK/.test(sql))).toBe(false);
+  });
+  
+});
+
+describe('Unit Tests - Cart Repository', () => {
+  
+  const pool = require('../db/pool');
+  const path = require('path');
+  const { modifyCart, claimCart, toRow, mapItem, migrateJsonCarts, createShare, getShare } = require('../db/cartRepository');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  const itemRow = (id, productId, quantity) => ({
+    id, product_id: productId, variant_id: null, quantity, price: '10.00',
+    details: { name: `Plant ${productId}` }, added_at: '2026-01-01T00:00:00.000Z'
+  });
+  
+  test('toRow and mapItem should round-trip a cart line', () => {
+    const line = mapItem(itemRow(4, 7, 2));
+    expect(line).toMatchObject({ lineId: 4, productId: 7, quantity: 2, price: 10, name: 'Plant 7' });
+    expect(toRow(line)).toEqual({
+      productId: 7, variantId: null, quantity: 2, price: 10,
+      details: { name: 'Plant 7' }, addedAt: '2026-01-01T00:00:00.000Z'
+    });
+  });
+  
+  test('modifyCart should write back only the lines that changed', async () => {
+    const client = {
+      query: jest.fn(async (sql) => {
+        if (/FROM carts c/.test(sql) || /SELECT \* FROM carts/.test(sql)) return { rows: [{ id: 9, session_id: 's' }] };
+        if (/FROM cart_items/.test(sql)) return { rows: [itemRow(1, 1, 1), itemRow(2, 2, 1), itemRow(3, 3, 1)] };
+        return { rows: [] };
+      }),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    
+    const changed = await modifyCart('s', (cart) => {
+      cart.items[1].quantity = 5;
+      cart.items.splice(2, 1);
+      cart.items.push({ productId: 4, variantId: null, quantity: 1, price: 12, name: 'Plant 4' });
+      return 'done';
+    });
+    
+    expect(changed.result).toBe('done');
+    const writes = client.query.mock.calls.filter(([sql]) => /^(INSERT|UPDATE|DELETE)/.test(sql.trim()));
+    expect(writes.map(([sql]) => sql.trim().split(' ')[0])).toEqual(['DELETE', 'UPDATE', 'INSERT', 'UPDATE']);
+    expect(writes[0][1]).toEqual([9, [3]]);
+    expect(writes[1][1].slice(0, 4)).toEqual([2, 2, null, 5]);
+    expect(client.query).toHaveBeenLastCalledWith('COMMIT');
+  });
+  
+  test('modifyCart should roll back when the change throws', async () => {
+    const client = {
+      query: jest.fn(async (sql) => /FROM carts c/.test(sql) ? { rows: [{ id: 9 }] } : { rows: [] }),
+      release: jest.fn()
+    };
+    jest.spyOn(pool, 'connect').mockResolvedValue(client);
+    
+    await expect(modifyCart('s', () => { throw new Error('no stock'); })).rejects.toThrow('no stock');
+    expect(client.query).toHaveBeenLastCalledWith('ROLLBACK');
+    expect(client.release).toHaveBeenCalled();
+  });
+  
+  test('claimCart should only take over live guest carts', async () => {
+    const spy = jest.spyOn(pool, 'query').mockResolvedValue({ rows: [] });
+    
+    await expect(claimCart('s', 'user-1')).resolves.toBeNull();
+    expect(spy).toHaveBeenCalledTimes(1);
+    expect(spy.mock.calls[0][0]).toMatch(/user_id IS NULL/);
+    expect(spy.mock.calls[0][1]).toEqual(['s', 'user-1']);
+  });
+  
+  test('migrateJsonCarts should do nothing without a carts file', async () => {
+    const spy = jest.spyOn(pool, 'connect');
+    await expect(migrateJsonCarts(path.join(__dirname, 'no-such-carts.json'))).resolves.toBeNull();
+    expect(spy).not.toHaveBeenCalled();
+  });
+  
+  test('createShare should snapshot the lines and draw a new token if one is taken', async () => {
+    const taken = Object.assign(new Error('duplicate key'), { code: '23505' });
+    const spy = jest.spyOn(pool, 'query')
+      .mockRejectedValueOnce(taken)
+      .mockImplementationOnce(async (sql, params) => ({
+        rows: [{ token: params[0], title: params[1], items: JSON.parse(params[2]), expires_at: new Date() }]
+      }));
+    
+    const share = await createShare([
+      { lineId: 5, productId: 3, variantId: 8, quantity: 2, name: 'Fern', variantLabel: 'Small', price: 299, image: '/f.jpg' }
+    ], { title: 'Starter set' });
+    
+    expect(spy).toHaveBeenCalledTimes(2);
+    expect(spy.mock.calls[0][1][0]).not.toBe(spy.mock.calls[1][1][0]);
+    expect(share.token).toMatch(/^[2-9a-zA-Z]{10}$/);
+    expect(share.title).toBe('Starter set');
+    expect(share.items).toEqual([{ productId: 3, variantId: 8, quantity: 2, name: 'Fern', variantLabel: 'Small', price: 299 }]);
+  });
+  
+  test('getShare should not look up malformed tokens', async () => {
+    const spy = jest.spyOn(pool, 'query');
+    await expect(getShare('../../etc')).resolves.toBeNull();
+    expect(spy).not.toHaveBeenCalled();
+  });
+  
+});
+
+describe('Unit Tests - Cart Merging', () => {
+  
+  const productRepository = require('../db/productRepository');
+  const inventory = require('../db/inventoryRepository');
+  const { mergeLines } = require('../routes/cart');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  const fern = {
+    id: 4, name: 'Fern', price: 299, inStock: true, size: 'medium', image: '/images/fern.jpg',
+    variants: [{ id: 9, sku: 'FERN-M', label: 'medium', size: 'medium', price: 299, originalPrice: null, inStock: true }]
+  };
+  const cartWith = (items) => ({ sessionId: 'cart-1', couponCodes: [], items });
+  const stock = (available) => new Map([[9, { stock: available, reserved: 0, available }]]);
+  
+  test('mergeLines should keep the larger quantity of a line in both carts', async () => {
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([fern]);
+    jest.spyOn(inventory, 'getAvailability').mockResolvedValue(stock(10));
+    
+    const cart = cartWith([{ productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 3 }]);
+    await expect(mergeLines(cart, [{ productId: 4, variantId: 9, quantity: 2 }])).resolves.toEqual([]);
+    expect(cart.items).toHaveLength(1);
+    expect(cart.items[0].quantity).toBe(3);
+    
+    await mergeLines(cart, [{ productId: 4, variantId: 9, quantity: 5 }]);
+    expect(cart.items[0].quantity).toBe(5);
+  });
+  
+  test('mergeLines should add quantities up for shared carts', async () => {
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([fern]);
+    jest.spyOn(inventory, 'getAvailability').mockResolvedValue(stock(10));
+    
+    const cart = cartWith([{ productId: 4, variantId: 9, name: 'Fern', price: 299, quantity: 3 }]);
+    await mergeLines(cart, [{ productId: 4, variantId: 9, quantity: 2 }], { add: true });
+    
+    expect(cart.items[0].quantity).toBe(5);
+  });
+  
+  test('mergeLines should cap quantities at the stock left', async () => {
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([fern]);
+    const availability = jest.spyOn(inventory, 'getAvailability').mockResolvedValue(stock(2));
+    
+    const cart = cartWith([]);
+    const notices = await mergeLines(cart, [{ productId: 4, variantId: 9, quantity: 6 }]);
+    
+    expect(availability).toHaveBeenCalledWith([9], 'cart-1');
+    expect(cart.items).toEqual([expect.objectContaining({ productId: 4, variantId: 9, sku: 'FERN-M', price: 299, quantity: 2 })]);
+    expect(notices).toEqual([expect.objectContaining({ productId: 4, type: 'insufficient_stock', requested: 6, available: 2 })]);
+  });
+  
+  test('mergeLines should leave out removed and out-of-stock items with a notice', async () => {
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([
+      fern,
+      { ...fern, id: 5, name: 'Calathea', inStock: false, variants: [] },
+      { ...fern, id: 6, name: 'Old Palm', archived: true }
+    ]);
+    jest.spyOn(inventory, 'getAvailability').mockResolvedValue(stock(0));
+    
+    const cart = cartWith([]);
+    const notices = await mergeLines(cart, [
+      { productId: 5, quantity: 1 },
+      { productId: 6, quantity: 1, name: 'Old Palm' },
+      { productId: 7, quantity: 1, name: 'Monstera' },
+      { productId: 4, variantId: 9, quantity: 1 }
+    ]);
+    
+    expect(cart.items).toEqual([]);
+    expect(notices.map(notice => [notice.productId, notice.type])).toEqual([
+      [5, 'out_of_stock'],
+      [6, 'product_removed'],
+      [7, 'product_removed'],
+      [4, 'out_of_stock']
+    ]);
+    expect(notices[2].message).toContain('Monstera');
+  });
+  
+});
+
+describe('Unit Tests - Pricing Repository', () => {
+  
+  const pool = require('../db/pool');
+  const {
+    DEFAULT_SETTINGS, calculateTotals, normalizeShippingSettings, clearSettingsCache, quoteTotals
+  } = require('../db/pricingRepository');
+  
+  afterEach(() => {
+    jest.restoreAllMocks();
+    clearSettingsCache();
+  });
+  
+  const settings = {
+    ...DEFAULT_SETTINGS,
+    tax: { ...DEFAULT_SETTINGS.tax, storeState: 'KA' },
+    shipping: {
+      ...DEFAULT_SETTINGS.shipping,
+      zones: DEFAULT_SETTINGS.shipping.zones.map(zone => zone.code === 'local' ? { ...zone, states: ['KA'] } : zone)
+    }
+  };
+  const plant = { price: 400, quantity: 1, gstRate: 0, weightGrams: 1500 };
+  const pot = { price: 200, quantity: 1, gstRate: 12, weightGrams: 2000 };
+  const tool = { price: 300, quantity: 1, gstRate: 18, weightGrams: 800 };
+  
+  test('calculateTotals should split GST into CGST and SGST within the store state', () => {
+    const totals = calculateTotals([plant, pot], settings, { state: 'KA' });
+    
+    expect(totals).toMatchObject({ subtotal: 600, shipping: 0, freeShipping: true, tax: 24, total: 624 });
+    expect(totals.gst).toEqual({ cgst: 12, sgst: 12, igst: 0 });
+    expect(totals.taxBreakdown).toEqual([{ rate: 0, taxable: 400, tax: 0 }, { rate: 12, taxable: 200, tax: 24 }]);
+    expect(totals.shippingZone).toBe('local');
+    expect(totals.estimated).toBe(false);
+  });
+  
+  test('calculateTotals should charge IGST, including on the shipping fee, to other states', () => {
+    const totals = calculateTotals([tool], settings, { state: 'mh' });
+    
+    expect(totals).toMatchObject({
+      subtotal: 300, shipping: 99, tax: 71.82, total: 470.82,
+      interState: true, shippingZone: 'national', amountForFreeShipping: 199
+    });
+    expect(totals.gst).toEqual({ cgst: 0, sgst: 0, igst: 71.82 });
+    expect(totals.shippingOptions.map(option => option.code)).toEqual(['standard', 'express']);
+  });
+  
+  test('calculateTotals should price shipping by weight and fall back to a method the zone offers', () => {
+    const heavy = calculateTotals([{ ...pot, quantity: 2 }], settings, { state: 'MH', method: 'express' });
+    expect(heavy.weightGrams).toBe(4000);
+    expect(heavy.shipping).toBe(199 + 3 * 50);
+    
+    const remote = calculateTotals([tool], settings, { state: 'AS', method: 'express' });
+    expect(remote.shippingZone).toBe('remote');
+    expect(remote.shippingMethod).toBe('standard');
+    expect(remote.shipping).toBe(149);
+  });
+  
+  test('calculateTotals should estimate for the store state without a destination', () => {
+    const totals = calculateTotals([], settings);
+    expect(totals).toMatchObject({ subtotal: 0, shipping: 0, tax: 0, total: 0, estimated: true, interState: false });
+  });
+  
+  test('normalizeShippingSettings should require one catch-all zone at the end', () => {
+    const zones = DEFAULT_SETTINGS.shipping.zones.filter(zone => zone.states.length > 0);
+    expect(() => normalizeShippingSettings({ zones })).toThrow(/without states/);
+    expect(() => normalizeShippingSettings({ zones: [{ code: 'all', name: 'All', rates: { overnight: { base: 1 } } }] }))
+      .toThrow(/unknown shipping method/);
+    expect(normalizeShippingSettings({}).zones).toHaveLength(DEFAULT_SETTINGS.shipping.zones.length);
+  });
+  
+  test('quoteTotals should use category rates, the default rate and bundle component weights', async () => {
+    jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (/store_settings/.test(sql)) return { rows: [] };
+      if (/WITH RECURSIVE/.test(sql)) return { rows: [{ product_id: 1, gst_rate: '12.00' }, { product_id: 2, gst_rate: null }] };
+      return { rows: [{ id: 10, weight_grams: 2000 }, { id: 20, weight_grams: 800 }] };
+    });
+    
+    const totals = await quoteTotals([
+      { productId: 1, variantId: 10, price: 100, quantity: 1 },
+      { productId: 2, variantId: 30, price: 200, quantity: 1, components: [{ variantId: 20, quantity: 2 }] }
+    ], { state: DEFAULT_SETTINGS.tax.storeState });
+    
+    expect(totals.weightGrams).toBe(2000 + 1600);
+    expect(totals.taxBreakdown.map(row => row.rate)).toEqual([12, 18]);
+    expect(totals.subtotal).toBe(300);
+  });
+  
+});
+
+describe('Unit Tests - Coupon Repository', () => {
+  
+  const { mapCoupon, normalizeCoupon, evaluateCoupons } = require('../db/couponRepository');
+  const { DEFAULT_SETTINGS, calculateTotals } = require('../db/pricingRepository');
+  
+  const coupon = (code, fields) => [code, mapCoupon({ id: code.length, code, active: true, min_order: '0', ...fields })];
+  const coupons = new Map([
+    coupon('TEN', { type: 'percent', value: '10' }),
+    coupon('FLAT100', { type: 'fixed', value: '100', stackable: true }),
+    coupon('SHIP', { type: 'free_shipping', stackable: true, min_order: '299' }),
+    coupon('POTS3', { type: 'buy_x_get_y', value: '100', buy_quantity: 2, get_quantity: 1, categories: ['pots'] }),
+    coupon('ONCE', { type: 'percent', value: '5', per_customer_limit: 1, used_by_customer: 1 }),
+    coupon('OLD', { type: 'percent', value: '5', ends_at: '2020-01-01T00:00:00Z' })
+  ]);
+  const lines = [
+    { productId: 1, price: 500, quantity: 1, categories: ['indoor', 'plants'] },
+    { productId: 2, price: 300, quantity: 2, categories: ['pots'] },
+    { productId: 3, price: 200, quantity: 1, categories: ['pots'] }
+  ];
+  
+  test('normalizeCoupon should upper-case codes and check each type\'s rules', () => {
+    expect(normalizeCoupon({ code: ' summer-10 ', type: 'percent', value: 10 })).toMatchObject({ code: 'SUMMER-10' });
+    expect(() => normalizeCoupon({ code: 'BIG', type: 'percent', value: 150 })).toThrow(/1 to 100/);
+    expect(() => normalizeCoupon({ code: 'B2G1', type: 'buy_x_get_y', value: 100 })).toThrow(/buyQuantity/);
+    expect(() => normalizeCoupon({ code: 'X', type: 'fixed', value: 5 })).toThrow(/code must be/);
+    expect(normalizeCoupon({ active: false }, true)).toEqual({ active: false });
+  });
+  
+  test('evaluateCoupons should make the cheapest eligible units free for buy X get Y', () => {
+    const result = evaluateCoupons(['POTS3'], coupons, lines);
+    expect(result.rejected).toEqual([]);
+    expect(result.discount).toBe(200);
+    expect(result.lineDiscounts).toEqual([0, 0, 200]);
+  });
+  
+  test('evaluateCoupons should stack only stackable coupons, each on what the last left', () => {
+    const stacked = evaluateCoupons(['FLAT100', 'SHIP'], coupons, lines);
+    expect(stacked.applied.map(c => c.code)).toEqual(['FLAT100', 'SHIP']);
+    expect(stacked.discount).toBe(100);
+    expect(stacked.freeShipping).toBe(true);
+    
+    const mixed = evaluateCoupons(['FLAT100', 'TEN'], coupons, lines);
+    expect(mixed.applied.map(c => c.code)).toEqual(['FLAT100']);
+    expect(mixed.rejected).toEqual([{ code: 'TEN', message: 'TEN can\'t be combined with other coupons' }]);
+  });
+  
+  test('evaluateCoupons should refuse unknown, expired, used-up and under-minimum codes', () => {
+    const result = evaluateCoupons(['NOPE', 'OLD', 'ONCE'], coupons, lines);
+    expect(result.rejected.map(r => r.message)).toEqual([
+      'NOPE isn\'t a valid coupon code', 'OLD has expired', 'You\'ve already used ONCE'
+    ]);
+    expect(evaluateCoupons(['SHIP'], coupons, [{ productId: 1, price: 100, quantity: 1 }]).rejected[0].message)
+      .toBe('SHIP needs an order of at least ₹299');
+    expect(evaluateCoupons(['POTS3'], coupons, [lines[0]]).rejected[0].message)
+      .toBe('POTS3 doesn\'t apply to anything in your cart');
+  });
+  
+  test('calculateTotals should charge GST on the discounted price and waive shipping', () => {
+    const priced = [{ price: 400, quantity: 1, gstRate: 18, weightGrams: 500 }];
+    const promotions = evaluateCoupons(['TEN'], coupons, priced);
+    const totals = calculateTotals(priced, DEFAULT_SETTINGS, { state: DEFAULT_SETTINGS.tax.storeState, promotions });
+    
+    expect(totals.discount).toBe(40);
+    // ₹360 of goods after the coupon plus ₹69 shipping, both at 18%
+    expect(totals.taxBreakdown).toEqual([{ rate: 18, taxable: 429, tax: 77.22 }]);
+    expect(totals.total).toBe(506.22);
+    expect(totals.coupons.map(c => c.code)).toEqual(['TEN']);
+    
+    const shipFree = evaluateCoupons(['SHIP'], coupons, priced);
+    const free = calculateTotals(priced, DEFAULT_SETTINGS, { promotions: shipFree });
+    expect(free.shipping).toBe(0);
+    expect(free.total).toBe(472);
+  });
+  
+});
+
+describe('Unit Tests - Wishlist Repository', () => {
+  
+  const pool = require('../db/pool');
+  const productRepository = require('../db/productRepository');
+  const { mergeItems, getSharedWishlist } = require('../db/wishlistRepository');
+  
+  afterEach(() => jest.restoreAllMocks());
+  
+  test('mergeItems should save each guest item once, up to the wishlist limit', async () => {
+    jest.spyOn(pool, 'query').mockImplementation(async (sql) => {
+      if (sql.includes('INSERT INTO wishlists')) return { rows: [{ id: 7, share_token: null }] };
+      if (sql.includes('COUNT(*)')) return { rows: [{ count: 98 }] };
+      if (sql.includes('INSERT INTO wishlist_items')) return { rowCount: 2, rows: [] };
+      return { rows: [{ product_id: 4, variant_id: 12, added_at: '2026-01-02T00:00:00Z' }] };
+    });
+    jest.spyOn(productRepository, 'getProductsByIds').mockResolvedValue([{
+      id: 4, name: 'Monstera', url: '/products/monstera', image: '/m.jpg', price: 499, originalPrice: null,
+      inStock: true, archived: false,
+      variants: [{ id: 12, label: 'Large / Terracotta', price: 899, originalPrice: 999, inStock: false }]
+    }]);
+    
+    const result = await mergeItems('user-1', [
+      { productId: 4, variantId: 12 }, { productId: 4, variantId: 12 }, { productId: 9 }
+    ]);
+    
+    const insert = pool.query.mock.calls.find(([sql]) => sql.includes('INSERT INTO wishlist_items'));
+    expect(insert[1]).toEqual([7, [4, 9], [12, null], 2]);
+    expect(result.added).toBe(2);
+    expect(result.items).toEqual([expect.objectContaining({
+      productId: 4, variantId: 12, variantLabel: 'Large / Terracotta', price: 899, inStock: false, available: true
+    })]);
+  });
+  
+  test('getSharedWishlist should not look up malformed tokens', async () => {
+    const spy = jest.spyOn(pool, 'query');
+    
+    await expect(getSharedWishlist('not-a-token')).resolves.toBeNull();
+    expect(spy).not.toHaveBeenCalled();
+  });
+  
+});
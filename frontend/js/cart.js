@@ -1,12 +1,22 @@
 /**
  * cart.js - Shopping cart functionality
- * This file manages the shopping cart, including add/remove items, quantities, and local storage
- * Ready for backend integration - cart data can be synced with user accounts
+ * This file manages the shopping cart, including add/remove items and quantities.
+ * The cart lives on the server (/api/cart), so it follows a signed-in customer
+ * across devices; changes show immediately and are then confirmed by the server,
+ * whose copy wins. localStorage keeps the last known copy for instant display
+ * (and for the checkout page).
  */
 
 // Cart state management
 let cart = [];
 const CART_STORAGE_KEY = 'plant-nursery-cart';
+const CART_SESSION_KEY = 'plant-nursery-cart-session';
+const CART_OWNER_KEY = 'plant-nursery-cart-owner';
+let cartSessionId = null;
+let cartOwner = null; // account the cart belongs to (null = guest cart)
+let cartQueue = Promise.resolve(); // server calls run one after another, in order
+let cartTotals = null; // shipping and GST from the server's last copy of the cart
+let recommendedProducts = []; // last suggestions shown, so they can be added without being on the page
 
 /**
  * Get product by ID from available products data
@@ -30,8 +40,9 @@ function getProductById(productId) {
         }
     }
     
-    // Search for product by ID
-    const product = allProducts.find(p => p.id === productId || p.id === parseInt(productId));
+    // Search for product by ID (recommendations may not be on this page)
+    const product = allProducts.find(p => p.id === productId || p.id === parseInt(productId))
+        || recommendedProducts.find(p => p.id === parseInt(productId));
     
     if (product) {
         console.log('✅ Product found:', product.name, 'ID:', product.id);
@@ -69,13 +80,57 @@ function getProductById(productId) {
 }
 
 /**
- * Initialize cart from localStorage
+ * Pick the variant (size / pot colour) to add for a product
+ * @param {Object} product - Product object, possibly with a variants array
+ * @param {number|null} variantId - Requested variant, or null for the first in-stock one
+ * @returns {Object|null} Variant or null if the product has none
+ */
+function resolveVariant(product, variantId) {
+    const variants = Array.isArray(product.variants) ? product.variants : [];
+    if (variantId) {
+        return variants.find(v => v.id === parseInt(variantId)) || null;
+    }
+    return variants.find(v => v.inStock) || variants[0] || null;
+}
+
+/**
+ * Read the variant chosen in a product card's variant picker, if any
+ * @param {number} productId - Product ID
+ * @returns {number|null} Selected variant ID
+ */
+function getSelectedVariantId(productId) {
+    const select = document.querySelector(
+        `.product-card[data-product-id="${productId}"] .variant-select, .product-detail[data-product-id="${productId}"] .variant-select`
+    );
+    return select && select.value ? parseInt(select.value) : null;
+}
+
+/**
+ * Find a cart line by product and variant
+ * Lines saved before variants existed have no variantId
+ * @param {number} id - Product ID
+ * @param {number|null} variantId - Variant ID
+ * @returns {Object|undefined} Cart item
+ */
+function findCartItem(id, variantId = null) {
+    return cart.find(item => item.id === id && (item.variantId || null) === (variantId ? parseInt(variantId) : null));
+}
+
+/**
+ * Initialize cart from localStorage, then load the server's copy
  */
 function initializeCart() {
     try {
-        const savedCart = localStorage.getItem(CART_STORAGE_KEY);
-        if (savedCart) {
-            cart = JSON.parse(savedCart);
+        // An account's cart is not shown once signed out (shared computers)
+        const owner = localStorage.getItem(CART_OWNER_KEY) || null;
+        const signedInAs = window.currentUser ? window.currentUser.id : null;
+        if (!owner || owner === signedInAs) {
+            const savedCart = localStorage.getItem(CART_STORAGE_KEY);
+            if (savedCart) {
+                cart = JSON.parse(savedCart);
+            }
+            cartSessionId = localStorage.getItem(CART_SESSION_KEY) || window.cartSessionId || null;
+            cartOwner = owner;
         }
     } catch (error) {
         console.error('Error loading cart from storage:', error);
@@ -89,14 +144,203 @@ function initializeCart() {
     setupCartModal();
     
     console.log('Cart initialized with', cart.length, 'items');
+    syncCart();
+}
+
+/**
+ * Call the cart API
+ * @param {string} path - Path below /api/cart
+ * @param {Object} options - fetch options; a plain object body is sent as JSON
+ * @returns {Promise<Object>} Response data
+ * @throws Error with the server's message (and status) when the call fails
+ */
+async function cartRequest(path, options = {}) {
+    const init = { ...options, headers: { 'Content-Type': 'application/json' } };
+    if (options.body && typeof options.body !== 'string') init.body = JSON.stringify(options.body);
+    
+    const response = await fetch(`/api/cart${path}`, init);
+    const result = await response.json();
+    if (!result.success) {
+        const error = new Error(result.message || 'Cart request failed');
+        error.status = response.status;
+        throw error;
+    }
+    return result.data;
+}
+
+/**
+ * Replace the local cart with the server's copy
+ * @param {Object} serverCart - Cart from the API ({ sessionId, items, ... })
+ */
+function applyServerCart(serverCart) {
+    cartSessionId = serverCart.sessionId;
+    cartOwner = serverCart.userId || null;
+    cart = serverCart.items.map(item => ({ ...item, id: item.productId }));
+    cartTotals = serverCart.totals || null;
+    
+    updateCartCount();
+    updateCartDisplay();
+    saveCartToStorage();
+    window.dispatchEvent(new CustomEvent('cart:updated'));
+}
+
+/**
+ * Load the cart for this browser from the server. After signing in, the
+ * server merges the guest cart into the account's cart and reports lines
+ * that couldn't be kept (out of stock, no longer sold).
+ * Carts saved by older versions only in localStorage are sent along to be added.
+ * @returns {Promise<void>}
+ */
+function syncCart() {
+    const localOnly = cartSessionId ? [] : cart.map(item => ({
+        productId: item.id,
+        variantId: item.variantId || null,
+        quantity: item.quantity,
+        name: item.name
+    }));
+    
+    cartQueue = cartQueue
+        .then(() => cartRequest('/current', {
+            method: 'POST',
+            body: { sessionId: cartSessionId, ...(localOnly.length > 0 && { items: localOnly }) }
+        }))
+        .then(({ cart: serverCart, notices, merged }) => {
+            applyServerCart(serverCart);
+            if (merged) showNotification('Items from your guest cart were added to your saved cart', 'info');
+            notices.forEach(notice => showNotification(notice.message, 'warning'));
+        })
+        .catch(error => console.error('Error syncing cart:', error));
+    return cartQueue;
+}
+
+/**
+ * Send one cart change to the server after it has been shown locally.
+ * The server's cart replaces the local one; if the change is refused
+ * (e.g. not enough stock) the message is shown and the cart reloaded.
+ * @param {Function} request - (sessionId) => Promise resolving to the updated cart
+ */
+function pushCartChange(request) {
+    cartQueue = cartQueue
+        .then(() => {
+            if (!cartSessionId) throw new Error('Cart is not available right now');
+            return request(cartSessionId);
+        })
+        .then(applyServerCart)
+        .catch(error => {
+            console.error('Error saving cart change:', error);
+            showNotification(error.message, 'error');
+            syncCart();
+        });
+}
+
+/**
+ * Apply a coupon code to the cart. Codes that can't be used on the cart
+ * as it is are refused with the reason.
+ * @param {string} code
+ * @returns {Promise<Object>} Cart totals with the coupon applied
+ * @throws Error with the reason the code was refused
+ */
+function applyCoupon(code) {
+    const request = cartQueue.then(() => {
+        if (!cartSessionId) throw new Error('Cart is not available right now');
+        return cartRequest(`/${cartSessionId}/coupons`, { method: 'POST', body: { code } });
+    });
+    cartQueue = request.then(applyServerCart).catch(() => {});
+    return request.then(serverCart => serverCart.totals);
+}
+
+/**
+ * Remove a coupon code from the cart
+ * @param {string} code
+ * @returns {Promise<Object>} Cart totals without it
+ */
+function removeCoupon(code) {
+    const request = cartQueue.then(() => {
+        if (!cartSessionId) throw new Error('Cart is not available right now');
+        return cartRequest(`/${cartSessionId}/coupons/${encodeURIComponent(code)}`, { method: 'DELETE' });
+    });
+    cartQueue = request.then(applyServerCart).catch(() => {});
+    return request.then(serverCart => serverCart.totals);
+}
+
+/**
+ * Create a short link to this cart. Whoever opens it can add the same
+ * items to their own cart (at the prices and stock of that moment).
+ * @param {string} [title] - Shown on the shared page
+ * @returns {Promise<Object>} { token, url, title, expiresAt }
+ * @throws Error when the cart can't be shared (e.g. it is empty)
+ */
+function shareCart(title = '') {
+    const request = cartQueue.then(() => {
+        if (!cartSessionId) throw new Error('Cart is not available right now');
+        return cartRequest(`/${cartSessionId}/share`, { method: 'POST', body: { title } });
+    });
+    cartQueue = request.catch(() => {});
+    return request;
+}
+
+/**
+ * Add everything from a shared cart link to this cart. Items that are no
+ * longer sold or out of stock are skipped, with a notice for each.
+ * @param {string} token - Share token from /cart/shared/:token
+ * @returns {Promise<Array>} Notices about items that couldn't be added as shared
+ */
+function addSharedCart(token) {
+    const request = cartQueue.then(() => {
+        if (!cartSessionId) throw new Error('Cart is not available right now');
+        return cartRequest(`/shared/${encodeURIComponent(token)}/add`, { method: 'POST', body: { sessionId: cartSessionId } });
+    });
+    cartQueue = request.then(result => applyServerCart(result.cart)).catch(() => {});
+    return request.then(result => cartQueue.then(() => result.notices));
+}
+
+/**
+ * Check the cart against live prices and stock before checkout. The server
+ * fixes the cart (removes unavailable lines, lowers quantities, updates
+ * prices) and lists every change since the customer last saw it.
+ * @returns {Promise<Array>} Change events ({ type, productId, variantId, name, message, ... });
+ *   empty when nothing changed
+ */
+function validateCart() {
+    let changes = [];
+    cartQueue = cartQueue
+        .then(() => cartSessionId ? cartRequest(`/${cartSessionId}/validate`, { method: 'POST' }) : null)
+        .then(result => {
+            if (!result) return;
+            changes = result.changes;
+            applyServerCart(result.cart);
+        })
+        .catch(error => console.error('Error validating cart:', error));
+    return cartQueue.then(() => changes);
+}
+
+/**
+ * Accept price changes reported by validateCart()
+ * @param {Array} changes - Change events the customer agreed to
+ * @returns {Promise<Array>} Price changes still waiting (a price that moved again)
+ * @throws Error when the server can't be reached
+ */
+function acceptCartChanges(changes) {
+    const accepted = changes
+        .filter(change => change.newPrice !== undefined)
+        .map(({ productId, variantId, newPrice }) => ({ productId, variantId, newPrice }));
+    const request = cartQueue.then(() => cartRequest(`/${cartSessionId}/changes/accept`, {
+        method: 'POST',
+        body: { changes: accepted }
+    }));
+    cartQueue = request.then(result => applyServerCart(result.cart)).catch(() => {});
+    return request.then(result => cartQueue.then(() => result.changes));
 }
 
 /**
- * Save cart to localStorage
+ * Save cart (and its server session ID) to localStorage
  */
 function saveCartToStorage() {
     try {
         localStorage.setItem(CART_STORAGE_KEY, JSON.stringify(cart));
+        if (cartSessionId) localStorage.setItem(CART_SESSION_KEY, cartSessionId);
+        if (cartOwner) localStorage.setItem(CART_OWNER_KEY, cartOwner);
+        else localStorage.removeItem(CART_OWNER_KEY);
         
         // Also backup to browser cache manager
         if (window.browserCache) {
@@ -116,8 +360,9 @@ function saveCartToStorage() {
  * Add product to cart
  * @param {number|string} productId - ID of the product to add
  * @param {number} quantity - Quantity to add (default: 1)
+ * @param {number|null} variantId - Variant to add (default: the one picked on the card, else the first in stock)
  */
-function addToCart(productId, quantity = 1) {
+function addToCart(productId, quantity = 1, variantId = null) {
     // Convert productId to number for consistent comparison
     const id = parseInt(productId);
     if (isNaN(id)) {
@@ -135,37 +380,52 @@ function addToCart(productId, quantity = 1) {
         return;
     }
     
+    const variant = resolveVariant(product, variantId || getSelectedVariantId(id));
+    
     // Check stock status (handle both inStock and instock property names)
     const stockStatus = product.inStock !== undefined ? product.inStock : product.instock;
-    if (stockStatus === false) {
+    if (stockStatus === false || (variant && variant.inStock === false)) {
         showNotification('Sorry, this product is out of stock!', 'warning');
         return;
     }
     
-    // Check if product already in cart
-    const existingItem = cart.find(item => item.id === id);
+    const displayName = variant && variant.label ? `${product.name} (${variant.label})` : product.name;
+    
+    // Check if the same variant is already in cart
+    const existingItem = findCartItem(id, variant ? variant.id : null);
     
     if (existingItem) {
         // Update quantity
         existingItem.quantity += quantity;
-        showNotification(`Updated ${product.name} quantity in cart!`, 'success');
+        showNotification(`Updated ${displayName} quantity in cart!`, 'success');
     } else {
         // Add new item
         cart.push({
             id: product.id,
+            variantId: variant ? variant.id : null,
+            sku: variant ? variant.sku : null,
+            variantLabel: variant ? variant.label : null,
             name: product.name,
-            price: product.price,
+            price: variant ? variant.price : product.price,
             image: product.image,
             quantity: quantity,
-            category: product.category
+            category: product.category,
+            // A bundle line lists what's in the kit (stock and checkout work per component)
+            components: product.bundle
+                ? product.bundle.components.map(c => ({ productId: c.productId, variantId: c.variantId, sku: c.sku, name: c.name, label: c.label, quantity: c.quantity }))
+                : undefined
         });
-        showNotification(`${product.name} added to cart!`, 'success');
+        showNotification(`${displayName} added to cart!`, 'success');
     }
     
     // Update displays
     updateCartCount();
     updateCartDisplay();
     saveCartToStorage();
+    pushCartChange(sessionId => cartRequest(`/${sessionId}/items`, {
+        method: 'POST',
+        body: { productId: id, variantId: variant ? variant.id : null, quantity }
+    }));
     
     // Add bounce animation to cart icon
     const cartIcon = document.querySelector('.cart-icon');
@@ -177,11 +437,35 @@ function addToCart(productId, quantity = 1) {
     }
 }
 
+/**
+ * Add a product that isn't shown on this page (e.g. from the wishlist). The
+ * server looks it up, so the line appears once it has answered.
+ * @param {number|string} productId - ID of the product to add
+ * @param {number} quantity - Quantity to add (default: 1)
+ * @param {number|string|null} variantId - Variant to add (default: the first in stock)
+ * @returns {Promise<void>}
+ * @throws Error with the reason it couldn't be added (e.g. out of stock)
+ */
+function addProductById(productId, quantity = 1, variantId = null) {
+    const request = cartQueue.then(() => {
+        if (!cartSessionId) throw new Error('Cart is not available right now');
+        return cartRequest(`/${cartSessionId}/items`, {
+            method: 'POST',
+            body: { productId: parseInt(productId), variantId: variantId ? parseInt(variantId) : null, quantity }
+        });
+    });
+    cartQueue = request.then(applyServerCart).catch(() => {});
+    return request.then(() => cartQueue);
+}
+
 /**
  * Remove product from cart
  * @param {number|string} productId - ID of the product to remove
+ * @param {number|string|null} variantId - Variant of the line to remove
+ * @param {Object} [options]
+ * @param {boolean} [options.silent] - Don't show the "removed" notification
  */
-function removeFromCart(productId) {
+function removeFromCart(productId, variantId = null, { silent = false } = {}) {
     // Convert productId to number for consistent comparison
     const id = parseInt(productId);
     if (isNaN(id)) {
@@ -189,7 +473,7 @@ function removeFromCart(productId) {
         return;
     }
     
-    const itemIndex = cart.findIndex(item => item.id === id);
+    const itemIndex = cart.indexOf(findCartItem(id, variantId));
     if (itemIndex > -1) {
         const removedItem = cart[itemIndex];
         cart.splice(itemIndex, 1);
@@ -197,8 +481,9 @@ function removeFromCart(productId) {
         updateCartCount();
         updateCartDisplay();
         saveCartToStorage();
+        pushCartChange(sessionId => cartRequest(`/${sessionId}/items/${id}${lineQuery(removedItem)}`, { method: 'DELETE' }));
         
-        showNotification(`${removedItem.name} removed from cart!`, 'info');
+        if (!silent) showNotification(`${removedItem.name} removed from cart!`, 'info');
         console.log('Removed item from cart:', removedItem.name, 'ID:', id);
     } else {
         console.warn('Item not found in cart for removal:', id, 'Available cart items:', cart.map(item => ({ id: item.id, name: item.name })));
@@ -209,8 +494,9 @@ function removeFromCart(productId) {
  * Update quantity of item in cart
  * @param {number|string} productId - ID of the product
  * @param {number} newQuantity - New quantity value
+ * @param {number|string|null} variantId - Variant of the line to update
  */
-function updateCartItemQuantity(productId, newQuantity) {
+function updateCartItemQuantity(productId, newQuantity, variantId = null) {
     // Convert productId to number for consistent comparison
     const id = parseInt(productId);
     if (isNaN(id)) {
@@ -218,15 +504,19 @@ function updateCartItemQuantity(productId, newQuantity) {
         return;
     }
     
-    const item = cart.find(item => item.id === id);
+    const item = findCartItem(id, variantId);
     if (item) {
         if (newQuantity <= 0) {
-            removeFromCart(id);
+            removeFromCart(id, variantId);
         } else {
             item.quantity = newQuantity;
             updateCartCount();
             updateCartDisplay();
             saveCartToStorage();
+            pushCartChange(sessionId => cartRequest(`/${sessionId}/items/${id}${lineQuery(item)}`, {
+                method: 'PUT',
+                body: { quantity: newQuantity }
+            }));
             
             showNotification(`Updated ${item.name} quantity to ${newQuantity}!`, 'success');
         }
@@ -235,15 +525,26 @@ function updateCartItemQuantity(productId, newQuantity) {
     }
 }
 
+/**
+ * "?variantId=" for the API calls on a cart line
+ * @param {Object} item - Cart item
+ * @returns {string} Query string, empty for lines without a variant
+ */
+function lineQuery(item) {
+    return item.variantId ? `?variantId=${item.variantId}` : '';
+}
+
 /**
  * Clear entire cart
+ * @param {Object} options - { silent: true } to skip the notification (e.g. after an order)
  */
-function clearCart() {
+function clearCart({ silent = false } = {}) {
     cart = [];
     updateCartCount();
     updateCartDisplay();
     saveCartToStorage();
-    showNotification('Cart cleared!', 'info');
+    pushCartChange(sessionId => cartRequest(`/${sessionId}/clear`, { method: 'DELETE' }));
+    if (!silent) showNotification('Cart cleared!', 'info');
 }
 
 /**
@@ -298,6 +599,32 @@ function updateCartDisplay() {
         
         cartTotalElement.textContent = total.toFixed(2);
     }
+    updateShippingNote();
+}
+
+/**
+ * Show how far the cart is from free shipping. Tax and shipping depend on
+ * the delivery state, so the full total is only shown at checkout.
+ */
+function updateShippingNote() {
+    const note = document.getElementById('cart-shipping-note');
+    if (!note) return;
+    
+    const current = cartTotals && cart.length > 0 && cartTotals.subtotal === cartSubtotal();
+    if (!current) {
+        note.textContent = cart.length > 0 ? 'GST and shipping are calculated at checkout' : '';
+    } else if (cartTotals.freeShipping) {
+        note.textContent = 'You qualify for free shipping';
+    } else if (cartTotals.amountForFreeShipping > 0) {
+        note.textContent = `Add ₹${cartTotals.amountForFreeShipping.toFixed(0)} more for free shipping`;
+    } else {
+        note.textContent = `Shipping from ₹${cartTotals.shipping.toFixed(0)}; GST calculated at checkout`;
+    }
+}
+
+// Goods total of the local cart, rounded as the server rounds it
+function cartSubtotal() {
+    return Math.round(cart.reduce((sum, item) => sum + item.price * item.quantity, 0) * 100) / 100;
 }
 
 /**
@@ -309,6 +636,8 @@ function createCartItemElement(item) {
     const cartItem = document.createElement('div');
     cartItem.className = 'cart-item';
     cartItem.setAttribute('data-product-id', item.id);
+    cartItem.setAttribute('data-variant-id', item.variantId || '');
+    const variantAttr = `data-variant-id="${item.variantId || ''}"`;
     
     // Create image HTML
     const imageHtml = item.image 
@@ -322,23 +651,33 @@ function createCartItemElement(item) {
         
         <div class="cart-item-details">
             <h4 class="cart-item-title">${item.name}</h4>
-            <p class="cart-item-price">₹${Number(item.price).toFixed(0)} each</p>
+            ${item.variantLabel ? `<p class="cart-item-variant">${item.variantLabel}</p>` : ''}
+            ${bundleContentsHtml(item)}
+            <p class="cart-item-price">
+                ₹${Number(item.price).toFixed(0)} each
+                ${item.quotedPrice !== undefined ? `<span class="cart-item-price-change">was ₹${Number(item.quotedPrice).toFixed(0)}</span>` : ''}
+            </p>
             
             <div class="cart-item-controls">
                 <div class="cart-qty-controls">
-                    <button class="cart-qty-btn minus" data-action="minus" data-product-id="${item.id}">
+                    <button class="cart-qty-btn minus" data-action="minus" data-product-id="${item.id}" ${variantAttr}>
                         <i class="fas fa-minus"></i>
                     </button>
                     <input type="number" class="cart-qty-input" value="${item.quantity}" 
-                           min="1" data-product-id="${item.id}">
-                    <button class="cart-qty-btn plus" data-action="plus" data-product-id="${item.id}">
+                           min="1" data-product-id="${item.id}" ${variantAttr}>
+                    <button class="cart-qty-btn plus" data-action="plus" data-product-id="${item.id}" ${variantAttr}>
                         <i class="fas fa-plus"></i>
                     </button>
                 </div>
                 
-                <button class="remove-item-btn" data-product-id="${item.id}" title="Remove item">
-                    <i class="fas fa-trash"></i>
-                </button>
+                <div class="cart-item-actions">
+                    <button class="save-for-later-btn" data-product-id="${item.id}" ${variantAttr} title="Move to your wishlist">
+                        <i class="far fa-heart"></i> Save for later
+                    </button>
+                    <button class="remove-item-btn" data-product-id="${item.id}" ${variantAttr} title="Remove item">
+                        <i class="fas fa-trash"></i>
+                    </button>
+                </div>
             </div>
         </div>
     `;
@@ -346,6 +685,84 @@ function createCartItemElement(item) {
     return cartItem;
 }
 
+/**
+ * "Includes: 1 × Snake Plant, ..." line for a bundle cart item
+ * @param {Object} item - Cart line
+ * @returns {string} HTML, empty for plain products
+ */
+function bundleContentsHtml(item) {
+    if (!Array.isArray(item.components) || item.components.length === 0) return '';
+    const contents = item.components.map(c => `${c.quantity} × ${c.name}${c.label ? ` (${c.label})` : ''}`).join(', ');
+    return `<p class="cart-item-variant cart-item-bundle">Includes: ${contents}</p>`;
+}
+
+/**
+ * Show "frequently bought together" / "customers also bought" suggestions
+ * for the current cart (pots and tools for plants, and so on)
+ * @param {HTMLElement|null} container - Element to render into; hidden when there is nothing to suggest
+ * @param {Array} items - Cart lines to base the suggestions on (default: the current cart)
+ */
+async function loadCartRecommendations(container = document.getElementById('cart-recommendations'), items = cart) {
+    if (!container) return;
+    
+    const productIds = [...new Set(items.map(item => parseInt(item.id)).filter(id => !isNaN(id)))];
+    if (productIds.length === 0) {
+        container.innerHTML = '';
+        container.hidden = true;
+        return;
+    }
+    
+    try {
+        const response = await fetch(`/api/recommendations?productIds=${productIds.join(',')}&limit=3`);
+        const result = await response.json();
+        if (!result.success) throw new Error(result.message);
+        
+        const { frequentlyBoughtTogether, customersAlsoBought } = result.data;
+        recommendedProducts = [...frequentlyBoughtTogether, ...customersAlsoBought];
+        
+        const groups = [
+            ['Frequently bought together', frequentlyBoughtTogether],
+            ['Customers also bought', customersAlsoBought]
+        ].filter(([, products]) => products.length > 0);
+        
+        container.innerHTML = groups.map(([title, products]) => `
+            <div class="recommendation-group">
+                <h4>${title}</h4>
+                ${products.map(createRecommendationHtml).join('')}
+            </div>
+        `).join('');
+        container.hidden = groups.length === 0;
+    } catch (error) {
+        console.error('Error loading recommendations:', error);
+        container.hidden = true;
+    }
+}
+
+/**
+ * Create the HTML for one suggested product
+ * @param {Object} product - Product from /api/recommendations
+ * @returns {string} HTML
+ */
+function createRecommendationHtml(product) {
+    const image = product.images && product.images.length ? product.images[0].thumb : product.image;
+    const imageHtml = image
+        ? `<img src="${image}" alt="${product.name}" loading="lazy">`
+        : `<i class="fas fa-seedling"></i>`;
+    
+    return `
+        <div class="recommendation-item">
+            ${imageHtml}
+            <div class="recommendation-info">
+                <span class="recommendation-name">${product.name}</span>
+                <span class="recommendation-price">₹${Number(product.price).toFixed(0)}</span>
+            </div>
+            <button class="recommendation-add-btn" data-product-id="${product.id}" title="Add to cart">
+                <i class="fas fa-plus"></i>
+            </button>
+        </div>
+    `;
+}
+
 /**
  * Setup cart modal event listeners
  */
@@ -362,6 +779,7 @@ function setupCartModal() {
     const cartModal = document.getElementById('cart-modal');
     const closeCartBtn = document.getElementById('close-cart');
     const continueShoppingBtn = document.querySelector('.continue-shopping');
+    const shareCartBtn = document.getElementById('cart-share-btn');
     const checkoutBtn = document.querySelector('.checkout-btn');
     
     // Delegate click events for cart item controls
@@ -373,19 +791,20 @@ function setupCartModal() {
             if (!cartItemEl) return;
             
             const productId = qtyBtn.getAttribute('data-product-id') || cartItemEl.getAttribute('data-product-id');
+            const variantId = cartItemEl.getAttribute('data-variant-id') || null;
             const input = cartItemEl.querySelector('.cart-qty-input');
             let current = parseInt(input.value) || 1;
             
             if (qtyBtn.dataset.action === 'plus') {
                 current += 1;
-                updateCartItemQuantity(productId, current);
+                updateCartItemQuantity(productId, current, variantId);
             } else if (qtyBtn.dataset.action === 'minus') {
                 if (current === 1) {
                     // If quantity is 1 and user clicks minus, remove the item
-                    removeFromCart(productId);
+                    removeFromCart(productId, variantId);
                 } else {
                     current -= 1;
-                    updateCartItemQuantity(productId, current);
+                    updateCartItemQuantity(productId, current, variantId);
                 }
             }
             return;
@@ -397,12 +816,28 @@ function setupCartModal() {
             const productId = removeBtn.getAttribute('data-product-id');
             if (productId) {
                 console.log('Removing product ID:', productId);
-                removeFromCart(productId);
+                removeFromCart(productId, removeBtn.getAttribute('data-variant-id') || null);
             } else {
                 console.warn('No product ID found on remove button');
             }
             return;
         }
+        
+        // Handle "Save for later" (moves the line to the wishlist, see wishlist.js)
+        const saveBtn = e.target.closest('.save-for-later-btn');
+        if (saveBtn && window.wishlistFunctions) {
+            window.wishlistFunctions.saveForLater(saveBtn.getAttribute('data-product-id'), saveBtn.getAttribute('data-variant-id') || null);
+            return;
+        }
+        
+        // Handle "add" on a suggested product (cart modal or checkout page)
+        const recommendationBtn = e.target.closest('.recommendation-add-btn');
+        if (recommendationBtn) {
+            addToCart(recommendationBtn.getAttribute('data-product-id'));
+            loadCartRecommendations(recommendationBtn.closest('.cart-recommendations'));
+            window.dispatchEvent(new CustomEvent('cart:updated'));
+            return;
+        }
     });
 
     // Handle quantity input changes
@@ -414,7 +849,7 @@ function setupCartModal() {
         const value = Math.max(1, parseInt(input.value) || 1);
         
         if (productId) {
-            updateCartItemQuantity(productId, value);
+            updateCartItemQuantity(productId, value, input.getAttribute('data-variant-id') || null);
         }
     });
 
@@ -452,6 +887,22 @@ function setupCartModal() {
         });
     }
     
+    // Share button: create a link to this cart and copy it
+    if (shareCartBtn && !shareCartBtn.dataset.listenerAttached) {
+        shareCartBtn.dataset.listenerAttached = 'true';
+        shareCartBtn.addEventListener('click', async (e) => {
+            e.preventDefault();
+            try {
+                const { url } = await shareCart();
+                await navigator.clipboard.writeText(url);
+                showNotification('Link to this cart copied', 'success');
+            } catch (error) {
+                console.error('Error sharing cart:', error);
+                showNotification(error.message, 'error');
+            }
+        });
+    }
+    
     // Cart modal should ONLY close via close button or continue shopping button
     // No closing on outside click or escape key for better UX
     
@@ -494,6 +945,7 @@ function openCartModal() {
     if (cartModal) {
         cartModal.classList.add('active');
         document.body.style.overflow = 'hidden'; // Prevent background scrolling
+        loadCartRecommendations();
         
         console.log('✅ Modal opened successfully');
         
@@ -748,14 +1200,24 @@ if (document.readyState === 'loading') {
 // Export functions for external use
 window.cartFunctions = {
     addToCart,
+    addProductById,
     removeFromCart,
     updateCartItemQuantity,
     clearCart,
     getCartSummary,
     importCart,
     exportCart,
+    syncCart,
+    validateCart,
+    acceptCartChanges,
+    applyCoupon,
+    removeCoupon,
+    shareCart,
+    addSharedCart,
+    getSessionId: () => cartSessionId,
     openCartModal,
-    closeCartModal
+    closeCartModal,
+    loadCartRecommendations
 };
 
 // Make functions globally accessible for onclick handlers
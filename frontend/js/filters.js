@@ -7,6 +7,8 @@ let activeFilters = {
   priceRange: { min: 0, max: 3000 },
   size: null,
   careLevel: [],
+  light: [],
+  petSafe: false,
   inStock: null,
 };
 
@@ -15,6 +17,8 @@ function initializeFilters() {
   setupPriceFilter();
   setupSizeFilters();
   setupCareFilters();
+  setupLightFilters();
+  setupPetSafeFilter();
   setupClearFiltersButton();
   loadFiltersFromURL();
   console.log('✅ Filters module initialized');
@@ -63,6 +67,26 @@ function setupCareFilters() {
   });
 }
 
+function setupLightFilters() {
+  document.querySelectorAll('input[name="light"]').forEach(input => {
+    input.addEventListener('change', e => {
+      const val = e.target.value;
+      if (e.target.checked) activeFilters.light.push(val);
+      else activeFilters.light = activeFilters.light.filter(l => l !== val);
+      applyFilters();
+    });
+  });
+}
+
+function setupPetSafeFilter() {
+  const input = document.querySelector('input[name="petSafe"]');
+  if (!input) return;
+  input.addEventListener('change', e => {
+    activeFilters.petSafe = e.target.checked;
+    applyFilters();
+  });
+}
+
 function setupClearFiltersButton() {
   const btn = document.querySelector('.clear-filters-btn');
   if (btn) btn.addEventListener('click', clearAllFilters);
@@ -75,6 +99,8 @@ function applyFilters() {
   filtered = filtered.filter(p => p.price >= activeFilters.priceRange.min && p.price <= activeFilters.priceRange.max);
   if (activeFilters.size) filtered = filtered.filter(p => p.size === activeFilters.size);
   if (activeFilters.careLevel.length) filtered = filtered.filter(p => activeFilters.careLevel.includes(p.care));
+  if (activeFilters.light.length) filtered = filtered.filter(p => activeFilters.light.includes(p.lightRequirement));
+  if (activeFilters.petSafe) filtered = filtered.filter(p => p.petSafe);
   if (activeFilters.inStock !== null) filtered = filtered.filter(p => p.inStock === activeFilters.inStock);
 
   filteredProducts = filtered;
@@ -82,10 +108,59 @@ function applyFilters() {
   if (typeof displayProducts === 'function') displayProducts(filteredProducts);
   const grid = document.getElementById('products-grid');
   if (grid) console.log(`✅ ${filtered.length} products after filters`);
+  refreshFacetCounts();
+}
+
+// Ask the API for facet counts under the active filters and label each option
+let facetRequest = 0;
+async function refreshFacetCounts() {
+  const params = new URLSearchParams({ limit: '1' });
+  if (activeFilters.categories.length) params.set('category', activeFilters.categories.join(','));
+  if (activeFilters.size) params.set('size', activeFilters.size);
+  if (activeFilters.careLevel.length) params.set('care', activeFilters.careLevel.join(','));
+  if (activeFilters.light.length) params.set('light', activeFilters.light.join(','));
+  if (activeFilters.petSafe) params.set('petSafe', 'true');
+  if (activeFilters.priceRange.max < 3000) params.set('maxPrice', activeFilters.priceRange.max);
+  if (activeFilters.inStock !== null) params.set('inStock', activeFilters.inStock);
+
+  const requestId = ++facetRequest;
+  try {
+    const res = await fetch(`/api/products?${params}`);
+    if (!res.ok) return;
+    const data = await res.json();
+    if (requestId !== facetRequest || !data.success || !data.data.facets) return;
+    updateFacetLabels('category', data.data.facets.category);
+    updateFacetLabels('size', data.data.facets.size);
+    updateFacetLabels('care', data.data.facets.care);
+    updateFacetLabels('light', data.data.facets.light);
+    updateFacetLabels('petSafe', data.data.facets.petSafe.map(c => ({ value: String(c.value), count: c.count })));
+  } catch (err) {
+    console.warn('Facet counts unavailable:', err.message);
+  }
+}
+
+// Show "(n)" next to each option and hide unchecked options that would match nothing
+function updateFacetLabels(name, counts = []) {
+  const byValue = Object.fromEntries(counts.map(c => [c.value, c.count]));
+  document.querySelectorAll(`input[name="${name}"]`).forEach(input => {
+    const label = input.closest('.filter-item');
+    if (!label) return;
+    const count = byValue[input.value.toLowerCase()] || 0;
+    let badge = label.querySelector('.facet-count');
+    if (!badge) {
+      badge = document.createElement('span');
+      badge.className = 'facet-count';
+      label.appendChild(badge);
+    }
+    badge.textContent = `(${count})`;
+    label.classList.toggle('facet-empty', count === 0 && !input.checked);
+  });
 }
 
 function clearAllFilters() {
-  activeFilters = { categories: [], priceRange: { min: 0, max: 3000 }, size: null, careLevel: [], inStock: null };
+  activeFilters = {
+    categories: [], priceRange: { min: 0, max: 3000 }, size: null, careLevel: [], light: [], petSafe: false, inStock: null,
+  };
   document.querySelectorAll('input[type="checkbox"], input[type="radio"]').forEach(i => i.checked = false);
   applyFilters();
 }
@@ -225,14 +225,19 @@ function handleSearchInput() {
 
 /**
  * Perform live search for suggestions
+ * Results are ranked server-side (full-text + typo-tolerant matching)
  */
 async function performLiveSearch(query) {
     try {
         const response = await fetch(`/api/search?q=${encodeURIComponent(query)}&limit=5`);
         const data = await response.json();
         
-        if (data.success && data.results.length > 0) {
-            displaySearchSuggestions(data.results);
+        // Ignore responses for queries the user has already typed past
+        const searchInput = document.getElementById('searchInput');
+        if (searchInput && searchInput.value.trim() !== query) return;
+        
+        if (data.success && data.data && data.data.results.length > 0) {
+            displaySearchSuggestions(data.data.results);
         } else {
             clearSearchSuggestions();
         }
@@ -244,20 +249,27 @@ async function performLiveSearch(query) {
 
 /**
  * Display search suggestions
+ * Name and snippet HTML come pre-escaped from the API with <mark> highlights
  */
 function displaySearchSuggestions(results) {
     const searchSuggestions = document.getElementById('searchSuggestions');
     if (!searchSuggestions) return;
     
-    searchSuggestions.innerHTML = results.map(item => `
+    searchSuggestions.innerHTML = results.map(item => {
+        const highlight = item.highlight || {};
+        const price = Number(item.price) || 0;
+        
+        return `
         <div class="search-suggestion" data-id="${item.id}">
-            <img src="${item.image}" alt="${item.name}" loading="lazy">
+            <img src="${item.image || '/images/DemoPotPlant.jpg'}" alt="" loading="lazy">
             <div class="suggestion-info">
-                <h4>${item.name}</h4>
-                <p>${item.price}</p>
+                <h4>${highlight.name || item.name}</h4>
+                ${highlight.snippet ? `<p class="suggestion-snippet">${highlight.snippet}</p>` : ''}
+                <p class="suggestion-price">₹${price.toFixed(0)}</p>
             </div>
         </div>
-    `).join('');
+    `;
+    }).join('');
     
     // Add click handlers to suggestions
     searchSuggestions.querySelectorAll('.search-suggestion').forEach(suggestion => {
@@ -468,52 +480,7 @@ function setupSmoothScrolling() {
  */
 function setupUIEnhancements() {
     // Newsletter form - Handled in layout.ejs, no need to duplicate here
-    
-    // Wishlist functionality
-    document.addEventListener('click', (e) => {
-        if (e.target.closest('.wishlist-btn')) {
-            e.preventDefault();
-            toggleWishlist(e.target.closest('.wishlist-btn'));
-        }
-    });
-}
-
-/**
- * Toggle wishlist item
- */
-function toggleWishlist(button) {
-    const productId = button.getAttribute('data-product-id');
-    const isWishlisted = button.classList.contains('wishlisted');
-    
-    if (isWishlisted) {
-        // Remove from wishlist
-        button.classList.remove('wishlisted');
-        button.innerHTML = '<i class="far fa-heart"></i>';
-        showNotification('Removed from wishlist', 'info');
-    } else {
-        // Add to wishlist
-        button.classList.add('wishlisted');
-        button.innerHTML = '<i class="fas fa-heart"></i>';
-        showNotification('Added to wishlist!', 'success');
-    }
-    
-    // Store in localStorage
-    updateWishlistStorage(productId, !isWishlisted);
-}
-
-/**
- * Update wishlist in localStorage
- */
-function updateWishlistStorage(productId, add) {
-    let wishlist = JSON.parse(localStorage.getItem('plantNurseryWishlist') || '[]');
-    
-    if (add && !wishlist.includes(productId)) {
-        wishlist.push(productId);
-    } else if (!add) {
-        wishlist = wishlist.filter(id => id !== productId);
-    }
-    
-    localStorage.setItem('plantNurseryWishlist', JSON.stringify(wishlist));
+    // Wishlist hearts - Handled in wishlist.js
 }
 
 /**
@@ -19,10 +19,12 @@ async function fetchProducts() {
     const data = await response.json();
     
     if (data.success && data.data && data.data.products) {
-      // Filter to show only plants (exclude pots and tools) on home page
-      const plantCategories = ['indoor', 'outdoor', 'flowering', 'succulent'];
+      // Filter to show only plants (exclude pots and tools) on home page;
+      // the plant categories are the ones offered as sidebar filters
+      const plantCategories = Array.from(document.querySelectorAll('input[name="category"]'))
+        .map(input => input.value.toLowerCase());
       const allProducts = data.data.products;
-      const onlyPlants = allProducts.filter(product => 
+      const onlyPlants = plantCategories.length === 0 ? allProducts : allProducts.filter(product => 
         plantCategories.includes(product.category.toLowerCase())
       );
       
@@ -200,22 +202,38 @@ function createProductCard(product) {
   card.className = 'product-card';
   card.setAttribute('data-product-id', product.id);
   
+  // Variants (pot size / colour): show the first in-stock one's price
+  const variants = Array.isArray(product.variants) ? product.variants : [];
+  const selectedVariant = variants.find(v => v.inStock) || variants[0] || null;
+  const priced = selectedVariant || product;
+
   // Ensure price fields are numbers
-  const price = typeof product.price === 'number' ? product.price : parseFloat(product.price) || 0;
-  const originalPrice = product.originalPrice ? (typeof product.originalPrice === 'number' ? product.originalPrice : parseFloat(product.originalPrice)) : null;
+  const price = typeof priced.price === 'number' ? priced.price : parseFloat(priced.price) || 0;
+  const originalPrice = priced.originalPrice ? (typeof priced.originalPrice === 'number' ? priced.originalPrice : parseFloat(priced.originalPrice)) : null;
   const discount = product.discount || 0;
   const rating = typeof product.rating === 'number' ? product.rating : parseFloat(product.rating) || 0;
-  const reviews = product.reviews || 0;
+  const reviews = product.reviewCount || 0;
   
-  const imageHtml = product.image ? `<img src="${product.image}" alt="${product.name}" loading="lazy">`
+  // Uploaded galleries come with thumb/card/zoom renditions; let the browser pick
+  const primaryImage = (product.images || [])[0];
+  const imageHtml = primaryImage
+    ? `<img src="${primaryImage.card}" srcset="${primaryImage.srcset}" sizes="(max-width: 480px) 100vw, 300px" alt="${primaryImage.alt || product.name}" loading="lazy">`
+    : product.image ? `<img src="${product.image}" alt="${product.name}" loading="lazy">`
     : `<i class="fas fa-seedling" style="font-size: 3rem; color: var(--secondary-green);"></i><p>${product.name}</p>`;
-  const badgeHtml = product.badge ? `<div class="product-badge">${product.badge}</div>` : '';
+  const badge = product.badge || (product.sale ? 'Sale' : '');
+  const badgeHtml = badge ? `<div class="product-badge">${badge}</div>` : '';
   const discountHtml = discount > 0 ? `<span class="discount">-${discount}%</span>` : '';
   const originalPriceHtml = originalPrice ? `<span class="original-price">₹${originalPrice.toFixed(0)}</span>` : '';
   const starsHtml = createStarsHtml(rating);
+  const careBadgesHtml = createCareBadgesHtml(product);
   const outOfStockClass = product.inStock ? '' : 'out-of-stock';
   const addToCartText = product.inStock ? 'Add to Cart' : 'Out of Stock';
   const addToCartDisabled = product.inStock ? '' : 'disabled';
+  const variantPickerHtml = variants.length > 1 ? `
+      <select class="variant-select" aria-label="Choose size">
+        ${variants.map(v => `<option value="${v.id}" ${v === selectedVariant ? 'selected' : ''} ${v.inStock ? '' : 'disabled'}>
+          ${v.label} – ₹${Number(v.price).toFixed(0)}${v.inStock ? '' : ' (out of stock)'}</option>`).join('')}
+      </select>` : '';
 
   card.innerHTML = `
     <div class="product-image ${outOfStockClass}">
@@ -224,7 +242,7 @@ function createProductCard(product) {
       ${!product.inStock ? '<div class="out-of-stock-overlay">Out of Stock</div>' : ''}
     </div>
     <div class="product-details">
-      <h3>${product.name}</h3>
+      <h3>${product.url ? `<a href="${product.url}">${product.name}</a>` : product.name}</h3>
       <div class="product-rating">
         <div class="stars">${starsHtml}</div><span class="rating-text">(${reviews})</span>
       </div>
@@ -232,16 +250,56 @@ function createProductCard(product) {
         <span class="current-price">₹${price.toFixed(0)}</span>
         ${originalPriceHtml}${discountHtml}
       </div>
+      ${careBadgesHtml}
+      ${variantPickerHtml}
       <p>${product.description}</p>
       <div class="product-actions">
         <button class="add-to-cart-btn" data-product-id="${product.id}" ${addToCartDisabled}>🛒 ${addToCartText}</button>
-        <button class="wishlist-btn">♡</button>
+        ${!product.inStock && product.url ? `<a class="notify-btn" href="${product.url}#notify" title="Email me when it's back">🔔</a>` : ''}
+        <button class="wishlist-btn" data-product-id="${product.id}" title="Save to wishlist"><i class="far fa-heart"></i></button>
       </div>
     </div>
   `;
+
+  const picker = card.querySelector('.variant-select');
+  if (picker) picker.addEventListener('change', () => showVariantPrice(card, variants));
   return card;
 }
 
+// Update a card's price to the variant picked in its variant selector
+function showVariantPrice(card, variants) {
+  const picker = card.querySelector('.variant-select');
+  const variant = variants.find(v => v.id === parseInt(picker.value));
+  if (!variant) return;
+  card.querySelector('.current-price').textContent = `₹${Number(variant.price).toFixed(0)}`;
+  const original = card.querySelector('.original-price');
+  if (original) {
+    original.textContent = variant.originalPrice ? `₹${Number(variant.originalPrice).toFixed(0)}` : '';
+  }
+}
+
+// Labels for the care attributes shown as badges on product cards
+const CARE_BADGES = {
+  care: { icon: 'fa-seedling', labels: { easy: 'Easy care', moderate: 'Moderate care', expert: 'Expert care' } },
+  lightRequirement: {
+    icon: 'fa-sun',
+    labels: { low: 'Low light', medium: 'Medium light', 'bright-indirect': 'Bright indirect', 'full-sun': 'Full sun' }
+  },
+  wateringFrequency: {
+    icon: 'fa-tint',
+    labels: { sparse: 'Water sparingly', moderate: 'Water weekly', frequent: 'Water often' }
+  }
+};
+
+function createCareBadgesHtml(product) {
+  const badges = Object.entries(CARE_BADGES)
+    .filter(([field]) => product[field])
+    .map(([field, { icon, labels }]) =>
+      `<span class="care-badge"><i class="fas ${icon}"></i> ${labels[product[field]] || product[field]}</span>`);
+  if (product.petSafe) badges.unshift('<span class="care-badge pet-safe"><i class="fas fa-paw"></i> Pet safe</span>');
+  return badges.length ? `<div class="care-badges">${badges.join('')}</div>` : '';
+}
+
 function createStarsHtml(rating) {
   let starsHtml = '';
   const fullStars = Math.floor(rating);
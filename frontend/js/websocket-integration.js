@@ -1,7 +1,7 @@
 /**
  * WebSocket Real-Time Integration
  * This file adds Socket.io real-time updates to the Plant Nursery website
- * Shows live cart updates across all browser tabs
+ * Shows live cart updates across all browser tabs and devices using the same cart
  */
 
 (function() {
@@ -9,6 +9,18 @@
     
     let socket = null;
     let isConnected = false;
+    let watchedSessionId = null;
+    
+    /**
+     * Subscribe to changes of this browser's cart (the server only sends
+     * a cart's updates to the sockets watching it)
+     */
+    function watchCart() {
+        const sessionId = window.cartFunctions && window.cartFunctions.getSessionId();
+        if (!socket || !isConnected || !sessionId || sessionId === watchedSessionId) return;
+        socket.emit('cart:watch', sessionId);
+        watchedSessionId = sessionId;
+    }
     
     /**
      * Initialize WebSocket connection
@@ -31,10 +43,15 @@
         // Connection successful
         socket.on('connect', function() {
             isConnected = true;
+            watchedSessionId = null; // rooms don't survive a reconnect
             console.log('✅ WebSocket connected! Socket ID:', socket.id);
             showNotification('🔌 Real-time updates enabled!', 'success');
+            watchCart();
         });
         
+        // The cart (or its session, e.g. after signing in) changed locally
+        window.addEventListener('cart:updated', watchCart);
+        
         // Connection error
         socket.on('connect_error', function(error) {
             console.error('❌ WebSocket connection error:', error);
@@ -59,6 +76,12 @@
     function handleCartUpdate(data) {
         const { action, itemCount, totals, product } = data;
         
+        // Changes made in this tab are already on screen; anything else
+        // (another tab or device) is loaded from the server
+        const local = window.cartFunctions ? window.cartFunctions.getCartSummary() : null;
+        if (local && local.totalItems === itemCount && totals && Math.abs(local.totalAmount - totals.subtotal) < 0.01) return;
+        if (window.cartFunctions) window.cartFunctions.syncCart();
+        
         // Update cart badge
         updateCartBadge(itemCount);
         
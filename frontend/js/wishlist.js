@@ -0,0 +1,307 @@
+/**
+ * wishlist.js - Wishlist and "save for later"
+ * Signed-in customers' wishlists live on the server (/api/wishlist), so they
+ * follow them across devices. Guests keep theirs in localStorage; the first
+ * page they open after signing in merges it into their account's wishlist.
+ * Handles the heart buttons on product cards (.wishlist-btn[data-product-id])
+ * and "Save for later" in the cart modal; the /wishlist page renders with
+ * getWishlistItems().
+ */
+
+// Wishlist state management
+const WISHLIST_STORAGE_KEY = 'plant-nursery-wishlist';
+const LEGACY_WISHLIST_KEY = 'plantNurseryWishlist'; // product IDs saved by older versions
+const MAX_WISHLIST_ITEMS = 100; // as many as the server keeps
+let wishlistItems = []; // [{ productId, variantId, addedAt }], plus product details from the server
+let wishlistShareUrl = null;
+let wishlistLoaded = Promise.resolve();
+
+/**
+ * Guest wishlist from localStorage
+ * @returns {Array<Object>} [{ productId, variantId, addedAt }]
+ */
+function loadLocalWishlist() {
+    try {
+        const saved = JSON.parse(localStorage.getItem(WISHLIST_STORAGE_KEY) || '[]');
+        const legacy = JSON.parse(localStorage.getItem(LEGACY_WISHLIST_KEY) || '[]')
+            .map(id => parseInt(id))
+            .filter(id => id > 0 && !saved.some(item => item.productId === id))
+            .map(id => ({ productId: id, variantId: null, addedAt: new Date().toISOString() }));
+        return [...saved, ...legacy];
+    } catch (error) {
+        console.error('Error loading wishlist from storage:', error);
+        return [];
+    }
+}
+
+/**
+ * Save the guest wishlist to localStorage
+ */
+function saveLocalWishlist() {
+    const items = wishlistItems.map(({ productId, variantId, addedAt }) => ({ productId, variantId, addedAt }));
+    localStorage.setItem(WISHLIST_STORAGE_KEY, JSON.stringify(items));
+    localStorage.removeItem(LEGACY_WISHLIST_KEY);
+}
+
+/**
+ * Call the wishlist API
+ * @param {string} path - Path below /api/wishlist
+ * @param {Object} options - fetch options; a plain object body is sent as JSON
+ * @returns {Promise<Object>} Response data
+ * @throws Error with the server's message (and status) when the call fails
+ */
+async function wishlistRequest(path, options = {}) {
+    const init = { ...options, headers: { 'Content-Type': 'application/json' } };
+    if (options.body && typeof options.body !== 'string') init.body = JSON.stringify(options.body);
+
+    const response = await fetch(`/api/wishlist${path}`, init);
+    const result = await response.json();
+    if (!result.success) {
+        const error = new Error(result.message || 'Wishlist request failed');
+        error.status = response.status;
+        throw error;
+    }
+    return result.data;
+}
+
+/**
+ * Replace the local wishlist with the server's copy
+ * @param {Object} serverWishlist - { items, shareUrl }
+ */
+function applyServerWishlist(serverWishlist) {
+    wishlistItems = serverWishlist.items;
+    wishlistShareUrl = serverWishlist.shareUrl || null;
+    updateWishlistButtons();
+    window.dispatchEvent(new CustomEvent('wishlist:updated'));
+}
+
+/**
+ * Load the wishlist: localStorage for guests, the server's for signed-in
+ * customers (after merging in anything saved while signed out)
+ * @returns {Promise<void>}
+ */
+function loadWishlist() {
+    wishlistItems = loadLocalWishlist();
+    if (!window.isAuthenticated) return Promise.resolve();
+
+    const guestItems = wishlistItems.slice(0, MAX_WISHLIST_ITEMS);
+    return (guestItems.length > 0
+        ? wishlistRequest('/merge', { method: 'POST', body: { items: guestItems } })
+        : wishlistRequest(''))
+        .then(serverWishlist => {
+            if (guestItems.length > 0) {
+                localStorage.removeItem(WISHLIST_STORAGE_KEY);
+                localStorage.removeItem(LEGACY_WISHLIST_KEY);
+            }
+            applyServerWishlist(serverWishlist);
+        })
+        .catch(error => console.error('Error loading wishlist:', error));
+}
+
+/**
+ * Set up the heart buttons on product cards (cards added later are covered too)
+ */
+function initializeWishlistButtons() {
+    updateWishlistButtons();
+    document.addEventListener('click', (e) => {
+        const button = e.target.closest('.wishlist-btn[data-product-id]');
+        if (button) {
+            e.preventDefault();
+            toggleWishlist(button.getAttribute('data-product-id'));
+        }
+    });
+    new MutationObserver(updateWishlistButtons).observe(document.body, { childList: true, subtree: true });
+}
+
+/**
+ * Whether a product (any variant of it, unless one is given) is on the wishlist
+ * @param {number|string} productId
+ * @param {number|string|null} variantId
+ * @returns {boolean}
+ */
+function isInWishlist(productId, variantId = null) {
+    const id = parseInt(productId);
+    return wishlistItems.some(item => item.productId === id
+        && (!variantId || (item.variantId || null) === parseInt(variantId)));
+}
+
+/**
+ * Show every heart button as filled when its product is on the wishlist
+ */
+function updateWishlistButtons() {
+    document.querySelectorAll('.wishlist-btn[data-product-id]').forEach(button => {
+        const saved = isInWishlist(button.getAttribute('data-product-id'));
+        if (button.classList.contains('active') === saved && button.dataset.wishlistReady) return;
+        button.dataset.wishlistReady = 'true';
+        button.classList.toggle('active', saved);
+        button.setAttribute('aria-pressed', String(saved));
+        button.title = saved ? 'Remove from wishlist' : 'Save to wishlist';
+        button.innerHTML = `<i class="${saved ? 'fas' : 'far'} fa-heart"></i>`;
+    });
+}
+
+/**
+ * Save a product (variant) to the wishlist
+ * @param {number|string} productId
+ * @param {number|string|null} variantId - Saved variant; null saves the product as a whole
+ * @returns {Promise<void>}
+ * @throws Error when the server refuses it (e.g. the wishlist is full)
+ */
+async function addToWishlist(productId, variantId = null) {
+    const id = parseInt(productId);
+    const variant = variantId ? parseInt(variantId) : null;
+    if (!window.isAuthenticated) {
+        if (!wishlistItems.some(item => item.productId === id && (item.variantId || null) === variant)) {
+            if (wishlistItems.length >= MAX_WISHLIST_ITEMS) {
+                throw new Error(`A wishlist can hold at most ${MAX_WISHLIST_ITEMS} products`);
+            }
+            wishlistItems.unshift({ productId: id, variantId: variant, addedAt: new Date().toISOString() });
+            saveLocalWishlist();
+        }
+        updateWishlistButtons();
+        window.dispatchEvent(new CustomEvent('wishlist:updated'));
+        return;
+    }
+    await wishlistLoaded;
+    applyServerWishlist(await wishlistRequest('/items', { method: 'POST', body: { productId: id, variantId: variant } }));
+}
+
+/**
+ * Take a product off the wishlist
+ * @param {number|string} productId
+ * @param {number|string|null} variantId - Only this variant; by default every saved variant
+ * @returns {Promise<void>}
+ */
+async function removeFromWishlist(productId, variantId = null) {
+    const id = parseInt(productId);
+    const matches = item => item.productId === id && (!variantId || (item.variantId || null) === parseInt(variantId));
+    if (!window.isAuthenticated) {
+        wishlistItems = wishlistItems.filter(item => !matches(item));
+        saveLocalWishlist();
+        updateWishlistButtons();
+        window.dispatchEvent(new CustomEvent('wishlist:updated'));
+        return;
+    }
+    await wishlistLoaded;
+    const query = variantId ? `?variantId=${parseInt(variantId)}` : '';
+    applyServerWishlist(await wishlistRequest(`/items/${id}${query}`, { method: 'DELETE' }));
+}
+
+/**
+ * Heart button: save the product, or take it off if it's already saved
+ * @param {number|string} productId
+ */
+async function toggleWishlist(productId) {
+    const saved = isInWishlist(productId);
+    try {
+        if (saved) {
+            await removeFromWishlist(productId);
+            showNotification('Removed from your wishlist', 'info');
+        } else {
+            await addToWishlist(productId);
+            showNotification('Saved to your wishlist', 'success');
+        }
+    } catch (error) {
+        console.error('Error updating wishlist:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * "Save for later" in the cart: move a cart line to the wishlist
+ * @param {number|string} productId
+ * @param {number|string|null} variantId - Variant of the cart line
+ */
+async function saveForLater(productId, variantId = null) {
+    try {
+        await addToWishlist(productId, variantId);
+        window.cartFunctions.removeFromCart(productId, variantId, { silent: true });
+        showNotification('Saved for later - find it in your wishlist', 'success');
+    } catch (error) {
+        console.error('Error saving for later:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Move a wishlist item into the cart. It stays on the wishlist if it can't
+ * be added (out of stock, no longer sold).
+ * @param {number|string} productId
+ * @param {number|string|null} variantId - Saved variant, if any
+ * @returns {Promise<void>}
+ */
+async function moveToCart(productId, variantId = null) {
+    const id = parseInt(productId);
+    const variant = variantId ? parseInt(variantId) : null;
+    try {
+        if (window.isAuthenticated) {
+            await wishlistLoaded;
+            const sessionId = window.cartFunctions.getSessionId();
+            if (!sessionId) throw new Error('Cart is not available right now');
+            const { wishlist } = await wishlistRequest(`/items/${id}/move-to-cart`, {
+                method: 'POST',
+                body: { sessionId, variantId: variant }
+            });
+            applyServerWishlist(wishlist);
+            await window.cartFunctions.syncCart();
+            showNotification('Moved to your cart', 'success');
+        } else {
+            await window.cartFunctions.addProductById(id, 1, variant);
+            await removeFromWishlist(id, variant);
+            showNotification('Moved to your cart', 'success');
+        }
+    } catch (error) {
+        console.error('Error moving to cart:', error);
+        showNotification(error.message, 'error');
+    }
+}
+
+/**
+ * Wishlist lines with current product details (name, price, stock)
+ * @param {Array<Object>} [items] - Lines to look up; defaults to the whole wishlist
+ * @returns {Promise<Array<Object>>}
+ */
+async function getWishlistItems(items = null) {
+    await wishlistLoaded;
+    if (window.isAuthenticated && !items) return wishlistItems;
+    const lines = items || wishlistItems;
+    if (lines.length === 0) return [];
+    const { items: detailed } = await wishlistRequest('/lookup', {
+        method: 'POST',
+        body: { items: lines.map(({ productId, variantId, addedAt }) => ({ productId, variantId, addedAt })) }
+    });
+    return detailed;
+}
+
+/**
+ * Turn the public read-only link on or off (signed-in customers only)
+ * @param {boolean} shared
+ * @returns {Promise<string|null>} Share URL, null once turned off
+ */
+async function setWishlistShared(shared) {
+    const result = await wishlistRequest('/share', { method: shared ? 'POST' : 'DELETE' });
+    wishlistShareUrl = result.shareUrl;
+    return wishlistShareUrl;
+}
+
+// Load right away (pages can wait on ready()); buttons once the DOM is there
+wishlistLoaded = loadWishlist();
+if (document.readyState === 'loading') {
+    document.addEventListener('DOMContentLoaded', initializeWishlistButtons);
+} else {
+    initializeWishlistButtons();
+}
+
+// Export functions for external use
+window.wishlistFunctions = {
+    addToWishlist,
+    removeFromWishlist,
+    toggleWishlist,
+    isInWishlist,
+    saveForLater,
+    moveToCart,
+    getWishlistItems,
+    setWishlistShared,
+    getShareUrl: () => wishlistShareUrl,
+    ready: () => wishlistLoaded
+};